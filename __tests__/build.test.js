@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the dist/ bundles built from scripts/modules/
+ */
+
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { build, getBuilds } = require('../build.js');
+
+describe('Build', () => {
+  let outputs;
+
+  beforeAll(async () => {
+    const results = await build({ write: false });
+    outputs = {};
+    getBuilds().forEach((config, i) => {
+      outputs[config.outfile.split(/[\\/]/).pop()] = results[i].outputFiles[0].text;
+    });
+  }, 30000);
+
+  test('should produce the ES module, CommonJS, browser, calibration and server bundles', () => {
+    expect(Object.keys(outputs)).toEqual([
+      'headless-detector.mjs',
+      'headless-detector.cjs',
+      'headless-detector.js',
+      'headless-detector.min.js',
+      'calibration.mjs',
+      'calibration.cjs',
+      'server.mjs',
+      'server.cjs'
+    ]);
+    Object.values(outputs).forEach(text => expect(text).toMatch(/^\/\*! headless-detector v\d+\.\d+\.\d+/));
+  });
+
+  test.each(['headless-detector.js', 'headless-detector.min.js'])('%s should expose the browser globals only', async (file) => {
+    // A virtual console without listeners keeps jsdom's canvas "not implemented" errors quiet
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+      runScripts: 'outside-only',
+      virtualConsole: new VirtualConsole()
+    });
+    dom.window.eval(outputs[file]);
+
+    expect(typeof dom.window.detectHeadless).toBe('function');
+    expect(typeof dom.window.HeadlessDetector.detect).toBe('function');
+    expect(dom.window.HeadlessDetector.checks.webgl).toBe(dom.window.HeadlessDetectorModules.checkWebGL);
+    // Module internals stay inside the bundle
+    expect(dom.window.detectWebdriver).toBeUndefined();
+    expect(dom.window._detectWebdriver).toBeUndefined();
+
+    const results = await dom.window.HeadlessDetector.detect({ exclude: ['workerChecks'] });
+    expect(typeof results.isHeadless).toBe('number');
+    expect(results.summary.profile).toBe('balanced');
+  });
+
+  test('CommonJS bundle should export the same API as the source entry without touching globals', () => {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { runScripts: 'outside-only' });
+    const module = { exports: {} };
+    dom.window.module = module;
+    dom.window.eval(`(function (module, exports) { ${outputs['headless-detector.cjs']} })(module, module.exports)`);
+
+    expect(Object.keys(module.exports).sort()).toEqual(Object.keys(require('../scripts/headless-detector.js')).sort());
+    expect(dom.window.HeadlessDetector).toBeUndefined();
+    expect(dom.window.HeadlessDetectorModules).toBeUndefined();
+    expect(dom.window.detectHeadless).toBeUndefined();
+  });
+
+  test('ES module bundle should have a named export per source export', () => {
+    const names = Object.keys(require('../scripts/headless-detector.js'));
+    const exported = outputs['headless-detector.mjs'].match(/export \{([^}]*)\}/)[1];
+
+    names.forEach(name => expect(exported).toMatch(new RegExp(`\\b${name}\\b`)));
+    expect(exported).not.toMatch(/as default/);
+  });
+
+  test('ES module bundle should tree-shake down to the imported detector', async () => {
+    const { build: esbuild } = require('esbuild');
+    const result = await esbuild({
+      stdin: { contents: 'import { detectCDP } from "./headless-detector.mjs"; detectCDP();', loader: 'js' },
+      bundle: true,
+      write: false,
+      format: 'esm',
+      logLevel: 'silent',
+      plugins: [{
+        name: 'dist',
+        setup(pluginBuild) {
+          pluginBuild.onResolve({ filter: /headless-detector\.mjs$/ }, () => ({ path: 'headless-detector.mjs', namespace: 'dist' }));
+          pluginBuild.onLoad({ filter: /.*/, namespace: 'dist' }, () => ({ contents: outputs['headless-detector.mjs'] }));
+        }
+      }]
+    });
+    const text = result.outputFiles[0].text;
+
+    expect(text).toMatch(/function detectCDP/);
+    expect(text).not.toMatch(/function checkWebGL|BUILT_IN_CHECKS|PROFILE_PRESETS/);
+  });
+});
@@ -43,6 +43,17 @@ global.Blob = class MockBlob {
   constructor() { }
 };
 
+// Iframes see the mocked navigator too, like the Worker above
+const iframeContentWindow = Object.getOwnPropertyDescriptor(HTMLIFrameElement.prototype, 'contentWindow');
+Object.defineProperty(HTMLIFrameElement.prototype, 'contentWindow', {
+  ...iframeContentWindow,
+  get() {
+    const frameWindow = iframeContentWindow.get.call(this);
+    if (frameWindow) Object.defineProperty(frameWindow, 'navigator', { value: global.navigator, configurable: true });
+    return frameWindow;
+  }
+});
+
 describe('HeadlessDetector', () => {
   let detector;
 
@@ -105,10 +116,414 @@ describe('HeadlessDetector', () => {
       expect(typeof result.checkItemExplanations).toBe('object');
     });
 
-    test('should have correct detection version', async () => {
+    test('should report the package version and the result schema version', async () => {
+      const result = await detector.detectHeadless();
+
+      expect(result.detectionVersion).toBe(require('../package.json').version);
+      expect(result.schemaVersion).toBe(detector.SCHEMA_VERSION);
+    });
+  });
+
+  describe('detectHeadless options', () => {
+    test('should keep supporting the legacy boolean attachToWindow argument', async () => {
+      delete global.window.__headlessDetection;
+
+      const result = await detector.detectHeadless(true);
+
+      expect(global.window.__headlessDetection).toBe(result);
+      expect(global.window.__headlessDetectionScore).toBe(result.isHeadless);
+    });
+
+    test('should attach to window when attachToWindow option is set', async () => {
+      delete global.window.__headlessDetection;
+
+      const result = await detector.detectHeadless({ attachToWindow: true });
+
+      expect(global.window.__headlessDetection).toBe(result);
+    });
+
+    test('should not attach to window by default', async () => {
+      delete global.window.__headlessDetection;
+
+      await detector.detectHeadless({});
+
+      expect(global.window.__headlessDetection).toBeUndefined();
+    });
+
+    test('should skip excluded sub-checks', async () => {
+      const result = await detector.detectHeadless({
+        exclude: ['webglFlags.renderingTest', 'fingerprintChecks.audioContext']
+      });
+
+      expect(result.webglFlags).not.toBeNull();
+      expect(result.webglFlags.renderingTest).toBeNull();
+      expect(result.fingerprintChecks.audioContext).toBeNull();
+      expect(result.fingerprintChecks.canvas).not.toBeNull();
+      expect(result.fingerprintChecks.fonts).not.toBeNull();
+    });
+
+    test('should skip excluded groups', async () => {
+      const result = await detector.detectHeadless({ exclude: ['workerChecks', 'mediaChecks'] });
+
+      expect(result.workerChecks).toBeNull();
+      expect(result.mediaChecks).toBeNull();
+      expect(result.cdpArtifacts).not.toBeNull();
+    });
+
+    test('should only run included checks', async () => {
+      const result = await detector.detectHeadless({ include: ['webdriver', 'fingerprintChecks.canvas'] });
+
+      expect(typeof result.webdriver).toBe('boolean');
+      expect(result.fingerprintChecks.canvas).not.toBeNull();
+      expect(result.fingerprintChecks.audioContext).toBeNull();
+      expect(result.cdpArtifacts).toBeNull();
+      expect(result.workerChecks).toBeNull();
+      expect(result.summary).toBeDefined();
+    });
+
+    test('should not score excluded checks', async () => {
+      global.navigator.webdriver = true;
+
+      const withWebdriver = await detector.detectHeadless({ include: ['webdriver'] });
+      const withoutWebdriver = await detector.detectHeadless({ include: ['webdriver'], exclude: ['webdriver'] });
+
+      expect(withWebdriver.isHeadless).toBeCloseTo(0.20);
+      expect(withoutWebdriver.isHeadless).toBe(0);
+
+      global.navigator.webdriver = undefined;
+    });
+
+    test('should apply custom weights', async () => {
+      global.navigator.webdriver = true;
+
+      const result = await detector.detectHeadless({ include: ['webdriver'], weights: { webdriver: 0.9 } });
+
+      expect(result.isHeadless).toBeCloseTo(0.9);
+      expect(result.summary.classification).toBe('Definitely Headless');
+
+      global.navigator.webdriver = undefined;
+    });
+
+    test('should apply custom thresholds', async () => {
+      global.navigator.webdriver = true;
+
+      const result = await detector.detectHeadless({
+        include: ['webdriver'],
+        thresholds: { definitelyHeadless: 0.9, likelyHeadless: 0.15, suspicious: 0.1, minorWarnings: 0.05 }
+      });
+
+      expect(result.summary.classification).toBe('Likely Headless');
+      expect(result.summary.riskLevel).toBe('high');
+
+      global.navigator.webdriver = undefined;
+    });
+
+    test('should pass timeoutMs to the worker check', async () => {
+      global.Worker = class MockSilentWorker {
+        postMessage() { }
+        terminate() { }
+      };
+
+      jest.resetModules();
+      const freshDetector = require('../scripts/headless-detector.js');
+      const startTime = Date.now();
+      const result = await freshDetector.detectHeadless({ timeoutMs: 50 });
+
+      expect(Date.now() - startTime).toBeLessThan(1000);
+      expect(result.workerChecks.reason).toBe('Worker timeout');
+    });
+
+    test('should await the media device and permission queries', async () => {
+      Object.defineProperty(navigator, 'mediaDevices', {
+        configurable: true,
+        value: { enumerateDevices: () => new Promise(resolve => setTimeout(() => resolve([]), 10)) }
+      });
+      Object.defineProperty(navigator, 'permissions', {
+        configurable: true,
+        value: { query: () => new Promise(resolve => setTimeout(() => resolve({ state: 'prompt' }), 10)) }
+      });
+      global.Notification = { permission: 'denied' };
+
+      try {
+        const result = await detector.detectHeadless({ include: ['mediaDeviceChecks', 'permissionChecks'] });
+        expect(result.scoreBreakdown.map(entry => [entry.id, entry.value])).toEqual([
+          ['permissions-contradiction', 'denied'],
+          ['media-devices-none', 0]
+        ]);
+        expect(result.summary.detections.map(detection => detection.checkId)).toEqual([
+          'permissions-contradiction', 'media-devices-none'
+        ]);
+        expect(detector.validateResult(result).errors).toEqual([]);
+      } finally {
+        delete navigator.mediaDevices;
+        delete navigator.permissions;
+        delete global.Notification;
+      }
+    });
+
+    test('should score a denied notification permission once when the query contradicts it, in the score and the summary', async () => {
+      Object.defineProperty(navigator, 'permissions', {
+        configurable: true,
+        value: { query: () => Promise.resolve({ state: 'prompt' }) }
+      });
+      global.Notification = { permission: 'denied' };
+
+      try {
+        const both = await detector.detectHeadless({ include: ['advancedChecks.permissions', 'permissionChecks'] });
+        const advancedOnly = await detector.detectHeadless({ include: ['advancedChecks.permissions'] });
+
+        expect(both.scoreBreakdown.map(entry => entry.id)).toEqual(['permissions-contradiction']);
+        expect(advancedOnly.scoreBreakdown.map(entry => entry.id)).toEqual(['permissions-denied']);
+
+        const summaryIds = result => result.summary.detections.concat(result.summary.warnings)
+          .map(item => item.checkId);
+        expect(summaryIds(both)).toEqual(['permissions-contradiction']);
+        expect(summaryIds(advancedOnly)).toEqual(['adv-permissions']);
+      } finally {
+        delete navigator.permissions;
+        delete global.Notification;
+      }
+    });
+  });
+
+  describe('Weight profiles', () => {
+    test('should use the balanced profile by default', async () => {
+      const result = await detector.detectHeadless();
+
+      expect(result.summary.profile).toBe('balanced');
+      expect(result.isHeadless).toBe(detector.scoreResults(result));
+    });
+
+    test('should score with a preset selected via options', async () => {
+      const result = await detector.detectHeadless({ profile: 'low-false-positive' });
+      const { weights } = detector.PROFILE_PRESETS['low-false-positive'];
+
+      expect(result.summary.profile).toBe('low-false-positive');
+      expect(result.isHeadless).toBe(detector.scoreResults(result, weights));
+      result.scoreBreakdown
+        .filter(entry => entry.id in weights)
+        .forEach(entry => expect(entry.weight).toBe(weights[entry.id]));
+    });
+
+    test('should classify with the profile thresholds', async () => {
+      const result = await detector.detectHeadless({
+        profile: { name: 'zero', thresholds: { definitelyHeadless: 0, likelyHeadless: 0, suspicious: 0, minorWarnings: 0 } }
+      });
+
+      expect(result.summary.profile).toBe('zero');
+      expect(result.isHeadless).toBeGreaterThan(0);
+      expect(result.summary.classification).toBe('Definitely Headless');
+    });
+
+    test('should let explicit weights override the profile', async () => {
+      global.navigator.webdriver = true;
+      try {
+        const result = await detector.detectHeadless({ profile: 'strict', weights: { 'webdriver': 0.01 } });
+        expect(result.scoreBreakdown.find(entry => entry.id === 'webdriver').weight).toBe(0.01);
+      } finally {
+        global.navigator.webdriver = undefined;
+      }
+    });
+
+    test('should use the global profile set with setProfile()', async () => {
+      expect(detector.setProfile('strict').name).toBe('strict');
       const result = await detector.detectHeadless();
 
-      expect(result.detectionVersion).toBe('1.0.0');
+      expect(result.summary.profile).toBe('strict');
+      expect(detector.getProfile().name).toBe('strict');
+      detector.setProfile(null);
+    });
+
+    test('should reject unknown profiles', async () => {
+      await expect(detector.detectHeadless({ profile: 'paranoid' })).rejects.toThrow('Unknown weight profile');
+    });
+
+    test('should report a probability and confidence with the logistic scorer', async () => {
+      const result = await detector.detectHeadless({ scorer: 'logistic' });
+      const logistic = detector.scoreLogistic(result);
+
+      expect(result.summary.scorer).toBe('logistic');
+      expect(result.isHeadless).toBeCloseTo(logistic.probability);
+      expect(result.summary.confidence).toBeGreaterThanOrEqual(0);
+      expect(result.summary.confidence).toBeLessThanOrEqual(1);
+      expect(result.scoreBreakdown).toEqual(logistic.breakdown);
+    });
+
+    test('should use the scorer selected by the profile', async () => {
+      const result = await detector.detectHeadless({ profile: { extends: 'balanced', scorer: 'logistic' } });
+      const additive = await detector.detectHeadless();
+
+      expect(result.summary.scorer).toBe('logistic');
+      expect(additive.summary.scorer).toBe('additive');
+      expect(additive.summary.confidence).toBeNull();
+    });
+
+    test('should reject unknown scorers', async () => {
+      await expect(detector.detectHeadless({ scorer: 'bayes' })).rejects.toThrow('Unknown scorer');
+    });
+
+    test('should expose setProfile on window.HeadlessDetector', () => {
+      require('../scripts/browser.js');
+      expect(global.window.HeadlessDetector.setProfile).toBe(detector.setProfile);
+      expect(global.window.HeadlessDetector.profiles).toBe(detector.PROFILE_PRESETS);
+    });
+  });
+
+  describe('Check registry', () => {
+    const customCheck = (overrides = {}) => ({
+      id: 'inHouseCheck',
+      group: 'inHouse',
+      run: () => ({ suspicious: true }),
+      score: value => value.suspicious ? [{ id: 'in-house', weight: 0.3 }] : [],
+      explanation: {
+        label: 'In-house Check',
+        description: 'Company-specific automation signal',
+        good: 'Signal not present',
+        bad: 'In-house automation signal present'
+      },
+      severity: 'critical',
+      ...overrides
+    });
+
+    test('should run built-in checks through the registry', () => {
+      const ids = detector.getRegisteredChecks().map(check => check.id);
+
+      expect(ids).toEqual(['webdriver', 'automationFlags', 'cdpArtifacts', 'headlessIndicators', 'mediaFeatureChecks',
+        'userAgentFlags', 'clientHintsChecks', 'webglFlags', 'advancedChecks', 'permissionChecks', 'mediaChecks',
+        'mediaDeviceChecks', 'fingerprintChecks', 'workerChecks', 'behaviorChecks', 'tamperingChecks', 'iframeChecks',
+        'geometryChecks', 'localeChecks']);
+    });
+
+    test('should run, score and summarize a registered check', async () => {
+      const baseline = await detector.detectHeadless();
+      detector.registerCheck(customCheck());
+
+      const result = await detector.detectHeadless();
+
+      expect(result.inHouseCheck).toEqual({ suspicious: true });
+      expect(result.isHeadless).toBeCloseTo(Math.min(1, baseline.isHeadless + 0.3));
+      expect(result.checkItemExplanations.inHouseCheck.label).toBe('In-house Check');
+      expect(result.summary.detections).toContainEqual(expect.objectContaining({
+        checkId: 'inHouseCheck',
+        severity: 'critical',
+        message: 'In-house automation signal present'
+      }));
+    });
+
+    test('should await asynchronous checks and pass the options context', async () => {
+      const run = jest.fn(async context => ({ timeoutMs: context.options.timeoutMs }));
+      detector.registerCheck(customCheck({ run, subChecks: ['deep'] }));
+
+      const result = await detector.detectHeadless({ timeoutMs: 250, exclude: ['inHouseCheck.deep'] });
+
+      expect(run).toHaveBeenCalledTimes(1);
+      expect(run.mock.calls[0][0].subChecks).toEqual({ deep: false });
+      expect(result.inHouseCheck).toEqual({ timeoutMs: 250 });
+    });
+
+    test('should honour include/exclude and weight overrides for registered checks', async () => {
+      detector.registerCheck(customCheck());
+
+      const excluded = await detector.detectHeadless({ exclude: ['inHouseCheck'] });
+      const reweighted = await detector.detectHeadless({ include: ['inHouseCheck'], weights: { 'in-house': 0.05 } });
+
+      expect(excluded.inHouseCheck).toBeNull();
+      expect(reweighted.webdriver).toBeNull();
+      expect(reweighted.isHeadless).toBeCloseTo(0.05);
+    });
+
+    test('should report a throwing check as an error without failing detection', async () => {
+      detector.registerCheck(customCheck({ run: () => { throw new Error('boom'); } }));
+
+      const result = await detector.detectHeadless();
+
+      expect(result.inHouseCheck).toEqual({ error: true, message: 'boom' });
+      expect(typeof result.isHeadless).toBe('number');
+    });
+
+    test('should report throwing built-in checks in the result schema', async () => {
+      const { verifyResult } = require('../scripts/modules/server.js');
+      detector.BUILT_IN_CHECKS.forEach(check => {
+        detector.unregisterCheck(check.id);
+        detector.registerCheck({ ...check, run: () => { throw new Error(`${check.id} failed`); } });
+      });
+
+      const result = await detector.detectHeadless();
+
+      expect(result.behaviorChecks).toEqual({ error: true, message: 'behaviorChecks failed' });
+      expect(result.scoreBreakdown).toEqual([]);
+      expect(detector.validateResult(result).errors).toEqual([]);
+      expect(verifyResult(JSON.parse(JSON.stringify(result))).valid).toBe(true);
+    });
+
+    test('should unregister checks', async () => {
+      detector.registerCheck(customCheck());
+
+      expect(detector.unregisterCheck('inHouseCheck')).toBe(true);
+      const result = await detector.detectHeadless();
+
+      expect(result).not.toHaveProperty('inHouseCheck');
+    });
+
+    test('should expose registerCheck on window.HeadlessDetector', () => {
+      require('../scripts/browser.js');
+      expect(global.window.HeadlessDetector.registerCheck).toBe(detector.registerCheck);
+    });
+  });
+
+  describe('Single detection pass', () => {
+    afterEach(() => {
+      delete global.window.AudioContext;
+    });
+
+    test('should run each check exactly once per detection', async () => {
+      let audioContexts = 0;
+      global.window.AudioContext = class MockAudioContext {
+        constructor() {
+          audioContexts++;
+          this.sampleRate = 48000;
+          this.state = 'suspended';
+        }
+        close() { }
+      };
+      const getContextSpy = jest.spyOn(HTMLCanvasElement.prototype, 'getContext');
+
+      await detector.detectHeadless();
+
+      expect(audioContexts).toBe(1);
+      const webglContexts = getContextSpy.mock.calls.filter(([type]) => type === 'webgl');
+      expect(webglContexts.length).toBe(1);
+
+      getContextSpy.mockRestore();
+    });
+
+    test('should score exactly what was collected', async () => {
+      const result = await detector.detectHeadless({ weights: { 'fp-audio': 0.4 } });
+
+      expect(result.isHeadless).toBe(detector.scoreResults(result, { 'fp-audio': 0.4 }));
+      expect(result.summary.score).toBe(result.isHeadless);
+    });
+
+    test('should explain the score with a per-signal breakdown', async () => {
+      global.navigator.webdriver = true;
+      try {
+        const result = await detector.detectHeadless();
+        const breakdown = result.scoreBreakdown;
+        const last = breakdown[breakdown.length - 1];
+
+        expect(breakdown[0]).toEqual({
+          id: 'webdriver', checkId: 'webdriver', group: 'webdriver', weight: 0.20, value: true, total: 0.20
+        });
+        expect(result.isHeadless).toBe(Math.min(1, last.total));
+        expect(breakdown).toEqual(detector.getScoreBreakdown(result));
+      } finally {
+        global.navigator.webdriver = undefined;
+      }
+    });
+
+    test('should export a pure scoreResults function', () => {
+      expect(typeof detector.scoreResults).toBe('function');
+      expect(detector.scoreResults({ webdriver: true })).toBeCloseTo(0.20);
     });
   });
 
@@ -246,7 +661,8 @@ describe('HeadlessDetector', () => {
       global.navigator.webdriver = undefined;
       global.navigator.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/91.0.4472.124';
 
-      const result = await detector.detectHeadless();
+      // jsdom's DOM functions are JavaScript, and the mocks above are own properties: not native
+      const result = await detector.detectHeadless({ exclude: ['tamperingChecks'] });
 
       // Normal browser should have score less than 1 (not definitely headless)
       // In test env, some checks may trigger false positives due to missing APIs
@@ -304,6 +720,14 @@ describe('HeadlessDetector', () => {
       expect(detector.checkWebGL).toBeDefined();
       expect(detector.getWorkerChecks).toBeDefined();
     });
+
+    test('should export every module function by name', () => {
+      ['detectCDP', 'checkWebGL', 'getAutomationFlags', 'getMediaChecks', 'getFingerprintChecks',
+        'getCheckItemExplanations', 'classifyScore', 'resolveProfile', 'getAdvancedChecks'].forEach(name => {
+        expect(typeof detector[name]).toBe('function');
+      });
+      expect(detector.checkCDP).toBe(detector.detectCDP);
+    });
   });
 
   describe('Timestamp and metadata', () => {
@@ -447,14 +871,15 @@ describe('HeadlessDetector', () => {
       delete global.window.__pwInitScripts;
       jest.resetModules();
       let freshDetector = require('../scripts/headless-detector.js');
-      const baselineResult = await freshDetector.detectHeadless();
+      // Tampering checks would saturate the score in jsdom (see the normal browser test)
+      const baselineResult = await freshDetector.detectHeadless({ exclude: ['tamperingChecks'] });
       const baselineScore = baselineResult.isHeadless;
 
       // Now add Playwright binding
       global.window.__playwright__binding__ = {};
       jest.resetModules();
       freshDetector = require('../scripts/headless-detector.js');
-      const playwrightResult = await freshDetector.detectHeadless();
+      const playwrightResult = await freshDetector.detectHeadless({ exclude: ['tamperingChecks'] });
 
       expect(playwrightResult.isHeadless).toBeGreaterThan(baselineScore);
 
@@ -0,0 +1,48 @@
+/**
+ * Test helper: DOM functions that look native
+ * jsdom's DOM functions are JavaScript, so detectTampering() would report each of them as not_native.
+ */
+
+const { TAMPERING_TARGETS } = require('../../scripts/modules/tampering.js');
+
+/**
+ * Make the functions detectTampering() checks stringify as native code, as in a browser.
+ * Call it before requiring the detector: modules/tampering.js captures Function.prototype.toString on load.
+ * Functions a test puts in their place afterwards still stringify as JavaScript.
+ * @returns {Function} Restores the original toString
+ */
+function mockNativeFunctions() {
+    const jsdomToString = Function.prototype.toString;
+    const native = new Set();
+    const { toString } = {
+        toString() {
+            return native.has(this) ? `function ${this.name}() { [native code] }` : jsdomToString.call(this);
+        }
+    };
+
+    native.add(toString);
+    Object.keys(TAMPERING_TARGETS).forEach(interfaceName => {
+        const prototype = window[interfaceName] && window[interfaceName].prototype;
+        if (!prototype) return;
+        const { getters, methods } = TAMPERING_TARGETS[interfaceName];
+        [...getters, ...Object.keys(methods)].forEach(property => {
+            const descriptor = Object.getOwnPropertyDescriptor(prototype, property);
+            if (descriptor) native.add(descriptor.get || descriptor.value);
+        });
+    });
+
+    // jsdom's own functions come from Node's realm, whose Function.prototype is not the page's
+    const prototypes = new Set([Function.prototype]);
+    native.forEach(fn => prototypes.add(Object.getPrototypeOf(fn)));
+    const originals = [...prototypes].map(prototype => [prototype, prototype.toString]);
+    prototypes.forEach(prototype => {
+        prototype.toString = toString;
+    });
+    return () => {
+        originals.forEach(([prototype, original]) => {
+            prototype.toString = original;
+        });
+    };
+}
+
+module.exports = { mockNativeFunctions };
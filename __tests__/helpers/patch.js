@@ -0,0 +1,29 @@
+/**
+ * Test helper: property patches undone at the end of each test
+ */
+
+const restores = [];
+
+/**
+ * Redefine a property until restorePatches() runs
+ * @param {Object} target - Object to patch
+ * @param {string} property - Property name
+ * @param {Object} descriptor - New descriptor
+ */
+function patch(target, property, descriptor) {
+    const original = Object.getOwnPropertyDescriptor(target, property);
+    Object.defineProperty(target, property, { configurable: true, ...descriptor });
+    restores.push(() => {
+        if (original) Object.defineProperty(target, property, original);
+        else delete target[property];
+    });
+}
+
+/**
+ * Undo every patch, the latest first (call it in afterEach)
+ */
+function restorePatches() {
+    restores.splice(0).reverse().forEach(restore => restore());
+}
+
+module.exports = { patch, restorePatches };
@@ -198,6 +198,67 @@ describe('Automation Module', () => {
         });
     });
 
+    describe('queryPermissions', () => {
+        /**
+         * Emulate navigator.permissions.query()
+         * @param {Object} states - Permission name => state; other names are rejected
+         */
+        const setPermissionStates = states => {
+            global.navigator.permissions = {
+                query: ({ name }) => name in states ?
+                    Promise.resolve({ state: states[name] }) :
+                    Promise.reject(new TypeError(`The provided value '${name}' is not a valid enum value`))
+            };
+        };
+
+        test('should detect the denied/prompt notification contradiction', async () => {
+            global.Notification.permission = 'denied';
+            setPermissionStates({ notifications: 'prompt', geolocation: 'prompt', camera: 'prompt' });
+
+            const result = await automationModule.queryPermissions();
+            expect(result).toEqual({
+                available: true,
+                suspicious: true,
+                notificationContradiction: true,
+                notificationPermission: 'denied',
+                states: { notifications: 'prompt', geolocation: 'prompt', camera: 'prompt' },
+                reason: 'Notification.permission is denied but the notifications query is prompt',
+                error: null
+            });
+        });
+
+        test('should accept consistent states and unknown permission names', async () => {
+            global.Notification.permission = 'denied';
+            setPermissionStates({ notifications: 'denied', geolocation: 'granted' });
+
+            const result = await automationModule.queryPermissions();
+            expect(result).toMatchObject({
+                available: true,
+                suspicious: false,
+                states: { notifications: 'denied', geolocation: 'granted', camera: 'unsupported' },
+                reason: 'Consistent'
+            });
+        });
+
+        test('should report a missing Permissions API', async () => {
+            const result = await automationModule.queryPermissions();
+            expect(result).toMatchObject({
+                available: false,
+                suspicious: false,
+                notificationPermission: 'default',
+                states: null,
+                reason: 'Permissions API not supported'
+            });
+        });
+
+        test('should give up after timeoutMs', async () => {
+            global.navigator.permissions = { query: () => new Promise(() => {}) };
+
+            const result = await automationModule.queryPermissions({ timeoutMs: 10 });
+            expect(result).toMatchObject({ available: false, error: null, reason: 'Permission query timeout' });
+        });
+    });
+
     describe('detectPlaywrightExposedFunctions', () => {
         test('should return detection result object', () => {
             const result = automationModule.detectPlaywrightExposedFunctions();
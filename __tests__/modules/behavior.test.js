@@ -0,0 +1,201 @@
+/**
+ * Unit tests for the Behavior Detection Module
+ */
+
+describe('Behavior Module', () => {
+    let behaviorModule;
+
+    /**
+     * Recorded pointer path
+     * @param {number} t - Time of the first move
+     * @param {number} steps - Number of moves
+     * @param {Function} point - (i) => { x, y }
+     * @param {Function} [interval] - (i) => milliseconds before move i
+     * @returns {Object[]} Recorded move events
+     */
+    const path = (t, steps, point, interval = () => 16) => {
+        const moves = [];
+        for (let i = 0; i < steps; i++) {
+            t += i === 0 ? 0 : interval(i);
+            moves.push({ type: 'move', t: t, trusted: true, ...point(i) });
+        }
+        return moves;
+    };
+
+    // Human-like path: curved, with jittery timing
+    const curved = t => path(t, 12, i => ({ x: 100 + i * 10, y: 100 + Math.round(Math.sin(i / 3) * 15) }), i => 14 + (i * 7) % 5);
+    // page.mouse.move(x, y, { steps }) - a straight line at a constant rate
+    const straight = (t, y) => path(t, 10, i => ({ x: 100 + i * 20, y: y + i * 5 }), () => 5);
+
+    const click = (t, extra = {}) => [
+        { type: 'down', t: t, trusted: true, x: 10, y: 10, detail: 1, ...extra },
+        { type: 'up', t: t + 80 + (t % 7), trusted: true }
+    ];
+
+    beforeEach(() => {
+        jest.resetModules();
+        behaviorModule = require('../../scripts/modules/behavior.js');
+    });
+
+    afterEach(() => {
+        behaviorModule.stopBehaviorRecording();
+    });
+
+    describe('analyzeBehavior', () => {
+        test('should not flag human-like input', () => {
+            const events = [...curved(0), ...click(300), ...curved(1000), ...click(1300)];
+            const result = behaviorModule.analyzeBehavior(events, 2000);
+
+            expect(result.signals).toEqual([]);
+            expect(result.suspicious).toBe(false);
+            expect(result.pointer).toMatchObject({ moves: 24, segments: 2, straightSegments: 0 });
+            expect(result.pointer.meanCurvature).toBeGreaterThan(0);
+            expect(result.clicks).toMatchObject({ count: 2, withoutMove: 0 });
+        });
+
+        test('should report empty metrics without events', () => {
+            expect(behaviorModule.analyzeBehavior([])).toMatchObject({
+                available: true,
+                eventCount: 0,
+                pointer: { moves: 0, segments: 0, meanVelocity: null, intervalJitterMs: null },
+                keys: { count: 0, meanIntervalMs: null },
+                signals: []
+            });
+        });
+
+        test('should flag perfectly straight pointer paths', () => {
+            const result = behaviorModule.analyzeBehavior([...straight(0, 100), ...click(300), ...straight(1000, 300)]);
+            expect(result.pointer.straightSegments).toBe(2);
+            expect(result.signals).toContain('straight_paths');
+        });
+
+        test('should analyze touch paths like mouse paths', () => {
+            const touches = moves => moves.map(event => ({ ...event, type: 'touch' }));
+            const swipes = behaviorModule.analyzeBehavior([...touches(curved(0)), ...touches(curved(1000))]);
+            expect(swipes.pointer).toMatchObject({ moves: 0, touchMoves: 24, segments: 2, straightSegments: 0 });
+            expect(swipes.pointer.meanVelocity).toBeGreaterThan(0);
+            expect(swipes.pointer.meanCurvature).toBeGreaterThan(0);
+            expect(swipes.signals).toEqual([]);
+
+            const dispatched = behaviorModule.analyzeBehavior([...touches(straight(0, 100)), ...touches(straight(1000, 300))]);
+            expect(dispatched.pointer.straightSegments).toBe(2);
+            expect(dispatched.signals).toContain('straight_paths');
+        });
+
+        test('should flag zero-jitter timing', () => {
+            const keys = [];
+            for (let i = 0; i < 8; i++) {
+                keys.push({ type: 'keydown', t: i * 50, trusted: true }, { type: 'keyup', t: i * 50 + 10, trusted: true });
+            }
+            const result = behaviorModule.analyzeBehavior(keys);
+            expect(result.keys).toMatchObject({ count: 8, meanIntervalMs: 50, intervalJitterMs: 0, meanDwellMs: 10 });
+            expect(result.signals).toEqual(['zero_jitter']);
+        });
+
+        test('should flag mostly untrusted input', () => {
+            const dispatched = curved(0).map(event => ({ ...event, trusted: false }));
+            const result = behaviorModule.analyzeBehavior([...dispatched, ...click(300)]);
+            expect(result.untrustedEvents).toBe(12);
+            expect(result.signals).toEqual(['untrusted_events']);
+        });
+
+        test('should not flag a few events dispatched by the page among trusted input', () => {
+            // A UI widget's synthetic mousedown, and a script-driven scroll
+            const events = [
+                ...curved(0), ...click(300, { trusted: false }), ...curved(1000), ...click(1300),
+                { type: 'scroll', t: 1500, trusted: false, y: 400 }
+            ];
+            const result = behaviorModule.analyzeBehavior(events);
+            expect(result.untrustedEvents).toBe(1);
+            expect(result.signals).toEqual([]);
+
+            // Two dispatched events alone are not enough either
+            const keystroke = [{ type: 'keydown', t: 0, trusted: false }, { type: 'keyup', t: 90, trusted: false }];
+            expect(behaviorModule.analyzeBehavior(keystroke)).toMatchObject({ untrustedEvents: 2, signals: [] });
+        });
+
+        test('should flag clicks without a preceding mousemove', () => {
+            const result = behaviorModule.analyzeBehavior([...click(100), ...click(900), ...curved(1500), ...click(1800)]);
+            expect(result.clicks).toMatchObject({ count: 3, withoutMove: 2 });
+            expect(result.signals).toEqual(['click_without_move']);
+        });
+
+        test('should not flag double clicks or clicks emulated from touches', () => {
+            const events = [
+                ...curved(0), ...click(300), ...click(420, { detail: 2 }),
+                { type: 'touch', t: 2000, trusted: true }, ...click(2100)
+            ];
+            expect(behaviorModule.analyzeBehavior(events).clicks.withoutMove).toBe(0);
+        });
+
+        test('should detect scroll momentum', () => {
+            const scroll = [0, 120, 200, 250, 280, 295, 300].map((y, i) => ({ type: 'scroll', t: i * 16, trusted: true, y: y }));
+            const jump = { type: 'scroll', t: 1000, trusted: true, y: 2000 };
+            expect(behaviorModule.analyzeBehavior([...scroll, jump]).scroll).toEqual({ events: 8, bursts: 2, inertialBursts: 1 });
+        });
+    });
+
+    describe('recording', () => {
+        test('should record dispatched events as untrusted', async () => {
+            expect(behaviorModule.startBehaviorRecording()).toBe(true);
+            document.dispatchEvent(new MouseEvent('mousemove', { clientX: 5, clientY: 6 }));
+            document.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+            document.dispatchEvent(new KeyboardEvent('keyup', { key: 'a' }));
+
+            const result = await behaviorModule.getBehaviorChecks();
+            expect(result.eventCount).toBe(3);
+            expect(result.untrustedEvents).toBe(3);
+            expect(result.signals).toContain('untrusted_events');
+        });
+
+        test('should record the coordinates of touches', async () => {
+            behaviorModule.startBehaviorRecording();
+            const touch = new Event('touchmove');
+            Object.defineProperty(touch, 'changedTouches', { value: [{ clientX: 30, clientY: 40 }] });
+            document.dispatchEvent(touch);
+            document.dispatchEvent(new Event('touchstart'));
+
+            const result = await behaviorModule.getBehaviorChecks();
+            expect(result.touchEvents).toBe(2);
+            expect(result.pointer.touchMoves).toBe(1);
+        });
+
+        test('should keep the most recent events only', async () => {
+            behaviorModule.startBehaviorRecording({ maxEvents: 3 });
+            for (let i = 0; i < 5; i++) document.dispatchEvent(new MouseEvent('mousemove'));
+            expect((await behaviorModule.getBehaviorChecks()).eventCount).toBe(3);
+        });
+
+        test('should wait for the recording window', async () => {
+            const start = Date.now();
+            const result = await behaviorModule.getBehaviorChecks({ windowMs: 50 });
+            expect(Date.now() - start).toBeGreaterThanOrEqual(40);
+            expect(result.durationMs).toBeGreaterThanOrEqual(49);
+        });
+
+        test('should stop recording', async () => {
+            behaviorModule.startBehaviorRecording();
+            expect(behaviorModule.stopBehaviorRecording()).toBe(true);
+            document.dispatchEvent(new MouseEvent('mousemove'));
+            expect((await behaviorModule.getBehaviorChecks()).eventCount).toBe(0);
+            expect(behaviorModule.stopBehaviorRecording()).toBe(true);
+            expect(behaviorModule.stopBehaviorRecording()).toBe(false);
+        });
+    });
+
+    describe('detectHeadless()', () => {
+        test('should score synthetic input in the behavior group', async () => {
+            const detector = require('../../scripts/headless-detector.js');
+            behaviorModule.startBehaviorRecording();
+            document.dispatchEvent(new MouseEvent('mousedown'));
+            document.dispatchEvent(new MouseEvent('mouseup'));
+            document.dispatchEvent(new MouseEvent('mousedown', { detail: 1 }));
+
+            const results = await detector.detectHeadless({ exclude: ['workerChecks'] });
+            expect(results.behaviorChecks.signals).toEqual(['untrusted_events', 'click_without_move']);
+            expect(results.scoreBreakdown.filter(entry => entry.group === 'behavior').map(entry => entry.id))
+                .toEqual(['behavior-untrusted-events', 'behavior-click-without-move']);
+            expect(detector.validateResult(results).errors).toEqual([]);
+        });
+    });
+});
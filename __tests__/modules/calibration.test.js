@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the Calibration module
+ */
+
+describe('Calibration Module', () => {
+    let calibrationModule;
+    let profilesModule;
+
+    // Bots always expose webdriver; a third of them also leak CDP, and some humans have no plugins
+    function makeSamples() {
+        const samples = [];
+        for (let i = 0; i < 60; i++) {
+            const bot = i % 2 === 0;
+            samples.push({
+                label: bot ? 'bot' : 'human',
+                result: {
+                    webdriver: bot,
+                    automationFlags: { plugins: bot || i % 6 === 1 ? 0 : 3, languages: true },
+                    cdpArtifacts: { detected: bot && i % 3 === 0, signals: [] }
+                }
+            });
+        }
+        return samples;
+    }
+
+    beforeEach(() => {
+        jest.resetModules();
+        calibrationModule = require('../../scripts/modules/calibration.js');
+        profilesModule = require('../../scripts/modules/profiles.js');
+    });
+
+    describe('computeRocAuc', () => {
+        test('should be 1 for perfect separation and 0.5 for ties', () => {
+            expect(calibrationModule.computeRocAuc([0.9, 0.8, 0.1, 0.2], [1, 1, 0, 0])).toBe(1);
+            expect(calibrationModule.computeRocAuc([0.1, 0.2, 0.9, 0.8], [1, 1, 0, 0])).toBe(0);
+            expect(calibrationModule.computeRocAuc([0.5, 0.5, 0.5, 0.5], [1, 0, 1, 0])).toBe(0.5);
+        });
+
+        test('should count tied bot/human pairs as half', () => {
+            expect(calibrationModule.computeRocAuc([0.9, 0.5, 0.5, 0.1], [1, 1, 0, 0])).toBe(0.875);
+        });
+    });
+
+    describe('getConfusionMatrix', () => {
+        test('should classify scores above the threshold as bots', () => {
+            expect(calibrationModule.getConfusionMatrix([0.9, 0.4, 0.6, 0.1], [1, 1, 0, 0], 0.5)).toEqual({
+                threshold: 0.5, truePositives: 1, falsePositives: 1, trueNegatives: 1, falseNegatives: 1
+            });
+        });
+    });
+
+    describe('evaluateScores', () => {
+        test('should report rates at each classification threshold', () => {
+            const metrics = calibrationModule.evaluateScores([0.8, 0.6, 0.2, 0.4], [1, 1, 0, 0]);
+
+            expect(metrics.auc).toBe(1);
+            expect(metrics.thresholds.map(t => t.classification)).toEqual(
+                ['Definitely Headless', 'Likely Headless', 'Suspicious', 'Minor Warnings']
+            );
+            expect(metrics.thresholds[1]).toEqual({
+                classification: 'Likely Headless', threshold: 0.5, falsePositiveRate: 0, truePositiveRate: 1
+            });
+            expect(metrics.thresholds[2].falsePositiveRate).toBe(0.5);
+            expect(metrics.confusionMatrix.threshold).toBe(0.5);
+        });
+    });
+
+    describe('calibrate', () => {
+        test('should fit a logistic profile usable by the detector', () => {
+            const report = calibrationModule.calibrate(makeSamples(), { name: 'corpus' });
+
+            expect(report.profile.name).toBe('corpus');
+            expect(report.profile.scorer).toBe('logistic');
+            expect(report.profile.logOdds.webdriver).toBeGreaterThan(report.profile.logOdds['plugins-empty']);
+            expect(report.profile.priorLogOdds).toBeLessThan(0);
+            expect(report.profile.weights.webdriver).toBeGreaterThan(0);
+            expect(() => profilesModule.resolveProfile(report.profile)).not.toThrow();
+            expect(JSON.parse(JSON.stringify(report.profile))).toEqual(report.profile);
+        });
+
+        test('should report metrics, baseline, sample counts and signal counts', () => {
+            const report = calibrationModule.calibrate(makeSamples());
+
+            expect(report.samples).toEqual({ total: 60, bots: 30, humans: 30 });
+            expect(report.metrics.auc).toBe(1);
+            expect(report.metrics.confusionMatrix.falsePositives).toBe(0);
+            expect(report.baseline.auc).toBeGreaterThan(0.5);
+            expect(report.signals.find(s => s.id === 'plugins-empty')).toMatchObject({ bots: 30, humans: 10 });
+        });
+
+        test('should accept results objects carrying their own label', () => {
+            const samples = makeSamples().map(({ label, result }) => ({ ...result, label: label === 'bot' }));
+            expect(calibrationModule.calibrate(samples).samples.bots).toBe(30);
+        });
+
+        test('should reject unlabelled samples and single-class corpora', () => {
+            expect(() => calibrationModule.calibrate({})).toThrow(TypeError);
+            expect(() => calibrationModule.calibrate([{ result: {} }])).toThrow('labelled');
+            expect(() => calibrationModule.calibrate([{ label: 'bot', result: {} }])).toThrow('both bot and human');
+        });
+    });
+});
@@ -0,0 +1,200 @@
+/**
+ * Unit tests for the Detection Events Module
+ */
+
+describe('Events Module', () => {
+    let eventsModule;
+    let detector;
+    const domListeners = [];
+
+    /**
+     * Record the DOM CustomEvents of a detection event
+     * @param {string} event - Detection event name
+     * @returns {CustomEvent[]} Dispatched events
+     */
+    const recordDomEvents = event => {
+        const events = [];
+        const listener = e => events.push(e);
+        document.addEventListener(`headless-detector:${event}`, listener);
+        domListeners.push([`headless-detector:${event}`, listener]);
+        return events;
+    };
+
+    beforeEach(() => {
+        jest.resetModules();
+        eventsModule = require('../../scripts/modules/events.js');
+        detector = require('../../scripts/headless-detector.js');
+    });
+
+    afterEach(() => {
+        domListeners.splice(0).forEach(([name, listener]) => document.removeEventListener(name, listener));
+        detector.unregisterCheck('failingCheck');
+    });
+
+    describe('on / off', () => {
+        test('should call handlers with the detail and dispatch a DOM CustomEvent', () => {
+            const handler = jest.fn();
+            const domEvents = recordDomEvents('result');
+            eventsModule.on('result', handler);
+
+            eventsModule.emit('result', { isHeadless: 0.2 });
+
+            expect(handler).toHaveBeenCalledWith({ isHeadless: 0.2 });
+            expect(domEvents).toHaveLength(1);
+            expect(domEvents[0]).toBeInstanceOf(CustomEvent);
+            expect(domEvents[0].detail).toEqual({ isHeadless: 0.2 });
+        });
+
+        test('should remove handlers', () => {
+            const handler = jest.fn();
+            const unsubscribe = eventsModule.on('result', handler);
+            const other = jest.fn();
+            eventsModule.on('result', other);
+
+            expect(unsubscribe()).toBe(true);
+            expect(eventsModule.off('result', other)).toBe(true);
+            expect(eventsModule.off('result', other)).toBe(false);
+            eventsModule.emit('result', {});
+            expect(handler).not.toHaveBeenCalled();
+            expect(other).not.toHaveBeenCalled();
+        });
+
+        test('should reject unknown events and handlers that are not functions', () => {
+            expect(() => eventsModule.on('done', () => {})).toThrow('Unknown detection event "done"');
+            expect(() => eventsModule.on('result', 'handler')).toThrow(TypeError);
+            expect(() => eventsModule.off('done', () => {})).toThrow(TypeError);
+        });
+
+        test('should call ready handlers added after the event right away', () => {
+            const early = jest.fn();
+            eventsModule.on('ready', early);
+            eventsModule.emit('ready', { version: '2.0.0' });
+
+            const late = jest.fn();
+            eventsModule.on('ready', late);
+            expect(early).toHaveBeenCalledTimes(1);
+            expect(late).toHaveBeenCalledWith({ version: '2.0.0' });
+
+            // Only ready is remembered
+            const result = jest.fn();
+            eventsModule.emit('result', {});
+            eventsModule.on('result', result);
+            expect(result).not.toHaveBeenCalled();
+        });
+
+        test('should keep delivering the event when a handler throws', () => {
+            jest.useFakeTimers();
+            try {
+                const handler = jest.fn();
+                eventsModule.on('result', () => {
+                    throw new Error('handler bug');
+                });
+                eventsModule.on('result', handler);
+
+                expect(() => eventsModule.emit('result', {})).not.toThrow();
+                expect(handler).toHaveBeenCalled();
+                // Rethrown outside of the detection
+                expect(() => jest.runAllTimers()).toThrow('handler bug');
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+    });
+
+    describe('detection lifecycle', () => {
+        test('should emit check:complete for every check, then result', async () => {
+            const order = [];
+            detector.on('check:complete', ({ checkId }) => order.push(checkId));
+            detector.on('result', () => order.push('result'));
+            const domEvents = recordDomEvents('result');
+
+            const results = await detector.detectHeadless({ include: ['webdriver', 'cdpArtifacts'] });
+
+            expect(order.slice(0, 2).sort()).toEqual(['cdpArtifacts', 'webdriver']);
+            expect(order.slice(2)).toEqual(['result']);
+            expect(domEvents[0].detail).toBe(results);
+        });
+
+        test('should pass each check result', async () => {
+            const completed = {};
+            detector.on('check:complete', ({ checkId, result }) => {
+                completed[checkId] = result;
+            });
+            const results = await detector.detectHeadless({ include: ['webdriver', 'automationFlags'] });
+
+            expect(completed.webdriver).toBe(results.webdriver);
+            expect(completed.automationFlags).toBe(results.automationFlags);
+        });
+
+        test('should emit error for a failing check without failing the detection', async () => {
+            detector.registerCheck({
+                id: 'failingCheck',
+                run: () => {
+                    throw new Error('check bug');
+                },
+                score: () => 0
+            });
+            const errors = [];
+            detector.on('error', detail => errors.push(detail));
+            const completed = jest.fn();
+            detector.on('check:complete', completed);
+
+            const results = await detector.detectHeadless({ include: ['failingCheck'] });
+
+            expect(results.failingCheck).toEqual({ error: true, message: 'check bug' });
+            expect(errors).toHaveLength(1);
+            expect(errors[0].checkId).toBe('failingCheck');
+            expect(errors[0].error.message).toBe('check bug');
+            expect(completed).toHaveBeenCalledWith({ checkId: 'failingCheck', result: { error: true, message: 'check bug' } });
+        });
+
+        test('should emit error when the detection rejects', async () => {
+            const errors = recordDomEvents('error');
+            const result = jest.fn();
+            detector.on('result', result);
+
+            await expect(detector.detectHeadless({ scorer: 'bayes' })).rejects.toThrow('Unknown scorer');
+
+            expect(errors).toHaveLength(1);
+            expect(errors[0].detail.checkId).toBeNull();
+            expect(errors[0].detail.error.message).toMatch('Unknown scorer');
+            expect(result).not.toHaveBeenCalled();
+        });
+
+        test('should emit result for every monitor() run', async () => {
+            const result = jest.fn();
+            detector.on('result', result);
+            const session = detector.monitor({ include: ['cdpArtifacts', 'automationFlags'], attachToWindow: false });
+            try {
+                await session.ready;
+                const next = await session.refresh();
+                expect(result).toHaveBeenCalledTimes(2);
+                expect(result).toHaveBeenLastCalledWith(next);
+            } finally {
+                session.stop();
+            }
+        });
+    });
+
+    describe('browser build', () => {
+        afterEach(() => {
+            delete window.HeadlessDetector;
+            delete window.__headlessDetectionReady;
+        });
+
+        test('should expose on and off and announce readiness', () => {
+            const domEvents = recordDomEvents('ready');
+            require('../../scripts/browser.js');
+
+            expect(window.HeadlessDetector.on).toBe(detector.on);
+            expect(window.HeadlessDetector.off).toBe(detector.off);
+            expect(window.__headlessDetectionReady).toBe(true);
+            expect(domEvents).toHaveLength(1);
+            expect(domEvents[0].detail).toEqual({ version: require('../../package.json').version });
+
+            const ready = jest.fn();
+            window.HeadlessDetector.on('ready', ready);
+            expect(ready).toHaveBeenCalledWith(domEvents[0].detail);
+        });
+    });
+});
@@ -138,6 +138,14 @@ describe('Fingerprint Module', () => {
             // fonts check
             expect(typeof result.fonts.available).toBe('boolean');
         });
+
+        it('should skip checks disabled via options', () => {
+            const result = fingerprintModule.getFingerprintChecks({ audioContext: false });
+
+            expect(result.audioContext).toBeNull();
+            expect(result.canvas).not.toBeNull();
+            expect(result.fonts).not.toBeNull();
+        });
     });
 
     describe('module exports', () => {
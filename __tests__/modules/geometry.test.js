@@ -0,0 +1,177 @@
+/**
+ * Unit tests for the Screen Geometry Detection Module
+ */
+
+const { patch, restorePatches } = require('../helpers/patch.js');
+
+describe('Geometry Module', () => {
+    let geometryModule;
+
+    /**
+     * Emulate a display and browser window
+     * @param {Object} values - screen, window, visualViewport and matchMedia values
+     */
+    const setGeometry = ({
+        width, height, availWidth = width, availHeight = height, screenX = 0, screenY = 0,
+        outerWidth = width, outerHeight = height, innerWidth = outerWidth, innerHeight = outerHeight,
+        devicePixelRatio = 1, visualViewport, matchMedia, userAgent
+    }) => {
+        patch(screen, 'width', { get: () => width });
+        patch(screen, 'height', { get: () => height });
+        patch(screen, 'availWidth', { get: () => availWidth });
+        patch(screen, 'availHeight', { get: () => availHeight });
+        patch(window, 'screenX', { get: () => screenX });
+        patch(window, 'screenY', { get: () => screenY });
+        patch(window, 'outerWidth', { get: () => outerWidth });
+        patch(window, 'outerHeight', { get: () => outerHeight });
+        patch(window, 'innerWidth', { get: () => innerWidth });
+        patch(window, 'innerHeight', { get: () => innerHeight });
+        patch(window, 'devicePixelRatio', { get: () => devicePixelRatio });
+        if (visualViewport) patch(window, 'visualViewport', { get: () => visualViewport });
+        if (matchMedia) patch(window, 'matchMedia', { writable: true, value: matchMedia });
+        if (userAgent) patch(navigator, 'userAgent', { get: () => userAgent });
+    };
+
+    /**
+     * matchMedia() of a display, answering the queries checkScreenGeometry() asks
+     * @param {number} dppx - Device pixel ratio the display really has
+     * @param {boolean} landscape - Viewport orientation
+     * @returns {Function} matchMedia mock
+     */
+    const mediaOf = (dppx, landscape) => query => {
+        if (query.includes('orientation')) return { matches: landscape };
+        const [min, max = Infinity] = query.match(/[\d.]+(?=dppx)/g).map(Number);
+        return { matches: dppx >= min && dppx <= max };
+    };
+
+    beforeEach(() => {
+        jest.resetModules();
+        geometryModule = require('../../scripts/modules/geometry.js');
+    });
+
+    afterEach(() => {
+        restorePatches();
+    });
+
+    describe('checkScreenGeometry', () => {
+        test('should find a desktop browser consistent', () => {
+            setGeometry({
+                width: 1920, height: 1080, availHeight: 1040, screenX: 120, screenY: 40,
+                outerWidth: 1600, outerHeight: 900, innerWidth: 1600, innerHeight: 780, devicePixelRatio: 1.25,
+                visualViewport: { width: 1585, height: 780, scale: 1 },
+                matchMedia: mediaOf(1.25, true)
+            });
+
+            expect(geometryModule.checkScreenGeometry()).toMatchObject({
+                suspicious: false,
+                anomalies: [],
+                resolution: '1920x1080',
+                headlessResolution: null,
+                mediaQueries: { dppx: true, landscape: true }
+            });
+        });
+
+        test('should detect a headless default screen without taskbar', () => {
+            setGeometry({ width: 800, height: 600, matchMedia: mediaOf(1, true) });
+
+            const result = geometryModule.checkScreenGeometry();
+            expect(result.anomalies).toEqual(['headless_resolution', 'no_taskbar', 'zero_screen_position']);
+            expect(result).toMatchObject({
+                suspicious: true,
+                headlessDefault: true,
+                virtualDisplay: true,
+                headlessResolution: geometryModule.HEADLESS_RESOLUTIONS['800x600']
+            });
+        });
+
+        test('should not flag a default resolution on a real display alone', () => {
+            setGeometry({ width: 1280, height: 720, availHeight: 680, screenX: 10, outerHeight: 680 });
+
+            const result = geometryModule.checkScreenGeometry();
+            expect(result.anomalies).toEqual(['headless_resolution']);
+            expect(result.suspicious).toBe(false);
+        });
+
+        test('should detect a window larger than its screen', () => {
+            setGeometry({ width: 800, height: 600, availHeight: 560, screenX: 10, outerWidth: 1920, outerHeight: 1080 });
+            expect(geometryModule.checkScreenGeometry().anomalies).toEqual(['headless_resolution', 'viewport_exceeds_screen']);
+        });
+
+        test('should detect a devicePixelRatio and orientation the media queries contradict', () => {
+            setGeometry({
+                width: 1920, height: 1080, availHeight: 1040, screenX: 10, innerHeight: 900,
+                devicePixelRatio: 2, matchMedia: mediaOf(1, false)
+            });
+
+            const result = geometryModule.checkScreenGeometry();
+            expect(result.anomalies).toEqual(['dppx_mismatch', 'orientation_mismatch']);
+            expect(result.suspicious).toBe(true);
+        });
+
+        test('should detect a visual viewport larger than the layout viewport', () => {
+            setGeometry({
+                width: 1920, height: 1080, availHeight: 1040, screenX: 10, innerHeight: 900,
+                visualViewport: { width: 2560, height: 1440, scale: 1 }
+            });
+            expect(geometryModule.checkScreenGeometry().anomalies).toEqual(['visual_viewport_mismatch']);
+        });
+
+        test('should report a Mac User-Agent with a device pixel ratio of 1 without flagging it', () => {
+            // A Mac on an external non-Retina monitor
+            setGeometry({
+                width: 1440, height: 900, availHeight: 875, screenX: 10, outerHeight: 875,
+                userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36'
+            });
+            expect(geometryModule.checkScreenGeometry()).toMatchObject({ suspicious: false, anomalies: ['mac_dpr_1'] });
+        });
+
+        test('should treat iPadOS Safari with its Mac User-Agent as a tablet', () => {
+            // Full-screen Safari: no taskbar and the window at 0,0, like a virtual display
+            setGeometry({
+                width: 1024, height: 1366, devicePixelRatio: 2, matchMedia: mediaOf(2, false),
+                userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15'
+            });
+            patch(navigator, 'maxTouchPoints', { get: () => 5 });
+
+            expect(geometryModule.checkScreenGeometry()).toMatchObject({
+                suspicious: false, virtualDisplay: false, anomalies: []
+            });
+        });
+
+        test('should not compare devicePixelRatio without the dppx unit', () => {
+            // Safari before 16 matches no dppx query, not even (min-resolution: 0dppx)
+            setGeometry({
+                width: 1440, height: 900, availHeight: 875, screenX: 10, outerHeight: 875, devicePixelRatio: 2,
+                matchMedia: query => ({ matches: query.includes('orientation') })
+            });
+
+            const result = geometryModule.checkScreenGeometry();
+            expect(result.mediaQueries).toEqual({ dppx: null, landscape: true });
+            expect(result).toMatchObject({ suspicious: false, anomalies: [] });
+        });
+
+        test('should find the display of the test setup consistent', () => {
+            const result = geometryModule.checkScreenGeometry();
+            expect(result.resolution).toBe('1920x1080');
+            expect(result.suspicious).toBe(false);
+            expect(result.mediaQueries).toEqual({ dppx: null, landscape: null });
+        });
+    });
+
+    describe('detectHeadless()', () => {
+        test('should score the headless default and the virtual display', async () => {
+            setGeometry({ width: 800, height: 600, matchMedia: mediaOf(1, true) });
+            const detector = require('../../scripts/headless-detector.js');
+
+            const results = await detector.detectHeadless({ include: ['geometryChecks'] });
+            expect(results.scoreBreakdown.map(entry => [entry.id, entry.value])).toEqual([
+                ['geometry-headless-default', '800x600'],
+                ['geometry-virtual-display', true]
+            ]);
+            expect(results.summary.detections).toEqual([
+                expect.objectContaining({ checkId: 'geometry-headless-default', severity: 'high' })
+            ]);
+            expect(detector.validateResult(results).errors).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for the Request Header Analysis Module
+ */
+
+describe('Headers Module', () => {
+    let headersModule;
+
+    const CHROME_HEADERS = {
+        'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+        'accept-language': 'en-US,en;q=0.9',
+        'sec-ch-ua': '"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"',
+        'sec-ch-ua-mobile': '?0',
+        'sec-ch-ua-platform': '"Windows"',
+        'sec-fetch-site': 'none',
+        'sec-fetch-mode': 'navigate',
+        'sec-fetch-dest': 'document',
+        'sec-fetch-user': '?1'
+    };
+
+    beforeEach(() => {
+        jest.resetModules();
+        headersModule = require('../../scripts/modules/headers.js');
+    });
+
+    describe('analyzeRequestHeaders', () => {
+        test('should not flag a browser navigation', () => {
+            const rawHeaderOrder = ['Host', 'Connection', 'sec-ch-ua', 'User-Agent', 'Accept', 'Accept-Encoding', 'Accept-Language'];
+            expect(headersModule.analyzeRequestHeaders(CHROME_HEADERS, rawHeaderOrder)).toEqual({
+                detected: false,
+                signals: [],
+                userAgentMatches: [],
+                chromiumVersions: { userAgent: 124, clientHints: 124 },
+                headerOrderClient: null
+            });
+        });
+
+        test('should flag requests without browser headers', () => {
+            const result = headersModule.analyzeRequestHeaders({});
+            expect(result.detected).toBe(true);
+            expect(result.signals).toEqual(['ua_missing', 'accept_language_missing']);
+        });
+
+        test('should flag automation User-Agents', () => {
+            const result = headersModule.analyzeRequestHeaders({ ...CHROME_HEADERS, 'user-agent': 'Mozilla/5.0 HeadlessChrome/124.0.0.0' });
+            expect(result.signals).toContain('ua_automation');
+            expect(result.userAgentMatches).toContain('/HeadlessChrome/i');
+        });
+
+        test('should flag HeadlessChrome brands and Chromium versions that differ from the User-Agent', () => {
+            const headless = headersModule.analyzeRequestHeaders({ ...CHROME_HEADERS, 'sec-ch-ua': '"HeadlessChrome";v="124", "Chromium";v="124"' });
+            expect(headless.signals).toEqual(['ch_ua_headless']);
+
+            const spoofed = headersModule.analyzeRequestHeaders({ ...CHROME_HEADERS, 'sec-ch-ua': '"Chromium";v="120", "Google Chrome";v="120"' });
+            expect(spoofed.signals).toEqual(['ch_ua_mismatch']);
+            expect(spoofed.chromiumVersions).toEqual({ userAgent: 124, clientHints: 120 });
+        });
+
+        test('should not compare versions without a Chromium brand', () => {
+            const fork = headersModule.analyzeRequestHeaders({ ...CHROME_HEADERS, 'sec-ch-ua': '"Not_A Brand";v="8", "Fork";v="1"' });
+            expect(fork.signals).toEqual([]);
+            expect(fork.chromiumVersions).toEqual({ userAgent: 124, clientHints: null });
+        });
+
+        test('should flag inconsistent Sec-Fetch metadata', () => {
+            const analyze = overrides => headersModule.analyzeRequestHeaders({ ...CHROME_HEADERS, ...overrides }).signals;
+
+            expect(analyze({ 'sec-fetch-mode': undefined })).toEqual(['sec_fetch_inconsistent']);
+            expect(analyze({ 'sec-fetch-mode': 'cors' })).toEqual(['sec_fetch_inconsistent']);
+            expect(analyze({ 'sec-fetch-dest': 'image' })).toEqual(['sec_fetch_inconsistent']);
+            expect(analyze({ 'sec-fetch-site': 'anywhere' })).toEqual(['sec_fetch_inconsistent']);
+            expect(analyze({ 'sec-fetch-site': 'same-origin', 'sec-fetch-mode': 'cors', 'sec-fetch-dest': 'empty', 'sec-fetch-user': undefined }))
+                .toEqual([]);
+        });
+
+        test('should match the header order of HTTP clients', () => {
+            const headers = { 'user-agent': 'python-requests/2.31.0' };
+            const result = headersModule.analyzeRequestHeaders(headers, ['Host', 'User-Agent', 'Accept-Encoding', 'Accept', 'Connection', 'Content-Length']);
+            expect(result.headerOrderClient).toBe('python-requests');
+            expect(result.signals).toContain('header_order');
+            expect(headersModule.analyzeRequestHeaders(headers).headerOrderClient).toBeNull();
+        });
+    });
+
+    describe('parseClientHints', () => {
+        test('should parse brands, mobile and platform', () => {
+            expect(headersModule.parseClientHints(CHROME_HEADERS)).toEqual({
+                brands: [
+                    { brand: 'Chromium', version: '124' },
+                    { brand: 'Google Chrome', version: '124' },
+                    { brand: 'Not-A.Brand', version: '99' }
+                ],
+                mobile: false,
+                platform: 'Windows'
+            });
+        });
+
+        test('should return null for missing or malformed headers', () => {
+            expect(headersModule.parseClientHints({ 'sec-ch-ua-mobile': 'yes', 'sec-ch-ua-platform': 'Windows' }))
+                .toEqual({ brands: null, mobile: null, platform: null });
+        });
+    });
+
+    describe('getHeader', () => {
+        test('should return the first value of repeated headers', () => {
+            expect(headersModule.getHeader({ accept: ['text/html', '*/*'] }, 'accept')).toBe('text/html');
+            expect(headersModule.getHeader({}, 'accept')).toBeNull();
+            expect(headersModule.getHeader(null, 'accept')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * Unit tests for the Iframe Detection Module
+ */
+
+const { patch, restorePatches } = require('../helpers/patch.js');
+
+describe('Iframe Module', () => {
+    let iframeModule;
+
+    /**
+     * Give a realm WebGL with a debug renderer until the end of the test
+     * @param {Window} realm - Top window or iframe window
+     * @param {string} renderer - Unmasked renderer the realm reports
+     */
+    const mockWebGL = (realm, renderer) => {
+        const debugInfo = { UNMASKED_VENDOR_WEBGL: 0x9245, UNMASKED_RENDERER_WEBGL: 0x9246 };
+        const gl = {
+            getExtension: name => name === 'WEBGL_debug_renderer_info' ? debugInfo : null,
+            getParameter: parameter => parameter === debugInfo.UNMASKED_VENDOR_WEBGL ? 'Google Inc. (NVIDIA)' : renderer
+        };
+        patch(realm, 'WebGLRenderingContext', { writable: true, value: function WebGLRenderingContext() {} });
+        patch(realm.HTMLCanvasElement.prototype, 'getContext', { writable: true, value: () => gl });
+    };
+
+    beforeEach(() => {
+        jest.resetModules();
+        iframeModule = require('../../scripts/modules/iframe.js');
+    });
+
+    afterEach(() => {
+        restorePatches();
+    });
+
+    describe('getIframeChecks', () => {
+        test('should find the realms consistent and remove the iframe', async () => {
+            const result = await iframeModule.getIframeChecks();
+
+            expect(result).toMatchObject({ available: true, suspicious: false, mismatches: [], reason: 'Consistent', error: null });
+            expect(result.iframe).toEqual({ ...result.main, webglVendor: null, webglRenderer: null });
+            expect(document.querySelectorAll('iframe')).toHaveLength(0);
+        });
+
+        test('should only create a top-window WebGL context to compare with the iframe', async () => {
+            const getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext');
+            try {
+                await iframeModule.getIframeChecks();
+                // jsdom iframes have no WebGL
+                expect(getContext).not.toHaveBeenCalled();
+            } finally {
+                getContext.mockRestore();
+            }
+        });
+
+        test('should detect a WebGL renderer spoofed in the top window only', async () => {
+            mockWebGL(window, 'ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 Direct3D11 vs_5_0 ps_5_0)');
+            const contentWindow = Object.getOwnPropertyDescriptor(HTMLIFrameElement.prototype, 'contentWindow').get;
+            patch(HTMLIFrameElement.prototype, 'contentWindow', {
+                get() {
+                    const frameWindow = contentWindow.call(this);
+                    if (frameWindow && !Object.prototype.hasOwnProperty.call(frameWindow, 'WebGLRenderingContext')) {
+                        mockWebGL(frameWindow, 'ANGLE (Google, Vulkan 1.3.0 (SwiftShader Device (Subzero)), SwiftShader driver)');
+                    }
+                    return frameWindow;
+                }
+            });
+
+            const result = await iframeModule.getIframeChecks();
+            expect(result.mismatches).toEqual(['webglRenderer']);
+            expect(result.iframe.webglRenderer).toContain('SwiftShader');
+        });
+
+        test('should detect navigator values patched in the top window only', async () => {
+            patch(navigator, 'userAgent', { get: () => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/124.0.0.0' });
+            patch(navigator, 'plugins', { get: () => ({ length: 5 }) });
+            patch(Navigator.prototype, 'languages', { get: () => ['de-DE'] });
+
+            const result = await iframeModule.getIframeChecks();
+            expect(result.mismatches).toEqual(['userAgent', 'pluginsLength', 'languages']);
+            expect(result.main.pluginsLength).toBe(5);
+            expect(result.iframe.pluginsLength).toBe(0);
+            expect(result.suspicious).toBe(true);
+            expect(result.reason).toBe('Differs in iframe: userAgent, pluginsLength, languages - patched top window');
+        });
+
+        test('should detect a Function.prototype.toString spoofed in the top window only', async () => {
+            const toString = Function.prototype.toString;
+            Function.prototype.toString = function toString() {
+                return `function ${this.name}() { [native code] }`;
+            };
+            try {
+                expect((await iframeModule.getIframeChecks()).mismatches).toEqual(['toString']);
+            } finally {
+                Function.prototype.toString = toString;
+            }
+        });
+
+        test('should detect an iframe whose contentWindow is not its own realm', async () => {
+            patch(HTMLIFrameElement.prototype, 'contentWindow', { get: () => new Proxy(window, {}) });
+
+            const result = await iframeModule.getIframeChecks();
+            expect(result.mismatches).toEqual(['contentWindow']);
+            expect(result.iframe).toBeNull();
+        });
+
+        test('should give up and remove the iframe when it does not load in time', async () => {
+            patch(HTMLIFrameElement.prototype, 'addEventListener', { writable: true, value: () => {} });
+
+            expect(await iframeModule.getIframeChecks({ timeoutMs: 10 })).toMatchObject({
+                available: false,
+                reason: 'Iframe timeout'
+            });
+            expect(document.querySelectorAll('iframe')).toHaveLength(0);
+        });
+
+        test('should report a failure to create the iframe', async () => {
+            const createElement = jest.spyOn(document, 'createElement').mockImplementation(() => {
+                throw new Error('Blocked');
+            });
+            try {
+                expect(await iframeModule.getIframeChecks()).toMatchObject({
+                    available: false,
+                    suspicious: false,
+                    error: 'Blocked',
+                    reason: 'Iframe creation failed'
+                });
+            } finally {
+                createElement.mockRestore();
+            }
+        });
+    });
+
+    describe('detectHeadless()', () => {
+        test('should score a mismatch as a high-severity detection', async () => {
+            patch(navigator, 'userAgent', { get: () => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/124.0.0.0' });
+            const detector = require('../../scripts/headless-detector.js');
+
+            const results = await detector.detectHeadless({ include: ['iframeChecks'] });
+            expect(results.scoreBreakdown).toEqual([
+                expect.objectContaining({ id: 'iframe-mismatch', group: 'iframe', value: ['userAgent'] })
+            ]);
+            expect(results.summary.detections).toEqual([
+                expect.objectContaining({ checkId: 'iframe-mismatch', severity: 'high', category: 'Cross-realm Mismatch' })
+            ]);
+            expect(detector.validateResult(results).errors).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for the Locale Coherence Module
+ */
+
+const { patch, restorePatches } = require('../helpers/patch.js');
+
+describe('Locale Module', () => {
+    let localeModule;
+    const OriginalDateTimeFormat = Intl.DateTimeFormat;
+    const OriginalNumberFormat = Intl.NumberFormat;
+
+    /**
+     * Emulate a browser in another time zone, with an en-US system locale whatever the test machine's
+     * @param {string} timeZone - Default Intl time zone
+     * @param {number} offset - Date#getTimezoneOffset() result
+     */
+    const setTimeZone = (timeZone, offset) => {
+        patch(Intl, 'DateTimeFormat', {
+            writable: true,
+            value: function DateTimeFormat(locales, options) {
+                return new OriginalDateTimeFormat(locales || 'en-US', { timeZone: timeZone, ...options });
+            }
+        });
+        patch(Intl, 'NumberFormat', {
+            writable: true,
+            value: function NumberFormat(locales, options) {
+                return new OriginalNumberFormat(locales || 'en-US', options);
+            }
+        });
+        patch(Date.prototype, 'getTimezoneOffset', { writable: true, value: () => offset });
+    };
+
+    /**
+     * Emulate navigator.language and navigator.languages
+     * @param {string} language - Primary language
+     * @param {string[]} languages - Preferred languages
+     */
+    const setLanguages = (language, languages) => {
+        patch(navigator, 'language', { get: () => language });
+        patch(navigator, 'languages', { get: () => languages });
+    };
+
+    beforeEach(() => {
+        jest.resetModules();
+        localeModule = require('../../scripts/modules/locale.js');
+    });
+
+    afterEach(() => {
+        restorePatches();
+    });
+
+    describe('checkLocaleCoherence', () => {
+        test('should find an English locale in UTC coherent', () => {
+            setLanguages('en-US', ['en-US', 'en']);
+            setTimeZone('UTC', 0);
+
+            expect(localeModule.checkLocaleCoherence()).toEqual({
+                suspicious: false,
+                inconsistencies: [],
+                timezone: 'UTC',
+                timezoneOffset: 0,
+                intlTimezoneOffset: 0,
+                language: 'en-US',
+                languages: ['en-US', 'en'],
+                intlLocales: { dateTimeFormat: 'en-US', numberFormat: 'en-US' },
+                geoCountry: null
+            });
+        });
+
+        test('should compare the Intl time zone with the Date offset', () => {
+            setLanguages('en-US', ['en-US', 'en']);
+            setTimeZone('Asia/Tokyo', -540);
+            expect(localeModule.checkLocaleCoherence()).toMatchObject({ inconsistencies: [], intlTimezoneOffset: -540 });
+
+            // emulateTimezone() without the matching Date offset
+            setTimeZone('Asia/Tokyo', 0);
+            expect(localeModule.checkLocaleCoherence().inconsistencies).toEqual(['timezone_offset']);
+        });
+
+        test('should detect Intl default locales of another language', () => {
+            setLanguages('en-US', ['en-US', 'en']);
+            setTimeZone('UTC', 0);
+            patch(Intl, 'NumberFormat', {
+                writable: true,
+                value: function NumberFormat() {
+                    return { resolvedOptions: () => ({ locale: 'fr-FR' }) };
+                }
+            });
+
+            const result = localeModule.checkLocaleCoherence();
+            expect(result.intlLocales).toEqual({ dateTimeFormat: 'en-US', numberFormat: 'fr-FR' });
+            expect(result.inconsistencies).toEqual(['intl_locale']);
+        });
+
+        test('should accept an Intl locale in any preferred language of a multilingual user', () => {
+            // German browser UI, English first in Accept-Language
+            setLanguages('en-US', ['en-US', 'en', 'de-DE', 'de']);
+            setTimeZone('UTC', 0);
+            patch(Intl, 'NumberFormat', {
+                writable: true,
+                value: function NumberFormat() {
+                    return { resolvedOptions: () => ({ locale: 'de-DE' }) };
+                }
+            });
+            patch(Intl, 'DateTimeFormat', {
+                writable: true,
+                value: function DateTimeFormat(locales, options) {
+                    return new OriginalDateTimeFormat(locales || 'de-DE', { timeZone: 'UTC', ...options });
+                }
+            });
+
+            const result = localeModule.checkLocaleCoherence();
+            expect(result.intlLocales).toEqual({ dateTimeFormat: 'de-DE', numberFormat: 'de-DE' });
+            expect(result.inconsistencies).toEqual([]);
+        });
+
+        test('should detect a languages list that does not start with the primary language', () => {
+            setLanguages('en-US', ['de-DE', 'en-US']);
+            setTimeZone('UTC', 0);
+            expect(localeModule.checkLocaleCoherence().inconsistencies).toEqual(['languages_primary']);
+        });
+
+        test('should detect a non-English language in UTC', () => {
+            setLanguages('de-DE', ['de-DE', 'de']);
+            setTimeZone('Etc/UTC', 0);
+
+            const result = localeModule.checkLocaleCoherence();
+            // Intl follows the system locale, not the --lang override
+            expect(result.inconsistencies).toEqual(['intl_locale', 'utc_non_english']);
+            expect(result.suspicious).toBe(true);
+        });
+
+        test('should compare the UTC offset with a geo hint', () => {
+            setLanguages('en-US', ['en-US', 'en']);
+            setTimeZone('Asia/Tokyo', -540);
+
+            expect(localeModule.checkLocaleCoherence({ geoCountry: 'jp' })).toMatchObject({ inconsistencies: [], geoCountry: 'JP' });
+            expect(localeModule.checkLocaleCoherence({ geoCountry: 'US' }).inconsistencies).toEqual(['geo_timezone']);
+            // Countries without offsets and invalid hints are not compared
+            expect(localeModule.checkLocaleCoherence({ geoCountry: 'KE' }).inconsistencies).toEqual([]);
+            expect(localeModule.checkLocaleCoherence({ geoCountry: 'Japan' })).toMatchObject({ inconsistencies: [], geoCountry: null });
+        });
+
+        test('should report an error when Intl throws', () => {
+            patch(Intl, 'DateTimeFormat', {
+                writable: true,
+                value: () => {
+                    throw new Error('blocked');
+                }
+            });
+            expect(localeModule.checkLocaleCoherence()).toEqual({ error: true });
+        });
+    });
+
+    describe('detectHeadless()', () => {
+        test('should score local and geo inconsistencies separately with the geoCountry option', async () => {
+            setLanguages('de-DE', ['de-DE', 'de']);
+            setTimeZone('UTC', 0);
+            const detector = require('../../scripts/headless-detector.js');
+
+            const results = await detector.detectHeadless({ include: ['localeChecks'], geoCountry: 'DE' });
+            expect(results.scoreBreakdown.map(entry => [entry.id, entry.value])).toEqual([
+                ['locale-mismatch', ['intl_locale', 'utc_non_english']],
+                ['locale-geo-mismatch', 'DE UTC']
+            ]);
+            expect(results.summary.detections).toEqual([
+                expect.objectContaining({ checkId: 'locale-mismatch', severity: 'medium' }),
+                expect.objectContaining({ checkId: 'locale-geo', severity: 'medium' })
+            ]);
+            expect(detector.validateResult(results).errors).toEqual([]);
+        });
+    });
+});
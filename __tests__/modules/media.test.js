@@ -29,6 +29,78 @@ describe('Media Module', () => {
         });
     });
 
+    describe('enumerateMediaDevices', () => {
+        /**
+         * Emulate navigator.mediaDevices until the end of the test
+         * @param {Function} enumerateDevices - enumerateDevices() implementation
+         */
+        const setEnumerateDevices = enumerateDevices => {
+            Object.defineProperty(navigator, 'mediaDevices', {
+                configurable: true,
+                value: { enumerateDevices: enumerateDevices }
+            });
+        };
+
+        afterEach(() => {
+            delete navigator.mediaDevices;
+        });
+
+        it('should report an unsupported API without navigator.mediaDevices', async () => {
+            const result = await mediaModule.enumerateMediaDevices();
+
+            expect(result).toEqual({
+                available: false,
+                suspicious: false,
+                audioInputs: 0,
+                videoInputs: 0,
+                audioOutputs: 0,
+                total: 0,
+                reason: 'enumerateDevices not supported',
+                error: null
+            });
+        });
+
+        it('should flag an empty device list', async () => {
+            setEnumerateDevices(async () => []);
+
+            const result = await mediaModule.enumerateMediaDevices();
+            expect(result).toMatchObject({ available: true, suspicious: true, total: 0, reason: 'No media devices' });
+        });
+
+        it('should count devices by kind', async () => {
+            setEnumerateDevices(async () => [
+                { kind: 'audioinput', deviceId: '', label: '' },
+                { kind: 'audiooutput', deviceId: '', label: '' },
+                { kind: 'audiooutput', deviceId: '', label: '' },
+                { kind: 'videoinput', deviceId: '', label: '' }
+            ]);
+
+            const result = await mediaModule.enumerateMediaDevices();
+            expect(result).toEqual({
+                available: true,
+                suspicious: false,
+                audioInputs: 1,
+                videoInputs: 1,
+                audioOutputs: 2,
+                total: 4,
+                reason: 'Media devices found',
+                error: null
+            });
+        });
+
+        it('should report a rejected enumeration and a timeout', async () => {
+            setEnumerateDevices(() => Promise.reject(new Error('NotAllowedError')));
+            expect(await mediaModule.enumerateMediaDevices()).toMatchObject({
+                available: false, suspicious: false, error: 'NotAllowedError', reason: 'Enumeration failed'
+            });
+
+            setEnumerateDevices(() => new Promise(() => {}));
+            expect(await mediaModule.enumerateMediaDevices({ timeoutMs: 10 })).toMatchObject({
+                available: false, suspicious: false, error: null, reason: 'Enumeration timeout'
+            });
+        });
+    });
+
     describe('checkWebRTC', () => {
         it('should return an object with expected properties', () => {
             const result = mediaModule.checkWebRTC();
@@ -89,6 +161,14 @@ describe('Media Module', () => {
             // battery check
             expect(typeof result.battery.available).toBe('boolean');
         });
+
+        it('should skip checks disabled via options', () => {
+            const result = mediaModule.getMediaChecks({ webrtc: false, battery: false });
+
+            expect(result.webrtc).toBeNull();
+            expect(result.battery).toBeNull();
+            expect(result.mediaDevices).not.toBeNull();
+        });
     });
 
     describe('module exports', () => {
@@ -97,6 +177,7 @@ describe('Media Module', () => {
             expect(typeof mediaModule.checkWebRTC).toBe('function');
             expect(typeof mediaModule.checkBattery).toBe('function');
             expect(typeof mediaModule.getMediaChecks).toBe('function');
+            expect(typeof mediaModule.enumerateMediaDevices).toBe('function');
         });
     });
 });
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for the CSS Media Features Detection Module
+ */
+
+const { patch, restorePatches } = require('../helpers/patch.js');
+
+describe('Media Features Module', () => {
+    let mediaFeaturesModule;
+
+    const DESKTOP_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+    const MOBILE_UA = 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36';
+
+    /**
+     * Emulate a device
+     * @param {Object} device - Matching media feature values, User-Agent, touch points and screen size
+     */
+    const setDevice = ({ media, userAgent = DESKTOP_UA, maxTouchPoints = 0, width = 1920, height = 1080 }) => {
+        patch(window, 'matchMedia', {
+            writable: true,
+            value: query => {
+                const [, feature, value] = query.match(/^\(([\w-]+): ([\w-]+)\)$/);
+                return { matches: [].concat(media[feature]).includes(value) };
+            }
+        });
+        patch(navigator, 'userAgent', { get: () => userAgent });
+        patch(navigator, 'maxTouchPoints', { get: () => maxTouchPoints });
+        patch(screen, 'width', { get: () => width });
+        patch(screen, 'height', { get: () => height });
+    };
+
+    const DESKTOP_MEDIA = {
+        'pointer': 'fine',
+        'hover': 'hover',
+        'any-pointer': 'fine',
+        'prefers-color-scheme': 'dark',
+        'prefers-reduced-motion': 'no-preference',
+        'forced-colors': 'none',
+        'color-gamut': ['srgb', 'p3'],
+        'dynamic-range': 'standard',
+        'inverted-colors': 'none'
+    };
+    const PHONE_MEDIA = { ...DESKTOP_MEDIA, 'pointer': 'coarse', 'hover': 'none', 'any-pointer': 'coarse' };
+
+    beforeEach(() => {
+        jest.resetModules();
+        mediaFeaturesModule = require('../../scripts/modules/mediaFeatures.js');
+    });
+
+    afterEach(() => {
+        restorePatches();
+    });
+
+    describe('checkMediaFeatures', () => {
+        test('should not be available without matchMedia', () => {
+            expect(mediaFeaturesModule.checkMediaFeatures()).toMatchObject({ available: false, suspicious: false, features: null });
+        });
+
+        test('should report every feature of a consistent desktop', () => {
+            setDevice({ media: DESKTOP_MEDIA });
+
+            expect(mediaFeaturesModule.checkMediaFeatures()).toEqual({
+                available: true,
+                suspicious: false,
+                inconsistencies: [],
+                features: { ...DESKTOP_MEDIA, 'color-gamut': 'p3' },
+                mobile: false,
+                maxTouchPoints: 0,
+                screen: { width: 1920, height: 1080 }
+            });
+        });
+
+        test('should find a consistent phone and touch laptop', () => {
+            setDevice({ media: PHONE_MEDIA, userAgent: MOBILE_UA, maxTouchPoints: 5, width: 412, height: 915 });
+            expect(mediaFeaturesModule.checkMediaFeatures().inconsistencies).toEqual([]);
+
+            setDevice({ media: { ...DESKTOP_MEDIA, 'any-pointer': ['fine', 'coarse'] }, maxTouchPoints: 10 });
+            expect(mediaFeaturesModule.checkMediaFeatures().inconsistencies).toEqual([]);
+        });
+
+        test('should detect a mobile User-Agent emulated on a desktop', () => {
+            // Device emulation: mobile User-Agent and touch points, desktop pointer and screen
+            setDevice({ media: { ...DESKTOP_MEDIA, hover: 'none' }, userAgent: MOBILE_UA, maxTouchPoints: 1, width: 2560, height: 1440 });
+
+            const result = mediaFeaturesModule.checkMediaFeatures();
+            expect(result.inconsistencies).toEqual(['mobile_fine_pointer', 'touch_without_coarse_pointer', 'mobile_large_screen']);
+            expect(result.suspicious).toBe(true);
+        });
+
+        test('should prefer the Client Hints mobile flag to the User-Agent', () => {
+            setDevice({ media: DESKTOP_MEDIA, userAgent: MOBILE_UA });
+            patch(navigator, 'userAgentData', { get: () => ({ brands: [], mobile: false, platform: 'Windows' }) });
+
+            expect(mediaFeaturesModule.checkMediaFeatures()).toMatchObject({ mobile: false, inconsistencies: [] });
+        });
+
+        test('should detect a desktop without pointing device and a coarse pointer without touch', () => {
+            setDevice({ media: { ...DESKTOP_MEDIA, 'pointer': 'none', 'hover': 'none', 'any-pointer': 'none' } });
+            expect(mediaFeaturesModule.checkMediaFeatures().inconsistencies).toEqual(['desktop_no_pointer']);
+
+            setDevice({ media: PHONE_MEDIA });
+            expect(mediaFeaturesModule.checkMediaFeatures().inconsistencies).toEqual(['coarse_pointer_without_touch']);
+        });
+
+        test('should detect a stubbed matchMedia', () => {
+            setDevice({ media: {} });
+
+            const result = mediaFeaturesModule.checkMediaFeatures();
+            expect(result.inconsistencies).toEqual(['no_media_match']);
+            expect(result.features.pointer).toBeNull();
+        });
+    });
+
+    describe('detectHeadless()', () => {
+        test('should score the inconsistencies in their own group', async () => {
+            setDevice({ media: DESKTOP_MEDIA, userAgent: MOBILE_UA, maxTouchPoints: 5, width: 2560, height: 1440 });
+            const detector = require('../../scripts/headless-detector.js');
+
+            const results = await detector.detectHeadless({ include: ['mediaFeatureChecks'] });
+            expect(results.scoreBreakdown).toEqual([expect.objectContaining({
+                id: 'media-features-mismatch',
+                group: 'mediaFeatures',
+                value: ['mobile_fine_pointer', 'touch_without_coarse_pointer', 'mobile_large_screen']
+            })]);
+            expect(detector.validateResult(results).errors).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the Result Migrations module
+ */
+
+describe('Migrations Module', () => {
+    let migrationsModule;
+    let detector;
+
+    // Results as stored by releases up to 2.0.1: no schemaVersion, scoreBreakdown or summary scorer fields
+    async function makeLegacyResult() {
+        const results = JSON.parse(JSON.stringify(await detector.detectHeadless({ exclude: ['workerChecks'] })));
+        delete results.schemaVersion;
+        delete results.scoreBreakdown;
+        delete results.summary.profile;
+        delete results.summary.scorer;
+        delete results.summary.confidence;
+        results.detectionVersion = '1.0.0';
+        // 2.0.0 flagged window.chrome without chrome.runtime and scored it
+        results.advancedChecks.chromeRuntime = { hasChrome: true, hasRuntime: false, hasRuntimeId: false, missing: true, suspicious: true };
+        results.isHeadless += 0.05;
+        results.summary.score = results.isHeadless;
+        return results;
+    }
+
+    beforeEach(() => {
+        jest.resetModules();
+        migrationsModule = require('../../scripts/modules/migrations.js');
+        detector = require('../../scripts/headless-detector.js');
+    });
+
+    describe('getResultSchemaVersion', () => {
+        test('should treat results without a schemaVersion as legacy', () => {
+            expect(migrationsModule.getResultSchemaVersion({ detectionVersion: '1.0.0' })).toBe('1.0.0');
+            expect(migrationsModule.getResultSchemaVersion({ schemaVersion: '2.0.0' })).toBe('2.0.0');
+        });
+    });
+
+    describe('MIGRATIONS', () => {
+        test('should chain from the legacy version to the current schema version', () => {
+            let version = migrationsModule.LEGACY_SCHEMA_VERSION;
+            migrationsModule.MIGRATIONS.forEach(migration => {
+                expect(migration.from).toBe(version);
+                version = migration.to;
+            });
+            expect(version).toBe(detector.SCHEMA_VERSION);
+        });
+    });
+
+    describe('migrateResult', () => {
+        test('should upgrade legacy results to a valid current result', async () => {
+            const legacy = await makeLegacyResult();
+            const migrated = migrationsModule.migrateResult(legacy);
+
+            expect(detector.validateResult(migrated).errors).toEqual([]);
+            expect(migrated.schemaVersion).toBe(detector.SCHEMA_VERSION);
+            expect(migrated.detectionVersion).toBe('1.0.0');
+            expect(migrated.advancedChecks.chromeRuntime).toEqual(
+                { hasChrome: true, hasRuntime: false, hasRuntimeId: false, missing: true, suspicious: false });
+            expect(migrated.summary).toMatchObject({ profile: 'balanced', scorer: 'additive', confidence: null });
+        });
+
+        test('should rescore with the current semantics', async () => {
+            const legacy = await makeLegacyResult();
+            const migrated = migrationsModule.migrateResult(legacy);
+
+            expect(migrated.scoreBreakdown.map(entry => entry.id)).not.toContain('chrome-runtime');
+            expect(migrated.isHeadless).toBeCloseTo(legacy.isHeadless - 0.05);
+            expect(migrated.isHeadless).toBe(detector.scoreResults(migrated));
+            expect(migrated.summary.score).toBe(migrated.isHeadless);
+            expect(migrated.summary.classification).toBe(detector.classifyScore(migrated.isHeadless).classification);
+        });
+
+        test('should not modify its argument', async () => {
+            const legacy = await makeLegacyResult();
+            const copy = JSON.parse(JSON.stringify(legacy));
+
+            migrationsModule.migrateResult(legacy);
+            expect(legacy).toEqual(copy);
+        });
+
+        test('should return current results unchanged', async () => {
+            const results = JSON.parse(JSON.stringify(await detector.detectHeadless()));
+            expect(migrationsModule.migrateResult(results)).toEqual(results);
+        });
+
+        test('should reject unknown schema versions and non-objects', () => {
+            expect(() => migrationsModule.migrateResult({ schemaVersion: '9.0.0' })).toThrow('schema version "9.0.0"');
+            expect(() => migrationsModule.migrateResult('{}')).toThrow(TypeError);
+        });
+    });
+});
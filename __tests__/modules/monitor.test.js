@@ -0,0 +1,135 @@
+/**
+ * Unit tests for the Monitoring Module and monitor()
+ */
+
+describe('Monitor Module', () => {
+    let monitorModule;
+    let detector;
+    let session;
+
+    const breakdown = (...ids) => ids.map(id => ({ id: id, checkId: 'test', group: 'test', weight: 0.1, total: 0.1 }));
+
+    beforeEach(() => {
+        jest.resetModules();
+        monitorModule = require('../../scripts/modules/monitor.js');
+        detector = require('../../scripts/headless-detector.js');
+        session = null;
+    });
+
+    afterEach(() => {
+        if (session) session.stop();
+        delete window.exposedBinding;
+        document.documentElement.removeAttribute('data-headless-score');
+    });
+
+    describe('diffResults', () => {
+        test('should report score and signal changes', () => {
+            const previous = { isHeadless: 0.1, scoreBreakdown: breakdown('plugins-empty') };
+            const next = { isHeadless: 0.5, scoreBreakdown: breakdown('cdp-detected') };
+
+            expect(monitorModule.diffResults(previous, next)).toEqual({
+                score: 0.5,
+                previousScore: 0.1,
+                addedSignals: ['cdp-detected'],
+                removedSignals: ['plugins-empty']
+            });
+        });
+
+        test('should return null when nothing changed', () => {
+            const results = { isHeadless: 0.1, scoreBreakdown: breakdown('plugins-empty') };
+            expect(monitorModule.diffResults(results, { ...results })).toBeNull();
+        });
+
+        test('should report the first run as a change', () => {
+            expect(monitorModule.diffResults(null, { isHeadless: 0, scoreBreakdown: [] }))
+                .toEqual({ score: 0, previousScore: null, addedSignals: [], removedSignals: [] });
+        });
+    });
+
+    describe('monitor', () => {
+        test('should catch automation attached after the first run', async () => {
+            const onChange = jest.fn();
+            session = detector.monitor({ exclude: ['workerChecks'], onChange: onChange });
+
+            const first = await session.ready;
+            expect(onChange).toHaveBeenCalledTimes(1);
+            expect(document.documentElement.getAttribute('data-headless-score')).toBe(first.isHeadless.toFixed(3));
+
+            // Playwright's page.exposeFunction() after navigation
+            window.exposedBinding = function () {};
+            window.exposedBinding.__installed = true;
+            const next = await session.refresh();
+
+            expect(session.getResults()).toBe(next);
+            expect(onChange).toHaveBeenCalledTimes(2);
+            expect(onChange.mock.calls[1][0]).toMatchObject({
+                results: next,
+                previousScore: first.isHeadless,
+                score: next.isHeadless,
+                addedSignals: ['playwright-exposed'],
+                removedSignals: []
+            });
+            expect(next.isHeadless).toBeGreaterThan(first.isHeadless);
+            expect(document.documentElement.getAttribute('data-headless-score')).toBe(next.isHeadless.toFixed(3));
+        });
+
+        test('should only re-run the monitored checks', async () => {
+            session = detector.monitor({ exclude: ['workerChecks'], attachToWindow: false });
+            const first = await session.ready;
+            const next = await session.refresh();
+
+            expect(next.webglFlags).toBe(first.webglFlags);
+            expect(next.fingerprintChecks).toBe(first.fingerprintChecks);
+            expect(next.advancedChecks.chromeRuntime).toBe(first.advancedChecks.chromeRuntime);
+            expect(next.advancedChecks.stackTrace).not.toBe(first.advancedChecks.stackTrace);
+            expect(next.cdpArtifacts).not.toBe(first.cdpArtifacts);
+            expect(next.workerChecks).toBeNull();
+            expect(detector.validateResult(next).errors).toEqual([]);
+        });
+
+        test('should not call onChange when nothing changed', async () => {
+            const onChange = jest.fn();
+            session = detector.monitor({ exclude: ['workerChecks'], onChange: onChange, attachToWindow: false });
+            await session.ready;
+            await session.refresh();
+            expect(onChange).toHaveBeenCalledTimes(1);
+        });
+
+        test('should drop the token of the first results', async () => {
+            session = detector.monitor({ exclude: ['workerChecks'], nonce: 'abc123', nonceKey: '0'.repeat(64), attachToWindow: false });
+            expect((await session.ready).token).toEqual(expect.any(String));
+            expect(await session.refresh()).not.toHaveProperty('token');
+        });
+
+        test('should re-run the checks on schedule and on focus until stopped', async () => {
+            jest.useFakeTimers();
+            try {
+                const onChange = jest.fn();
+                session = detector.monitor({ include: ['cdpArtifacts', 'automationFlags'], intervalMs: 1000, onChange: onChange, attachToWindow: false });
+                await session.ready;
+
+                window.exposedBinding = function () {};
+                window.exposedBinding.__installed = true;
+                window.dispatchEvent(new Event('focus'));
+                await session.refresh();
+                expect(onChange).toHaveBeenCalledTimes(2);
+
+                delete window.exposedBinding;
+                jest.advanceTimersByTime(1000);
+                await session.refresh();
+                expect(onChange).toHaveBeenCalledTimes(3);
+                expect(onChange.mock.calls[2][0].removedSignals).toEqual(['playwright-exposed']);
+
+                session.stop();
+                window.exposedBinding = function () {};
+                window.exposedBinding.__installed = true;
+                jest.advanceTimersByTime(5000);
+                window.dispatchEvent(new Event('focus'));
+                await session.refresh();
+                expect(onChange).toHaveBeenCalledTimes(3);
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+    });
+});
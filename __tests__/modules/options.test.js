@@ -0,0 +1,81 @@
+/**
+ * Unit tests for the Detection Options module
+ */
+
+describe('Options Module', () => {
+    let optionsModule;
+
+    beforeEach(() => {
+        jest.resetModules();
+        optionsModule = require('../../scripts/modules/options.js');
+    });
+
+    describe('normalizeOptions', () => {
+        test('should treat a boolean as the legacy attachToWindow flag', () => {
+            expect(optionsModule.normalizeOptions(true).attachToWindow).toBe(true);
+            expect(optionsModule.normalizeOptions(false).attachToWindow).toBe(false);
+        });
+
+        test('should apply defaults when called without options', () => {
+            const opts = optionsModule.normalizeOptions();
+            expect(opts.attachToWindow).toBe(false);
+            expect(opts.include).toBeNull();
+            expect(opts.exclude).toEqual([]);
+            expect(opts.timeoutMs).toBe(optionsModule.DEFAULT_TIMEOUT_MS);
+            expect(opts.weights).toEqual({});
+            expect(opts.thresholds).toEqual({});
+            expect(opts.behaviorWindowMs).toBe(optionsModule.DEFAULT_BEHAVIOR_WINDOW_MS);
+            expect(opts.report).toBeNull();
+            expect(opts.nonce).toBeNull();
+            expect(opts.nonceKey).toBeNull();
+            expect(opts.geoCountry).toBeNull();
+        });
+
+        test('should ignore invalid timeouts', () => {
+            expect(optionsModule.normalizeOptions({ timeoutMs: -5 }).timeoutMs).toBe(1000);
+            expect(optionsModule.normalizeOptions({ timeoutMs: '200' }).timeoutMs).toBe(1000);
+            expect(optionsModule.normalizeOptions({ timeoutMs: 200 }).timeoutMs).toBe(200);
+        });
+
+        test('should treat an empty include list as "run everything"', () => {
+            expect(optionsModule.normalizeOptions({ include: [] }).include).toBeNull();
+        });
+    });
+
+    describe('isCheckEnabled', () => {
+        const enabled = (id, options) =>
+            optionsModule.isCheckEnabled(id, optionsModule.normalizeOptions(options));
+
+        test('should enable every check by default', () => {
+            expect(enabled('webdriver', {})).toBe(true);
+            expect(enabled('webglFlags.renderingTest', {})).toBe(true);
+        });
+
+        test('should disable excluded checks and sub-checks of excluded groups', () => {
+            const options = { exclude: ['fingerprintChecks', 'webglFlags.renderingTest'] };
+            expect(enabled('fingerprintChecks', options)).toBe(false);
+            expect(enabled('fingerprintChecks.audioContext', options)).toBe(false);
+            expect(enabled('webglFlags', options)).toBe(true);
+            expect(enabled('webglFlags.renderingTest', options)).toBe(false);
+        });
+
+        test('should enable sub-checks of an included group', () => {
+            const options = { include: ['webglFlags'] };
+            expect(enabled('webglFlags', options)).toBe(true);
+            expect(enabled('webglFlags.renderingTest', options)).toBe(true);
+            expect(enabled('cdpArtifacts', options)).toBe(false);
+        });
+
+        test('should enable the group of an included sub-check only', () => {
+            const options = { include: ['fingerprintChecks.canvas'] };
+            expect(enabled('fingerprintChecks', options)).toBe(true);
+            expect(enabled('fingerprintChecks.canvas', options)).toBe(true);
+            expect(enabled('fingerprintChecks.audioContext', options)).toBe(false);
+        });
+
+        test('should let exclude win over include', () => {
+            const options = { include: ['webdriver'], exclude: ['webdriver'] };
+            expect(enabled('webdriver', options)).toBe(false);
+        });
+    });
+});
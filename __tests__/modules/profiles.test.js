@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the Weight Profiles module
+ */
+
+describe('Profiles Module', () => {
+    let profilesModule;
+
+    beforeEach(() => {
+        jest.resetModules();
+        profilesModule = require('../../scripts/modules/profiles.js');
+    });
+
+    describe('PROFILE_PRESETS', () => {
+        test('should ship strict, balanced and low-false-positive presets', () => {
+            expect(Object.keys(profilesModule.PROFILE_PRESETS)).toEqual(
+                expect.arrayContaining(['strict', 'balanced', 'low-false-positive']));
+        });
+
+        test('should be valid, JSON-serializable profiles', () => {
+            Object.values(profilesModule.PROFILE_PRESETS).forEach(preset => {
+                const parsed = JSON.parse(JSON.stringify(preset));
+                expect(() => profilesModule.validateProfile(parsed)).not.toThrow();
+                expect(parsed).toEqual(preset);
+            });
+        });
+
+        test('should order thresholds from lenient to strict', () => {
+            const { strict, 'low-false-positive': lowFalsePositive } = profilesModule.PROFILE_PRESETS;
+            expect(strict.thresholds.likelyHeadless).toBeLessThan(0.5);
+            expect(lowFalsePositive.thresholds.likelyHeadless).toBeGreaterThan(0.5);
+        });
+    });
+
+    describe('validateProfile', () => {
+        test('should reject malformed profiles', () => {
+            expect(() => profilesModule.validateProfile(null)).toThrow(TypeError);
+            expect(() => profilesModule.validateProfile({ weights: [] })).toThrow(TypeError);
+            expect(() => profilesModule.validateProfile({ weights: { webdriver: -1 } })).toThrow(TypeError);
+            expect(() => profilesModule.validateProfile({ weights: { webdriver: '0.2' } })).toThrow(TypeError);
+            expect(() => profilesModule.validateProfile({ thresholds: { likelyHeadless: 2 } })).toThrow(TypeError);
+            expect(() => profilesModule.validateProfile({ thresholds: { veryHeadless: 0.5 } })).toThrow(TypeError);
+            expect(() => profilesModule.validateProfile({ extends: 'paranoid' })).toThrow(TypeError);
+        });
+
+        test('should accept weights for unknown (third-party) signals', () => {
+            expect(() => profilesModule.validateProfile({ weights: { 'in-house': 0.3 } })).not.toThrow();
+        });
+    });
+
+    describe('resolveProfile', () => {
+        test('should resolve preset names', () => {
+            const profile = profilesModule.resolveProfile('strict');
+            expect(profile.name).toBe('strict');
+            expect(profile.thresholds).toEqual(profilesModule.PROFILE_PRESETS.strict.thresholds);
+        });
+
+        test('should throw for unknown preset names', () => {
+            expect(() => profilesModule.resolveProfile('paranoid')).toThrow('Unknown weight profile "paranoid"');
+        });
+
+        test('should merge a custom profile over the preset it extends', () => {
+            const profile = profilesModule.resolveProfile({
+                name: 'login',
+                extends: 'strict',
+                weights: { 'fp-canvas': 0.2 }
+            });
+
+            expect(profile.name).toBe('login');
+            expect(profile.weights['fp-canvas']).toBe(0.2);
+            expect(profile.weights['fp-audio']).toBe(profilesModule.PROFILE_PRESETS.strict.weights['fp-audio']);
+            expect(profile.thresholds.likelyHeadless).toBe(0.35);
+        });
+
+        test('should resolve the scorer and log-odds', () => {
+            const profile = profilesModule.resolveProfile({
+                scorer: 'logistic',
+                logOdds: { 'webdriver': 4, 'fp-canvas': -0.5 },
+                priorLogOdds: -3
+            });
+
+            expect(profile.scorer).toBe('logistic');
+            expect(profile.logOdds).toEqual({ 'webdriver': 4, 'fp-canvas': -0.5 });
+            expect(profile.priorLogOdds).toBe(-3);
+            expect(profilesModule.resolveProfile('strict').scorer).toBe('additive');
+            expect(profilesModule.resolveProfile('strict').priorLogOdds).toBeNull();
+        });
+
+        test('should reject unknown scorers and malformed log-odds', () => {
+            expect(() => profilesModule.resolveProfile({ scorer: 'bayes' })).toThrow(TypeError);
+            expect(() => profilesModule.resolveProfile({ logOdds: { webdriver: 'high' } })).toThrow(TypeError);
+            expect(() => profilesModule.resolveProfile({ priorLogOdds: Infinity })).toThrow(TypeError);
+        });
+
+        test('should name anonymous profiles "custom"', () => {
+            expect(profilesModule.resolveProfile({ weights: {} }).name).toBe('custom');
+        });
+
+        test('should fall back to the global profile', () => {
+            expect(profilesModule.resolveProfile().name).toBe('balanced');
+            profilesModule.setProfile('strict');
+            expect(profilesModule.resolveProfile(null).name).toBe('strict');
+        });
+    });
+
+    describe('setProfile / getProfile', () => {
+        test('should set and reset the global profile', () => {
+            expect(profilesModule.setProfile('low-false-positive').name).toBe('low-false-positive');
+            expect(profilesModule.getProfile().name).toBe('low-false-positive');
+
+            profilesModule.setProfile(null);
+            expect(profilesModule.getProfile().name).toBe('balanced');
+        });
+
+        test('should not let callers mutate the active profile or presets', () => {
+            profilesModule.setProfile('strict');
+            profilesModule.getProfile().weights['fp-canvas'] = 1;
+
+            expect(profilesModule.getProfile().weights['fp-canvas']).toBe(0.10);
+            expect(profilesModule.PROFILE_PRESETS.strict.weights['fp-canvas']).toBe(0.10);
+        });
+
+        test('should keep the previous profile when the new one is invalid', () => {
+            profilesModule.setProfile('strict');
+            expect(() => profilesModule.setProfile({ weights: { webdriver: -1 } })).toThrow(TypeError);
+            expect(profilesModule.getProfile().name).toBe('strict');
+        });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for the Check Registry module
+ */
+
+describe('Registry Module', () => {
+    let registryModule;
+
+    beforeEach(() => {
+        jest.resetModules();
+        registryModule = require('../../scripts/modules/registry.js');
+    });
+
+    const definition = (overrides = {}) => ({
+        id: 'customCheck',
+        run: () => ({ suspicious: true }),
+        ...overrides
+    });
+
+    describe('registerCheck', () => {
+        test('should register a check with defaults', () => {
+            const check = registryModule.registerCheck(definition());
+
+            expect(check.id).toBe('customCheck');
+            expect(check.group).toBe('customCheck');
+            expect(check.severity).toBe('high');
+            expect(check.subChecks).toEqual([]);
+            expect(check.score).toBeNull();
+            expect(registryModule.getRegisteredChecks()).toEqual([check]);
+        });
+
+        test('should keep registration order', () => {
+            registryModule.registerCheck(definition({ id: 'first' }));
+            registryModule.registerCheck(definition({ id: 'second', group: 'custom' }));
+
+            const checks = registryModule.getRegisteredChecks();
+            expect(checks.map(check => check.id)).toEqual(['first', 'second']);
+            expect(checks[1].group).toBe('custom');
+        });
+
+        test('should reject invalid definitions', () => {
+            expect(() => registryModule.registerCheck()).toThrow(TypeError);
+            expect(() => registryModule.registerCheck(definition({ id: '' }))).toThrow(TypeError);
+            expect(() => registryModule.registerCheck(definition({ id: 'a.b' }))).toThrow(TypeError);
+            expect(() => registryModule.registerCheck(definition({ run: null }))).toThrow(TypeError);
+            expect(() => registryModule.registerCheck(definition({ score: 0.5 }))).toThrow(TypeError);
+            expect(() => registryModule.registerCheck(definition({ severity: 'low' }))).toThrow(TypeError);
+        });
+
+        test('should reject reserved and duplicate ids', () => {
+            expect(() => registryModule.registerCheck(definition({ id: 'summary' }))).toThrow('reserved');
+
+            registryModule.registerCheck(definition());
+            expect(() => registryModule.registerCheck(definition())).toThrow('already registered');
+        });
+    });
+
+    describe('unregisterCheck', () => {
+        test('should remove a registered check', () => {
+            registryModule.registerCheck(definition());
+
+            expect(registryModule.unregisterCheck('customCheck')).toBe(true);
+            expect(registryModule.unregisterCheck('customCheck')).toBe(false);
+            expect(registryModule.getRegisteredChecks()).toEqual([]);
+        });
+    });
+
+    describe('getCheckSeverity', () => {
+        test('should resolve a single severity or a per-item map', () => {
+            const single = registryModule.registerCheck(definition({ id: 'single', severity: 'critical' }));
+            const perItem = registryModule.registerCheck(definition({ id: 'perItem', severity: { 'item-a': 'critical' } }));
+
+            expect(registryModule.getCheckSeverity(single, 'anything')).toBe('critical');
+            expect(registryModule.getCheckSeverity(perItem, 'item-a')).toBe('critical');
+            expect(registryModule.getCheckSeverity(perItem, 'item-b')).toBe('high');
+        });
+    });
+
+    describe('built-in checks', () => {
+        test('should register every built-in result group in order', () => {
+            require('../../scripts/modules/checks.js').registerBuiltInChecks();
+
+            expect(registryModule.getRegisteredChecks().map(check => check.id)).toEqual([
+                'webdriver', 'automationFlags', 'cdpArtifacts', 'headlessIndicators', 'mediaFeatureChecks',
+                'userAgentFlags', 'clientHintsChecks', 'webglFlags', 'advancedChecks', 'permissionChecks', 'mediaChecks',
+                'mediaDeviceChecks', 'fingerprintChecks', 'workerChecks', 'behaviorChecks', 'tamperingChecks', 'iframeChecks',
+                'geometryChecks', 'localeChecks'
+            ]);
+        });
+
+        test('should not register on import, and only register once', () => {
+            const { registerBuiltInChecks } = require('../../scripts/modules/checks.js');
+            expect(registryModule.getRegisteredChecks()).toEqual([]);
+
+            registerBuiltInChecks();
+            registryModule.unregisterCheck('webdriver');
+            registerBuiltInChecks();
+
+            expect(registryModule.getRegisteredChecks().map(check => check.id)).not.toContain('webdriver');
+        });
+    });
+});
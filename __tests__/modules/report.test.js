@@ -0,0 +1,160 @@
+/**
+ * Unit tests for the Result Reporting Module
+ */
+
+describe('Report Module', () => {
+    let reportModule;
+    let detector;
+    let sendBeacon;
+    let originalFetch;
+
+    const URL = 'https://collector.example/reports';
+
+    /**
+     * Reports sent in the bodies of a mock's calls
+     * @param {jest.Mock} mock - sendBeacon or fetch mock
+     * @returns {Object[][]} Reports of each batch
+     */
+    const sentBatches = mock => mock.mock.calls.map(([, body]) =>
+        JSON.parse(typeof body === 'string' ? body : body.body).reports);
+
+    beforeEach(() => {
+        jest.resetModules();
+        sendBeacon = jest.fn(() => true);
+        navigator.sendBeacon = sendBeacon;
+        originalFetch = global.fetch;
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+        reportModule = require('../../scripts/modules/report.js');
+        detector = require('../../scripts/headless-detector.js');
+    });
+
+    afterEach(() => {
+        delete navigator.sendBeacon;
+        global.fetch = originalFetch;
+    });
+
+    describe('normalizeReportOptions', () => {
+        test('should turn reporting off without a report option', () => {
+            expect(reportModule.normalizeReportOptions(undefined)).toBeNull();
+            expect(reportModule.normalizeReportOptions(null)).toBeNull();
+            expect(reportModule.normalizeReportOptions(false)).toBeNull();
+        });
+
+        test('should apply the defaults', () => {
+            expect(reportModule.normalizeReportOptions({ url: URL })).toEqual({
+                url: URL,
+                ...reportModule.DEFAULT_REPORT_OPTIONS
+            });
+        });
+
+        test('should reject invalid options', () => {
+            expect(() => reportModule.normalizeReportOptions({})).toThrow(TypeError);
+            expect(() => reportModule.normalizeReportOptions('https://collector.example')).toThrow(TypeError);
+            expect(() => reportModule.normalizeReportOptions({ url: URL, sampleRate: 2 })).toThrow(TypeError);
+            expect(() => reportModule.normalizeReportOptions({ url: URL, fields: 'isHeadless' })).toThrow(TypeError);
+            expect(() => reportModule.normalizeReportOptions({ url: URL, transport: 'xhr' })).toThrow('Unknown report transport');
+        });
+    });
+
+    describe('queueReport', () => {
+        const results = {
+            isHeadless: 0.8,
+            summary: { classification: 'Likely Headless', riskLevel: 'high', detections: [] },
+            webdriver: true,
+            timestamp: 1738584000000
+        };
+
+        test('should batch runs and send the reported fields with sendBeacon', async () => {
+            const report = reportModule.normalizeReportOptions({ url: URL, batchSize: 2 });
+
+            expect(reportModule.queueReport(results, report)).toBe(true);
+            expect(sendBeacon).not.toHaveBeenCalled();
+            reportModule.queueReport({ ...results, isHeadless: 0.1 }, report);
+
+            expect(sendBeacon).toHaveBeenCalledTimes(1);
+            expect(sendBeacon.mock.calls[0][0]).toBe(URL);
+            expect(sentBatches(sendBeacon)).toEqual([[
+                { isHeadless: 0.8, summary: { classification: 'Likely Headless', riskLevel: 'high' }, timestamp: 1738584000000 },
+                { isHeadless: 0.1, summary: { classification: 'Likely Headless', riskLevel: 'high' }, timestamp: 1738584000000 }
+            ]]);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('should send the whole results with fields "*"', async () => {
+            reportModule.queueReport(results, reportModule.normalizeReportOptions({ url: URL, fields: '*' }));
+
+            await expect(reportModule.flushReports()).resolves.toBe(true);
+            expect(sentBatches(sendBeacon)).toEqual([[results]]);
+        });
+
+        test('should send a batch after flushIntervalMs', () => {
+            jest.useFakeTimers();
+            try {
+                reportModule.queueReport(results, reportModule.normalizeReportOptions({ url: URL, flushIntervalMs: 200 }));
+                jest.advanceTimersByTime(199);
+                expect(sendBeacon).not.toHaveBeenCalled();
+                jest.advanceTimersByTime(1);
+                expect(sendBeacon).toHaveBeenCalledTimes(1);
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        test('should flush when the page is hidden', () => {
+            reportModule.queueReport(results, reportModule.normalizeReportOptions({ url: URL }));
+            window.dispatchEvent(new Event('pagehide'));
+            expect(sendBeacon).toHaveBeenCalledTimes(1);
+        });
+
+        test('should skip runs that are sampled out', async () => {
+            expect(reportModule.queueReport(results, reportModule.normalizeReportOptions({ url: URL, sampleRate: 0 }))).toBe(false);
+            await reportModule.flushReports();
+            expect(sendBeacon).not.toHaveBeenCalled();
+        });
+
+        test('should fall back to fetch when the beacon is refused', async () => {
+            sendBeacon.mockReturnValue(false);
+            reportModule.queueReport(results, reportModule.normalizeReportOptions({ url: URL }));
+
+            await expect(reportModule.flushReports()).resolves.toBe(true);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(global.fetch.mock.calls[0][1]).toMatchObject({ method: 'POST', keepalive: true });
+            expect(sentBatches(global.fetch)).toEqual(sentBatches(sendBeacon));
+        });
+
+        test('should retry failed fetches', async () => {
+            global.fetch
+                .mockImplementationOnce(() => Promise.reject(new TypeError('Failed to fetch')))
+                .mockImplementationOnce(() => Promise.resolve({ ok: false, status: 503 }));
+            reportModule.queueReport(results, reportModule.normalizeReportOptions({ url: URL, transport: 'fetch', retryDelayMs: 0 }));
+
+            await expect(reportModule.flushReports()).resolves.toBe(true);
+            expect(sendBeacon).not.toHaveBeenCalled();
+            expect(global.fetch).toHaveBeenCalledTimes(3);
+        });
+
+        test('should give up after the last retry', async () => {
+            global.fetch.mockImplementation(() => Promise.resolve({ ok: false, status: 500 }));
+            reportModule.queueReport(results, reportModule.normalizeReportOptions({ url: URL, transport: 'fetch', retries: 1, retryDelayMs: 0 }));
+
+            await expect(reportModule.flushReports()).resolves.toBe(false);
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('detectHeadless({ report })', () => {
+        test('should report the results without changing them', async () => {
+            const results = await detector.detectHeadless({ exclude: ['workerChecks'], report: { url: URL } });
+            await detector.flushReports();
+
+            const [[sent]] = sentBatches(sendBeacon);
+            expect(Object.keys(sent)).toEqual(expect.arrayContaining(['schemaVersion', 'isHeadless', 'scoreBreakdown', 'summary', 'userAgent']));
+            expect(sent.isHeadless).toBe(results.isHeadless);
+            expect(detector.validateResult(results).errors).toEqual([]);
+        });
+
+        test('should reject invalid report options', async () => {
+            await expect(detector.detectHeadless({ exclude: ['workerChecks'], report: { sampleRate: 1 } })).rejects.toThrow(TypeError);
+        });
+    });
+});
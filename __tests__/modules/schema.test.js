@@ -0,0 +1,87 @@
+/**
+ * Unit tests for the Result Schema module
+ */
+
+describe('Schema Module', () => {
+    let schemaModule;
+    let detector;
+
+    beforeEach(() => {
+        jest.resetModules();
+        schemaModule = require('../../scripts/modules/schema.js');
+        detector = require('../../scripts/headless-detector.js');
+    });
+
+    describe('RESULT_SCHEMA', () => {
+        test('should be the published schema file, at SCHEMA_VERSION', () => {
+            expect(schemaModule.RESULT_SCHEMA).toEqual(require('../../schema/detection-result.schema.json'));
+            expect(schemaModule.RESULT_SCHEMA.properties.schemaVersion.const).toBe(schemaModule.SCHEMA_VERSION);
+        });
+
+        test('should describe every built-in check and reserved result key', () => {
+            const properties = Object.keys(schemaModule.RESULT_SCHEMA.properties);
+            detector.BUILT_IN_CHECKS.forEach(check => expect(properties).toContain(check.id));
+            detector.RESERVED_RESULT_KEYS.forEach(key => expect(properties).toContain(key));
+        });
+    });
+
+    describe('validateResult', () => {
+        test('should accept detectHeadless() results and their JSON', async () => {
+            const results = await detector.detectHeadless();
+
+            expect(schemaModule.validateResult(results)).toEqual({ valid: true, errors: [], result: results });
+
+            const fromJson = schemaModule.validateResult(JSON.stringify(results));
+            expect(fromJson.valid).toBe(true);
+            expect(fromJson.result).toEqual(JSON.parse(JSON.stringify(results)));
+        });
+
+        test('should accept excluded checks, other scorers and registered checks', async () => {
+            detector.registerCheck({ id: 'custom', run: () => ({ anything: [1, 2] }) });
+            const results = await detector.detectHeadless({ include: ['webdriver', 'custom'], scorer: 'logistic' });
+
+            expect(results.cdpArtifacts).toBeNull();
+            expect(schemaModule.validateResult(results).errors).toEqual([]);
+        });
+
+        test('should report invalid JSON', () => {
+            const report = schemaModule.validateResult('{"isHeadless": ');
+            expect(report.valid).toBe(false);
+            expect(report.result).toBeUndefined();
+            expect(report.errors[0].message).toMatch(/^Invalid JSON/);
+        });
+
+        test('should report the path of each error', async () => {
+            const results = JSON.parse(JSON.stringify(await detector.detectHeadless()));
+            results.isHeadless = 2;
+            delete results.summary.scorer;
+            results.summary.detections.push({ category: 'x', severity: 'low', message: 'x', checkId: 'x' });
+            results.webglFlags.renderingTest.noiseRatio = 0.5;
+            results.fingerprintChecks.fonts.fontList = [];
+
+            expect(schemaModule.validateResult(results).errors).toEqual(expect.arrayContaining([
+                { path: 'isHeadless', message: 'must be <= 1' },
+                { path: 'summary.scorer', message: 'is required' },
+                { path: `summary.detections[${results.summary.detections.length - 1}].severity`, message: 'must be one of "critical", "high", "medium"' },
+                { path: 'webglFlags.renderingTest.noiseRatio', message: 'must be string' },
+                { path: 'fingerprintChecks.fonts.fontList', message: 'is not allowed' }
+            ]));
+        });
+
+        test('should reject results of older schema versions', async () => {
+            const results = JSON.parse(JSON.stringify(await detector.detectHeadless()));
+            delete results.schemaVersion;
+            results.advancedChecks.chromeRuntime.suspicious = true;
+
+            expect(schemaModule.validateResult(results).errors).toEqual([
+                { path: 'schemaVersion', message: 'is required' },
+                { path: 'advancedChecks.chromeRuntime.suspicious', message: 'must be false' }
+            ]);
+        });
+
+        test('should reject non-objects', () => {
+            expect(schemaModule.validateResult(null).errors).toEqual([{ path: '', message: 'must be object' }]);
+            expect(schemaModule.validateResult('[]').valid).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,215 @@
+/**
+ * Unit tests for the Scoring module
+ */
+
+describe('Scoring Module', () => {
+    let scoringModule;
+
+    beforeEach(() => {
+        jest.resetModules();
+        // Registers the built-in checks that scoreResults() scores by default
+        require('../../scripts/modules/checks.js');
+        scoringModule = require('../../scripts/modules/scoring.js');
+    });
+
+    describe('DEFAULT_WEIGHTS', () => {
+        test('should keep the historical signal weights', () => {
+            expect(scoringModule.DEFAULT_WEIGHTS['webdriver']).toBe(0.20);
+            expect(scoringModule.DEFAULT_WEIGHTS['cdp-detected']).toBe(0.25);
+            expect(scoringModule.DEFAULT_WEIGHTS['playwright-binding']).toBe(0.30);
+            expect(scoringModule.DEFAULT_WEIGHTS['worker-ua-mismatch']).toBe(0.15);
+        });
+    });
+
+    describe('scoreResults', () => {
+        test('should return 0 for empty or missing results', () => {
+            expect(scoringModule.scoreResults({})).toBe(0);
+            expect(scoringModule.scoreResults(null)).toBe(0);
+        });
+
+        test('should add the weight of every detected signal', () => {
+            const score = scoringModule.scoreResults({
+                webdriver: true,
+                cdpArtifacts: { detected: true, signals: ['chromedriver_cdc'] }
+            });
+            expect(score).toBeCloseTo(0.20 + 0.25 + 0.10);
+        });
+
+        test('should clamp the score at 1', () => {
+            const score = scoringModule.scoreResults({
+                webdriver: true,
+                cdpArtifacts: { detected: true, signals: ['chromedriver_cdc', 'puppeteer_eval'] },
+                automationFlags: { plugins: 0, languages: false, __playwright__binding__: true },
+                workerChecks: { userAgentMismatch: true }
+            });
+            expect(score).toBe(1);
+        });
+
+        test('should not fire signals for skipped (null) groups', () => {
+            const score = scoringModule.scoreResults({
+                automationFlags: null,
+                headlessIndicators: null,
+                fingerprintChecks: { canvas: null, audioContext: null, fonts: { suspicious: true } }
+            });
+            expect(score).toBeCloseTo(0.08);
+        });
+
+        test('should apply weight overrides', () => {
+            expect(scoringModule.scoreResults({ webdriver: true }, { webdriver: 0.5 })).toBeCloseTo(0.5);
+            expect(scoringModule.scoreResults({ webdriver: true }, { webdriver: 0 })).toBe(0);
+        });
+
+        test('should not modify the results object', () => {
+            const results = { webdriver: true, workerChecks: { userAgentMismatch: false } };
+            const copy = JSON.parse(JSON.stringify(results));
+            scoringModule.scoreResults(results);
+            expect(results).toEqual(copy);
+        });
+    });
+
+    describe('getFiredSignals', () => {
+        test('should accept signal ids, weighted signals and numbers', () => {
+            const results = { custom: { value: 1 } };
+            const check = score => ({ id: 'custom', score });
+
+            expect(scoringModule.getFiredSignals(check(() => ['a', false, null]), results))
+                .toEqual([{ id: 'a', weight: undefined, value: true }]);
+            expect(scoringModule.getFiredSignals(check(() => [{ id: 'b', weight: 0.4, value: 'raw' }]), results))
+                .toEqual([{ id: 'b', weight: 0.4, value: 'raw' }]);
+            expect(scoringModule.getFiredSignals(check(() => 0.3), results))
+                .toEqual([{ id: 'custom', weight: 0.3, value: 0.3 }]);
+            expect(scoringModule.getFiredSignals(check(() => 0), results)).toEqual([]);
+        });
+
+        test('should not fire for excluded checks or throwing scorers', () => {
+            const throwing = { id: 'custom', score: () => { throw new Error('boom'); } };
+            expect(scoringModule.getFiredSignals({ id: 'custom', score: () => ['a'] }, { custom: null })).toEqual([]);
+            expect(scoringModule.getFiredSignals(throwing, { custom: {} })).toEqual([]);
+        });
+    });
+
+    describe('scoreResults with custom checks', () => {
+        test('should prefer weight overrides, then signal weights, then defaults', () => {
+            const checks = [{ id: 'custom', score: () => [{ id: 'custom-signal', weight: 0.4 }, 'webdriver'] }];
+            const results = { custom: {} };
+
+            expect(scoringModule.scoreResults(results, {}, checks)).toBeCloseTo(0.6);
+            expect(scoringModule.scoreResults(results, { 'custom-signal': 0.1 }, checks)).toBeCloseTo(0.3);
+        });
+    });
+
+    describe('getScoreBreakdown', () => {
+        test('should list every fired signal with its weight, raw value and running total', () => {
+            const breakdown = scoringModule.getScoreBreakdown({
+                webdriver: true,
+                cdpArtifacts: { detected: true, signals: ['chromedriver_cdc'], cdcKeysFound: 2 }
+            });
+
+            expect(breakdown.map(entry => entry.id)).toEqual(['webdriver', 'cdp-detected', 'cdp-chromedriver']);
+            expect(breakdown[0]).toEqual({
+                id: 'webdriver', checkId: 'webdriver', group: 'webdriver', weight: 0.20, value: true, total: 0.20
+            });
+            expect(breakdown[1].value).toEqual(['chromedriver_cdc']);
+            expect(breakdown[2].value).toBe(2);
+            expect(breakdown[2].total).toBeCloseTo(0.55);
+        });
+
+        test('should report the total before the clamp', () => {
+            const results = {
+                webdriver: true,
+                cdpArtifacts: { detected: true, signals: ['chromedriver_cdc', 'puppeteer_eval'] },
+                automationFlags: { plugins: 0, languages: false, __playwright__binding__: true },
+                workerChecks: { userAgentMismatch: true, workerUserAgent: 'HeadlessChrome' }
+            };
+            const breakdown = scoringModule.getScoreBreakdown(results);
+            const last = breakdown[breakdown.length - 1];
+
+            expect(last.total).toBeGreaterThan(1);
+            expect(last.value).toBe('HeadlessChrome');
+            expect(scoringModule.getBreakdownScore(breakdown)).toBe(1);
+            expect(scoringModule.scoreResults(results)).toBe(1);
+        });
+
+        test('should apply weight overrides and be empty when nothing fired', () => {
+            expect(scoringModule.getScoreBreakdown({ webdriver: true }, { webdriver: 0.5 })[0].weight).toBe(0.5);
+            expect(scoringModule.getScoreBreakdown({ webdriver: false })).toEqual([]);
+            expect(scoringModule.getBreakdownScore([])).toBe(0);
+        });
+    });
+
+    describe('scoreLogistic', () => {
+        test('should start from the prior when nothing fired', () => {
+            const result = scoringModule.scoreLogistic({ webdriver: false });
+
+            expect(result.logit).toBe(scoringModule.DEFAULT_PRIOR_LOG_ODDS);
+            expect(result.probability).toBeCloseTo(1 / (1 + Math.exp(2.5)));
+            expect(result.breakdown).toEqual([]);
+        });
+
+        test('should not saturate on a single strong signal', () => {
+            const single = scoringModule.scoreLogistic({ webdriver: true });
+            const several = scoringModule.scoreLogistic({
+                webdriver: true,
+                cdpArtifacts: { detected: true, signals: ['chromedriver_cdc'] },
+                workerChecks: { userAgentMismatch: true }
+            });
+
+            expect(single.probability).toBeLessThan(0.9);
+            expect(several.probability).toBeGreaterThan(single.probability);
+            expect(several.probability).toBeLessThan(1);
+            expect(several.breakdown[several.breakdown.length - 1].total).toBeCloseTo(several.logit);
+        });
+
+        test('should apply log-odds and prior overrides', () => {
+            const result = scoringModule.scoreLogistic({ webdriver: true }, { logOdds: { webdriver: 1 }, priorLogOdds: -1 });
+
+            expect(result.logit).toBe(0);
+            expect(result.probability).toBe(0.5);
+            expect(result.confidence).toBe(0);
+        });
+
+        test('should scale confidence by the share of checks that produced a result', () => {
+            const checks = [
+                { id: 'a', score: () => [] },
+                { id: 'b', score: () => [] }
+            ];
+            const full = scoringModule.scoreLogistic({ a: {}, b: {} }, {}, checks);
+            const half = scoringModule.scoreLogistic({ a: {}, b: { error: 'failed' } }, {}, checks);
+
+            expect(half.probability).toBe(full.probability);
+            expect(half.confidence).toBeCloseTo(full.confidence / 2);
+        });
+    });
+
+    describe('resolveLogOdds', () => {
+        test('should prefer overrides, then signal log-odds, then defaults, then scaled weights', () => {
+            expect(scoringModule.resolveLogOdds({ id: 'webdriver' }, { webdriver: 1 })).toBe(1);
+            expect(scoringModule.resolveLogOdds({ id: 'webdriver', logOdds: 2 })).toBe(2);
+            expect(scoringModule.resolveLogOdds({ id: 'webdriver' })).toBe(scoringModule.DEFAULT_LOG_ODDS.webdriver);
+            expect(scoringModule.resolveLogOdds({ id: 'custom', weight: 0.1 })).toBeCloseTo(1);
+            expect(scoringModule.resolveLogOdds({ id: 'custom' }, {}, { custom: 0.2 })).toBeCloseTo(2);
+        });
+    });
+
+    describe('classifyScore', () => {
+        test('should classify scores with the default thresholds', () => {
+            expect(scoringModule.classifyScore(0).classification).toBe('Normal Browser');
+            expect(scoringModule.classifyScore(0.2).classification).toBe('Minor Warnings');
+            expect(scoringModule.classifyScore(0.4).classification).toBe('Suspicious');
+            expect(scoringModule.classifyScore(0.6).classification).toBe('Likely Headless');
+            expect(scoringModule.classifyScore(0.8).classification).toBe('Definitely Headless');
+        });
+
+        test('should derive risk level from the thresholds', () => {
+            expect(scoringModule.classifyScore(0.1).riskLevel).toBe('low');
+            expect(scoringModule.classifyScore(0.4).riskLevel).toBe('medium');
+            expect(scoringModule.classifyScore(0.6).riskLevel).toBe('high');
+        });
+
+        test('should honour threshold overrides', () => {
+            const result = scoringModule.classifyScore(0.6, { likelyHeadless: 0.65, definitelyHeadless: 0.9 });
+            expect(result.classification).toBe('Suspicious');
+            expect(result.riskLevel).toBe('medium');
+        });
+    });
+});
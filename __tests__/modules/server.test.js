@@ -0,0 +1,412 @@
+/**
+ * Unit tests for the Server Verification Module
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+/**
+ * POST a body to a local server
+ * @param {http.Server} server - Listening server
+ * @param {string} body - Request body
+ * @param {Object} headers - Request headers
+ * @returns {Promise<{status: number, body: string}>} Response
+ */
+function post(server, body, headers) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            host: '127.0.0.1',
+            port: server.address().port,
+            method: 'POST',
+            path: '/verify',
+            headers: { 'content-type': 'application/json', ...headers }
+        }, response => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => { text += chunk; });
+            response.on('end', () => resolve({ status: response.statusCode, body: text }));
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * Start a local http server running a middleware and replying with the verdict
+ * @param {Function} middleware - (req, res, next) middleware
+ * @returns {Promise<http.Server>} Listening server
+ */
+function listen(middleware) {
+    const server = http.createServer((req, res) => {
+        middleware(req, res, error => {
+            res.statusCode = error ? error.status || 500 : 200;
+            res.end(JSON.stringify(error ? { error: error.message } : req.headlessVerdict));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('Server Module', () => {
+    let serverModule;
+    let tokenModule;
+    let detector;
+    let results;
+
+    const CHROME_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+    const CHROME_HEADERS = {
+        'user-agent': CHROME_UA,
+        'accept-language': 'en-US,en;q=0.9',
+        'sec-ch-ua': '"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"',
+        'sec-ch-ua-mobile': '?0',
+        'sec-ch-ua-platform': '"Windows"'
+    };
+
+    beforeEach(async () => {
+        jest.resetModules();
+        serverModule = require('../../scripts/modules/server.js');
+        tokenModule = require('../../scripts/modules/token.js');
+        detector = require('../../scripts/headless-detector.js');
+        // jsdom's DOM functions are JavaScript: tampering checks would flag them all
+        results = JSON.parse(JSON.stringify(await detector.detectHeadless({ exclude: ['workerChecks', 'tamperingChecks'] })));
+        results.userAgent = CHROME_UA;
+        results.userAgentFlags.clientHints = {
+            suspicious: false,
+            platform: 'Windows',
+            mobile: false,
+            brands: ['Not-A.Brand', 'Chromium', 'Google Chrome']
+        };
+    });
+
+    describe('checkRequestHeaders', () => {
+        test('should match the claimed User-Agent and Client Hints', () => {
+            expect(serverModule.checkRequestHeaders(results, CHROME_HEADERS)).toEqual({
+                userAgent: CHROME_UA,
+                userAgentMatch: true,
+                clientHints: { brands: ['Chromium', 'Google Chrome', 'Not-A.Brand'], mobile: false, platform: 'Windows' },
+                clientHintsMismatches: []
+            });
+        });
+
+        test('should report a User-Agent that differs from the header', () => {
+            const check = serverModule.checkRequestHeaders(results, { 'user-agent': 'python-requests/2.31.0' });
+            expect(check.userAgentMatch).toBe(false);
+            expect(check.clientHints).toEqual({ brands: null, mobile: null, platform: null });
+            expect(check.clientHintsMismatches).toEqual([]);
+        });
+
+        test('should report Client Hints that differ from the headers', () => {
+            const check = serverModule.checkRequestHeaders(results, {
+                ...CHROME_HEADERS,
+                'sec-ch-ua': '"HeadlessChrome";v="124", "Chromium";v="124"',
+                'sec-ch-ua-mobile': '?1',
+                'sec-ch-ua-platform': '"Linux"'
+            });
+            expect(check.clientHintsMismatches).toEqual(['brands', 'mobile', 'platform']);
+        });
+
+        test('should not compare Client Hints the browser did not report', () => {
+            results.userAgentFlags.clientHints = { suspicious: false, platform: 'Win32', brands: [] };
+            expect(serverModule.checkRequestHeaders(results, CHROME_HEADERS).clientHintsMismatches).toEqual([]);
+        });
+    });
+
+    describe('verifyResult', () => {
+        test('should rescore the raw check results instead of trusting isHeadless', () => {
+            results.webdriver = true;
+            results.isHeadless = 0;
+
+            const verdict = serverModule.verifyResult(results, CHROME_HEADERS);
+            expect(verdict.valid).toBe(true);
+            expect(verdict.claimedScore).toBe(0);
+            expect(verdict.isHeadless).toBe(detector.scoreResults(results));
+            expect(verdict.scoreBreakdown.map(entry => entry.id)).toContain('webdriver');
+            expect(verdict).toMatchObject({ profile: 'balanced', scorer: 'additive', confidence: null, schemaVersion: '2.0.0' });
+        });
+
+        test('should add the server signals to the score', () => {
+            const verdict = serverModule.verifyResult(JSON.stringify(results), { 'user-agent': 'curl/8.0', 'accept-language': 'en' });
+            const serverSignals = verdict.scoreBreakdown.filter(entry => entry.group === 'server');
+
+            expect(serverSignals).toEqual([expect.objectContaining({ id: 'server-ua-mismatch', checkId: 'requestHeaders', value: 'curl/8.0' })]);
+            expect(verdict.isHeadless).toBeCloseTo(detector.scoreResults(results) + detector.DEFAULT_WEIGHTS['server-ua-mismatch']);
+        });
+
+        test('should score each header analysis signal', () => {
+            const headers = { ...CHROME_HEADERS, 'sec-ch-ua': '"HeadlessChrome";v="124", "Chromium";v="124"' };
+            delete headers['accept-language'];
+
+            const verdict = serverModule.verifyResult(results, headers);
+            expect(verdict.headerAnalysis.signals).toEqual(['accept_language_missing', 'ch_ua_headless']);
+            expect(verdict.scoreBreakdown.filter(entry => entry.checkId === 'headerAnalysis').map(entry => entry.id))
+                .toEqual(['server-accept-language-missing', 'server-ch-ua-headless']);
+        });
+
+        test('should score invalid results with the invalid-result signal only', () => {
+            const verdict = serverModule.verifyResult({ schemaVersion: '2.0.0', isHeadless: 0, userAgent: CHROME_UA }, CHROME_HEADERS);
+
+            expect(verdict.valid).toBe(false);
+            expect(verdict.errors).toEqual(expect.arrayContaining([{ path: 'timestamp', message: 'is required' }]));
+            expect(verdict.claimedScore).toBeNull();
+            expect(verdict.scoreBreakdown.map(entry => entry.id)).toEqual(['server-invalid-result']);
+            expect(verdict.isHeadless).toBe(1);
+            expect(verdict.classification).toBe('Definitely Headless');
+        });
+
+        test('should reject malformed JSON', () => {
+            const verdict = serverModule.verifyResult('{"isHeadless": 0', CHROME_HEADERS);
+            expect(verdict.valid).toBe(false);
+            expect(verdict.schemaVersion).toBeNull();
+            expect(verdict.errors[0].message).toMatch(/^Invalid JSON/);
+        });
+
+        test('should migrate results of older schema versions', () => {
+            delete results.schemaVersion;
+            delete results.scoreBreakdown;
+
+            const verdict = serverModule.verifyResult(results, CHROME_HEADERS);
+            expect(verdict.valid).toBe(true);
+            expect(verdict.schemaVersion).toBe(detector.LEGACY_SCHEMA_VERSION);
+        });
+
+        test('should score with the given profile and scorer', () => {
+            const verdict = serverModule.verifyResult(results, CHROME_HEADERS, { profile: 'strict', scorer: 'logistic' });
+            expect(verdict.profile).toBe('strict');
+            expect(verdict.scorer).toBe('logistic');
+            expect(typeof verdict.confidence).toBe('number');
+            expect(() => serverModule.verifyResult(results, CHROME_HEADERS, { scorer: 'magic' })).toThrow('Unknown scorer');
+        });
+    });
+
+    describe('nonce tokens', () => {
+        const SECRET = 'test-secret';
+
+        async function detectWithNonce({ nonce, key } = serverModule.createNonce(SECRET)) {
+            return JSON.parse(JSON.stringify(await detector.detectHeadless({ exclude: ['workerChecks'], nonce, nonceKey: key })));
+        }
+
+        afterEach(() => jest.restoreAllMocks());
+
+        test('should accept a fresh token once', async () => {
+            const signed = await detectWithNonce();
+            const nonceStore = serverModule.createNonceStore();
+
+            expect(serverModule.verifyToken(signed, SECRET, { nonceStore })).toEqual({ valid: true, reason: null, issuedAt: expect.any(Number) });
+            expect(serverModule.verifyToken(signed, SECRET, { nonceStore })).toMatchObject({ valid: false, reason: 'replayed' });
+        });
+
+        test('should reject edited results', async () => {
+            const signed = await detectWithNonce();
+            signed.webdriver = !signed.webdriver;
+
+            expect(serverModule.verifyToken(signed, SECRET).reason).toBe('tampered');
+        });
+
+        test('should reject edited results with a digest recomputed without the nonce key', async () => {
+            const signed = await detectWithNonce();
+            const { nonce } = tokenModule.parseToken(signed.token);
+            const edited = { ...signed, isHeadless: 0, webdriver: false };
+
+            // Everything the token and the page's scripts reveal: the nonce, and keys guessed from it
+            const guessedKeys = [
+                crypto.createHash('sha256').update(nonce).digest('hex'),
+                crypto.createHmac('sha256', nonce).update(nonce).digest('hex'),
+                serverModule.createNonce('other').key
+            ];
+            guessedKeys.forEach(key => {
+                edited.token = tokenModule.createToken(edited, nonce, key);
+                expect(serverModule.verifyToken(edited, SECRET).reason).toBe('tampered');
+            });
+            // The digest keyed by the nonce itself (the previous token format)
+            const fields = signed.token.split('.');
+            edited.token = [...fields.slice(0, 3), tokenModule.getResultDigest(edited, nonce)].join('.');
+            expect(serverModule.verifyToken(edited, SECRET).reason).toBe('tampered');
+        });
+
+        test('should issue a key that cannot be derived without the secret', () => {
+            const { nonce, key } = serverModule.createNonce(SECRET);
+
+            expect(key).toMatch(/^[0-9a-f]{64}$/);
+            expect(key).toBe(crypto.createHmac('sha256', SECRET).update(`key:${nonce}`).digest('hex'));
+            expect(serverModule.createNonce(SECRET).key).not.toBe(key);
+        });
+
+        test('should reject hand-crafted payloads', async () => {
+            expect(serverModule.verifyToken(results, SECRET).reason).toBe('missing');
+            expect(serverModule.verifyToken({ ...results, token: 'forged' }, SECRET).reason).toBe('malformed');
+            // A nonce made up by the client, or issued with another secret
+            expect(serverModule.verifyToken(await detectWithNonce({ nonce: 'a1b2-lx0k2p-0f9e', key: '0'.repeat(64) }), SECRET).reason).toBe('invalid-nonce');
+            expect(serverModule.verifyToken(await detectWithNonce(serverModule.createNonce('other')), SECRET).reason).toBe('invalid-nonce');
+        });
+
+        test('should reject expired nonces', async () => {
+            const signed = await detectWithNonce();
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now + serverModule.DEFAULT_MAX_NONCE_AGE_MS + 1000);
+
+            expect(serverModule.verifyToken(signed, SECRET).reason).toBe('expired');
+            expect(serverModule.verifyToken(signed, SECRET, { maxNonceAgeMs: 3600000 }).valid).toBe(true);
+        });
+
+        test('should require a valid token when verifyResult() is given a secret', async () => {
+            const signed = await detectWithNonce();
+            const headers = { 'user-agent': signed.userAgent };
+
+            const verdict = serverModule.verifyResult(signed, headers, { secret: SECRET });
+            expect(verdict.valid).toBe(true);
+            expect(verdict.token.valid).toBe(true);
+
+            const replayed = serverModule.verifyResult(signed, headers, { secret: SECRET });
+            expect(replayed.valid).toBe(false);
+            expect(replayed.errors).toEqual([{ path: 'token', message: serverModule.TOKEN_ERRORS.replayed }]);
+            expect(replayed.scoreBreakdown.map(entry => entry.id)).toContain('server-invalid-token');
+            expect(replayed.isHeadless).toBe(1);
+
+            expect(serverModule.verifyResult(signed, headers).token).toBeNull();
+            expect(() => serverModule.verifyResult(signed, headers, { secret: '' })).toThrow(TypeError);
+        });
+    });
+
+    describe('createExpressMiddleware', () => {
+        let server;
+
+        afterEach(async () => {
+            if (server) await new Promise(resolve => server.close(resolve));
+            server = null;
+        });
+
+        test('should read the posted body and attach the verdict to req', async () => {
+            server = await listen(serverModule.createExpressMiddleware());
+
+            const response = await post(server, JSON.stringify(results), CHROME_HEADERS);
+            expect(response.status).toBe(200);
+            const verdict = JSON.parse(response.body);
+            expect(verdict.valid).toBe(true);
+            expect(verdict.requestHeaders.userAgentMatch).toBe(true);
+            expect(verdict.requestHeaders.clientHintsMismatches).toEqual([]);
+            expect(verdict.headerAnalysis.detected).toBe(false);
+        });
+
+        test('should flag a payload posted with another User-Agent', async () => {
+            server = await listen(serverModule.createExpressMiddleware());
+
+            const response = await post(server, JSON.stringify(results), { 'user-agent': 'python-requests/2.31.0' });
+            const verdict = JSON.parse(response.body);
+            expect(verdict.requestHeaders.userAgentMatch).toBe(false);
+            expect(verdict.scoreBreakdown.map(entry => entry.id)).toContain('server-ua-mismatch');
+        });
+
+        test('should use a body parsed by a body parser', async () => {
+            const middleware = serverModule.createExpressMiddleware({ property: 'bot' });
+            const req = { headers: CHROME_HEADERS, body: results };
+
+            await new Promise(resolve => middleware(req, {}, resolve));
+            expect(req.bot.valid).toBe(true);
+        });
+
+        test('should analyze the raw header order', async () => {
+            const middleware = serverModule.createExpressMiddleware();
+            const req = {
+                headers: { host: 'example.com', 'user-agent': 'curl/8.0', accept: '*/*' },
+                rawHeaders: ['Host', 'example.com', 'User-Agent', 'curl/8.0', 'Accept', '*/*', 'Content-Length', '2'],
+                body: results
+            };
+
+            await new Promise(resolve => middleware(req, {}, resolve));
+            expect(req.headlessVerdict.headerAnalysis.headerOrderClient).toBe('curl');
+            expect(req.headlessVerdict.scoreBreakdown.map(entry => entry.id)).toContain('server-header-order');
+        });
+
+        test('should reject bodies over the limit with a 413 error', async () => {
+            server = await listen(serverModule.createExpressMiddleware({ limit: 1024 }));
+
+            const response = await post(server, JSON.stringify(results), CHROME_HEADERS);
+            expect(response.status).toBe(413);
+        });
+    });
+
+    describe('createKoaMiddleware', () => {
+        test('should attach the verdict to ctx.request and ctx.state', async () => {
+            const middleware = serverModule.createKoaMiddleware();
+            const ctx = { req: { headers: CHROME_HEADERS }, request: { body: results }, state: {} };
+            const next = jest.fn(() => Promise.resolve());
+
+            await middleware(ctx, next);
+            expect(next).toHaveBeenCalled();
+            expect(ctx.request.headlessVerdict.valid).toBe(true);
+            expect(ctx.state.headlessVerdict).toBe(ctx.request.headlessVerdict);
+        });
+    });
+
+    describe('createFastifyHook', () => {
+        test('should attach the verdict to the request', async () => {
+            const hook = serverModule.createFastifyHook();
+            const request = { headers: { 'user-agent': 'curl/8.0' }, body: JSON.stringify(results), raw: null };
+
+            await hook(request, {});
+            expect(request.headlessVerdict.valid).toBe(true);
+            expect(request.headlessVerdict.requestHeaders.userAgentMatch).toBe(false);
+        });
+    });
+
+    describe('createCollector', () => {
+        let server;
+        let dir;
+        let file;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-'));
+            file = path.join(dir, 'reports.ndjson');
+        });
+
+        afterEach(async () => {
+            if (server) await new Promise(resolve => server.close(resolve));
+            server = null;
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should append each reported run to the NDJSON file', async () => {
+            const collector = serverModule.createCollector({ file: file });
+            server = await listen((req, res) => collector(req, res));
+
+            const first = await post(server, JSON.stringify({ reports: [{ isHeadless: 0.1 }, { isHeadless: 0.9 }] }),
+                { 'content-type': 'text/plain;charset=UTF-8', 'user-agent': CHROME_UA });
+            const second = await post(server, JSON.stringify({ isHeadless: 0.5 }), {});
+            expect(first.status).toBe(204);
+            expect(second.status).toBe(204);
+
+            const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            expect(lines.map(line => line.report)).toEqual([{ isHeadless: 0.1 }, { isHeadless: 0.9 }, { isHeadless: 0.5 }]);
+            expect(lines[0]).toMatchObject({ userAgent: CHROME_UA, receivedAt: expect.any(Number) });
+        });
+
+        test('should reject malformed JSON and bodies over the limit', async () => {
+            const collector = serverModule.createCollector({ file: file, limit: 64 });
+            server = await listen((req, res) => collector(req, res));
+
+            expect((await post(server, '{"reports": [', {})).status).toBe(400);
+            expect((await post(server, JSON.stringify({ reports: [results] }), {})).status).toBe(413);
+            expect(fs.existsSync(file)).toBe(false);
+        });
+
+        test('should answer CORS preflights and reject other methods', async () => {
+            const collector = serverModule.createCollector({ file: file, origin: 'https://shop.example' });
+            const response = () => ({ statusCode: 200, headers: {}, setHeader(name, value) { this.headers[name] = value; }, end: jest.fn() });
+
+            const preflight = response();
+            await collector({ method: 'OPTIONS', headers: {} }, preflight);
+            expect(preflight.statusCode).toBe(204);
+            expect(preflight.headers['Access-Control-Allow-Origin']).toBe('https://shop.example');
+
+            const get = response();
+            await collector({ method: 'GET', headers: {} }, get);
+            expect(get.statusCode).toBe(405);
+        });
+
+        test('should require a file', () => {
+            expect(() => serverModule.createCollector()).toThrow(TypeError);
+        });
+    });
+});
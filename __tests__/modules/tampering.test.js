@@ -0,0 +1,147 @@
+/**
+ * Unit tests for the Tampering Detection Module
+ */
+
+const { mockNativeFunctions } = require('../helpers/native.js');
+const { patch, restorePatches } = require('../helpers/patch.js');
+
+describe('Tampering Module', () => {
+    let tamperingModule;
+    let restoreToString;
+
+    beforeEach(() => {
+        jest.resetModules();
+        restoreToString = mockNativeFunctions();
+        tamperingModule = require('../../scripts/modules/tampering.js');
+    });
+
+    afterEach(() => {
+        restorePatches();
+        restoreToString();
+    });
+
+    test('should find no lies in untouched functions', () => {
+        const result = tamperingModule.detectTampering();
+
+        expect(result.apisChecked).toBeGreaterThan(0);
+        expect(result).toMatchObject({ detected: false, liedApis: [], toStringTampered: false });
+    });
+
+    test('should report JavaScript source as not native', () => {
+        // jsdom's functions as they are
+        restoreToString();
+        jest.resetModules();
+        tamperingModule = require('../../scripts/modules/tampering.js');
+
+        const result = tamperingModule.detectTampering();
+
+        expect(result.lies['Navigator.userAgent']).toEqual(['not_native']);
+        expect(result.detected).toBe(true);
+    });
+
+    test('should detect a getter defined on the instance', () => {
+        patch(navigator, 'webdriver', { get: () => false });
+
+        const result = tamperingModule.detectTampering();
+        expect(result.lies['Navigator.webdriver']).toEqual(['own_property']);
+        expect(result.detected).toBe(true);
+    });
+
+    test('should still detect lies when event hooks wrap DOM functions', () => {
+        const addEventListener = EventTarget.prototype.addEventListener;
+        patch(EventTarget.prototype, 'addEventListener', {
+            value: function (...args) {
+                return addEventListener.apply(this, args);
+            }
+        });
+        patch(navigator, 'webdriver', { get: () => false });
+
+        expect(tamperingModule.detectTampering().detected).toBe(true);
+    });
+
+    test('should detect a getter replaced on the prototype', () => {
+        patch(Navigator.prototype, 'webdriver', {
+            get: function () {
+                return false;
+            }
+        });
+
+        expect(tamperingModule.detectTampering().lies['Navigator.webdriver'])
+            .toEqual(['not_native', 'name_mismatch', 'has_prototype', 'no_receiver_check']);
+    });
+
+    test('should detect a getter redefined as a value', () => {
+        patch(Navigator.prototype, 'platform', { value: 'Win32' });
+        expect(tamperingModule.detectTampering().lies['Navigator.platform']).toEqual(['not_accessor']);
+    });
+
+    test('should detect a length mismatch', () => {
+        const original = HTMLCanvasElement.prototype.toBlob;
+        patch(HTMLCanvasElement.prototype, 'toBlob', { value: { toBlob() { return original.apply(this, arguments); } }.toBlob });
+        expect(tamperingModule.detectTampering().lies['HTMLCanvasElement.toBlob']).toEqual(['not_native', 'length_mismatch']);
+    });
+
+    test('should detect Proxy wrappers', () => {
+        const width = Object.getOwnPropertyDescriptor(Screen.prototype, 'width').get;
+        const height = Object.getOwnPropertyDescriptor(Screen.prototype, 'height').get;
+        patch(Screen.prototype, 'width', { get: new Proxy(width, {}) });
+        patch(Screen.prototype, 'height', {
+            get: new Proxy(height, {
+                apply(target, self, args) {
+                    return Reflect.apply(target, self, args);
+                }
+            })
+        });
+
+        const result = tamperingModule.detectTampering();
+        expect(result.lies['Screen.width']).toEqual(['proxy']);
+        expect(result.lies['Screen.height']).toEqual(['proxy']);
+    });
+
+    test('should detect a spoofed Function.prototype.toString', () => {
+        const toString = Function.prototype.toString;
+        // Stealth plugins make every function, the spoof included, look native
+        Function.prototype.toString = function toString() {
+            return `function ${this.name}() { [native code] }`;
+        };
+        try {
+            jest.resetModules();
+            tamperingModule = require('../../scripts/modules/tampering.js');
+            const result = tamperingModule.detectTampering();
+
+            expect(result.lies['Function.toString']).toEqual(['has_prototype', 'no_receiver_check']);
+            expect(result.toStringTampered).toBe(true);
+        } finally {
+            Function.prototype.toString = toString;
+        }
+    });
+
+    test('should skip APIs the browser does not have', () => {
+        const result = tamperingModule.detectTampering({ WebGL2RenderingContext: { methods: { getParameter: 1 } } });
+        expect(result).toMatchObject({ detected: false, liedApis: [], apisChecked: 0 });
+    });
+
+    describe('detectHeadless()', () => {
+        test('should score the lies in the tampering group', () => {
+            const detector = require('../../scripts/headless-detector.js');
+            const tamperingChecks = {
+                detected: true,
+                liedApis: ['Navigator.webdriver', 'Function.toString'],
+                lies: { 'Navigator.webdriver': ['own_property'], 'Function.toString': ['has_prototype'] },
+                toStringTampered: true,
+                apisChecked: 30
+            };
+
+            expect(detector.getScoreBreakdown({ tamperingChecks: tamperingChecks }).map(entry => [entry.id, entry.value]))
+                .toEqual([['tampering-lies', 2], ['tampering-tostring', true]]);
+        });
+
+        test('should report valid results', async () => {
+            const detector = require('../../scripts/headless-detector.js');
+            const results = await detector.detectHeadless({ exclude: ['workerChecks'] });
+
+            expect(results.scoreBreakdown.filter(entry => entry.group === 'tampering')).toEqual([]);
+            expect(detector.validateResult(results).errors).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for the Detection Token Module
+ */
+
+const crypto = require('crypto');
+
+describe('Token Module', () => {
+    let tokenModule;
+    let detector;
+
+    const NONCE = 'a1b2c3-lx0k2p-0f9e8d';
+    const KEY = '5e'.repeat(32);
+
+    beforeEach(() => {
+        jest.resetModules();
+        tokenModule = require('../../scripts/modules/token.js');
+        detector = require('../../scripts/headless-detector.js');
+    });
+
+    describe('getResultDigest', () => {
+        test('should be the HMAC-SHA256 of the canonical results, keyed by the nonce key', () => {
+            const results = { timestamp: 2, isHeadless: 0.5, summary: { b: 'é', a: [1, { d: null, c: true }] }, skipped: undefined };
+            const canonical = '{"isHeadless":0.5,"summary":{"a":[1,{"c":true,"d":null}],"b":"é"},"timestamp":2}';
+
+            expect(tokenModule.getResultDigest(results, KEY))
+                .toBe(crypto.createHmac('sha256', KEY).update(canonical).digest('hex'));
+        });
+
+        test('should ignore the token and survive a JSON round trip', async () => {
+            const results = await detector.detectHeadless({ exclude: ['workerChecks'], nonce: NONCE, nonceKey: KEY });
+            const posted = JSON.parse(JSON.stringify(results));
+
+            expect(tokenModule.getResultDigest(posted, KEY)).toBe(tokenModule.getResultDigest(results, KEY));
+            expect(tokenModule.getResultDigest({ ...posted, isHeadless: 0 }, KEY))
+                .not.toBe(tokenModule.getResultDigest(results, KEY));
+        });
+    });
+
+    describe('createToken', () => {
+        test('should embed the version, nonce, timestamp and digest', () => {
+            const results = { timestamp: 1738584000000, isHeadless: 0 };
+            const token = tokenModule.createToken(results, NONCE, KEY);
+
+            expect(token).toBe(`1.${NONCE}.${(1738584000000).toString(36)}.${tokenModule.getResultDigest(results, KEY)}`);
+            expect(tokenModule.parseToken(token)).toEqual({
+                version: tokenModule.TOKEN_VERSION,
+                nonce: NONCE,
+                timestamp: 1738584000000,
+                digest: tokenModule.getResultDigest(results, KEY)
+            });
+        });
+
+        test('should reject nonces that do not fit in a token', () => {
+            expect(() => tokenModule.createToken({ timestamp: 1 }, 'a.b', KEY)).toThrow(TypeError);
+            expect(() => tokenModule.createToken({ timestamp: 1 }, '', KEY)).toThrow(TypeError);
+            expect(() => tokenModule.createToken({ timestamp: 1 }, 42, KEY)).toThrow(TypeError);
+        });
+
+        test('should require the nonce key', () => {
+            expect(() => tokenModule.createToken({ timestamp: 1 }, NONCE)).toThrow('nonceKey');
+            // The nonce itself is not a key
+            expect(() => tokenModule.createToken({ timestamp: 1 }, NONCE, NONCE)).toThrow(TypeError);
+        });
+    });
+
+    describe('parseToken', () => {
+        test('should return null for malformed tokens', () => {
+            expect(tokenModule.parseToken(undefined)).toBeNull();
+            expect(tokenModule.parseToken('1.nonce.abc')).toBeNull();
+            expect(tokenModule.parseToken(`2.${NONCE}.abc.${'0'.repeat(64)}`)).toBeNull();
+            expect(tokenModule.parseToken(`1.${NONCE}.abc.${'0'.repeat(63)}`)).toBeNull();
+        });
+    });
+
+    describe('detectHeadless({ nonce })', () => {
+        test('should add a token to valid results', async () => {
+            const results = await detector.detectHeadless({ exclude: ['workerChecks'], nonce: NONCE, nonceKey: KEY });
+
+            expect(tokenModule.parseToken(results.token)).toMatchObject({ nonce: NONCE, timestamp: results.timestamp });
+            expect(detector.validateResult(results).errors).toEqual([]);
+        });
+
+        test('should not add a token without a nonce', async () => {
+            const results = await detector.detectHeadless({ exclude: ['workerChecks'] });
+            expect(results).not.toHaveProperty('token');
+        });
+
+        test('should reject invalid nonces', async () => {
+            await expect(detector.detectHeadless({ exclude: ['workerChecks'], nonce: 'not a nonce', nonceKey: KEY }))
+                .rejects.toThrow(TypeError);
+            await expect(detector.detectHeadless({ exclude: ['workerChecks'], nonce: NONCE })).rejects.toThrow('nonceKey');
+        });
+
+        test('should keep the digest helpers out of the package API', () => {
+            expect(detector.parseToken).toBe(tokenModule.parseToken);
+            expect(detector.getResultDigest).toBeUndefined();
+            expect(detector.createToken).toBeUndefined();
+        });
+    });
+});
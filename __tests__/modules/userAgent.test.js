@@ -168,4 +168,123 @@ describe('User Agent Module', () => {
             expect(result.suspicious).toBe(false);
         });
     });
+
+    describe('checkHighEntropyClientHints', () => {
+        const WINDOWS_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+        /**
+         * Load the module with a Chromium navigator
+         * @param {string} userAgent - navigator.userAgent
+         * @param {Object|Function} values - getHighEntropyValues() result, or the method itself
+         * @returns {Object} Fresh userAgent module
+         */
+        const withHints = (userAgent, values) => {
+            jest.resetModules();
+            Object.defineProperty(global, 'navigator', {
+                value: {
+                    userAgent: userAgent,
+                    platform: 'Win32',
+                    userAgentData: {
+                        platform: 'Windows',
+                        mobile: false,
+                        brands: [{ brand: 'Chromium', version: '124' }],
+                        getHighEntropyValues: typeof values === 'function' ? values : jest.fn(async () => values)
+                    }
+                },
+                configurable: true,
+                writable: true
+            });
+            return require('../../scripts/modules/userAgent.js');
+        };
+
+        const windowsHints = {
+            platform: 'Windows',
+            mobile: false,
+            platformVersion: '15.0.0',
+            architecture: 'x86',
+            bitness: '64',
+            model: '',
+            wow64: false,
+            fullVersionList: [
+                { brand: 'Chromium', version: '124.0.6367.60' },
+                { brand: 'Google Chrome', version: '124.0.6367.60' },
+                { brand: 'Not-A.Brand', version: '99.0.0.0' }
+            ]
+        };
+
+        test('should not be available without userAgentData', async () => {
+            const result = await userAgentModule.checkHighEntropyClientHints();
+            expect(result).toEqual({
+                available: false,
+                suspicious: false,
+                mismatches: [],
+                reason: 'Client Hints not supported',
+                hints: null,
+                error: null
+            });
+        });
+
+        test('should request the high-entropy hints and find a real Chrome consistent', async () => {
+            const freshModule = withHints(WINDOWS_UA, windowsHints);
+            const result = await freshModule.checkHighEntropyClientHints();
+
+            expect(navigator.userAgentData.getHighEntropyValues).toHaveBeenCalledWith(freshModule.HIGH_ENTROPY_HINTS);
+            expect(result).toMatchObject({ available: true, suspicious: false, mismatches: [], reason: 'Consistent' });
+            expect(result.hints).toEqual(windowsHints);
+        });
+
+        test('should detect a User-Agent rewritten to another browser and OS', async () => {
+            const freshModule = withHints(
+                'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15',
+                windowsHints
+            );
+            const result = await freshModule.checkHighEntropyClientHints();
+
+            expect(result.mismatches).toEqual(['platform', 'browserVersion']);
+            expect(result.suspicious).toBe(true);
+            expect(result.reason).toBe('User-Agent contradicts Client Hints: platform, browserVersion');
+        });
+
+        test('should detect a Chrome version rewritten in the User-Agent', async () => {
+            const freshModule = withHints(WINDOWS_UA.replace('Chrome/124', 'Chrome/131'), windowsHints);
+            expect((await freshModule.checkHighEntropyClientHints()).mismatches).toEqual(['browserVersion']);
+        });
+
+        test('should detect a Windows version the platformVersion contradicts', async () => {
+            const windows7 = WINDOWS_UA.replace('Windows NT 10.0', 'Windows NT 6.1');
+            expect((await withHints(windows7, windowsHints).checkHighEntropyClientHints()).mismatches)
+                .toEqual(['platformVersion']);
+            expect((await withHints(windows7, { ...windowsHints, platformVersion: '0.1.0' }).checkHighEntropyClientHints())
+                .mismatches).toEqual([]);
+        });
+
+        test('should detect a mobile User-Agent on a desktop', async () => {
+            const android = 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36';
+            const androidHints = { ...windowsHints, platform: 'Android', mobile: true, platformVersion: '14.0.0', model: 'Pixel 8' };
+
+            // The reduced Android version ("Android 10; K") is not compared
+            expect((await withHints(android, androidHints).checkHighEntropyClientHints()).mismatches).toEqual([]);
+            expect((await withHints(android.replace('Android 10; K', 'Linux x86_64'), windowsHints).checkHighEntropyClientHints())
+                .mismatches).toEqual(['platform', 'mobile']);
+        });
+
+        test('should report a rejected request and a timeout', async () => {
+            const rejected = await withHints(WINDOWS_UA, async () => {
+                throw new Error('NotAllowedError');
+            }).checkHighEntropyClientHints();
+            expect(rejected).toMatchObject({ available: false, error: 'NotAllowedError', reason: 'Client Hints request failed' });
+
+            const pending = await withHints(WINDOWS_UA, () => new Promise(() => {}))
+                .checkHighEntropyClientHints({ timeoutMs: 10 });
+            expect(pending).toMatchObject({ available: false, error: null, reason: 'Client Hints timeout' });
+        });
+    });
+
+    describe('matchUserAgentPatterns', () => {
+        test('should return the matching patterns', () => {
+            expect(userAgentModule.matchUserAgentPatterns('Mozilla/5.0 HeadlessChrome/124.0.0.0'))
+                .toEqual(['/headless/i', '/HeadlessChrome/i']);
+            expect(userAgentModule.matchUserAgentPatterns(navigator.userAgent)).toEqual([]);
+        });
+    });
 });
@@ -132,6 +132,25 @@ describe('Worker Module', () => {
             expect(result.reason).toBe('Worker timeout');
         }, 2000);
 
+        test('should honour a custom timeoutMs', async () => {
+            global.Worker = class MockTimeoutWorker {
+                constructor() {
+                    this.onmessage = null;
+                }
+                postMessage() {
+                    // Never responds
+                }
+                terminate() {}
+            };
+
+            jest.resetModules();
+            const freshModule = require('../../scripts/modules/worker.js');
+            const startTime = Date.now();
+            const result = await freshModule.getWorkerChecks({ timeoutMs: 50 });
+            expect(result.reason).toBe('Worker timeout');
+            expect(Date.now() - startTime).toBeLessThan(1000);
+        });
+
         test('should handle worker error gracefully', async () => {
             global.Worker = class MockErrorWorker {
                 constructor() {
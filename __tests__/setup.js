@@ -7,96 +7,123 @@
 const UNMASKED_VENDOR_WEBGL = 0x9245;
 const UNMASKED_RENDERER_WEBGL = 0x9246;
 
-// Mock HTMLCanvasElement.prototype.getContext
-HTMLCanvasElement.prototype.getContext = function(contextType) {
-  if (contextType === '2d') {
-    // Mock 2D context
-    return {
-      fillStyle: '',
-      strokeStyle: '',
-      fillRect: jest.fn(),
-      strokeRect: jest.fn(),
-      clearRect: jest.fn(),
-      fillText: jest.fn(),
-      strokeText: jest.fn(),
-      measureText: jest.fn((text) => ({ width: 100 })),
-      getImageData: jest.fn(() => ({ data: new Uint8ClampedArray(4) })),
-      putImageData: jest.fn(),
-      createImageData: jest.fn(),
-      setTransform: jest.fn(),
-      drawImage: jest.fn(),
-      save: jest.fn(),
-      restore: jest.fn(),
-      beginPath: jest.fn(),
-      moveTo: jest.fn(),
-      lineTo: jest.fn(),
-      closePath: jest.fn(),
-      stroke: jest.fn(),
-      fill: jest.fn(),
-      arc: jest.fn(),
-      rect: jest.fn(),
-      clip: jest.fn(),
-      isPointInPath: jest.fn(),
-      scale: jest.fn(),
-      rotate: jest.fn(),
-      translate: jest.fn(),
-      transform: jest.fn(),
-      bezierCurveTo: jest.fn(),
-      arcTo: jest.fn(),
-      quadraticCurveTo: jest.fn(),
-      font: '10px sans-serif',
-      textAlign: 'start',
-      textBaseline: 'alphabetic',
-      direction: 'ltr',
-      lineWidth: 1,
-      lineCap: 'butt',
-      lineJoin: 'miter',
-      miterLimit: 10,
-      lineDashOffset: 0,
-      shadowOffsetX: 0,
-      shadowOffsetY: 0,
-      shadowBlur: 0,
-      shadowColor: 'rgba(0, 0, 0, 0)',
-      globalAlpha: 1,
-      globalCompositeOperation: 'source-over',
-      imageSmoothingEnabled: true,
-      canvas: this
-    };
-  } else if (contextType === 'webgl' || contextType === 'experimental-webgl') {
-    // Mock WebGL context
-    return {
-      canvas: this,
-      drawingBufferWidth: 300,
-      drawingBufferHeight: 150,
-      getContextAttributes: jest.fn(() => ({})),
-      isContextLost: jest.fn(() => false),
-      getSupportedExtensions: jest.fn(() => []),
-      getExtension: jest.fn((name) => {
-        if (name === 'WEBGL_debug_renderer_info') {
-          return {
-            UNMASKED_VENDOR_WEBGL: UNMASKED_VENDOR_WEBGL,
-            UNMASKED_RENDERER_WEBGL: UNMASKED_RENDERER_WEBGL
-          };
-        }
-        return null;
-      }),
-      getParameter: jest.fn((param) => {
-        // Mock renderer info using WebGL extension constants
-        if (param === UNMASKED_VENDOR_WEBGL) return 'Mock Vendor';
-        if (param === UNMASKED_RENDERER_WEBGL) return 'Mock Renderer';
-        return null;
-      }),
-      clearColor: jest.fn(),
-      clear: jest.fn(),
-      viewport: jest.fn(),
-      // Add other WebGL methods as needed
-    };
-  }
-  
-  return null;
-};
+// jsdom reports a 0x0 screen: give tests a desktop display with a taskbar.
+// The getters keep jsdom's receiver check, like native ones (see modules/tampering.js)
+if (typeof Screen !== 'undefined') {
+  const screenSize = { width: 1920, height: 1080, availWidth: 1920, availHeight: 1040 };
+  Object.keys(screenSize).forEach(property => {
+    const jsdomGetter = Object.getOwnPropertyDescriptor(Screen.prototype, property).get;
+    const name = `get ${property}`;
+    Object.defineProperty(Screen.prototype, property, {
+      configurable: true,
+      enumerable: true,
+      get: { [name]() {
+        jsdomGetter.call(this);
+        return screenSize[property];
+      } }[name]
+    });
+  });
+}
 
-// Mock canvas.toDataURL
-HTMLCanvasElement.prototype.toDataURL = function(type) {
-  return 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
-};
+// Canvas mocks only apply to the jsdom test environment (build tests run in node)
+if (typeof HTMLCanvasElement !== 'undefined') {
+  // Like native methods, the mocks throw for a receiver that is not a canvas (jsdom's width getter does)
+  // and are methods with the native name and length, without a prototype (see modules/tampering.js)
+  const checkCanvas = Object.getOwnPropertyDescriptor(HTMLCanvasElement.prototype, 'width').get;
+
+  // Mock HTMLCanvasElement.prototype.getContext
+  HTMLCanvasElement.prototype.getContext = { getContext(contextType) {
+    checkCanvas.call(this);
+    if (contextType === '2d') {
+      // Mock 2D context
+      return {
+        fillStyle: '',
+        strokeStyle: '',
+        fillRect: jest.fn(),
+        strokeRect: jest.fn(),
+        clearRect: jest.fn(),
+        fillText: jest.fn(),
+        strokeText: jest.fn(),
+        measureText: jest.fn((text) => ({ width: 100 })),
+        getImageData: jest.fn(() => ({ data: new Uint8ClampedArray(4) })),
+        putImageData: jest.fn(),
+        createImageData: jest.fn(),
+        setTransform: jest.fn(),
+        drawImage: jest.fn(),
+        save: jest.fn(),
+        restore: jest.fn(),
+        beginPath: jest.fn(),
+        moveTo: jest.fn(),
+        lineTo: jest.fn(),
+        closePath: jest.fn(),
+        stroke: jest.fn(),
+        fill: jest.fn(),
+        arc: jest.fn(),
+        rect: jest.fn(),
+        clip: jest.fn(),
+        isPointInPath: jest.fn(),
+        scale: jest.fn(),
+        rotate: jest.fn(),
+        translate: jest.fn(),
+        transform: jest.fn(),
+        bezierCurveTo: jest.fn(),
+        arcTo: jest.fn(),
+        quadraticCurveTo: jest.fn(),
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic',
+        direction: 'ltr',
+        lineWidth: 1,
+        lineCap: 'butt',
+        lineJoin: 'miter',
+        miterLimit: 10,
+        lineDashOffset: 0,
+        shadowOffsetX: 0,
+        shadowOffsetY: 0,
+        shadowBlur: 0,
+        shadowColor: 'rgba(0, 0, 0, 0)',
+        globalAlpha: 1,
+        globalCompositeOperation: 'source-over',
+        imageSmoothingEnabled: true,
+        canvas: this
+      };
+    } else if (contextType === 'webgl' || contextType === 'experimental-webgl') {
+      // Mock WebGL context
+      return {
+        canvas: this,
+        drawingBufferWidth: 300,
+        drawingBufferHeight: 150,
+        getContextAttributes: jest.fn(() => ({})),
+        isContextLost: jest.fn(() => false),
+        getSupportedExtensions: jest.fn(() => []),
+        getExtension: jest.fn((name) => {
+          if (name === 'WEBGL_debug_renderer_info') {
+            return {
+              UNMASKED_VENDOR_WEBGL: UNMASKED_VENDOR_WEBGL,
+              UNMASKED_RENDERER_WEBGL: UNMASKED_RENDERER_WEBGL
+            };
+          }
+          return null;
+        }),
+        getParameter: jest.fn((param) => {
+          // Mock renderer info using WebGL extension constants
+          if (param === UNMASKED_VENDOR_WEBGL) return 'Mock Vendor';
+          if (param === UNMASKED_RENDERER_WEBGL) return 'Mock Renderer';
+          return null;
+        }),
+        clearColor: jest.fn(),
+        clear: jest.fn(),
+        viewport: jest.fn(),
+        // Add other WebGL methods as needed
+      };
+    }
+    
+    return null;
+  } }.getContext;
+
+  // Mock canvas.toDataURL
+  HTMLCanvasElement.prototype.toDataURL = { toDataURL() {
+    checkCanvas.call(this);
+    return 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+  } }.toDataURL;
+}
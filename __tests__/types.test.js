@@ -0,0 +1,353 @@
+/**
+ * Type tests for the declaration files in types/
+ * Type-checks the declarations, the usage files in __tests__/types/ and real
+ * outputs of the detector (serialized as TypeScript literals) with the TypeScript compiler.
+ */
+
+const path = require('path');
+const ts = require('typescript');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUTS_FILE = path.join(__dirname, 'types', 'outputs.ts');
+
+const COMPILER_OPTIONS = {
+  strict: true,
+  noEmit: true,
+  target: ts.ScriptTarget.ES2020,
+  module: ts.ModuleKind.ESNext,
+  moduleResolution: ts.ModuleResolutionKind.Node10,
+  lib: ['lib.es2020.d.ts', 'lib.dom.d.ts'],
+  types: []
+};
+
+/**
+ * Serialize a value as a TypeScript expression (unlike JSON, keeps undefined properties)
+ * @param {*} value - Value to serialize
+ * @returns {string} TypeScript literal
+ */
+function toLiteral(value) {
+  if (value === undefined) return 'undefined';
+  if (value === null || typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NaN';
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(toLiteral).join(', ')}]`;
+  if (typeof value === 'object') {
+    return `{ ${Object.keys(value).map(key => `${JSON.stringify(key)}: ${toLiteral(value[key])}`).join(', ')} }`;
+  }
+  throw new TypeError(`Cannot serialize a ${typeof value}`);
+}
+
+/**
+ * Temporarily replace a property of an object
+ * @param {Object} target - Object to patch
+ * @param {string} key - Property name
+ * @param {PropertyDescriptor} descriptor - Replacement descriptor
+ * @returns {Function} Restores the original property
+ */
+function patch(target, key, descriptor) {
+  const original = Object.getOwnPropertyDescriptor(target, key);
+  Object.defineProperty(target, key, { configurable: true, ...descriptor });
+  return () => {
+    if (original) Object.defineProperty(target, key, original);
+    else delete target[key];
+  };
+}
+
+// Mock Worker reporting a different User-Agent (undefined in jsdom, where the check fails)
+class MismatchWorker {
+  postMessage() {
+    setTimeout(() => this.onmessage({ data: { userAgent: 'HeadlessChrome', platform: 'Linux x86_64' } }), 0);
+  }
+  terminate() { }
+}
+
+/**
+ * Collect real outputs of every module function and of detectHeadless() in several environments
+ * @returns {Promise<Array<[string, string, *]>>} [declaration file, function name, output]
+ */
+async function collectOutputs() {
+  const detector = require('../scripts/headless-detector.js');
+  const { calibrate } = require('../scripts/modules/calibration.js');
+  const server = require('../scripts/modules/server.js');
+  const outputs = [];
+  const add = (name, value) => outputs.push(['index', name, value]);
+  const addChecks = () => {
+    ['detectWebdriver', 'checkWebdriver', 'detectCDP', 'checkCDP', 'detectCDPStackTrace', 'detectConsoleDebugLeak',
+      'checkUserAgent', 'checkClientHints', 'checkWebGL', 'detectPlaywrightExposedFunctions', 'getAutomationFlags',
+      'getHeadlessIndicators', 'checkChromeRuntime', 'checkPermissions', 'getAdvancedChecks', 'checkMediaDevices',
+      'checkWebRTC', 'checkBattery', 'getMediaChecks', 'checkEmojiRendering', 'checkCanvas', 'checkAudioContext',
+      'checkFonts', 'getFingerprintChecks', 'getCheckItemExplanations'
+    ].forEach(name => add(name, detector[name]()));
+  };
+
+  // Plain jsdom: no Worker, no AudioContext, mocked canvas and WebGL
+  const plain = await detector.detectHeadless();
+  add('detectHeadless', plain);
+  add('detectHeadless', await detector.detectHeadless({ include: ['webdriver', 'fingerprintChecks.canvas'] }));
+  add('detectHeadless', await detector.detectHeadless({ exclude: ['webglFlags.renderingTest'], scorer: 'logistic' }));
+  add('getWorkerChecks', await detector.getWorkerChecks());
+  addChecks();
+  add('checkWebGL', detector.checkWebGL({ renderingTest: false }));
+  add('getMediaChecks', detector.getMediaChecks({ webrtc: false }));
+  add('getScoreBreakdown', detector.getScoreBreakdown(plain));
+  add('scoreLogistic', detector.scoreLogistic(plain));
+  add('classifyScore', detector.classifyScore(0.6));
+  add('getProfile', detector.getProfile());
+  add('resolveProfile', detector.resolveProfile({ extends: 'strict', scorer: 'logistic' }));
+  add('normalizeOptions', detector.normalizeOptions(true));
+  add('normalizeOptions', detector.normalizeOptions({ report: { url: '/collect', fields: '*' } }));
+  add('validateResult', detector.validateResult({ isHeadless: 2 }));
+
+  // Automated session: webdriver, ChromeDriver keys, Playwright binding and a Worker UA mismatch
+  const restore = [
+    patch(navigator, 'webdriver', { get: () => true }),
+    patch(window, 'cdc_adoQpoasnfa76pfcZLmcfl_Array', { value: [], enumerable: true }),
+    patch(window, '__playwright__binding__', { value: () => {}, enumerable: true }),
+    patch(window, 'chrome', { value: {}, enumerable: true }),
+    patch(window, 'Worker', { value: MismatchWorker }),
+    patch(window, 'Blob', { value: class { } }),
+    patch(URL, 'createObjectURL', { value: () => 'blob:mock' }),
+    patch(URL, 'revokeObjectURL', { value: () => {} })
+  ];
+  try {
+    add('detectHeadless', await detector.detectHeadless({ attachToWindow: true, profile: 'strict' }));
+    add('getWorkerChecks', await detector.getWorkerChecks());
+    addChecks();
+  } finally {
+    restore.forEach(undo => undo());
+  }
+
+  // Broken environment: canvas and navigator properties throw
+  const throwing = { get() { throw new Error('blocked'); } };
+  const restoreBroken = [
+    patch(HTMLCanvasElement.prototype, 'getContext', { value: () => { throw new Error('blocked'); } }),
+    patch(navigator, 'languages', throwing),
+    patch(navigator, 'userAgentData', throwing)
+  ];
+  try {
+    add('detectHeadless', await detector.detectHeadless({ exclude: ['workerChecks'] }));
+    addChecks();
+  } finally {
+    restoreBroken.forEach(undo => undo());
+  }
+
+  // Legacy results upgraded to the current schema
+  const legacy = JSON.parse(JSON.stringify(plain));
+  ['schemaVersion', 'scoreBreakdown'].forEach(key => delete legacy[key]);
+  add('migrateResult', detector.migrateResult(legacy));
+
+  // Calibration report from the collected results
+  const samples = outputs.filter(([, name]) => name === 'detectHeadless')
+    .map(([, , result], i) => ({ label: i % 2 === 0 ? 'human' : 'bot', result }));
+  outputs.push(['calibration', 'calibrate', calibrate(samples)]);
+
+  // Server verdicts for a valid, a migrated and an invalid payload
+  const headers = { 'user-agent': 'curl/8.0', 'sec-ch-ua': '"HeadlessChrome";v="124"', 'sec-ch-ua-mobile': '?0' };
+  outputs.push(['server', 'verifyResult', server.verifyResult(plain, headers)]);
+  outputs.push(['server', 'verifyResult', server.verifyResult(JSON.stringify(legacy), headers, { scorer: 'logistic' })]);
+  outputs.push(['server', 'verifyResult', server.verifyResult('{}')]);
+  outputs.push(['server', 'checkRequestHeaders', server.checkRequestHeaders(null, headers)]);
+  outputs.push(['server', 'analyzeRequestHeaders', server.analyzeRequestHeaders(headers, ['Host', 'User-Agent', 'Accept'])]);
+  outputs.push(['server', 'parseClientHints', server.parseClientHints(headers)]);
+  add('analyzeBehavior', detector.analyzeBehavior([
+    { type: 'move', t: 0, trusted: true, x: 0, y: 0 }, { type: 'move', t: 16, trusted: true, x: 10, y: 4 },
+    { type: 'move', t: 33, trusted: true, x: 25, y: 5 }, { type: 'down', t: 90, trusted: false, x: 25, y: 5, detail: 1 },
+    { type: 'up', t: 170, trusted: true }, { type: 'keydown', t: 300, trusted: true }, { type: 'keyup', t: 380, trusted: true }
+  ], 400));
+  add('matchUserAgentPatterns', detector.matchUserAgentPatterns('HeadlessChrome/124.0.0.0'));
+  add('detectTampering', detector.detectTampering());
+  add('getIframeChecks', await detector.getIframeChecks());
+  add('checkHighEntropyClientHints', await detector.checkHighEntropyClientHints());
+  // Chromium's userAgentData, with hints contradicting jsdom's User-Agent
+  Object.defineProperty(navigator, 'userAgentData', {
+    configurable: true,
+    value: {
+      brands: [{ brand: 'Chromium', version: '124' }], mobile: false, platform: 'Windows',
+      getHighEntropyValues: async () => ({
+        platform: 'Windows', mobile: false, platformVersion: '15.0.0', architecture: 'x86', bitness: '64',
+        model: '', wow64: false, fullVersionList: [{ brand: 'Chromium', version: '124.0.6367.60' }]
+      })
+    }
+  });
+  add('checkHighEntropyClientHints', await detector.checkHighEntropyClientHints());
+  delete navigator.userAgentData;
+  add('checkLocaleCoherence', detector.checkLocaleCoherence({ geoCountry: 'jp' }));
+  add('checkScreenGeometry', detector.checkScreenGeometry());
+  add('checkMediaFeatures', detector.checkMediaFeatures());
+  add('enumerateMediaDevices', await detector.enumerateMediaDevices());
+  add('queryPermissions', await detector.queryPermissions());
+  // Headless Chrome's device list and permission states
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: { enumerateDevices: async () => [] }
+  });
+  Object.defineProperty(navigator, 'permissions', {
+    configurable: true,
+    value: { query: async ({ name }) => ({ state: name === 'camera' ? 'denied' : 'prompt' }) }
+  });
+  add('enumerateMediaDevices', await detector.enumerateMediaDevices());
+  add('queryPermissions', await detector.queryPermissions());
+  delete navigator.mediaDevices;
+  delete navigator.permissions;
+  add('diffResults', detector.diffResults(null, plain));
+  add('diffResults', detector.diffResults(plain, plain));
+
+  // Results bound to a server nonce, and their verification
+  const challenge = server.createNonce('secret');
+  outputs.push(['server', 'createNonce', challenge]);
+  const signed = await detector.detectHeadless({ exclude: ['workerChecks'], nonce: challenge.nonce, nonceKey: challenge.key });
+  add('detectHeadless', signed);
+  add('parseToken', detector.parseToken(signed.token));
+  outputs.push(['server', 'verifyResult', server.verifyResult(signed, headers, { secret: 'secret' })]);
+  outputs.push(['server', 'verifyToken', server.verifyToken(signed, 'secret')]);
+
+  return outputs;
+}
+
+/**
+ * Write real outputs as typed constants
+ * @param {Array<[string, string, *]>} outputs - collectOutputs() result
+ * @returns {string} TypeScript source
+ */
+function toTypeScript(outputs) {
+  return [
+    "import type * as index from '../../types/index';",
+    "import type * as calibration from '../../types/calibration';",
+    "import type * as server from '../../types/server';",
+    '',
+    ...outputs.map(([file, name, value], i) =>
+      `export const output${i}: Awaited<ReturnType<typeof ${file}.${name}>> = ${toLiteral(value)};`)
+  ].join('\n');
+}
+
+/**
+ * Type-check the declaration files with extra (in-memory) source files
+ * @param {Object<string, string>} sources - Source text by absolute file name
+ * @returns {ts.Program} Program
+ */
+function createProgram(sources) {
+  const host = ts.createCompilerHost(COMPILER_OPTIONS);
+  const { getSourceFile, fileExists, readFile } = host;
+  host.getSourceFile = (fileName, languageVersion, ...rest) => sources[fileName] !== undefined ?
+    ts.createSourceFile(fileName, sources[fileName], languageVersion) :
+    getSourceFile.call(host, fileName, languageVersion, ...rest);
+  host.fileExists = fileName => sources[fileName] !== undefined || fileExists.call(host, fileName);
+  host.readFile = fileName => sources[fileName] !== undefined ? sources[fileName] : readFile.call(host, fileName);
+
+  return ts.createProgram([
+    path.join(ROOT, 'types', 'index.d.ts'),
+    path.join(ROOT, 'types', 'calibration.d.ts'),
+    path.join(ROOT, 'types', 'server.d.ts'),
+    path.join(ROOT, 'types', 'browser.d.ts'),
+    path.join(__dirname, 'types', 'usage.ts'),
+    path.join(__dirname, 'types', 'browser.ts'),
+    ...Object.keys(sources)
+  ], COMPILER_OPTIONS, host);
+}
+
+/**
+ * Format the diagnostics of a file
+ * @param {ts.Program} program - Program
+ * @param {string} fileName - Absolute file name
+ * @returns {string[]} "line: message" per diagnostic
+ */
+function getDiagnostics(program, fileName) {
+  const sourceFile = program.getSourceFile(fileName);
+  return ts.getPreEmitDiagnostics(program, sourceFile).map(diagnostic => {
+    const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+    if (!diagnostic.file) return message;
+    const { line } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+    return `${path.relative(ROOT, diagnostic.file.fileName)}:${line + 1}: ${message}`;
+  });
+}
+
+/**
+ * Names of the values (not types) a declaration file exports
+ * @param {ts.Program} program - Program
+ * @param {string} fileName - Absolute file name
+ * @returns {string[]} Sorted export names
+ */
+function getDeclaredExports(program, fileName) {
+  const checker = program.getTypeChecker();
+  const moduleSymbol = checker.getSymbolAtLocation(program.getSourceFile(fileName));
+  return checker.getExportsOfModule(moduleSymbol)
+    .filter(symbol => symbol.flags & ts.SymbolFlags.Value)
+    .map(symbol => symbol.name)
+    .sort();
+}
+
+/**
+ * Type of an exported interface
+ * @param {ts.Program} program - Program
+ * @param {string} fileName - Absolute file name
+ * @param {string} name - Interface name
+ * @returns {ts.Type} Interface type
+ */
+function getDeclaredInterface(program, fileName, name) {
+  const checker = program.getTypeChecker();
+  const moduleSymbol = checker.getSymbolAtLocation(program.getSourceFile(fileName));
+  const symbol = checker.getExportsOfModule(moduleSymbol).find(s => s.name === name);
+  return checker.getDeclaredTypeOfSymbol(symbol);
+}
+
+describe('Type declarations', () => {
+  let program;
+  let outputs;
+
+  beforeAll(async () => {
+    jest.resetModules();
+    outputs = await collectOutputs();
+    program = createProgram({ [OUTPUTS_FILE]: toTypeScript(outputs) });
+  }, 60000);
+
+  test('should compile in strict mode', () => {
+    ['index.d.ts', 'calibration.d.ts', 'server.d.ts', 'browser.d.ts'].forEach(file => {
+      expect(getDiagnostics(program, path.join(ROOT, 'types', file))).toEqual([]);
+    });
+  });
+
+  test('should type the package API as documented', () => {
+    expect(getDiagnostics(program, path.join(__dirname, 'types', 'usage.ts'))).toEqual([]);
+    expect(getDiagnostics(program, path.join(__dirname, 'types', 'browser.ts'))).toEqual([]);
+  });
+
+  test('should accept real outputs of every module function and detectHeadless()', () => {
+    const names = new Set(outputs.map(([, name]) => name));
+    ['detectHeadless', 'checkUserAgent', 'getFingerprintChecks', 'getWorkerChecks', 'calibrate', 'verifyResult']
+      .forEach(name => expect(names.has(name)).toBe(true));
+
+    expect(getDiagnostics(program, OUTPUTS_FILE)).toEqual([]);
+  });
+
+  test('should reject outputs with undeclared properties', () => {
+    const checkProgram = createProgram({
+      [OUTPUTS_FILE]: toTypeScript([['index', 'checkFonts', { available: true, suspicious: false, fontCount: 3 }]])
+    });
+    expect(getDiagnostics(checkProgram, OUTPUTS_FILE)).toEqual([
+      expect.stringMatching(/fontCount.* does not exist in type 'FontsResult'/)
+    ]);
+  });
+
+  test('should declare every export of the package and of the calibration and server entry points', () => {
+    jest.resetModules();
+    expect(getDeclaredExports(program, path.join(ROOT, 'types', 'index.d.ts')))
+      .toEqual(Object.keys(require('../scripts/headless-detector.js')).sort());
+    expect(getDeclaredExports(program, path.join(ROOT, 'types', 'calibration.d.ts')))
+      .toEqual(Object.keys(require('../scripts/modules/calibration.js')).sort());
+    expect(getDeclaredExports(program, path.join(ROOT, 'types', 'server.d.ts')))
+      .toEqual(Object.keys(require('../scripts/modules/server.js')).sort());
+  });
+
+  test('should declare the HeadlessDetector window global', () => {
+    jest.resetModules();
+    delete window.HeadlessDetector;
+    require('../scripts/browser.js');
+    const checker = program.getTypeChecker();
+    const declared = getDeclaredInterface(program, path.join(ROOT, 'types', 'browser.d.ts'), 'HeadlessDetectorGlobal');
+    const names = type => type.getProperties().map(symbol => symbol.name).sort();
+    const checks = checker.getTypeOfSymbol(declared.getProperty('checks'));
+
+    expect(names(declared)).toEqual(Object.keys(window.HeadlessDetector).sort());
+    expect(names(checks)).toEqual(Object.keys(window.HeadlessDetector.checks).sort());
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Type test: the globals of the browser <script> build.
+ * Type-checked (not run) by __tests__/types.test.js.
+ */
+
+/// <reference path="../../types/browser.d.ts" />
+
+async function browserUsage(): Promise<void> {
+  const results = await window.HeadlessDetector.detect({ attachToWindow: true });
+  const classification: string = results.summary.classification;
+
+  const attached: number | undefined = window.__headlessDetection?.isHeadless;
+  const renderer: string | undefined = HeadlessDetector.checks.webgl({ renderingTest: false }).renderer;
+  const defaultWeight: number = HeadlessDetector.defaultWeights['cdp-detected'];
+  const worker = await getWorkerChecks();
+  const legacy = await detectHeadless(true);
+  const canvas = HeadlessDetectorModules.checkCanvas();
+
+  // @ts-expect-error - not part of the HeadlessDetector global
+  HeadlessDetector.detectWebdriver();
+
+  void [classification, attached, renderer, defaultWeight, worker.reason, legacy.summary, canvas.hash];
+}
+
+void browserUsage;
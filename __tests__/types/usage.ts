@@ -0,0 +1,132 @@
+/**
+ * Type test: typical use of the package API.
+ * Type-checked (not run) by __tests__/types.test.js; @ts-expect-error lines must fail to compile.
+ */
+
+import {
+  detectHeadless,
+  checkUserAgent,
+  getFingerprintChecks,
+  getWorkerChecks,
+  getCheckItemExplanations,
+  monitor,
+  on,
+  registerCheck,
+  scoreResults,
+  setProfile,
+  DEFAULT_WEIGHTS
+} from '../../types/index';
+import type { DetectionResults, WeightProfile } from '../../types/index';
+import { calibrate } from '../../types/calibration';
+import { createExpressMiddleware, verifyResult } from '../../types/server';
+import type { Verdict } from '../../types/server';
+
+async function usage(): Promise<void> {
+  const results = await detectHeadless({ exclude: ['workerChecks'], profile: 'strict', scorer: 'logistic' });
+
+  const score: number = results.isHeadless;
+  const confidence: number | null = results.summary.confidence;
+  const firstCheckId: string | undefined = results.summary.detections[0]?.checkId;
+
+  // A check that throws reports a CheckError instead of its result
+  const webgl = results.webglFlags;
+  const noiseRatio: string | undefined = webgl && 'supported' in webgl ? webgl.renderingTest?.noiseRatio : undefined;
+  const workerResult = results.workerChecks;
+  const platformMismatch: boolean | undefined = workerResult && 'available' in workerResult ? workerResult.platformMismatch : undefined;
+  const fingerprint = results.fingerprintChecks;
+  const emojiOS = fingerprint && !('error' in fingerprint) ? fingerprint.canvas?.emojiCheck?.detectedOS : undefined;
+
+  // Results that can fail as a whole narrow on `error`
+  const flags = results.automationFlags;
+  if (flags && !('error' in flags)) {
+    const plugins: number = flags.plugins;
+    const exposed: string[] | undefined = flags.playwrightExposedFunctions.functions;
+  }
+
+  // Registered checks are keyed by id and typed unknown
+  const custom: unknown = results.myCheck;
+
+  const ua = checkUserAgent();
+  const brands: string[] | undefined = ua.clientHints?.brands;
+
+  const fingerprints = getFingerprintChecks({ audioContext: false });
+  const fonts: number | undefined = fingerprints.fonts?.detectedCount;
+
+  const worker = await getWorkerChecks({ timeoutMs: 500 });
+  const workerUA: string | null = worker.workerUserAgent;
+
+  const label: string = getCheckItemExplanations()['webdriver-status'].label;
+
+  // The run function's return type flows into score and items
+  registerCheck({
+    id: 'myCheck',
+    run: () => ({ detected: true, hits: 2 }),
+    score: value => value.detected ? [{ id: 'my-signal', weight: 0.1 * value.hits }] : [],
+    items: value => ({ 'my-check': value.detected }),
+    severity: 'high'
+  });
+
+  const stored: DetectionResults = JSON.parse('{}');
+  const rescored: number = scoreResults(stored, { ...DEFAULT_WEIGHTS, webdriver: 0.5 });
+
+  const profile: WeightProfile = { name: 'login', extends: 'strict', thresholds: { likelyHeadless: 0.4 } };
+  setProfile(profile);
+
+  const report = calibrate([{ label: 'bot', result: stored }, { label: 'human', result: stored }]);
+  await detectHeadless({ profile: report.profile });
+  await detectHeadless({ report: { url: '/collect', sampleRate: 0.1, fields: ['isHeadless', 'summary.riskLevel'] } });
+  await detectHeadless({ geoCountry: 'DE' });
+
+  // Re-run the cheap checks over the session
+  const session = monitor({ intervalMs: 10000, onChange: change => change.addedSignals.includes('playwright-exposed') });
+  const latest: number | undefined = session.getResults()?.isHeadless;
+  await session.refresh();
+  session.stop();
+
+  // Detection lifecycle events, as handlers or DOM events
+  const unsubscribe = on('check:complete', ({ checkId }) => checkId.length);
+  on('result', detected => detected.summary.riskLevel);
+  unsubscribe();
+  document.addEventListener('headless-detector:result', event => event.detail.isHeadless);
+
+  // Server-side verification of posted results
+  const verdict: Verdict = verifyResult(JSON.stringify(results), { 'user-agent': 'curl/8.0' }, { profile: 'strict' });
+  const serverScore: number = verdict.isHeadless;
+  const userAgentMatch: boolean | null = verdict.requestHeaders.userAgentMatch;
+  const headerSignals: string[] = verdict.headerAnalysis.signals;
+  const middleware = createExpressMiddleware({ limit: 50000 });
+  const req: { headers: { [name: string]: string }; headlessVerdict?: Verdict } = { headers: {} };
+  middleware(req, {}, () => req.headlessVerdict?.riskLevel);
+
+  // @ts-expect-error - unknown profile preset
+  await detectHeadless({ profile: 'paranoid' });
+
+  // @ts-expect-error - unknown scorer
+  await detectHeadless({ scorer: 'bayes' });
+
+  // @ts-expect-error - unknown report transport
+  await detectHeadless({ report: { url: '/collect', transport: 'xhr' } });
+
+  // @ts-expect-error - unknown detection event
+  on('done', () => undefined);
+
+  // @ts-expect-error - monitor() has no boolean form
+  monitor(true);
+
+  // @ts-expect-error - unknown threshold
+  setProfile({ thresholds: { veryHeadless: 0.9 } });
+
+  // @ts-expect-error - score receives the run function's result
+  registerCheck({ id: 'typo', run: () => ({ detected: true }), score: value => value.detectd ? 1 : 0 });
+
+  // @ts-expect-error - verdicts carry no check results
+  const verdictWebdriver = verdict.webdriver;
+
+  // @ts-expect-error - workerChecks may be null when excluded
+  const reason: string = results.workerChecks.reason;
+
+  void [score, confidence, firstCheckId, noiseRatio, platformMismatch, emojiOS, custom,
+    brands, fonts, workerUA, label, rescored, serverScore, userAgentMatch, headerSignals, verdictWebdriver, reason];
+}
+
+void usage;
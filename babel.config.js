@@ -0,0 +1,7 @@
+/**
+ * Babel configuration - used by Jest only.
+ * The sources in scripts/ are ES modules; Jest runs them as CommonJS.
+ */
+module.exports = {
+  plugins: ['@babel/plugin-transform-modules-commonjs']
+};
@@ -0,0 +1,68 @@
+/**
+ * Build script
+ * Bundles the ES module sources in scripts/ into dist/:
+ * - headless-detector.mjs     ES module with tree-shakable named exports (no global side effects)
+ * - headless-detector.cjs     CommonJS
+ * - headless-detector.js      browser IIFE (window.detectHeadless, window.HeadlessDetector)
+ * - headless-detector.min.js  minified browser IIFE
+ * - calibration.mjs / .cjs    calibration tool (Node.js)
+ * - server.mjs / .cjs         server-side verification and middleware (Node.js)
+ *
+ * Usage: node build.js
+ */
+
+const path = require('path');
+const esbuild = require('esbuild');
+
+const SCRIPTS_DIR = path.join(__dirname, 'scripts');
+const OUT_DIR = path.join(__dirname, 'dist');
+
+const BANNER = `/*! headless-detector v${require('./package.json').version} | MIT License */`;
+
+/**
+ * esbuild options for each build
+ * @returns {Object[]} Build options
+ */
+function getBuilds() {
+    const common = {
+        bundle: true,
+        target: 'es2020',
+        banner: { js: BANNER },
+        logLevel: 'silent'
+    };
+    const library = { ...common, platform: 'neutral', entryPoints: [path.join(SCRIPTS_DIR, 'headless-detector.js')] };
+    const browser = { ...common, platform: 'browser', format: 'iife', entryPoints: [path.join(SCRIPTS_DIR, 'browser.js')] };
+    const calibration = { ...common, platform: 'node', entryPoints: [path.join(SCRIPTS_DIR, 'modules', 'calibration.js')] };
+    const server = { ...common, platform: 'node', entryPoints: [path.join(SCRIPTS_DIR, 'modules', 'server.js')] };
+
+    return [
+        { ...library, format: 'esm', outfile: path.join(OUT_DIR, 'headless-detector.mjs') },
+        { ...library, format: 'cjs', outfile: path.join(OUT_DIR, 'headless-detector.cjs') },
+        { ...browser, outfile: path.join(OUT_DIR, 'headless-detector.js') },
+        { ...browser, minify: true, outfile: path.join(OUT_DIR, 'headless-detector.min.js') },
+        { ...calibration, format: 'esm', outfile: path.join(OUT_DIR, 'calibration.mjs') },
+        { ...calibration, format: 'cjs', outfile: path.join(OUT_DIR, 'calibration.cjs') },
+        { ...server, format: 'esm', outfile: path.join(OUT_DIR, 'server.mjs') },
+        { ...server, format: 'cjs', outfile: path.join(OUT_DIR, 'server.cjs') }
+    ];
+}
+
+/**
+ * Run every build
+ * @param {Object} [options] - Extra esbuild options (e.g. { write: false })
+ * @returns {Promise<Object[]>} esbuild results, in getBuilds() order
+ */
+function build(options = {}) {
+    return Promise.all(getBuilds().map(config => esbuild.build({ ...config, ...options })));
+}
+
+if (require.main === module) {
+    build().then(() => {
+        getBuilds().forEach(config => console.log(path.relative(__dirname, config.outfile)));
+    }).catch(e => {
+        console.error(e.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { getBuilds, build };
@@ -1,5 +1,8 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 
+// How long to wait for a detector script loaded after the page's load event
+const READY_TIMEOUT_MS = 2000;
+
 /**
  * Custom hook for headless browser detection
  * Separates detection logic from UI components
@@ -42,54 +45,51 @@ export function useHeadlessDetection() {
         // Reset mount state
         isMountedRef.current = true;
         
-        // Run detection when component mounts, waiting for script readiness
+        // Run detection when component mounts, once the detector announces it is ready
         let cancelled = false;
-        let timeoutId = null;
-        const maxWaitMs = 2000;
-        const pollIntervalMs = 50;
-        const startTime = Date.now();
+        let unsubscribe = null;
+        let timeout = null;
 
-        const tryRunDetection = () => {
+        const onReady = () => {
+            clearTimeout(timeout);
             if (cancelled || !isMountedRef.current) {
                 return;
             }
+            runDetection();
+        };
 
-            if (window.detectHeadless) {
-                runDetection();
-                return;
-            }
-
-            if (Date.now() - startTime >= maxWaitMs) {
-                // Give up after max wait time
-                if (isMountedRef.current) {
+        const onLoad = () => {
+            // The page finished loading without the detection script: it may still be
+            // injected or loaded asynchronously (hot reloads), so wait a bounded time for it
+            timeout = setTimeout(() => {
+                if (!cancelled && isMountedRef.current && !window.HeadlessDetector) {
                     setError('Detection script not loaded');
                     setLoading(false);
                 }
-                return;
-            }
-
-            timeoutId = setTimeout(tryRunDetection, pollIntervalMs);
-        };
-
-        const onDomReady = () => {
-            if (cancelled || !isMountedRef.current) {
-                return;
-            }
-            tryRunDetection();
+            }, READY_TIMEOUT_MS);
         };
 
-        if (document.readyState === 'complete' || document.readyState === 'interactive') {
-            onDomReady();
+        if (window.HeadlessDetector) {
+            // Called right away if the detector is already ready
+            unsubscribe = window.HeadlessDetector.on('ready', onReady);
         } else {
-            document.addEventListener('DOMContentLoaded', onDomReady, { once: true });
+            document.addEventListener('headless-detector:ready', onReady, { once: true });
+            if (document.readyState === 'complete') {
+                onLoad();
+            } else {
+                window.addEventListener('load', onLoad, { once: true });
+            }
         }
         
         return () => {
             cancelled = true;
             isMountedRef.current = false;
-            if (timeoutId !== null) {
-                clearTimeout(timeoutId);
+            clearTimeout(timeout);
+            if (unsubscribe) {
+                unsubscribe();
             }
+            document.removeEventListener('headless-detector:ready', onReady);
+            window.removeEventListener('load', onLoad);
         };
     }, [runDetection]);
 
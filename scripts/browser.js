@@ -0,0 +1,65 @@
+/**
+ * Browser Bundle Entry Point
+ * Defines the globals of the <script> build (dist/headless-detector.js):
+ * detectHeadless, getWorkerChecks, HeadlessDetector and HeadlessDetectorModules.
+ * The ES module and CommonJS builds do not include this file.
+ * @module browser
+ */
+
+import * as modules from './headless-detector.js';
+import { emit } from './modules/events.js';
+import { version as PACKAGE_VERSION } from '../package.json';
+
+if (typeof window !== 'undefined') {
+    // Every module function, for pages that used the per-module scripts
+    window.HeadlessDetectorModules = Object.assign(window.HeadlessDetectorModules || {}, modules);
+
+    // Main detection function
+    window.detectHeadless = modules.detectHeadless;
+    window.getWorkerChecks = modules.getWorkerChecks;
+
+    // Expose individual checkers for automation testing
+    window.HeadlessDetector = {
+        detect: modules.detectHeadless,
+        getScore: modules.calculateHeadlessScore,
+        monitor: modules.monitor,
+        on: modules.on,
+        off: modules.off,
+        scoreResults: modules.scoreResults,
+        getScoreBreakdown: modules.getScoreBreakdown,
+        scoreLogistic: modules.scoreLogistic,
+        registerCheck: modules.registerCheck,
+        unregisterCheck: modules.unregisterCheck,
+        getRegisteredChecks: modules.getRegisteredChecks,
+        getWorkerChecks: modules.getWorkerChecks,
+        defaultWeights: modules.DEFAULT_WEIGHTS,
+        defaultThresholds: modules.DEFAULT_THRESHOLDS,
+        defaultLogOdds: modules.DEFAULT_LOG_ODDS,
+        profiles: modules.PROFILE_PRESETS,
+        setProfile: modules.setProfile,
+        getProfile: modules.getProfile,
+        checks: {
+            webdriver: modules.detectWebdriver,
+            cdp: modules.detectCDP,
+            userAgent: modules.checkUserAgent,
+            webgl: modules.checkWebGL,
+            automationFlags: modules.getAutomationFlags,
+            headlessIndicators: modules.getHeadlessIndicators,
+            advanced: modules.getAdvancedChecks,
+            media: modules.getMediaChecks,
+            fingerprints: modules.getFingerprintChecks
+        }
+    };
+
+    // Announce the globals on page load: HeadlessDetector.on('ready') and the
+    // headless-detector:ready DOM event (window.__headlessDetectionReady for polling pages)
+    const ready = () => {
+        window.__headlessDetectionReady = true;
+        emit('ready', { version: PACKAGE_VERSION });
+    };
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', ready);
+    } else {
+        ready();
+    }
+}
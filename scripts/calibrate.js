@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Calibration CLI
+ * Fits a weights profile from labelled detectHeadless() results.
+ *
+ * Usage: node scripts/calibrate.js <samples.json|samples.jsonl>... [--name <name>] [--out <profile.json>] [--json]
+ *
+ * Each sample is { "label": "bot"|"human", "result": {...} } or a results object
+ * with a "label" property. .json files hold an array of samples, .jsonl files one per line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Load the CommonJS build of the calibration module (the sources are ES modules)
+ * @returns {Function} calibrate()
+ */
+function loadCalibrate() {
+    try {
+        return require('../dist/calibration.cjs').calibrate;
+    } catch (e) {
+        if (e.code !== 'MODULE_NOT_FOUND') throw e;
+        throw new Error('dist/calibration.cjs not found - run `npm run build` first');
+    }
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { files, name, out, json }
+ */
+function parseArgs(argv) {
+    const args = { files: [], name: undefined, out: undefined, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--name') args.name = argv[++i];
+        else if (argv[i] === '--out') args.out = argv[++i];
+        else if (argv[i] === '--json') args.json = true;
+        else args.files.push(argv[i]);
+    }
+    return args;
+}
+
+/**
+ * Read labelled samples from a .json or .jsonl file
+ * @param {string} file - File path
+ * @returns {Object[]} Samples
+ */
+function readSamples(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (path.extname(file) === '.jsonl') {
+        return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+    const samples = JSON.parse(text);
+    return Array.isArray(samples) ? samples : [samples];
+}
+
+/**
+ * Format calibration metrics as text
+ * @param {string} title - Section title
+ * @param {Object} metrics - evaluateScores() output
+ * @returns {string} Report section
+ */
+function formatMetrics(title, metrics) {
+    const m = metrics.confusionMatrix;
+    return [
+        `${title}`,
+        `  ROC AUC: ${metrics.auc}`,
+        ...metrics.thresholds.map(t =>
+            `  ${t.classification} (> ${t.threshold}): FPR ${t.falsePositiveRate}, TPR ${t.truePositiveRate}`),
+        `  Confusion matrix (> ${m.threshold}): TP ${m.truePositives}, FP ${m.falsePositives}, ` +
+            `TN ${m.trueNegatives}, FN ${m.falseNegatives}`
+    ].join('\n');
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    if (args.files.length === 0) {
+        console.error('Usage: node scripts/calibrate.js <samples.json|samples.jsonl>... [--name <name>] [--out <profile.json>] [--json]');
+        return 1;
+    }
+
+    const samples = args.files.reduce((all, file) => all.concat(readSamples(file)), []);
+    const report = loadCalibrate()(samples, { name: args.name });
+
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify(report.profile, null, 2) + '\n');
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`Samples: ${report.samples.total} (${report.samples.bots} bots, ${report.samples.humans} humans)`);
+        console.log(formatMetrics('Calibrated profile', report.metrics));
+        console.log(formatMetrics('Default weights', report.baseline));
+        console.log('Signals (log-odds, weight, bots, humans):');
+        report.signals.forEach(s => console.log(`  ${s.id}: ${s.logOdds}, ${s.weight}, ${s.bots}, ${s.humans}`));
+        if (args.out) console.log(`Profile written to ${args.out}`);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { parseArgs, readSamples, main };
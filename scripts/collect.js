@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Reference Collector CLI
+ * Receives detectHeadless({ report }) batches and appends each run to an NDJSON file.
+ *
+ * Usage: node scripts/collect.js [--port <port>] [--out <reports.ndjson>] [--origin <origin>]
+ *
+ * Point the report option at it: detectHeadless({ report: { url: 'http://localhost:8787/' } })
+ */
+
+const http = require('http');
+
+/**
+ * Load the CommonJS build of the server module (the sources are ES modules)
+ * @returns {Function} createCollector()
+ */
+function loadCreateCollector() {
+    try {
+        return require('../dist/server.cjs').createCollector;
+    } catch (e) {
+        if (e.code !== 'MODULE_NOT_FOUND') throw e;
+        throw new Error('dist/server.cjs not found - run `npm run build` first');
+    }
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { port, out, origin }
+ */
+function parseArgs(argv) {
+    const args = { port: 8787, out: 'reports.ndjson', origin: '*' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--out') args.out = argv[++i];
+        else if (argv[i] === '--origin') args.origin = argv[++i];
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    if (!Number.isInteger(args.port) || args.port < 0) throw new Error('--port must be a port number');
+    return args;
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    const collector = loadCreateCollector()({ file: args.out, origin: args.origin });
+    const server = http.createServer(collector);
+    server.listen(args.port, () => {
+        console.log(`Collecting reports on http://localhost:${server.address().port}/ into ${args.out}`);
+    });
+    return server;
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { parseArgs, main };
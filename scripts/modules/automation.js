@@ -4,29 +4,21 @@
  * @module modules/automation
  */
 
+import { withTimeout } from './timeout.js';
+
 /**
  * Detect Playwright exposed functions (2026: Castle.io method)
  * Playwright exposes functions with __installed property and specific toString() output
  * NOTE: We exclude our own HeadlessDetector functions
  * @returns {Object} Playwright detection results
  */
-function detectPlaywrightExposedFunctions() {
+export function detectPlaywrightExposedFunctions() {
     try {
         let matchedCount = 0;
         const suspiciousFunctions = [];
 
-        // Our own functions to ignore
-        const ourFunctions = [
-            '_calculateHeadlessScore', '_detectWebdriver', '_detectPlaywrightExposedFunctions',
-            '_getAutomationFlags', '_detectCDP', '_getHeadlessIndicators', '_checkUserAgent',
-            '_checkWebGL', '_getAdvancedChecks', '_getMediaChecks', '_getFingerprintChecks',
-            '_getWorkerChecks', '_getWorkerChecksSync', '_getDetectionExplanations',
-            '_generateDetectionSummary', '_checkCanvas', '_checkAudioContext', '_checkFonts',
-            '_simpleHash', '_checkEmojiRendering', '_performWebGLRenderingTest',
-            '_checkMediaDevices', '_checkWebRTC', '_checkBattery', '_detectCDPStackTrace',
-            '_checkChromeRuntime', '_checkPermissions', '_detectConsoleDebugLeak',
-            '_getCheckItemExplanations', 'detectHeadless', 'HeadlessDetector'
-        ];
+        // Our own globals to ignore (the browser bundle keeps everything else private)
+        const ourFunctions = ['detectHeadless', 'getWorkerChecks', 'HeadlessDetector'];
 
         Object.entries(window).forEach(([key, value]) => {
             // Skip our own functions
@@ -78,7 +70,7 @@ function detectPlaywrightExposedFunctions() {
  * Get all automation-related flags (2025 updated)
  * @returns {Object} Automation flags
  */
-function getAutomationFlags() {
+export function getAutomationFlags() {
     try {
         return {
             // Core automation (2025: still relevant)
@@ -131,7 +123,7 @@ function getAutomationFlags() {
  * Get headless browser indicators
  * @returns {Object} Headless indicators
  */
-function getHeadlessIndicators() {
+export function getHeadlessIndicators() {
     try {
         return {
             // Window dimensions (headless often has no outer dimensions)
@@ -191,7 +183,7 @@ function getHeadlessIndicators() {
  * Regular Chrome browsers (desktop and mobile) do NOT expose chrome.runtime to normal web pages.
  * @returns {Object} Chrome runtime check results
  */
-function checkChromeRuntime() {
+export function checkChromeRuntime() {
     try {
         const hasChrome = !!window.chrome;
         const hasRuntime = !!(window.chrome && window.chrome.runtime);
@@ -214,12 +206,78 @@ function checkChromeRuntime() {
     }
 }
 
+/**
+ * Permissions queried by queryPermissions()
+ */
+export const QUERIED_PERMISSIONS = ['notifications', 'geolocation', 'camera'];
+
+/**
+ * Query permission states (asynchronous counterpart of checkPermissions)
+ * Headless Chrome reports Notification.permission "denied" while the Permissions API
+ * says "prompt" for notifications; real browsers report "default" with "prompt".
+ * @param {Object} [options] - Check options
+ * @param {number} [options.timeoutMs=1000] - Give up waiting for the queries after this many milliseconds
+ * @returns {Promise<Object>} Permission query results with consistent schema
+ */
+export function queryPermissions(options = {}) {
+    // Consistent result schema
+    const createResult = (overrides = {}) => ({
+        available: false,
+        suspicious: false,
+        notificationContradiction: false,
+        notificationPermission: null,
+        states: null,
+        reason: '',
+        error: null,
+        ...overrides
+    });
+
+    let permissions;
+    let notificationPermission;
+    try {
+        permissions = navigator.permissions;
+        notificationPermission = typeof Notification !== 'undefined' ? Notification.permission : 'unsupported';
+    } catch (e) {
+        return Promise.resolve(createResult({ error: e.message, reason: "Permission query failed" }));
+    }
+    if (!permissions || typeof permissions.query !== 'function') {
+        return Promise.resolve(createResult({ notificationPermission: notificationPermission, reason: "Permissions API not supported" }));
+    }
+
+    // Browsers reject the permission names they do not know (Firefox: camera)
+    const query = name => Promise.resolve()
+        .then(() => permissions.query({ name: name }))
+        .then(status => status.state, () => 'unsupported');
+
+    return withTimeout(
+        Promise.all(QUERIED_PERMISSIONS.map(query)).then(results => {
+            const states = {};
+            QUERIED_PERMISSIONS.forEach((name, index) => {
+                states[name] = results[index];
+            });
+            const contradiction = notificationPermission === 'denied' && states.notifications === 'prompt';
+            return createResult({
+                available: true,
+                suspicious: contradiction,
+                notificationContradiction: contradiction,
+                notificationPermission: notificationPermission,
+                states: states,
+                reason: contradiction ?
+                    "Notification.permission is denied but the notifications query is prompt" :
+                    "Consistent"
+            });
+        }),
+        options,
+        () => createResult({ notificationPermission: notificationPermission, reason: "Permission query timeout" })
+    );
+}
+
 /**
  * Check Permissions API behavior (2025 method)
  * Headless browsers often have different default permission states
  * @returns {Object} Permissions check results
  */
-function checkPermissions() {
+export function checkPermissions() {
     try {
         if (!navigator.permissions) {
             return { available: false };
@@ -238,23 +296,3 @@ function checkPermissions() {
         return { available: false, error: true };
     }
 }
-
-// Export for different module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-        detectPlaywrightExposedFunctions,
-        getAutomationFlags,
-        getHeadlessIndicators,
-        checkChromeRuntime,
-        checkPermissions
-    };
-}
-
-if (typeof window !== 'undefined') {
-    window.HeadlessDetectorModules = window.HeadlessDetectorModules || {};
-    window.HeadlessDetectorModules.detectPlaywrightExposedFunctions = detectPlaywrightExposedFunctions;
-    window.HeadlessDetectorModules.getAutomationFlags = getAutomationFlags;
-    window.HeadlessDetectorModules.getHeadlessIndicators = getHeadlessIndicators;
-    window.HeadlessDetectorModules.checkChromeRuntime = checkChromeRuntime;
-    window.HeadlessDetectorModules.checkPermissions = checkPermissions;
-}
@@ -0,0 +1,421 @@
+/**
+ * Behavior Detection Module
+ * Passive behavioral biometrics: records mouse, touch, keyboard and scroll events
+ * and flags input that a human hand does not produce - perfectly straight mouse or
+ * touch paths (page.mouse.move), zero-jitter timing, untrusted (script-dispatched)
+ * events and clicks without any preceding pointer movement.
+ * Only timings and coordinates are recorded, never keys or targets.
+ * @module modules/behavior
+ */
+
+/**
+ * Default recording options
+ */
+export const DEFAULT_BEHAVIOR_OPTIONS = {
+    // Wait until events were recorded for this long before analyzing them. 0 analyzes what was
+    // recorded so far: at page load that is usually nothing, so start recording early or set a window
+    windowMs: 0,
+    // Keep the most recent events only
+    maxEvents: 1000
+};
+
+/**
+ * A pause longer than this starts a new pointer path or scroll burst
+ */
+const SEGMENT_GAP_MS = 150;
+
+/**
+ * Pointer paths shorter than this (points or pixels) are not tested for straightness
+ */
+const MIN_SEGMENT_POINTS = 5;
+const MIN_SEGMENT_LENGTH = 20;
+
+/**
+ * Maximum distance (px) of a point from the chord of a "perfectly straight" path
+ */
+const STRAIGHT_TOLERANCE_PX = 1;
+
+/**
+ * Timings whose standard deviation is below this (ms) have no human jitter
+ */
+const ZERO_JITTER_MS = 0.5;
+
+/**
+ * Mouse events this soon after a touch are emulated from the touch
+ */
+const TOUCH_EMULATION_MS = 1000;
+
+/**
+ * Pages dispatch the odd synthetic event themselves (UI widgets, el.dispatchEvent(new MouseEvent(...))):
+ * untrusted input only counts when there are this many events, and this share of all input
+ */
+const MIN_UNTRUSTED_EVENTS = 3;
+const MIN_UNTRUSTED_RATIO = 0.5;
+
+/**
+ * Recorded types a user produces by hand (scroll events are trusted even when a script scrolls)
+ */
+const INPUT_TYPES = ['move', 'down', 'up', 'touch', 'keydown', 'keyup'];
+
+/**
+ * Events recorded, by DOM event type
+ */
+const RECORDED_EVENTS = {
+    mousemove: 'move',
+    mousedown: 'down',
+    mouseup: 'up',
+    touchstart: 'touch',
+    touchmove: 'touch',
+    keydown: 'keydown',
+    keyup: 'keyup',
+    scroll: 'scroll'
+};
+
+let recorder = null;
+
+/**
+ * Start recording input events (passive listeners on document). Does nothing if already recording.
+ * detectHeadless() starts recording on first run; call this early to record a longer window.
+ * @param {Object} [options] - Recording options
+ * @param {number} [options.maxEvents=1000] - Keep the most recent events only
+ * @returns {boolean} True if recording (false without a document)
+ */
+export function startBehaviorRecording(options = {}) {
+    if (recorder) return true;
+    if (typeof document === 'undefined' || typeof document.addEventListener !== 'function') return false;
+
+    const maxEvents = Number.isInteger(options.maxEvents) && options.maxEvents > 0 ?
+        options.maxEvents : DEFAULT_BEHAVIOR_OPTIONS.maxEvents;
+    const events = [];
+    const listener = event => {
+        const record = {
+            type: RECORDED_EVENTS[event.type],
+            t: typeof event.timeStamp === 'number' && event.timeStamp > 0 ? event.timeStamp : now(),
+            trusted: event.isTrusted !== false
+        };
+        if (record.type === 'move' || record.type === 'down') {
+            record.x = event.clientX;
+            record.y = event.clientY;
+            record.detail = event.detail;
+        } else if (record.type === 'touch') {
+            // The finger that touched or moved; pinches are followed by their first finger
+            const touch = event.changedTouches && event.changedTouches[0];
+            if (touch) {
+                record.x = touch.clientX;
+                record.y = touch.clientY;
+            }
+        } else if (record.type === 'scroll') {
+            record.y = typeof window !== 'undefined' ? window.scrollY || 0 : 0;
+        }
+        events.push(record);
+        if (events.length > maxEvents) events.shift();
+    };
+
+    Object.keys(RECORDED_EVENTS).forEach(type => {
+        document.addEventListener(type, listener, { capture: true, passive: true });
+    });
+    recorder = { events: events, listener: listener, startedAt: now() };
+    return true;
+}
+
+/**
+ * Stop recording and discard the recorded events
+ * @returns {boolean} True if recording was active
+ */
+export function stopBehaviorRecording() {
+    if (!recorder) return false;
+    Object.keys(RECORDED_EVENTS).forEach(type => {
+        document.removeEventListener(type, recorder.listener, { capture: true });
+    });
+    recorder = null;
+    return true;
+}
+
+/**
+ * Analyze the input recorded so far (starts recording if needed)
+ * @param {Object} [options] - Check options
+ * @param {number} [options.windowMs=0] - Wait until events were recorded for this long
+ * @returns {Promise<Object>} Behavior analysis results (see analyzeBehavior)
+ */
+export async function getBehaviorChecks(options = {}) {
+    if (!startBehaviorRecording()) {
+        return { ...analyzeBehavior([], 0), available: false };
+    }
+
+    const windowMs = typeof options.windowMs === 'number' && options.windowMs > 0 ? options.windowMs : 0;
+    let remaining = recorder.startedAt + windowMs - now();
+    // Timers may fire a little early by performance.now(): wait again until the window has passed
+    while (remaining > 0) {
+        await new Promise(resolve => setTimeout(resolve, Math.ceil(remaining)));
+        // The recording may have been stopped while waiting
+        if (!recorder) return { ...analyzeBehavior([], 0), available: false };
+        remaining = recorder.startedAt + windowMs - now();
+    }
+
+    return analyzeBehavior(recorder.events.slice(), now() - recorder.startedAt);
+}
+
+/**
+ * Analyze recorded input events
+ * @param {Array<Object>} events - Recorded events: { type, t, trusted, x?, y?, detail? },
+ *   type is "move", "down", "up", "touch", "keydown", "keyup" or "scroll"
+ * @param {number} [durationMs=0] - Length of the recording
+ * @returns {Object} Behavior analysis: metrics per input type, signals and suspicious flag
+ */
+export function analyzeBehavior(events, durationMs = 0) {
+    const byType = type => events.filter(event => event.type === type);
+    const pointer = analyzePointer(byType('move'), byType('touch').filter(event => typeof event.x === 'number'));
+    const clicks = analyzeClicks(events);
+    const keys = analyzeKeys(events);
+    const scroll = analyzeScroll(byType('scroll'));
+    const inputEvents = events.filter(event => INPUT_TYPES.includes(event.type));
+    const untrustedEvents = inputEvents.filter(event => event.trusted === false).length;
+
+    const signals = [];
+    if (untrustedEvents >= MIN_UNTRUSTED_EVENTS && untrustedEvents >= inputEvents.length * MIN_UNTRUSTED_RATIO) {
+        signals.push('untrusted_events');
+    }
+    if (pointer.straightSegments >= 2 && pointer.straightSegments >= pointer.segments / 2) {
+        signals.push('straight_paths');
+    }
+    if (isZeroJitter(pointer.intervalJitterMs, pointer.moves - 1, 20) ||
+        isZeroJitter(keys.intervalJitterMs, keys.count - 1, 5) ||
+        isZeroJitter(clicks.dwellJitterMs, clicks.count, 3)) {
+        signals.push('zero_jitter');
+    }
+    if (clicks.withoutMove > 0 && clicks.withoutMove >= clicks.count / 2) signals.push('click_without_move');
+
+    return {
+        available: true,
+        durationMs: Math.round(durationMs),
+        eventCount: events.length,
+        untrustedEvents: untrustedEvents,
+        pointer: pointer,
+        clicks: clicks,
+        keys: keys,
+        scroll: scroll,
+        touchEvents: byType('touch').length,
+        signals: signals,
+        suspicious: signals.length > 0
+    };
+}
+
+/**
+ * Pointer trajectory metrics: paths (split at pauses), straight paths, velocity, acceleration and curvature
+ * of mouse and touch paths alike. Timing jitter is measured on mouse moves only.
+ * @param {Array<Object>} moves - Recorded mousemove events
+ * @param {Array<Object>} [touches] - Recorded touchstart and touchmove events with coordinates
+ * @returns {Object} Pointer metrics (null when there is not enough data)
+ */
+function analyzePointer(moves, touches = []) {
+    // Mouse events emulated from taps would join touch paths: keep the two apart
+    const segments = splitBursts(moves).concat(splitBursts(touches));
+    const tested = segments.filter(segment => segment.length >= MIN_SEGMENT_POINTS &&
+        distance(segment[0], segment[segment.length - 1]) >= MIN_SEGMENT_LENGTH);
+
+    const velocities = [];
+    const accelerations = [];
+    const turns = [];
+    segments.forEach(segment => {
+        let previous = null;
+        for (let i = 1; i < segment.length; i++) {
+            const dt = segment[i].t - segment[i - 1].t;
+            const dx = segment[i].x - segment[i - 1].x;
+            const dy = segment[i].y - segment[i - 1].y;
+            if (dt <= 0 || (dx === 0 && dy === 0)) continue;
+
+            const step = { v: Math.hypot(dx, dy) / dt, angle: Math.atan2(dy, dx), t: segment[i].t };
+            velocities.push(step.v);
+            if (previous) {
+                accelerations.push(Math.abs(step.v - previous.v) / (step.t - previous.t));
+                const turn = Math.abs(step.angle - previous.angle);
+                turns.push(Math.min(turn, 2 * Math.PI - turn));
+            }
+            previous = step;
+        }
+    });
+
+    return {
+        moves: moves.length,
+        touchMoves: touches.length,
+        segments: tested.length,
+        straightSegments: tested.filter(isStraight).length,
+        meanVelocity: round(mean(velocities)),
+        meanAcceleration: round(mean(accelerations)),
+        meanCurvature: round(mean(turns)),
+        intervalJitterMs: round(standardDeviation(intervals(moves)))
+    };
+}
+
+/**
+ * Click metrics: dwell time (mousedown to mouseup) and clicks without a preceding mousemove
+ * @param {Array<Object>} events - Recorded events, in order
+ * @returns {Object} Click metrics
+ */
+function analyzeClicks(events) {
+    const dwells = [];
+    let count = 0;
+    let withoutMove = 0;
+    let moved = false;
+    let lastTouch = -Infinity;
+    let down = null;
+
+    events.forEach(event => {
+        if (event.type === 'move') moved = true;
+        else if (event.type === 'touch') lastTouch = event.t;
+        else if (event.type === 'down') {
+            count++;
+            // Double clicks and mouse events emulated from touches come without movement
+            if (!moved && !(event.detail > 1) && event.t - lastTouch > TOUCH_EMULATION_MS) withoutMove++;
+            moved = false;
+            down = event;
+        } else if (event.type === 'up' && down) {
+            dwells.push(event.t - down.t);
+            down = null;
+        }
+    });
+
+    return {
+        count: count,
+        withoutMove: withoutMove,
+        meanDwellMs: round(mean(dwells)),
+        dwellJitterMs: round(standardDeviation(dwells))
+    };
+}
+
+/**
+ * Keystroke metrics: intervals between keydowns and key hold (dwell) times
+ * @param {Array<Object>} events - Recorded events, in order
+ * @returns {Object} Keystroke metrics
+ */
+function analyzeKeys(events) {
+    const keydowns = events.filter(event => event.type === 'keydown');
+    const dwells = [];
+    let down = null;
+    events.forEach(event => {
+        if (event.type === 'keydown') down = event;
+        else if (event.type === 'keyup' && down) {
+            dwells.push(event.t - down.t);
+            down = null;
+        }
+    });
+
+    const keyIntervals = intervals(keydowns);
+    return {
+        count: keydowns.length,
+        meanIntervalMs: round(mean(keyIntervals)),
+        intervalJitterMs: round(standardDeviation(keyIntervals)),
+        meanDwellMs: round(mean(dwells))
+    };
+}
+
+/**
+ * Scroll metrics: bursts of scroll events, and bursts that slow down like wheel or touch momentum
+ * @param {Array<Object>} scrolls - Recorded scroll events
+ * @returns {Object} Scroll metrics
+ */
+function analyzeScroll(scrolls) {
+    const bursts = splitBursts(scrolls);
+    const inertial = bursts.filter(burst => {
+        if (burst.length < 4) return false;
+        const deltas = [];
+        for (let i = 1; i < burst.length; i++) deltas.push(Math.abs(burst[i].y - burst[i - 1].y));
+        const third = Math.max(1, Math.floor(deltas.length / 3));
+        return mean(deltas.slice(-third)) < mean(deltas.slice(0, third));
+    });
+
+    return {
+        events: scrolls.length,
+        bursts: bursts.length,
+        inertialBursts: inertial.length
+    };
+}
+
+/**
+ * Whether every point of a path lies on the straight line between its ends
+ * @param {Array<Object>} segment - Pointer path
+ * @returns {boolean} True if perfectly straight
+ */
+function isStraight(segment) {
+    const first = segment[0];
+    const last = segment[segment.length - 1];
+    const length = distance(first, last);
+    return segment.every(point => Math.abs((last.x - first.x) * (first.y - point.y) -
+        (first.x - point.x) * (last.y - first.y)) / length <= STRAIGHT_TOLERANCE_PX);
+}
+
+/**
+ * @param {number|null} jitter - Standard deviation of the timings
+ * @param {number} samples - Number of timings
+ * @param {number} minSamples - Timings needed to judge
+ * @returns {boolean} True if enough timings have no jitter
+ */
+function isZeroJitter(jitter, samples, minSamples) {
+    return jitter !== null && samples >= minSamples && jitter < ZERO_JITTER_MS;
+}
+
+/**
+ * Split events into bursts separated by pauses
+ * @param {Array<Object>} events - Events with a time t
+ * @returns {Array<Array<Object>>} Bursts
+ */
+function splitBursts(events) {
+    const bursts = [];
+    events.forEach((event, i) => {
+        if (i === 0 || event.t - events[i - 1].t > SEGMENT_GAP_MS) bursts.push([]);
+        bursts[bursts.length - 1].push(event);
+    });
+    return bursts;
+}
+
+/**
+ * @param {Array<Object>} events - Events with a time t
+ * @returns {number[]} Time between consecutive events
+ */
+function intervals(events) {
+    const result = [];
+    for (let i = 1; i < events.length; i++) result.push(events[i].t - events[i - 1].t);
+    return result;
+}
+
+/**
+ * @param {Object} a - Point { x, y }
+ * @param {Object} b - Point { x, y }
+ * @returns {number} Distance in pixels
+ */
+function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * @param {number[]} values - Values
+ * @returns {number|null} Mean, or null without values
+ */
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * @param {number[]} values - Values
+ * @returns {number|null} Population standard deviation, or null with fewer than two values
+ */
+function standardDeviation(values) {
+    if (values.length < 2) return null;
+    const average = mean(values);
+    return Math.sqrt(mean(values.map(value => (value - average) * (value - average))));
+}
+
+/**
+ * @param {number|null} value - Metric
+ * @returns {number|null} Metric rounded to 3 decimals
+ */
+function round(value) {
+    return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * @returns {number} Current time in milliseconds (performance.now() when available)
+ */
+function now() {
+    return typeof performance !== 'undefined' && typeof performance.now === 'function' ? performance.now() : Date.now();
+}
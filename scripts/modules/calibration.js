@@ -0,0 +1,280 @@
+/**
+ * Calibration Module
+ * Fits signal log-odds and weights from detectHeadless() results labelled
+ * human or bot, and reports how well the fitted profile separates them.
+ * Signals are recomputed from the stored check results with the registered
+ * checks, so third-party checks must be registered before calibrating.
+ * @module modules/calibration
+ */
+
+import {
+    DEFAULT_THRESHOLDS,
+    WEIGHT_TO_LOG_ODDS,
+    getFiredSignals,
+    scoreLogistic,
+    scoreResults
+} from './scoring.js';
+import { validateProfile } from './profiles.js';
+import { getRegisteredChecks } from './registry.js';
+import { registerBuiltInChecks } from './checks.js';
+
+/**
+ * Classification thresholds, from the highest classification down
+ */
+const CLASSIFICATIONS = [
+    { key: 'definitelyHeadless', classification: 'Definitely Headless' },
+    { key: 'likelyHeadless', classification: 'Likely Headless' },
+    { key: 'suspicious', classification: 'Suspicious' },
+    { key: 'minorWarnings', classification: 'Minor Warnings' }
+];
+
+/**
+ * Labels accepted for bot (1) and human (0) samples
+ */
+export const LABELS = {
+    'bot': 1,
+    'headless': 1,
+    'human': 0
+};
+
+/**
+ * Default gradient descent settings for fitting log-odds
+ */
+export const DEFAULT_FIT_OPTIONS = {
+    iterations: 1000,
+    learningRate: 1,
+    // L2 penalty keeps rare signals from getting extreme log-odds
+    l2: 0.01
+};
+
+/**
+ * Normalize a labelled sample to { label: 0|1, result }
+ * @param {Object} sample - { label, result } or a results object with a label property
+ * @param {number} index - Sample index (for error messages)
+ * @returns {Object} Normalized sample
+ * @throws {TypeError} If the sample or its label is malformed
+ */
+function normalizeSample(sample, index) {
+    if (!sample || typeof sample !== 'object') {
+        throw new TypeError(`Sample ${index} must be an object`);
+    }
+
+    const result = sample.result && typeof sample.result === 'object' ? sample.result : sample;
+    const label = typeof sample.label === 'string' ? LABELS[sample.label.toLowerCase()] :
+        sample.label === true || sample.label === 1 ? 1 :
+            sample.label === false || sample.label === 0 ? 0 :
+                undefined;
+
+    if (label === undefined) {
+        throw new TypeError(`Sample ${index} must be labelled "bot" or "human"`);
+    }
+    return { label, result };
+}
+
+/**
+ * Get the ids of the signals that fired for a results object
+ * @param {Object} result - detectHeadless() results
+ * @param {Object[]} checks - Registered checks
+ * @returns {string[]} Fired signal ids
+ */
+function getSignalIds(result, checks) {
+    const ids = [];
+    checks.forEach(check => {
+        getFiredSignals(check, result).forEach(signal => {
+            if (!ids.includes(signal.id)) ids.push(signal.id);
+        });
+    });
+    return ids;
+}
+
+/**
+ * Fit per-signal log-odds with L2-regularized logistic regression
+ * @param {string[][]} features - Fired signal ids per sample
+ * @param {number[]} labels - 1 for bots, 0 for humans
+ * @param {Object} [options] - { iterations, learningRate, l2 }
+ * @returns {Object} { logOdds: { signalId: number }, priorLogOdds }
+ */
+export function fitLogOdds(features, labels, options = {}) {
+    const { iterations, learningRate, l2 } = { ...DEFAULT_FIT_OPTIONS, ...options };
+    const signalIds = [];
+    features.forEach(ids => ids.forEach(id => {
+        if (!signalIds.includes(id)) signalIds.push(id);
+    }));
+    const rows = features.map(ids => ids.map(id => signalIds.indexOf(id)));
+    const n = labels.length;
+
+    // Start from the base rate so the prior only has to absorb the signals
+    const bots = labels.reduce((sum, label) => sum + label, 0);
+    const rate = Math.min(Math.max(bots / n, 1e-6), 1 - 1e-6);
+    let prior = Math.log(rate / (1 - rate));
+    const weights = signalIds.map(() => 0);
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const gradient = weights.map(() => 0);
+        let priorGradient = 0;
+
+        rows.forEach((row, i) => {
+            const logit = row.reduce((sum, j) => sum + weights[j], prior);
+            const error = 1 / (1 + Math.exp(-logit)) - labels[i];
+            priorGradient += error;
+            row.forEach(j => { gradient[j] += error; });
+        });
+
+        // The prior (intercept) is not regularized
+        prior -= learningRate * priorGradient / n;
+        weights.forEach((weight, j) => {
+            weights[j] -= learningRate * (gradient[j] / n + l2 * weight);
+        });
+    }
+
+    const logOdds = {};
+    signalIds.forEach((id, j) => { logOdds[id] = round(weights[j]); });
+    return { logOdds, priorLogOdds: round(prior) };
+}
+
+/**
+ * ROC AUC: probability that a random bot scores higher than a random human (ties count half)
+ * @param {number[]} scores - Sample scores
+ * @param {number[]} labels - 1 for bots, 0 for humans
+ * @returns {number} Area under the ROC curve
+ */
+export function computeRocAuc(scores, labels) {
+    const ranked = scores
+        .map((score, i) => ({ score, label: labels[i] }))
+        .sort((a, b) => a.score - b.score);
+
+    // Sum the (average, 1-based) ranks of the bots - Mann-Whitney U
+    let botRanks = 0;
+    for (let start = 0; start < ranked.length;) {
+        let end = start;
+        while (end < ranked.length && ranked[end].score === ranked[start].score) end++;
+        const rank = (start + 1 + end) / 2;
+        for (let i = start; i < end; i++) {
+            if (ranked[i].label === 1) botRanks += rank;
+        }
+        start = end;
+    }
+
+    const bots = labels.filter(label => label === 1).length;
+    const humans = labels.length - bots;
+    return (botRanks - bots * (bots + 1) / 2) / (bots * humans);
+}
+
+/**
+ * Confusion matrix when scores above a threshold are classified as bots
+ * @param {number[]} scores - Sample scores
+ * @param {number[]} labels - 1 for bots, 0 for humans
+ * @param {number} threshold - Lower bound (exclusive) for a bot
+ * @returns {Object} { threshold, truePositives, falsePositives, trueNegatives, falseNegatives }
+ */
+export function getConfusionMatrix(scores, labels, threshold) {
+    const matrix = { threshold, truePositives: 0, falsePositives: 0, trueNegatives: 0, falseNegatives: 0 };
+    scores.forEach((score, i) => {
+        const flagged = score > threshold;
+        if (labels[i] === 1) {
+            matrix[flagged ? 'truePositives' : 'falseNegatives']++;
+        } else {
+            matrix[flagged ? 'falsePositives' : 'trueNegatives']++;
+        }
+    });
+    return matrix;
+}
+
+/**
+ * Evaluate scores against labels
+ * @param {number[]} scores - Sample scores
+ * @param {number[]} labels - 1 for bots, 0 for humans
+ * @param {Object} [thresholds] - Classification threshold overrides
+ * @returns {Object} { auc, thresholds: [{ classification, threshold, falsePositiveRate, truePositiveRate }],
+ *   confusionMatrix } - the confusion matrix is taken at likelyHeadless (data-headless-detected)
+ */
+export function evaluateScores(scores, labels, thresholds = {}) {
+    const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+
+    return {
+        auc: round(computeRocAuc(scores, labels)),
+        thresholds: CLASSIFICATIONS.map(({ key, classification }) => {
+            const matrix = getConfusionMatrix(scores, labels, t[key]);
+            return {
+                classification: classification,
+                threshold: t[key],
+                falsePositiveRate: round(matrix.falsePositives / (matrix.falsePositives + matrix.trueNegatives)),
+                truePositiveRate: round(matrix.truePositives / (matrix.truePositives + matrix.falseNegatives))
+            };
+        }),
+        confusionMatrix: getConfusionMatrix(scores, labels, t.likelyHeadless)
+    };
+}
+
+/**
+ * Fit a weights profile from labelled detectHeadless() results
+ * @param {Object[]} samples - { label: "bot"|"human", result } objects, or results objects with a label
+ * @param {Object} [options] - Calibration options
+ * @param {string} [options.name='calibrated'] - Name of the fitted profile
+ * @param {number} [options.iterations=1000] - Gradient descent iterations
+ * @param {number} [options.learningRate=1] - Gradient descent step size
+ * @param {number} [options.l2=0.01] - L2 regularization strength
+ * @param {Object[]} [options.checks] - Checks to recompute signals with (defaults to the registered checks)
+ * @returns {Object} { profile, metrics, baseline, samples, signals } - metrics are for the fitted profile,
+ *   baseline for the default additive weights, both on the given samples
+ * @throws {TypeError} If a sample is malformed
+ * @throws {Error} If the samples do not include both bots and humans
+ */
+export function calibrate(samples, options = {}) {
+    if (!Array.isArray(samples)) {
+        throw new TypeError('calibrate() expects an array of labelled samples');
+    }
+
+    const normalized = samples.map(normalizeSample);
+    const labels = normalized.map(sample => sample.label);
+    const bots = labels.filter(label => label === 1).length;
+    if (bots === 0 || bots === labels.length) {
+        throw new Error('calibrate() needs both bot and human samples');
+    }
+
+    registerBuiltInChecks();
+    const checks = options.checks || getRegisteredChecks();
+    const features = normalized.map(sample => getSignalIds(sample.result, checks));
+    const { logOdds, priorLogOdds } = fitLogOdds(features, labels, options);
+
+    // Additive weights for the same signals, so the profile also works with the additive scorer
+    const weights = {};
+    Object.keys(logOdds).forEach(id => {
+        weights[id] = round(Math.min(Math.max(logOdds[id] / WEIGHT_TO_LOG_ODDS, 0), 1));
+    });
+
+    const profile = {
+        name: options.name || 'calibrated',
+        scorer: 'logistic',
+        weights: weights,
+        logOdds: logOdds,
+        priorLogOdds: priorLogOdds
+    };
+    validateProfile(profile);
+
+    const scores = normalized.map(sample => scoreLogistic(sample.result, { logOdds, priorLogOdds }, checks).probability);
+    const baselineScores = normalized.map(sample => scoreResults(sample.result, {}, checks));
+
+    return {
+        profile: profile,
+        metrics: evaluateScores(scores, labels),
+        baseline: evaluateScores(baselineScores, labels),
+        samples: { total: labels.length, bots: bots, humans: labels.length - bots },
+        signals: Object.keys(logOdds).map(id => ({
+            id: id,
+            logOdds: logOdds[id],
+            weight: weights[id],
+            bots: features.filter((ids, i) => labels[i] === 1 && ids.includes(id)).length,
+            humans: features.filter((ids, i) => labels[i] === 0 && ids.includes(id)).length
+        }))
+    };
+}
+
+/**
+ * Round to 4 decimals, so fitted profiles stay readable as JSON
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
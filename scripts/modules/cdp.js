@@ -9,7 +9,7 @@
  * These appear when automation tools inject scripts via CDP
  * @returns {Object} CDP detection results
  */
-function detectCDP() {
+export function detectCDP() {
     try {
         const signals = [];
 
@@ -63,7 +63,7 @@ function detectCDP() {
  * When Runtime.enable is used, Error.stack getter is accessed
  * @returns {Object} Stack trace detection results
  */
-function detectCDPStackTrace() {
+export function detectCDPStackTrace() {
     try {
         let detected = false;
         const err = new Error();
@@ -94,7 +94,7 @@ function detectCDPStackTrace() {
  * Alternative CDP detection via console.debug
  * @returns {Object} Console debug detection results
  */
-function detectConsoleDebugLeak() {
+export function detectConsoleDebugLeak() {
     try {
         let accessCount = 0;
         const testObj = {};
@@ -118,15 +118,3 @@ function detectConsoleDebugLeak() {
         return { detected: false, error: true };
     }
 }
-
-// Export for different module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { detectCDP, detectCDPStackTrace, detectConsoleDebugLeak };
-}
-
-if (typeof window !== 'undefined') {
-    window.HeadlessDetectorModules = window.HeadlessDetectorModules || {};
-    window.HeadlessDetectorModules.detectCDP = detectCDP;
-    window.HeadlessDetectorModules.detectCDPStackTrace = detectCDPStackTrace;
-    window.HeadlessDetectorModules.detectConsoleDebugLeak = detectConsoleDebugLeak;
-}
@@ -0,0 +1,331 @@
+/**
+ * Built-in Checks Module
+ * Registers the built-in detection checks with the check registry.
+ * @module modules/checks
+ */
+
+import { detectWebdriver } from './webdriver.js';
+import { detectCDP, detectCDPStackTrace, detectConsoleDebugLeak } from './cdp.js';
+import { checkUserAgent, checkHighEntropyClientHints } from './userAgent.js';
+import { checkWebGL } from './webgl.js';
+import { getAutomationFlags, getHeadlessIndicators, checkChromeRuntime, checkPermissions, queryPermissions } from './automation.js';
+import { getMediaChecks, enumerateMediaDevices } from './media.js';
+import { checkMediaFeatures } from './mediaFeatures.js';
+import { getFingerprintChecks } from './fingerprint.js';
+import { getWorkerChecks } from './worker.js';
+import { getBehaviorChecks } from './behavior.js';
+import { detectTampering } from './tampering.js';
+import { getIframeChecks } from './iframe.js';
+import { checkLocaleCoherence } from './locale.js';
+import { checkScreenGeometry, GEOMETRY_INCONSISTENCIES } from './geometry.js';
+import { registerCheck, getRegisteredChecks } from './registry.js';
+
+/**
+ * Get advanced detection checks
+ * @param {Object} [options] - Set a check to false to skip it (its result will be null)
+ * @returns {Object} Advanced checks results
+ */
+export function getAdvancedChecks(options = {}) {
+    return {
+        // CDP/DevTools stack trace detection
+        stackTrace: options.stackTrace === false ? null : detectCDPStackTrace(),
+        // Chrome Runtime checks
+        chromeRuntime: options.chromeRuntime === false ? null : checkChromeRuntime(),
+        // Permissions API checks
+        permissions: options.permissions === false ? null : checkPermissions(),
+        // Console.debug CDP leak detection
+        consoleDebug: options.consoleDebug === false ? null : detectConsoleDebugLeak()
+    };
+}
+
+/**
+ * Built-in check definitions, in execution order.
+ * Signal weights live in modules/scoring.js (DEFAULT_WEIGHTS);
+ * summary item explanations live in modules/explanations.js.
+ */
+export const BUILT_IN_CHECKS = [
+    {
+        id: 'webdriver',
+        group: 'webdriver',
+        run: () => detectWebdriver(),
+        // WebDriver is a strong signal (2025: still primary detection)
+        score: value => value === true ? ['webdriver'] : [],
+        items: value => ({ 'webdriver-status': value }),
+        severity: 'critical'
+    },
+    {
+        id: 'automationFlags',
+        group: 'automation',
+        run: () => getAutomationFlags(),
+        score: value => [
+            value.plugins === 0 && { id: 'plugins-empty', value: value.plugins },
+            !value.languages && { id: 'languages-missing', value: value.languages },
+            // 2026: Playwright-specific detection (Castle.io)
+            (value.__playwright__binding__ || value.__pwInitScripts) && 'playwright-binding',
+            value.playwrightExposedFunctions?.detected &&
+                { id: 'playwright-exposed', value: value.playwrightExposedFunctions.functions }
+        ],
+        items: value => ({
+            'languages-check': value.languages,
+            'plugins-count': value.plugins
+        })
+    },
+    {
+        id: 'cdpArtifacts',
+        group: 'cdp',
+        run: () => detectCDP(),
+        // CDP artifacts are strong indicators (2025: most reliable)
+        score: value => value.detected ? [
+            { id: 'cdp-detected', value: value.signals },
+            // High-confidence signals get extra weight
+            value.signals?.includes('chromedriver_cdc') && { id: 'cdp-chromedriver', value: value.cdcKeysFound },
+            value.signals?.includes('puppeteer_eval') && 'cdp-puppeteer'
+        ] : [],
+        items: value => ({
+            'cdp-detected': value.detected,
+            'cdp-keys': value.cdcKeysFound
+        }),
+        severity: 'critical'
+    },
+    {
+        id: 'headlessIndicators',
+        group: 'automation',
+        run: () => getHeadlessIndicators(),
+        score: value => [
+            !value.hasOuterDimensions && { id: 'outer-dims-missing', value: `${value.outerWidth}x${value.outerHeight}` },
+            value.innerEqualsOuter && { id: 'inner-equals-outer', value: `${value.innerWidth}x${value.innerHeight}` }
+        ],
+        items: value => ({
+            'outer-dims': value.hasOuterDimensions,
+            'inner-outer': value.innerEqualsOuter,
+            'media-devices': value.hasMediaDevices
+        })
+    },
+    {
+        id: 'mediaFeatureChecks',
+        group: 'mediaFeatures',
+        run: () => checkMediaFeatures(),
+        // Device emulation changes the User-Agent and touch points, not the pointer and hover features
+        score: value => value.suspicious ? [{ id: 'media-features-mismatch', value: value.inconsistencies }] : [],
+        items: value => ({
+            'media-features-pointer': value.features ? value.features.pointer : null,
+            'media-features-mismatch': value.available ? value.suspicious : null
+        })
+    },
+    {
+        id: 'userAgentFlags',
+        group: 'userAgent',
+        run: () => checkUserAgent(),
+        // Chrome Headless mode headers (2025: still effective)
+        score: value => value.suspicious ? [{ id: 'ua-suspicious', value: value.matches }] : [],
+        items: value => ({ 'ua-suspicious': value.suspicious })
+    },
+    {
+        id: 'clientHintsChecks',
+        group: 'clientHints',
+        run: context => checkHighEntropyClientHints({ timeoutMs: context.options.timeoutMs }),
+        // UA-spoofing tools rewrite navigator.userAgent but not the high-entropy hints
+        score: value => value.suspicious ? [{ id: 'client-hints-mismatch', value: value.mismatches }] : [],
+        // Firefox and Safari have no Client Hints: not applicable rather than bad
+        items: value => ({ 'client-hints-mismatch': value.available ? value.suspicious : null }),
+        severity: 'high'
+    },
+    {
+        id: 'webglFlags',
+        group: 'webgl',
+        subChecks: ['renderingTest'],
+        run: context => checkWebGL(context.subChecks),
+        score: value => [
+            // WebGL software renderer (2025: common in headless)
+            value.isSoftwareRenderer && { id: 'webgl-software', value: value.renderer },
+            // 2026: WebGL rendering test - check if rendering matches claimed GPU
+            value.renderingTest?.suspicious && { id: 'webgl-rendering-test', value: value.renderingTest.noiseRatio }
+        ],
+        items: value => ({
+            'webgl-supported': value.supported,
+            'webgl-software': value.isSoftwareRenderer,
+            'webgl-rendering-test': value.renderingTest?.suspicious
+        }),
+        severity: { 'webgl-rendering-test': 'critical' }
+    },
+    {
+        id: 'advancedChecks',
+        group: 'advanced',
+        subChecks: ['stackTrace', 'chromeRuntime', 'permissions', 'consoleDebug'],
+        run: context => getAdvancedChecks(context.subChecks),
+        score: (value, results) => [
+            // The same "denied" is scored once: as permissions-contradiction when the query contradicts it
+            value.permissions?.deniedByDefault && !results.permissionChecks?.notificationContradiction &&
+                { id: 'permissions-denied', value: value.permissions.notificationPermission },
+            value.chromeRuntime?.suspicious && 'chrome-runtime',
+            value.stackTrace?.cdpDetected && 'cdp-stacktrace'
+        ],
+        items: (value, results) => ({
+            'adv-stacktrace': value.stackTrace?.cdpDetected,
+            'adv-runtime': value.chromeRuntime?.missing,
+            'adv-permissions': results.permissionChecks?.notificationContradiction ?
+                null : value.permissions?.deniedByDefault,
+            'adv-console': value.consoleDebug?.detected
+        }),
+        severity: { 'adv-stacktrace': 'critical' }
+    },
+    {
+        id: 'permissionChecks',
+        group: 'permissions',
+        run: context => queryPermissions({ timeoutMs: context.options.timeoutMs }),
+        // Classic headless contradiction: Notification.permission "denied" with a "prompt" query state
+        score: value => value.notificationContradiction ?
+            [{ id: 'permissions-contradiction', value: value.notificationPermission }] : [],
+        items: value => ({ 'permissions-contradiction': value.available ? value.notificationContradiction : null })
+    },
+    {
+        id: 'mediaChecks',
+        group: 'media',
+        subChecks: ['mediaDevices', 'webrtc', 'battery'],
+        run: context => getMediaChecks(context.subChecks),
+        score: value => [
+            value.webrtc?.suspicious && 'media-webrtc',
+            value.mediaDevices?.suspicious && 'media-devices'
+        ],
+        items: value => ({
+            'media-webrtc': value.webrtc?.suspicious,
+            'media-battery': value.battery ? !value.battery.available : null
+        })
+    },
+    {
+        id: 'mediaDeviceChecks',
+        group: 'media',
+        run: context => enumerateMediaDevices({ timeoutMs: context.options.timeoutMs }),
+        score: value => value.suspicious ? [{ id: 'media-devices-none', value: value.total }] : [],
+        items: value => ({ 'media-devices-none': value.available ? value.suspicious : null })
+    },
+    {
+        id: 'fingerprintChecks',
+        group: 'fingerprint',
+        subChecks: ['canvas', 'audioContext', 'fonts'],
+        run: context => getFingerprintChecks(context.subChecks),
+        score: value => [
+            value.canvas?.suspicious && 'fp-canvas',
+            value.audioContext?.suspicious && 'fp-audio',
+            value.fonts?.suspicious && 'fp-fonts'
+        ],
+        items: value => ({
+            'emoji-rendered': value.canvas?.emojiCheck?.rendered,
+            'emoji-suspicious': value.canvas?.emojiCheck?.suspicious,
+            'fp-canvas': value.canvas?.available,
+            'fp-audio': value.audioContext?.available
+        }),
+        severity: { 'emoji-suspicious': 'critical' }
+    },
+    {
+        id: 'workerChecks',
+        group: 'worker',
+        run: context => getWorkerChecks({ timeoutMs: context.options.timeoutMs }),
+        // 2026: Chrome bug detection
+        score: value => value.userAgentMismatch ? [{ id: 'worker-ua-mismatch', value: value.workerUserAgent }] : [],
+        items: value => ({
+            'worker-available': value.available,
+            'worker-mismatch': value.userAgentMismatch
+        }),
+        severity: { 'worker-mismatch': 'critical' }
+    },
+    {
+        id: 'behaviorChecks',
+        group: 'behavior',
+        run: context => getBehaviorChecks({ windowMs: context.options.behaviorWindowMs }),
+        // Synthetic input: the only signals a fully patched browser cannot hide by itself
+        score: value => value.available ? [
+            value.signals.includes('untrusted_events') && { id: 'behavior-untrusted-events', value: value.untrustedEvents },
+            value.signals.includes('straight_paths') && { id: 'behavior-straight-paths', value: value.pointer.straightSegments },
+            value.signals.includes('zero_jitter') && 'behavior-zero-jitter',
+            value.signals.includes('click_without_move') && { id: 'behavior-click-without-move', value: value.clicks.withoutMove }
+        ] : [],
+        items: value => ({
+            'behavior-events': value.eventCount,
+            'behavior-synthetic': value.suspicious
+        })
+    },
+    {
+        id: 'tamperingChecks',
+        group: 'tampering',
+        run: () => detectTampering(),
+        // Patched native functions: what stealth plugins do to hide every other signal
+        score: value => [
+            value.detected && { id: 'tampering-lies', value: value.liedApis.length },
+            value.toStringTampered && 'tampering-tostring'
+        ],
+        items: value => ({
+            'tampering-detected': value.detected,
+            'tampering-apis': value.liedApis.length
+        })
+    },
+    {
+        id: 'iframeChecks',
+        group: 'iframe',
+        run: context => getIframeChecks({ timeoutMs: context.options.timeoutMs }),
+        // Stealth patches applied to the top window only
+        score: value => value.suspicious ? [{ id: 'iframe-mismatch', value: value.mismatches }] : [],
+        items: value => ({
+            'iframe-available': value.available,
+            'iframe-mismatch': value.suspicious
+        }),
+        severity: 'high'
+    },
+    {
+        id: 'geometryChecks',
+        group: 'geometry',
+        run: () => checkScreenGeometry(),
+        score: value => {
+            const inconsistencies = (value.anomalies || []).filter(anomaly => GEOMETRY_INCONSISTENCIES.includes(anomaly));
+            return [
+                // 800x600 or 1280x720 without taskbar: an unconfigured headless browser
+                value.headlessDefault && { id: 'geometry-headless-default', value: value.resolution },
+                inconsistencies.length > 0 && { id: 'geometry-inconsistent', value: inconsistencies },
+                value.virtualDisplay && 'geometry-virtual-display'
+            ];
+        },
+        items: value => ({
+            'geometry-resolution': value.resolution,
+            'geometry-headless-default': value.headlessDefault,
+            'geometry-inconsistent': value.anomalies ?
+                value.anomalies.some(anomaly => GEOMETRY_INCONSISTENCIES.includes(anomaly)) : null
+        })
+    },
+    {
+        id: 'localeChecks',
+        group: 'locale',
+        run: context => checkLocaleCoherence({ geoCountry: context.options.geoCountry }),
+        // Also seen with travellers and VPNs: weak signals, only with other evidence
+        score: value => {
+            const local = (value.inconsistencies || []).filter(inconsistency => inconsistency !== 'geo_timezone');
+            return [
+                local.length > 0 && { id: 'locale-mismatch', value: local },
+                value.inconsistencies?.includes('geo_timezone') &&
+                    { id: 'locale-geo-mismatch', value: `${value.geoCountry} ${value.timezone}` }
+            ];
+        },
+        items: value => ({
+            'locale-mismatch': value.inconsistencies ?
+                value.inconsistencies.some(inconsistency => inconsistency !== 'geo_timezone') : null,
+            'locale-geo': value.geoCountry ? value.inconsistencies.includes('geo_timezone') : null
+        }),
+        severity: 'medium'
+    }
+];
+
+// Built-in checks are registered on first use rather than on import,
+// so importing a single detector does not pull in every check
+let builtInChecksRegistered = false;
+
+/**
+ * Register the built-in checks once (skips checks that are already registered)
+ */
+export function registerBuiltInChecks() {
+    if (builtInChecksRegistered) return;
+    builtInChecksRegistered = true;
+
+    const registered = getRegisteredChecks().map(check => check.id);
+    BUILT_IN_CHECKS
+        .filter(definition => !registered.includes(definition.id))
+        .forEach(definition => registerCheck(definition));
+}
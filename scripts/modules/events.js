@@ -0,0 +1,110 @@
+/**
+ * Detection Events Module
+ * Lifecycle events of the detector, so integrators (tag managers, frameworks) can react
+ * instead of polling window.__headlessDetectionReady or window.detectHeadless:
+ * - ready: the browser build has defined its globals (scripts/browser.js), detail { version }
+ * - check:complete: a check finished, detail { checkId, result }
+ * - result: detectHeadless() or a monitor() run finished, detail: the results
+ * - error: a check or the whole detection failed, detail { checkId (null for the detection), error }
+ * Every event is also dispatched on document as a CustomEvent named DOM_EVENT_PREFIX + event
+ * (e.g. "headless-detector:result") with the same detail.
+ * @module modules/events
+ */
+
+/**
+ * Events that on() accepts
+ */
+export const DETECTION_EVENTS = ['ready', 'check:complete', 'result', 'error'];
+
+/**
+ * Prefix of the DOM CustomEvent names dispatched on document
+ */
+export const DOM_EVENT_PREFIX = 'headless-detector:';
+
+// Events that only happen once: handlers added later are called right away
+const STICKY_EVENTS = ['ready'];
+
+const handlers = new Map();
+const emitted = new Map();
+
+/**
+ * @param {string} event - Event name
+ * @throws {TypeError} If the event is unknown
+ */
+function assertEvent(event) {
+    if (!DETECTION_EVENTS.includes(event)) {
+        throw new TypeError(`Unknown detection event "${event}" (expected one of ${DETECTION_EVENTS.join(', ')})`);
+    }
+}
+
+/**
+ * Call a handler; an error it throws is rethrown asynchronously so that it
+ * reaches the console without interrupting the detection or the other handlers
+ * @param {Function} handler - Event handler
+ * @param {*} detail - Event detail
+ */
+function callHandler(handler, detail) {
+    try {
+        handler(detail);
+    } catch (e) {
+        setTimeout(() => {
+            throw e;
+        }, 0);
+    }
+}
+
+/**
+ * Listen to a detection event
+ * @param {string} event - "ready", "check:complete", "result" or "error"
+ * @param {Function} handler - Called with the event detail. A "ready" handler added after
+ *   the event is called right away
+ * @returns {Function} Removes the handler
+ * @throws {TypeError} If the event is unknown or the handler is not a function
+ */
+export function on(event, handler) {
+    assertEvent(event);
+    if (typeof handler !== 'function') {
+        throw new TypeError('Detection event handler must be a function');
+    }
+    if (!handlers.has(event)) handlers.set(event, []);
+    handlers.get(event).push(handler);
+
+    if (STICKY_EVENTS.includes(event) && emitted.has(event)) {
+        callHandler(handler, emitted.get(event));
+    }
+    return () => off(event, handler);
+}
+
+/**
+ * Stop listening to a detection event
+ * @param {string} event - Event name
+ * @param {Function} handler - Handler passed to on()
+ * @returns {boolean} True if the handler was listening
+ * @throws {TypeError} If the event is unknown
+ */
+export function off(event, handler) {
+    assertEvent(event);
+    const listening = handlers.get(event) || [];
+    const index = listening.indexOf(handler);
+    if (index === -1) return false;
+    listening.splice(index, 1);
+    return true;
+}
+
+/**
+ * Emit a detection event to the on() handlers and as a DOM CustomEvent on document
+ * @param {string} event - Event name
+ * @param {*} detail - Event detail
+ * @throws {TypeError} If the event is unknown
+ */
+export function emit(event, detail) {
+    assertEvent(event);
+    if (STICKY_EVENTS.includes(event)) emitted.set(event, detail);
+
+    // Handlers removed while the event is delivered still receive it
+    (handlers.get(event) || []).slice().forEach(handler => callHandler(handler, detail));
+
+    if (typeof document !== 'undefined' && typeof CustomEvent === 'function') {
+        document.dispatchEvent(new CustomEvent(DOM_EVENT_PREFIX + event, { detail: detail }));
+    }
+}
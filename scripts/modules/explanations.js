@@ -9,7 +9,7 @@
  * Provides human-readable descriptions for each specific check within cards
  * @returns {Object} Check item explanations
  */
-function getCheckItemExplanations() {
+export function getCheckItemExplanations() {
     return {
         // WebDriver Detection
         'webdriver-status': {
@@ -40,6 +40,12 @@ function getCheckItemExplanations() {
             good: "Clean User-Agent string without automation indicators",
             bad: "Contains 'headless', 'HeadlessChrome', 'selenium', 'puppeteer'"
         },
+        'client-hints-mismatch': {
+            label: "Client Hints Consistency",
+            description: "High-entropy Client Hints (platform version, full version list, mobile) contradict the User-Agent string",
+            good: "User-Agent agrees with Client Hints",
+            bad: "User-Agent rewritten without the Client Hints - UA spoofing"
+        },
 
         // WebGL
         'webgl-supported': {
@@ -91,6 +97,60 @@ function getCheckItemExplanations() {
             info: "Shows if check is pending, completed, or any mismatch details"
         },
 
+        // Iframe Checks
+        'iframe-available': {
+            label: "Iframe Realm",
+            description: "A sandboxed srcdoc iframe could be created and read",
+            good: "Iframe realm available for comparison",
+            bad: "Iframe realm unavailable - unusual for a browser"
+        },
+        'iframe-mismatch': {
+            label: "Cross-realm Mismatch",
+            description: "navigator.webdriver, User-Agent, plugins.length, languages, WebGL vendor/renderer or Function.prototype.toString differ between the page and a fresh iframe, or the iframe's contentWindow is not its own realm",
+            good: "Consistent realms - real browser or automation patched everywhere",
+            bad: "Realms differ - automation patched the top window only"
+        },
+
+        // Locale
+        'locale-mismatch': {
+            label: "Locale Coherence",
+            description: "Timezone vs Date offset, Intl default locales vs navigator.language, languages list vs primary language, UTC with a non-English language",
+            good: "Timezone, locale and languages agree",
+            bad: "Contradicting timezone/locale values - overridden locale or cloud runner"
+        },
+        'locale-geo': {
+            label: "Timezone vs IP Country",
+            description: "UTC offset compared with the server-supplied country of the visitor (geoCountry option)",
+            good: "Timezone matches the IP country",
+            bad: "Timezone of another country - proxy, VPN or remote automation"
+        },
+
+        // Behavior Checks
+        'behavior-events': {
+            label: "Input Events",
+            description: "Mouse, touch, keyboard and scroll events recorded so far",
+            info: "0 until the visitor interacts; record longer with behaviorWindowMs"
+        },
+        'behavior-synthetic': {
+            label: "Synthetic Input",
+            description: "Input that a human hand does not produce",
+            good: "Natural input - curved paths, jittery timing, trusted events",
+            bad: "Synthetic input - straight paths, zero-jitter timing, script-dispatched events or clicks without movement"
+        },
+
+        // Tampering Checks
+        'tampering-detected': {
+            label: "Native Function Tampering",
+            description: "Getters and methods of Navigator, Screen, WebGL, canvas, Permissions and Function.prototype.toString that are not what native code looks like",
+            good: "No patched native functions",
+            bad: "Native functions were replaced or wrapped in a Proxy - typical of stealth plugins"
+        },
+        'tampering-apis': {
+            label: "Tampered APIs",
+            description: "Number of native APIs that lie about themselves",
+            info: "See tamperingChecks.lies for the APIs and what gave each of them away"
+        },
+
         // Emoji OS Check
         'emoji-rendered': {
             label: "Emoji Rendered",
@@ -129,6 +189,38 @@ function getCheckItemExplanations() {
             info: "Inner is viewport, outer includes browser chrome. Difference indicates normal browser"
         },
 
+        // CSS Media Features
+        'media-features-pointer': {
+            label: "Primary Pointer",
+            description: "matchMedia pointer feature: fine (mouse), coarse (touch) or none",
+            info: "Headless browsers often report no pointing device"
+        },
+        'media-features-mismatch': {
+            label: "Media Features Consistency",
+            description: "pointer, hover and any-pointer media features vs maxTouchPoints, the claimed mobile/desktop platform and the screen size",
+            good: "Media features match the claimed device",
+            bad: "Media features of another device - emulated mobile or stubbed matchMedia"
+        },
+
+        // Screen Geometry
+        'geometry-resolution': {
+            label: "Screen Resolution",
+            description: "screen.width x screen.height",
+            info: "800x600, 1280x720 and 1024x768 are headless and virtual display defaults"
+        },
+        'geometry-headless-default': {
+            label: "Headless Default Screen",
+            description: "A headless default resolution (800x600, 1280x720, ...) with no taskbar (availHeight === height)",
+            good: "Screen size and work area of a real display",
+            bad: "Unconfigured headless browser or virtual display"
+        },
+        'geometry-inconsistent': {
+            label: "Geometry Consistency",
+            description: "Window vs screen size, devicePixelRatio vs resolution media query, orientation media query vs viewport, visualViewport vs viewport",
+            good: "Screen, window and media queries agree",
+            bad: "Contradicting geometry - emulated or overridden screen metrics"
+        },
+
         // Browser APIs
         'plugins-count': {
             label: "Plugins",
@@ -236,6 +328,12 @@ function getCheckItemExplanations() {
             good: "No console.debug leaks detected",
             bad: "CDP detected via console.debug modification"
         },
+        'permissions-contradiction': {
+            label: "Permission States",
+            description: "Notification.permission compared with navigator.permissions.query()",
+            good: "Permission states agree",
+            bad: "Notification denied but query says prompt - headless Chrome"
+        },
 
         // Media & WebRTC
         'media-webrtc': {
@@ -255,6 +353,12 @@ function getCheckItemExplanations() {
             good: "Battery API available",
             bad: "Missing - common in VMs or headless browsers"
         },
+        'media-devices-none': {
+            label: "Enumerated Devices",
+            description: "navigator.mediaDevices.enumerateDevices() device list",
+            good: "Cameras, microphones or speakers listed",
+            bad: "No media devices at all - headless or container"
+        },
 
         // Fingerprinting
         'fp-canvas': {
@@ -298,13 +402,3 @@ function getCheckItemExplanations() {
         }
     };
 }
-
-// Export for different module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { getCheckItemExplanations };
-}
-
-if (typeof window !== 'undefined') {
-    window.HeadlessDetectorModules = window.HeadlessDetectorModules || {};
-    window.HeadlessDetectorModules.getCheckItemExplanations = getCheckItemExplanations;
-}
@@ -4,40 +4,14 @@
  * @module modules/fingerprint
  */
 
-// Import hash utility for Node.js environment
-let simpleHash;
-if (typeof require !== 'undefined') {
-    try {
-        simpleHash = require('../utils/hash.js').simpleHash;
-    } catch (e) {
-        // Fallback for browser environment
-    }
-}
-
-// Browser environment fallback
-if (typeof window !== 'undefined' && window.HeadlessDetectorUtils) {
-    simpleHash = window.HeadlessDetectorUtils.simpleHash;
-}
-
-// Inline fallback if neither is available
-if (!simpleHash) {
-    simpleHash = function(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
-        return hash.toString(36);
-    };
-}
+import { simpleHash } from '../utils/hash.js';
 
 /**
  * Check emoji rendering consistency with claimed OS (2026: NEW)
  * Different OS render emoji differently - this should match User-Agent
  * @returns {Object} Emoji rendering check results
  */
-function checkEmojiRendering() {
+export function checkEmojiRendering() {
     try {
         const canvas = document.createElement('canvas');
         canvas.width = 100;
@@ -96,7 +70,7 @@ function checkEmojiRendering() {
  * 2026 Update: Added emoji rendering OS consistency check
  * @returns {Object} Canvas check results
  */
-function checkCanvas() {
+export function checkCanvas() {
     try {
         const canvas = document.createElement('canvas');
         canvas.width = 200;
@@ -156,7 +130,7 @@ function checkCanvas() {
  * Headless browsers may have different audio processing
  * @returns {Object} Audio context check results
  */
-function checkAudioContext() {
+export function checkAudioContext() {
     try {
         const AudioContext = window.AudioContext || window.webkitAudioContext;
         if (!AudioContext) {
@@ -185,7 +159,7 @@ function checkAudioContext() {
  * Headless browsers often have very few fonts
  * @returns {Object} Font check results
  */
-function checkFonts() {
+export function checkFonts() {
     try {
         // Detect fonts using size difference technique
         const baseFonts = ['monospace', 'sans-serif', 'serif'];
@@ -228,32 +202,16 @@ function checkFonts() {
 
 /**
  * Get all fingerprint checks
+ * @param {Object} [options] - Set a check to false to skip it (its result will be null)
+ * @param {boolean} [options.canvas=true] - Run the canvas check
+ * @param {boolean} [options.audioContext=true] - Run the AudioContext check
+ * @param {boolean} [options.fonts=true] - Run the font check
  * @returns {Object} All fingerprint check results
  */
-function getFingerprintChecks() {
+export function getFingerprintChecks(options = {}) {
     return {
-        canvas: checkCanvas(),
-        audioContext: checkAudioContext(),
-        fonts: checkFonts()
+        canvas: options.canvas === false ? null : checkCanvas(),
+        audioContext: options.audioContext === false ? null : checkAudioContext(),
+        fonts: options.fonts === false ? null : checkFonts()
     };
 }
-
-// Export for different module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-        checkEmojiRendering,
-        checkCanvas,
-        checkAudioContext,
-        checkFonts,
-        getFingerprintChecks
-    };
-}
-
-if (typeof window !== 'undefined') {
-    window.HeadlessDetectorModules = window.HeadlessDetectorModules || {};
-    window.HeadlessDetectorModules.checkEmojiRendering = checkEmojiRendering;
-    window.HeadlessDetectorModules.checkCanvas = checkCanvas;
-    window.HeadlessDetectorModules.checkAudioContext = checkAudioContext;
-    window.HeadlessDetectorModules.checkFonts = checkFonts;
-    window.HeadlessDetectorModules.getFingerprintChecks = getFingerprintChecks;
-}
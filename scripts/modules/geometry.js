@@ -0,0 +1,139 @@
+/**
+ * Screen Geometry Detection Module
+ * Headless browsers and virtual displays report default screen sizes, a screen
+ * without taskbar at position 0,0, and viewports that do not fit their screen.
+ * Each value alone is common; the combinations are not.
+ * @module modules/geometry
+ */
+
+/**
+ * Default screen sizes of headless browsers and virtual displays
+ */
+export const HEADLESS_RESOLUTIONS = {
+    '800x600': 'Puppeteer / Chrome headless default',
+    '1280x720': 'Playwright default',
+    '1280x1024': 'Xvfb default',
+    '1360x1020': 'Selenium Docker default',
+    '1024x768': 'Selenium Grid / PhantomJS default',
+    '640x480': 'xvfb-run default'
+};
+
+/**
+ * Anomalies that contradict each other, whatever the display
+ */
+export const GEOMETRY_INCONSISTENCIES = ['viewport_exceeds_screen', 'dppx_mismatch', 'orientation_mismatch',
+    'visual_viewport_mismatch'];
+
+// Window borders of a maximized window may overhang the screen (Chrome on Windows: 8px on each side)
+const SCREEN_TOLERANCE_PX = 16;
+
+/**
+ * Evaluate a media query
+ * @param {string} query - Media query
+ * @returns {boolean|null} Whether it matches, or null without matchMedia
+ */
+function matchesMedia(query) {
+    if (typeof window.matchMedia !== 'function') return null;
+    const list = window.matchMedia(query);
+    return list ? Boolean(list.matches) : null;
+}
+
+/**
+ * Check the screen and viewport geometry for headless defaults and contradictions.
+ * Suspicious with a headless default resolution without taskbar (headlessDefault), a screen without
+ * taskbar with the window at 0,0 (virtualDisplay) or any GEOMETRY_INCONSISTENCIES.
+ * Anomalies:
+ * - headless_resolution: the screen size is a headless or virtual display default (HEADLESS_RESOLUTIONS)
+ * - no_taskbar: the available screen area is the whole screen (desktop only)
+ * - zero_screen_position: the window is at screen position 0,0 (desktop only)
+ * - mac_dpr_1: a device pixel ratio of 1 with a Mac User-Agent (reported only: Macs on external
+ *   non-Retina monitors have it too)
+ * - viewport_exceeds_screen: the window is larger than the screen
+ * - dppx_mismatch: the resolution media query does not match devicePixelRatio (browsers with the dppx unit only)
+ * - orientation_mismatch: the orientation media query contradicts the viewport
+ * - visual_viewport_mismatch: visualViewport is larger than the layout viewport
+ * @returns {Object} Screen geometry results
+ */
+export function checkScreenGeometry() {
+    try {
+        const screenInfo = {
+            width: screen.width,
+            height: screen.height,
+            availWidth: screen.availWidth,
+            availHeight: screen.availHeight
+        };
+        const windowInfo = {
+            screenX: typeof window.screenX === 'number' ? window.screenX : null,
+            screenY: typeof window.screenY === 'number' ? window.screenY : null,
+            outerWidth: window.outerWidth,
+            outerHeight: window.outerHeight,
+            innerWidth: window.innerWidth,
+            innerHeight: window.innerHeight,
+            devicePixelRatio: window.devicePixelRatio
+        };
+        const visualViewport = window.visualViewport ? {
+            width: window.visualViewport.width,
+            height: window.visualViewport.height,
+            scale: window.visualViewport.scale
+        } : null;
+        // Safari before 16 has no dppx unit: every dppx query is false there
+        const dppxSupported = matchesMedia('(min-resolution: 0dppx)');
+        const mediaQueries = {
+            // A range: zoom levels make devicePixelRatio a float (1.100000023841858)
+            dppx: dppxSupported ?
+                matchesMedia(`(min-resolution: ${windowInfo.devicePixelRatio - 0.01}dppx) and ` +
+                    `(max-resolution: ${windowInfo.devicePixelRatio + 0.01}dppx)`) :
+                null,
+            landscape: matchesMedia('(orientation: landscape)')
+        };
+
+        const ua = navigator.userAgent || '';
+        // iPadOS Safari requests desktop sites with a Mac User-Agent; Macs have no touch screen
+        const mobile = /Mobi|Android|iPhone|iPad/.test(ua) || (/Macintosh/.test(ua) && navigator.maxTouchPoints > 1);
+        const resolution = `${screenInfo.width}x${screenInfo.height}`;
+
+        const anomalies = [];
+        if (HEADLESS_RESOLUTIONS[resolution]) anomalies.push('headless_resolution');
+        if (!mobile && screenInfo.availWidth === screenInfo.width &&
+            screenInfo.availHeight === screenInfo.height) {
+            anomalies.push('no_taskbar');
+        }
+        if (!mobile && windowInfo.screenX === 0 && windowInfo.screenY === 0) anomalies.push('zero_screen_position');
+        if (/Macintosh|Mac OS X/.test(ua) && !mobile && windowInfo.devicePixelRatio === 1) anomalies.push('mac_dpr_1');
+        // Zoomed-out pages report larger CSS sizes: only compare at 100% zoom
+        if (windowInfo.devicePixelRatio >= 1 &&
+            (windowInfo.outerWidth > screenInfo.width + SCREEN_TOLERANCE_PX ||
+                windowInfo.outerHeight > screenInfo.height + SCREEN_TOLERANCE_PX)) {
+            anomalies.push('viewport_exceeds_screen');
+        }
+        if (mediaQueries.dppx === false) anomalies.push('dppx_mismatch');
+        if (mediaQueries.landscape !== null && windowInfo.innerWidth !== windowInfo.innerHeight &&
+            mediaQueries.landscape !== windowInfo.innerWidth > windowInfo.innerHeight) {
+            anomalies.push('orientation_mismatch');
+        }
+        if (visualViewport && visualViewport.scale <= 1 &&
+            (visualViewport.width > windowInfo.innerWidth + 1 || visualViewport.height > windowInfo.innerHeight + 1)) {
+            anomalies.push('visual_viewport_mismatch');
+        }
+
+        // Each anomaly alone is common (small monitors, auto-hidden taskbars, external displays)
+        const headlessDefault = anomalies.includes('headless_resolution') && anomalies.includes('no_taskbar');
+        const virtualDisplay = anomalies.includes('no_taskbar') && anomalies.includes('zero_screen_position');
+
+        return {
+            suspicious: headlessDefault || virtualDisplay ||
+                anomalies.some(anomaly => GEOMETRY_INCONSISTENCIES.includes(anomaly)),
+            anomalies: anomalies,
+            headlessDefault: headlessDefault,
+            virtualDisplay: virtualDisplay,
+            resolution: resolution,
+            headlessResolution: HEADLESS_RESOLUTIONS[resolution] || null,
+            screen: screenInfo,
+            window: windowInfo,
+            visualViewport: visualViewport,
+            mediaQueries: mediaQueries
+        };
+    } catch (e) {
+        return { error: true };
+    }
+}
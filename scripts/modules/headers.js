@@ -0,0 +1,194 @@
+/**
+ * Request Header Analysis Module
+ * Detects headless browsers and HTTP clients from the headers of a request:
+ * missing browser headers, automation User-Agents, HeadlessChrome Client Hints,
+ * inconsistent Sec-Fetch-* metadata and the header order of common HTTP libraries.
+ * Runs on the server (see modules/server.js); no browser APIs.
+ * @module modules/headers
+ */
+
+import { matchUserAgentPatterns } from './userAgent.js';
+
+/**
+ * Header order of HTTP clients that do not send Accept-Language, restricted to
+ * ORDERED_HEADERS. Browsers always send Accept-Language, so they never match.
+ */
+export const HEADER_ORDER_FINGERPRINTS = {
+    'python-requests': ['host', 'user-agent', 'accept-encoding', 'accept', 'connection'],
+    'curl': ['host', 'user-agent', 'accept'],
+    'go-http-client': ['host', 'user-agent', 'accept-encoding']
+};
+
+/**
+ * Headers compared against HEADER_ORDER_FINGERPRINTS; others (Content-Type, cookies...) are ignored
+ */
+const ORDERED_HEADERS = ['host', 'user-agent', 'accept', 'accept-encoding', 'accept-language', 'connection'];
+
+/**
+ * Valid Sec-Fetch-* values (Fetch Metadata Request Headers)
+ */
+const SEC_FETCH_VALUES = {
+    'sec-fetch-site': ['cross-site', 'same-origin', 'same-site', 'none'],
+    'sec-fetch-mode': ['cors', 'navigate', 'no-cors', 'same-origin', 'websocket'],
+    'sec-fetch-dest': ['audio', 'audioworklet', 'document', 'embed', 'empty', 'fencedframe', 'font', 'frame', 'iframe',
+        'image', 'json', 'manifest', 'object', 'paintworklet', 'report', 'script', 'serviceworker', 'sharedworker',
+        'style', 'track', 'video', 'webidentity', 'worker', 'xslt']
+};
+
+/**
+ * Destinations of navigation requests
+ */
+const NAVIGATION_DESTINATIONS = ['document', 'embed', 'fencedframe', 'frame', 'iframe', 'object'];
+
+/**
+ * Analyze the headers of a request for headless browser and HTTP client tells
+ * @param {Object<string, (string|string[])>} headers - Request headers (lower-case names, as in Node.js)
+ * @param {string[]} [rawHeaderOrder] - Header names in the order received, e.g. the even
+ *   entries of Node's req.rawHeaders; header order is not analyzed without it
+ * @returns {Object} Header analysis results: { detected, signals, userAgentMatches, chromiumVersions, headerOrderClient }
+ */
+export function analyzeRequestHeaders(headers = {}, rawHeaderOrder) {
+    const signals = [];
+    const userAgent = getHeader(headers, 'user-agent');
+
+    // Every browser sends a User-Agent and an Accept-Language
+    if (!userAgent) signals.push('ua_missing');
+    if (!getHeader(headers, 'accept-language')) signals.push('accept_language_missing');
+
+    // Same patterns as the in-browser User-Agent check
+    const userAgentMatches = userAgent ? matchUserAgentPatterns(userAgent) : [];
+    if (userAgentMatches.length > 0) signals.push('ua_automation');
+
+    // Client Hints: HeadlessChrome brand, or a Chromium version the User-Agent does not claim
+    const { brands } = parseClientHints(headers);
+    const uaVersion = userAgent ? userAgent.match(/Chrom(?:e|ium)\/(\d+)/) : null;
+    const chromium = brands ?
+        brands.find(b => b.brand === 'Chromium') || brands.find(b => b.brand === 'Google Chrome') : undefined;
+    const chromiumVersions = {
+        userAgent: uaVersion ? parseInt(uaVersion[1], 10) : null,
+        clientHints: chromium ? parseInt(chromium.version, 10) : null
+    };
+    if (brands && brands.some(b => b.brand.toLowerCase().includes('headless'))) signals.push('ch_ua_headless');
+    // Browsers that only send their own brand (privacy forks) are not compared
+    if (chromiumVersions.clientHints !== null && chromiumVersions.userAgent !== chromiumVersions.clientHints) {
+        signals.push('ch_ua_mismatch');
+    }
+
+    if (!isSecFetchConsistent(headers)) signals.push('sec_fetch_inconsistent');
+
+    const headerOrderClient = Array.isArray(rawHeaderOrder) ? matchHeaderOrder(rawHeaderOrder) : null;
+    if (headerOrderClient) signals.push('header_order');
+
+    return {
+        detected: signals.length > 0,
+        signals: signals,
+        userAgentMatches: userAgentMatches,
+        chromiumVersions: chromiumVersions,
+        headerOrderClient: headerOrderClient
+    };
+}
+
+/**
+ * Parse the Client Hints request headers
+ * @param {Object<string, (string|string[])>} headers - Request headers (lower-case names)
+ * @returns {{brands: (Array<{brand: string, version: string}>|null), mobile: (boolean|null), platform: (string|null)}}
+ *   Client Hints; null when a header is missing or malformed
+ */
+export function parseClientHints(headers = {}) {
+    return {
+        brands: parseBrands(getHeader(headers, 'sec-ch-ua')),
+        mobile: parseMobile(getHeader(headers, 'sec-ch-ua-mobile')),
+        platform: parseQuoted(getHeader(headers, 'sec-ch-ua-platform'))
+    };
+}
+
+/**
+ * Get a request header (first value of repeated headers)
+ * @param {Object} headers - Request headers
+ * @param {string} name - Lower-case header name
+ * @returns {string|null} Header value
+ */
+export function getHeader(headers, name) {
+    const value = headers ? headers[name] : undefined;
+    if (Array.isArray(value)) return value.length > 0 ? String(value[0]) : null;
+    return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Check the Sec-Fetch-Site/Mode/Dest/User headers against each other.
+ * Browsers send Site, Mode and Dest together (only to secure origins), so
+ * requests without any of them are consistent.
+ * @param {Object} headers - Request headers
+ * @returns {boolean} False if the metadata could not come from a browser
+ */
+function isSecFetchConsistent(headers) {
+    const site = getHeader(headers, 'sec-fetch-site');
+    const mode = getHeader(headers, 'sec-fetch-mode');
+    const dest = getHeader(headers, 'sec-fetch-dest');
+    const user = getHeader(headers, 'sec-fetch-user');
+
+    if (site === null && mode === null && dest === null) return user === null;
+    if (site === null || mode === null || dest === null) return false;
+    if (!SEC_FETCH_VALUES['sec-fetch-site'].includes(site) || !SEC_FETCH_VALUES['sec-fetch-mode'].includes(mode) ||
+        !SEC_FETCH_VALUES['sec-fetch-dest'].includes(dest)) {
+        return false;
+    }
+
+    // Sec-Fetch-User is only sent for user-activated navigations
+    if (user !== null && (user !== '?1' || mode !== 'navigate')) return false;
+    if (mode === 'navigate' && !NAVIGATION_DESTINATIONS.includes(dest)) return false;
+    // Requests the user typed or bookmarked are navigations
+    if (site === 'none' && mode !== 'navigate') return false;
+    return true;
+}
+
+/**
+ * Match the header order of a request against HEADER_ORDER_FINGERPRINTS
+ * @param {string[]} rawHeaderOrder - Header names in the order received
+ * @returns {string|null} Name of the matching HTTP client
+ */
+function matchHeaderOrder(rawHeaderOrder) {
+    const order = rawHeaderOrder
+        .map(name => String(name).toLowerCase())
+        .filter(name => ORDERED_HEADERS.includes(name));
+    const clients = Object.keys(HEADER_ORDER_FINGERPRINTS);
+    return clients.find(client => HEADER_ORDER_FINGERPRINTS[client].join() === order.join()) || null;
+}
+
+/**
+ * Parse a Sec-CH-UA header, e.g. `"Chromium";v="124", "Not-A.Brand";v="99"`
+ * @param {string|null} value - Header value
+ * @returns {Array<{brand: string, version: string}>|null} Brands
+ */
+function parseBrands(value) {
+    if (value === null) return null;
+    const brands = [];
+    const pattern = /"((?:[^"\\]|\\.)*)"\s*;\s*v="([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+        brands.push({ brand: match[1].replace(/\\(.)/g, '$1'), version: match[2] });
+    }
+    return brands;
+}
+
+/**
+ * Parse a Sec-CH-UA-Mobile header ("?1" or "?0")
+ * @param {string|null} value - Header value
+ * @returns {boolean|null} Mobile flag
+ */
+function parseMobile(value) {
+    if (value === null) return null;
+    const trimmed = value.trim();
+    return trimmed === '?1' ? true : trimmed === '?0' ? false : null;
+}
+
+/**
+ * Parse a quoted structured header string, e.g. Sec-CH-UA-Platform `"Windows"`
+ * @param {string|null} value - Header value
+ * @returns {string|null} Unquoted value
+ */
+function parseQuoted(value) {
+    if (value === null) return null;
+    const match = value.trim().match(/^"((?:[^"\\]|\\.)*)"$/);
+    return match ? match[1].replace(/\\(.)/g, '$1') : null;
+}
@@ -0,0 +1,175 @@
+/**
+ * Iframe Detection Module
+ * Cross-realm consistency check: stealth patches are usually applied to the top window
+ * only, so a fresh sandboxed iframe (where injected init scripts do not run) still
+ * reports the browser's real values
+ * @module modules/iframe
+ */
+
+import { withTimeout } from './timeout.js';
+
+// Scripts stay disabled in the frame; allow-same-origin lets this window read it
+const IFRAME_SANDBOX = 'allow-same-origin';
+const IFRAME_SRCDOC = '<!DOCTYPE html><html><head></head><body></body></html>';
+
+/**
+ * Read the navigator values compared between the realms
+ * @param {Window} realm - Top window or iframe window
+ * @returns {Object} { webdriver, userAgent, pluginsLength, languages, webglVendor, webglRenderer }
+ */
+function readRealm(realm) {
+    const nav = realm.navigator;
+    return {
+        webdriver: nav.webdriver === true,
+        userAgent: nav.userAgent,
+        pluginsLength: nav.plugins ? nav.plugins.length : 0,
+        languages: nav.languages ? Array.from(nav.languages).join(',') : '',
+        webglVendor: null,
+        webglRenderer: null
+    };
+}
+
+/**
+ * Read the unmasked WebGL vendor and renderer of a realm into its values
+ * @param {Window} realm - Top window or iframe window
+ * @param {Object} values - readRealm() values
+ */
+function readWebGL(realm, values) {
+    // Nothing to read without WebGL (DOM emulations such as jsdom)
+    if (typeof realm.WebGLRenderingContext === 'undefined') return;
+    try {
+        const canvas = realm.document.createElement('canvas');
+        const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        const debugInfo = gl && gl.getExtension('WEBGL_debug_renderer_info');
+        if (debugInfo) {
+            values.webglVendor = gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL);
+            values.webglRenderer = gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL);
+        }
+    } catch (e) {
+        // WebGL unavailable in this realm: not compared
+    }
+}
+
+/**
+ * Top-window functions stealth plugins patch, stringified by both realms' Function.prototype.toString:
+ * a spoofed toString in the top window does not cover the iframe's own
+ * @returns {Function[]} Functions to stringify
+ */
+function getPatchedFunctions() {
+    const functions = [Function.prototype.toString];
+    const webdriver = Object.getOwnPropertyDescriptor(Navigator.prototype, 'webdriver');
+    if (webdriver && webdriver.get) functions.push(webdriver.get);
+    if (typeof WebGLRenderingContext !== 'undefined') functions.push(WebGLRenderingContext.prototype.getParameter);
+    functions.push(HTMLCanvasElement.prototype.toDataURL);
+    return functions.filter(fn => typeof fn === 'function');
+}
+
+/**
+ * Compare the top window with a fresh iframe
+ * @param {HTMLIFrameElement} iframe - Loaded iframe
+ * @returns {Object} { main, iframe, mismatches }
+ */
+function compareRealms(iframe) {
+    const frameWindow = iframe.contentWindow;
+    const mismatches = [];
+
+    // puppeteer-extra's iframe.contentWindow evasion hands srcdoc frames a proxy of the top window
+    if (!frameWindow || frameWindow === window || frameWindow.frameElement !== iframe) {
+        return { main: readRealm(window), iframe: null, mismatches: ['contentWindow'] };
+    }
+
+    const main = readRealm(window);
+    const frame = readRealm(frameWindow);
+    // A WebGL context is only created in the top window when there is something to compare it with
+    readWebGL(frameWindow, frame);
+    if (frame.webglVendor !== null) readWebGL(window, main);
+
+    Object.keys(main).forEach(key => {
+        // WebGL may be unavailable in one realm (context limits); only compare actual values
+        if (main[key] === null || frame[key] === null) return;
+        if (main[key] !== frame[key]) mismatches.push(key);
+    });
+
+    const frameToString = frameWindow.Function.prototype.toString;
+    const toStringDiffers = getPatchedFunctions().some(fn => {
+        try {
+            return Function.prototype.toString.call(fn) !== frameToString.call(fn);
+        } catch (e) {
+            return true;
+        }
+    });
+    if (toStringDiffers) mismatches.push('toString');
+
+    return { main: main, iframe: frame, mismatches: mismatches };
+}
+
+/**
+ * Cross-realm consistency check: compares navigator.webdriver, userAgent, plugins.length,
+ * languages, the WebGL vendor/renderer and Function.prototype.toString between the top
+ * window and a same-origin sandboxed srcdoc iframe
+ * @param {Object} [options] - Check options
+ * @param {number} [options.timeoutMs=1000] - Give up waiting for the iframe after this many milliseconds
+ * @returns {Promise<Object>} Iframe check results with consistent schema
+ */
+export function getIframeChecks(options = {}) {
+    // Consistent result schema
+    const createResult = (overrides = {}) => ({
+        available: false,
+        suspicious: false,
+        mismatches: [],
+        reason: '',
+        main: null,
+        iframe: null,
+        error: null,
+        ...overrides
+    });
+
+    let iframe = null;
+    const cleanup = () => {
+        if (iframe && iframe.parentNode) iframe.parentNode.removeChild(iframe);
+    };
+
+    return withTimeout(new Promise((resolve) => {
+        try {
+            iframe = document.createElement('iframe');
+            iframe.setAttribute('sandbox', IFRAME_SANDBOX);
+            iframe.setAttribute('aria-hidden', 'true');
+            iframe.tabIndex = -1;
+            iframe.style.display = 'none';
+            iframe.srcdoc = IFRAME_SRCDOC;
+
+            iframe.addEventListener('load', () => {
+                try {
+                    const comparison = compareRealms(iframe);
+                    const suspicious = comparison.mismatches.length > 0;
+                    resolve(createResult({
+                        available: true,
+                        suspicious: suspicious,
+                        ...comparison,
+                        reason: suspicious ?
+                            `Differs in iframe: ${comparison.mismatches.join(', ')} - patched top window` :
+                            "Consistent"
+                    }));
+                } catch (e) {
+                    resolve(createResult({
+                        error: e.message,
+                        reason: "Iframe comparison failed"
+                    }));
+                } finally {
+                    cleanup();
+                }
+            }, { once: true });
+
+            (document.body || document.documentElement).appendChild(iframe);
+        } catch (e) {
+            cleanup();
+            resolve(createResult({
+                error: e.message,
+                reason: "Iframe creation failed"
+            }));
+        }
+    }), options, () => {
+        cleanup();
+        return createResult({ reason: "Iframe timeout" });
+    });
+}
@@ -12,102 +12,124 @@
  * @version 1.0.0
  */
 
-// Import modules for Node.js environment
-let modules = {};
-if (typeof require !== 'undefined') {
-    try {
-        const webdriver = require('./webdriver.js');
-        const cdp = require('./cdp.js');
-        const userAgent = require('./userAgent.js');
-        const webgl = require('./webgl.js');
-        const automation = require('./automation.js');
-        const media = require('./media.js');
-        const fingerprint = require('./fingerprint.js');
-        const worker = require('./worker.js');
-        const explanations = require('./explanations.js');
-
-        modules = {
-            detectWebdriver: webdriver.detectWebdriver,
-            detectCDP: cdp.detectCDP,
-            detectCDPStackTrace: cdp.detectCDPStackTrace,
-            detectConsoleDebugLeak: cdp.detectConsoleDebugLeak,
-            checkUserAgent: userAgent.checkUserAgent,
-            checkWebGL: webgl.checkWebGL,
-            getAutomationFlags: automation.getAutomationFlags,
-            getHeadlessIndicators: automation.getHeadlessIndicators,
-            checkChromeRuntime: automation.checkChromeRuntime,
-            checkPermissions: automation.checkPermissions,
-            getMediaChecks: media.getMediaChecks,
-            getFingerprintChecks: fingerprint.getFingerprintChecks,
-            getWorkerChecks: worker.getWorkerChecks,
-            getCheckItemExplanations: explanations.getCheckItemExplanations
-        };
-    } catch (e) {
-        // Fallback if modules not available (browser environment)
-    }
-}
-
-// Browser environment - use window.HeadlessDetectorModules
-if (typeof window !== 'undefined' && window.HeadlessDetectorModules) {
-    modules = window.HeadlessDetectorModules;
-}
+import { detectWebdriver } from './webdriver.js';
+import { detectCDP } from './cdp.js';
+import { getCheckItemExplanations } from './explanations.js';
+import { normalizeOptions, isCheckEnabled } from './options.js';
+import {
+    DEFAULT_THRESHOLDS,
+    getFiredSignals,
+    getScoreBreakdown,
+    getBreakdownScore,
+    scoreLogistic,
+    classifyScore
+} from './scoring.js';
+import { SCORERS, resolveProfile } from './profiles.js';
+import * as registry from './registry.js';
+import { registerBuiltInChecks } from './checks.js';
+import { SCHEMA_VERSION } from './schema.js';
+import { createToken } from './token.js';
+import { queueReport } from './report.js';
+import { DEFAULT_MONITOR_INTERVAL_MS, MONITORED_CHECKS, diffResults } from './monitor.js';
+import { emit } from './events.js';
+import { version as PACKAGE_VERSION } from '../../package.json';
+
+// Every module's public functions are part of the package API (tree-shakable named exports)
+export * from './webdriver.js';
+export * from './cdp.js';
+export * from './userAgent.js';
+export * from './webgl.js';
+export * from './automation.js';
+export * from './media.js';
+export * from './mediaFeatures.js';
+export * from './fingerprint.js';
+export * from './worker.js';
+export * from './behavior.js';
+export * from './tampering.js';
+export * from './iframe.js';
+export * from './locale.js';
+export * from './geometry.js';
+export * from './explanations.js';
+export * from './options.js';
+export * from './scoring.js';
+export * from './profiles.js';
+export * from './schema.js';
+export * from './migrations.js';
+export * from './report.js';
+export * from './monitor.js';
+export { RESERVED_RESULT_KEYS, SEVERITIES, getCheckSeverity } from './registry.js';
+// The digest helpers stay internal: only the server SDK signs and checks digests
+export { TOKEN_VERSION, parseToken } from './token.js';
+export { BUILT_IN_CHECKS, getAdvancedChecks } from './checks.js';
+export { DETECTION_EVENTS, DOM_EVENT_PREFIX, on, off } from './events.js';
 
 /**
  * Detects headless browsers and automation frameworks by aggregating
  * multiple signals from the current browser session.
+ * Emits the result event, or the error event when it rejects (see modules/events.js).
  * 
- * @param {boolean} attachToWindow - If true, attaches results to window object for easy access
+ * @param {boolean|Object} [options] - attachToWindow flag (legacy) or options object
+ * @param {boolean} [options.attachToWindow=false] - If true, attaches results to window object for easy access
+ * @param {string[]} [options.include] - Only run these checks (e.g. "webglFlags", "fingerprintChecks.canvas")
+ * @param {string[]} [options.exclude] - Skip these checks (e.g. "webglFlags.renderingTest")
+ * @param {number} [options.timeoutMs=1000] - Timeout for asynchronous checks
+ * @param {number} [options.behaviorWindowMs=0] - Record mouse/keyboard/scroll input for this long before analyzing it
+ *   (0: analyze what was recorded so far, usually nothing unless startBehaviorRecording() ran earlier)
+ * @param {Object<string, number>} [options.weights] - Per-signal score weight overrides
+ * @param {Object<string, number>} [options.thresholds] - Classification threshold overrides
+ * @param {string|Object} [options.profile] - Weight profile name ("strict", "balanced", "low-false-positive") or object
+ * @param {string} [options.scorer] - "additive" (default) or "logistic"
+ * @param {Object<string, number>} [options.logOdds] - Per-signal log-odds overrides (logistic scorer)
+ * @param {number} [options.priorLogOdds] - Logit before any signal (logistic scorer)
+ * @param {string} [options.nonce] - Server-issued nonce; adds results.token for the server SDK (see modules/token.js)
+ * @param {string} [options.nonceKey] - Key issued with the nonce; signs results.token (required with a nonce)
+ * @param {Object} [options.report] - Send the results to a collector: { url, sampleRate, fields, transport } (see modules/report.js)
+ * @param {string} [options.geoCountry] - Server-supplied country code of the visitor (e.g. "DE" from the IP), compared with the timezone
  * @returns {Promise<Object>} Comprehensive headless detection results with explanations
  */
-async function detectHeadless(attachToWindow = false) {
-    // Validate that all required module functions are available
-    const requiredFunctions = [
-        'detectWebdriver', 'detectCDP', 'checkUserAgent', 'checkWebGL',
-        'getAutomationFlags', 'getHeadlessIndicators', 'getMediaChecks',
-        'getFingerprintChecks', 'getWorkerChecks', 'getCheckItemExplanations',
-        // Functions used by getAdvancedChecks:
-        'detectCDPStackTrace', 'detectConsoleDebugLeak', 'checkChromeRuntime', 'checkPermissions'
-    ];
-    const missingFunctions = requiredFunctions.filter(fn => !modules[fn]);
-    if (missingFunctions.length > 0) {
-        throw new Error(`HeadlessDetector modules not loaded. Missing: ${missingFunctions.join(', ')}. Ensure detection script is loaded or window.HeadlessDetectorModules is set.`);
+export async function detectHeadless(options = {}) {
+    let results;
+    try {
+        results = await runDetection(options);
+    } catch (e) {
+        emit('error', { checkId: null, error: e });
+        throw e;
     }
+    emit('result', results);
+    return results;
+}
+
+/**
+ * Run every enabled check, then score, sign, report and attach the results
+ * @param {boolean|Object} options - detectHeadless() options
+ * @returns {Promise<Object>} Detection results
+ */
+async function runDetection(options) {
+    const opts = normalizeOptions(options);
+    const scoring = resolveScoring(opts);
+    const checks = getRegisteredChecks();
 
-    // Get module functions (from imports or window)
-    const {
-        detectWebdriver,
-        detectCDP,
-        checkUserAgent,
-        checkWebGL,
-        getAutomationFlags,
-        getHeadlessIndicators,
-        getMediaChecks,
-        getFingerprintChecks,
-        getWorkerChecks,
-        getCheckItemExplanations
-    } = modules;
-
-    // Await worker checks first
-    const workerChecks = await getWorkerChecks();
+    // Run every enabled check exactly once; asynchronous checks run concurrently
+    const values = await Promise.all(checks.map(check =>
+        isCheckEnabled(check.id, opts) ? runCheck(check, opts) : null));
 
     const results = {
+        // Version of the results format (see schema/detection-result.schema.json)
+        schemaVersion: SCHEMA_VERSION,
+
         // Core detection results
-        isHeadless: await calculateHeadlessScore(workerChecks),
-
-        // Individual signal groups
-        webdriver: detectWebdriver(),
-        automationFlags: getAutomationFlags(),
-        cdpArtifacts: detectCDP(),
-        headlessIndicators: getHeadlessIndicators(),
-        userAgentFlags: checkUserAgent(),
-        webglFlags: checkWebGL(),
-        advancedChecks: getAdvancedChecks(),
-        mediaChecks: getMediaChecks(),
-        fingerprintChecks: getFingerprintChecks(),
-        workerChecks: workerChecks,
-
-        // Check item explanations (NEW 2026)
-        checkItemExplanations: getCheckItemExplanations(),
+        isHeadless: null, // Scored from the collected results below
+        scoreBreakdown: null // Every signal that contributed to isHeadless
+    };
+
+    // Individual signal groups (null when excluded by options)
+    checks.forEach((check, index) => {
+        results[check.id] = values[index] === undefined ? null : values[index];
+    });
+
+    Object.assign(results, {
+        // Check item explanations (NEW 2026), including those of registered checks
+        checkItemExplanations: { ...getCheckItemExplanations(), ...getRegisteredExplanations(checks) },
 
         // Summary of what was detected
         summary: null, // Will be set after
@@ -115,138 +137,274 @@ async function detectHeadless(attachToWindow = false) {
         // Metadata
         timestamp: Date.now(),
         userAgent: navigator.userAgent,
-        detectionVersion: '1.0.0'
-    };
+        detectionVersion: PACKAGE_VERSION
+    });
+
+    // Score and summarize the collected results - every check runs exactly once
+    scoreDetection(results, scoring, checks);
+
+    // Bind the finished results to the server's nonce
+    if (opts.nonce !== null) {
+        results.token = createToken(results, opts.nonce, opts.nonceKey);
+    }
 
-    // Generate summary with results to avoid re-running all checks
-    results.summary = generateDetectionSummary(results);
+    // Queue the results for the collector; sent in the background
+    if (opts.report !== null) {
+        queueReport(results, opts.report);
+    }
 
     // Attach to window for easy automation access
-    if (attachToWindow && typeof window !== 'undefined') {
-        window.__headlessDetection = results;
-        window.__headlessDetectionScore = results.isHeadless;
-
-        // Add to document for attribute-based access
-        if (document.documentElement) {
-            document.documentElement.setAttribute('data-headless-score', results.isHeadless.toFixed(3));
-            document.documentElement.setAttribute('data-headless-detected', results.isHeadless > 0.5 ? 'true' : 'false');
-            document.documentElement.setAttribute('data-detection-version', results.detectionVersion);
-        }
+    if (opts.attachToWindow) {
+        attachResults(results, scoring.thresholds);
     }
 
     return results;
 }
 
 /**
- * Get advanced detection checks
- * @returns {Object} Advanced checks results
+ * Resolve the scoring settings of normalized options:
+ * explicit weights/thresholds override the profile, which overrides the defaults
+ * @param {Object} opts - Normalized options
+ * @returns {Object} { profile, weights, thresholds, scorer, logOdds, priorLogOdds }
+ * @throws {Error} If the scorer is unknown
  */
-function getAdvancedChecks() {
-    const { detectCDPStackTrace, detectConsoleDebugLeak, checkChromeRuntime, checkPermissions } = modules;
-    
+function resolveScoring(opts) {
+    const profile = resolveProfile(opts.profile);
+    const scorer = opts.scorer || profile.scorer;
+    if (!SCORERS.includes(scorer)) {
+        throw new Error(`Unknown scorer "${scorer}". Available: ${SCORERS.join(', ')}`);
+    }
     return {
-        // CDP/DevTools stack trace detection
-        stackTrace: detectCDPStackTrace(),
-        // Chrome Runtime checks
-        chromeRuntime: checkChromeRuntime(),
-        // Permissions API checks
-        permissions: checkPermissions(),
-        // Console.debug CDP leak detection
-        consoleDebug: detectConsoleDebugLeak()
+        profile: profile,
+        weights: { ...profile.weights, ...opts.weights },
+        thresholds: { ...profile.thresholds, ...opts.thresholds },
+        scorer: scorer,
+        logOdds: { ...profile.logOdds, ...opts.logOdds },
+        priorLogOdds: opts.priorLogOdds !== null ? opts.priorLogOdds : profile.priorLogOdds
     };
 }
 
+/**
+ * Score collected results and set their scoreBreakdown, isHeadless and summary
+ * @param {Object} results - Results with every check's value
+ * @param {Object} scoring - Scoring settings (see resolveScoring)
+ * @param {Object[]} checks - Registered checks
+ */
+function scoreDetection(results, scoring, checks) {
+    let confidence = null;
+    if (scoring.scorer === 'logistic') {
+        const logistic = scoreLogistic(results, {
+            logOdds: scoring.logOdds,
+            priorLogOdds: scoring.priorLogOdds,
+            weights: scoring.weights
+        }, checks);
+        results.scoreBreakdown = logistic.breakdown;
+        results.isHeadless = logistic.probability;
+        confidence = logistic.confidence;
+    } else {
+        results.scoreBreakdown = getScoreBreakdown(results, scoring.weights, checks);
+        results.isHeadless = getBreakdownScore(results.scoreBreakdown);
+    }
+    results.summary = generateDetectionSummary(results, scoring.thresholds);
+    Object.assign(results.summary, { profile: scoring.profile.name, scorer: scoring.scorer, confidence: confidence });
+}
+
+/**
+ * Expose results on window and as data-* attributes of the document element
+ * @param {Object} results - Detection results
+ * @param {Object} thresholds - Classification threshold overrides
+ */
+function attachResults(results, thresholds) {
+    if (typeof window === 'undefined') return;
+    window.__headlessDetection = results;
+    window.__headlessDetectionScore = results.isHeadless;
+
+    // Add to document for attribute-based access
+    if (document.documentElement) {
+        const { likelyHeadless } = { ...DEFAULT_THRESHOLDS, ...thresholds };
+        document.documentElement.setAttribute('data-headless-score', results.isHeadless.toFixed(3));
+        document.documentElement.setAttribute('data-headless-detected', results.isHeadless > likelyHeadless ? 'true' : 'false');
+        document.documentElement.setAttribute('data-detection-version', results.detectionVersion);
+    }
+}
+
+/**
+ * Run a registered check.
+ * A check that throws reports { error: true, message } instead of failing the whole detection.
+ * Emits check:complete, and error first for a check that throws (see modules/events.js).
+ * @param {Object} check - Registered check
+ * @param {Object} opts - Normalized options
+ * @returns {Promise<*>} Check result
+ */
+async function runCheck(check, opts) {
+    const isEnabled = subCheck => isCheckEnabled(`${check.id}.${subCheck}`, opts);
+    const subChecks = {};
+    check.subChecks.forEach(subCheck => {
+        subChecks[subCheck] = isEnabled(subCheck);
+    });
+
+    let result;
+    try {
+        result = await check.run({ options: opts, subChecks: subChecks, isEnabled: isEnabled });
+    } catch (e) {
+        result = { error: true, message: e && e.message ? e.message : String(e) };
+        emit('error', { checkId: check.id, error: e });
+    }
+    emit('check:complete', { checkId: check.id, result: result });
+    return result;
+}
+
+/**
+ * Collect the explanations of registered checks, keyed by check id
+ * @param {Object[]} checks - Registered checks
+ * @returns {Object} Check item explanations
+ */
+function getRegisteredExplanations(checks) {
+    const explanations = {};
+    checks.forEach(check => {
+        if (check.explanation) explanations[check.id] = check.explanation;
+    });
+    return explanations;
+}
+
 /**
  * Calculate overall headless score (0-1, higher = more likely headless)
- * @param {Object} workerChecks - Worker check results (optional)
+ * Runs a full detection pass; use scoreResults() to score results you already have.
+ * @param {boolean|Object} [options] - detectHeadless() options
  * @returns {Promise<number>} Headless score between 0 and 1
  */
-async function calculateHeadlessScore(workerChecks = null) {
-    const {
-        detectWebdriver,
-        detectCDP,
-        checkUserAgent,
-        checkWebGL,
-        getAutomationFlags,
-        getHeadlessIndicators,
-        getMediaChecks,
-        getFingerprintChecks,
-        getWorkerChecks,
-        checkChromeRuntime,
-        checkPermissions,
-        detectCDPStackTrace
-    } = modules;
-
-    let score = 0;
-
-    // WebDriver is a strong signal (2025: still primary detection)
-    if (detectWebdriver()) score += 0.20;
-
-    // CDP artifacts are strong indicators (2025: most reliable)
-    const cdp = detectCDP();
-    if (cdp.detected) {
-        score += 0.25; // Increased weight for CDP detection
-        // High-confidence signals get extra weight
-        if (cdp.signals.includes('chromedriver_cdc')) score += 0.10;
-        if (cdp.signals.includes('puppeteer_eval')) score += 0.10;
-    }
+export async function calculateHeadlessScore(options = {}) {
+    const opts = normalizeOptions(options);
+    const results = await detectHeadless({ ...opts, attachToWindow: false });
+    return results.isHeadless;
+}
 
-    // Check automation flags
-    const automation = getAutomationFlags();
-    if (automation.plugins === 0) score += 0.07;
-    if (!automation.languages) score += 0.07;
-    // 2026: Playwright-specific detection (Castle.io)
-    if (automation.__playwright__binding__ || automation.__pwInitScripts) score += 0.30;
-    if (automation.playwrightExposedFunctions && automation.playwrightExposedFunctions.detected) score += 0.25;
-
-    // Headless indicators
-    const headless = getHeadlessIndicators();
-    if (!headless.hasOuterDimensions) score += 0.10;
-    if (headless.innerEqualsOuter) score += 0.03;
-
-    // Chrome Headless mode headers (2025: still effective)
-    if (checkUserAgent().suspicious) score += 0.12;
-
-    // WebGL software renderer (2025: common in headless)
-    const webgl = checkWebGL();
-    if (webgl.isSoftwareRenderer) score += 0.10;
-    // 2026: WebGL rendering test - check if rendering matches claimed GPU
-    if (webgl.renderingTest && webgl.renderingTest.suspicious) score += 0.12;
-
-    // Advanced checks (2025)
-    const stackTrace = detectCDPStackTrace();
-    const chromeRuntime = checkChromeRuntime();
-    const permissions = checkPermissions();
-    
-    if (permissions && permissions.deniedByDefault) score += 0.06;
-    if (chromeRuntime && chromeRuntime.suspicious) score += 0.05;
-    if (stackTrace && stackTrace.cdpDetected) score += 0.12;
-
-    // Media checks (2026: NEW)
-    const media = getMediaChecks();
-    if (media.webrtc && media.webrtc.suspicious) score += 0.08;
-    if (media.mediaDevices && media.mediaDevices.suspicious) score += 0.06;
-
-    // Fingerprint checks (2026: NEW)
-    const fingerprint = getFingerprintChecks();
-    if (fingerprint.canvas && fingerprint.canvas.suspicious) score += 0.07;
-    if (fingerprint.audioContext && fingerprint.audioContext.suspicious) score += 0.05;
-    if (fingerprint.fonts && fingerprint.fonts.suspicious) score += 0.08;
-
-    // Worker checks (2026: NEW - Chrome bug detection)
-    // Use provided worker checks or fetch them
-    const worker = workerChecks || await getWorkerChecks();
-    if (worker.userAgentMismatch) score += 0.15;
-
-    return Math.min(1, score);
+/**
+ * Monitor the session: run detectHeadless(), then re-run the cheap MONITORED_CHECKS every
+ * intervalMs and whenever the page becomes visible or gains focus, rescoring the results each time.
+ * Other checks keep their first result; the results of later runs carry no token.
+ * @param {Object} [options] - detectHeadless() options, plus:
+ * @param {boolean} [options.attachToWindow=true] - Update window.__headlessDetection and the data-headless-* attributes after every run
+ * @param {number} [options.intervalMs=5000] - Time between two runs of the monitored checks
+ * @param {string[]} [options.checks] - Checks to re-run (groups or "group.subCheck" ids, default MONITORED_CHECKS)
+ * @param {Function} [options.onChange] - Called with { results, score, previousScore, addedSignals, removedSignals }
+ *   after the first run and whenever the score or the fired signals change
+ * @returns {Object} Monitor: { ready (promise of the first results), refresh(), getResults(), stop() }
+ * @throws {Error} If the scorer is unknown
+ * @throws {TypeError} If the report options are invalid
+ */
+export function monitor(options = {}) {
+    const opts = normalizeOptions({ ...options, attachToWindow: options.attachToWindow !== false });
+    const scoring = resolveScoring(opts);
+    const intervalMs = typeof options.intervalMs === 'number' && options.intervalMs > 0 ?
+        options.intervalMs : DEFAULT_MONITOR_INTERVAL_MS;
+    const monitored = Array.isArray(options.checks) ? options.checks.slice() : MONITORED_CHECKS;
+    const onChange = typeof options.onChange === 'function' ? options.onChange : null;
+
+    let current = null;
+    let running = null;
+    let stopped = false;
+
+    const update = next => {
+        const change = diffResults(current, next);
+        current = next;
+        if (opts.attachToWindow) attachResults(next, scoring.thresholds);
+        if (change && onChange) onChange({ results: next, ...change });
+        return next;
+    };
+
+    // Runs never overlap: a refresh during a run returns that run
+    const refresh = () => {
+        if (running) return running;
+        if (stopped) return Promise.resolve(current);
+        const run = current ?
+            rerunChecks(current, monitored, opts, scoring) :
+            detectHeadless({ ...opts, attachToWindow: false });
+        running = run.then(update).finally(() => {
+            running = null;
+        });
+        return running;
+    };
+    const refreshInBackground = () => {
+        refresh().catch(() => {});
+    };
+    const onVisibilityChange = () => {
+        if (document.visibilityState === 'visible') refreshInBackground();
+    };
+
+    const ready = refresh();
+    const timer = setInterval(refreshInBackground, intervalMs);
+    if (typeof document !== 'undefined') document.addEventListener('visibilitychange', onVisibilityChange);
+    if (typeof window !== 'undefined') window.addEventListener('focus', refreshInBackground);
+
+    return {
+        ready: ready,
+        refresh: refresh,
+        getResults: () => current,
+        stop: () => {
+            if (stopped) return;
+            stopped = true;
+            clearInterval(timer);
+            if (typeof document !== 'undefined') document.removeEventListener('visibilitychange', onVisibilityChange);
+            if (typeof window !== 'undefined') window.removeEventListener('focus', refreshInBackground);
+        }
+    };
+}
+
+/**
+ * Re-run some checks of earlier results and rescore them
+ * @param {Object} previous - Earlier detectHeadless() results
+ * @param {string[]} ids - Checks to re-run (groups or "group.subCheck" ids)
+ * @param {Object} opts - Normalized options of the earlier run
+ * @param {Object} scoring - Scoring settings (see resolveScoring)
+ * @returns {Promise<Object>} New results
+ */
+async function rerunChecks(previous, ids, opts, scoring) {
+    const checks = getRegisteredChecks();
+    const rerunOpts = { ...opts, include: ids };
+    const results = { ...previous, timestamp: Date.now() };
+    // The token is bound to the first results
+    delete results.token;
+
+    await Promise.all(checks.map(async check => {
+        // Checks excluded from the first run stay excluded
+        const earlier = previous[check.id];
+        if (earlier === null || earlier === undefined || !isCheckEnabled(check.id, rerunOpts)) return;
+
+        const value = await runCheck(check, rerunOpts);
+        if (check.subChecks.length === 0 || !isObject(earlier) || !isObject(value)) {
+            results[check.id] = value;
+            return;
+        }
+        // Only replace the sub-checks that ran again
+        results[check.id] = { ...earlier };
+        check.subChecks
+            .filter(subCheck => isCheckEnabled(`${check.id}.${subCheck}`, rerunOpts))
+            .forEach(subCheck => {
+                results[check.id][subCheck] = value[subCheck];
+            });
+    }));
+
+    scoreDetection(results, scoring, checks);
+    emit('result', results);
+    return results;
+}
+
+/**
+ * @param {*} value - Value
+ * @returns {boolean} True for non-array objects
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
 
 /**
  * Generate a human-readable summary of what was detected
  * @param {Object} results - Already computed detection results
+ * @param {Object} [thresholds] - Classification threshold overrides
  * @returns {Object} Detection summary
  */
-function generateDetectionSummary(results) {
+function generateDetectionSummary(results, thresholds = {}) {
     const detections = [];
     const warnings = [];
     // Use explanations already attached to results for consistency
@@ -256,7 +414,7 @@ function generateDetectionSummary(results) {
     // Checks where true/YES is good (should be present in normal browsers)
     // Note: adv-permissions and media-webrtc are NOT in goodChecks because their 
     // checkItems values (deniedByDefault, suspicious) are true when problematic
-    const goodChecks = ['webgl-supported', 'worker-available', 'emoji-rendered',
+    const goodChecks = ['webgl-supported', 'worker-available', 'iframe-available', 'emoji-rendered',
         'outer-dims', 'languages-check', 'media-devices', 'fp-canvas', 'fp-audio'];
 
     // Helper function to check if value indicates a problem
@@ -290,33 +448,28 @@ function generateDetectionSummary(results) {
         return null;
     }
 
-    // Aggregate all check items
-    const checkItems = {
-        'webdriver-status': results.webdriver,
-        'cdp-detected': results.cdpArtifacts?.detected,
-        'cdp-keys': results.cdpArtifacts?.cdcKeysFound,
-        'ua-suspicious': results.userAgentFlags?.suspicious,
-        'webgl-supported': results.webglFlags?.supported,
-        'webgl-software': results.webglFlags?.isSoftwareRenderer,
-        'webgl-rendering-test': results.webglFlags?.renderingTest?.suspicious,
-        'worker-available': results.workerChecks?.available,
-        'worker-mismatch': results.workerChecks?.userAgentMismatch,
-        'emoji-rendered': results.fingerprintChecks?.canvas?.emojiCheck?.rendered,
-        'emoji-suspicious': results.fingerprintChecks?.canvas?.emojiCheck?.suspicious,
-        'outer-dims': results.headlessIndicators?.hasOuterDimensions,
-        'inner-outer': results.headlessIndicators?.innerEqualsOuter,
-        'languages-check': results.automationFlags?.languages,
-        'media-devices': results.headlessIndicators?.hasMediaDevices,
-        'adv-stacktrace': results.advancedChecks?.stackTrace?.cdpDetected,
-        'adv-runtime': results.advancedChecks?.chromeRuntime?.missing,
-        'adv-permissions': results.advancedChecks?.permissions?.deniedByDefault,
-        'adv-console': results.advancedChecks?.consoleDebug?.detected,
-        'media-webrtc': results.mediaChecks?.webrtc?.suspicious,
-        'media-battery': !results.mediaChecks?.battery?.available,
-        'fp-canvas': results.fingerprintChecks?.canvas?.available,
-        'fp-audio': results.fingerprintChecks?.audioContext?.available,
-        'plugins-count': results.automationFlags?.plugins
-    };
+    // Aggregate the summary items of every check that ran.
+    // Checks without an items() function report one item: whether they fired a signal.
+    const checkItems = {};
+    const severities = {};
+    getRegisteredChecks().forEach(check => {
+        const value = results[check.id];
+        if (value === null || value === undefined) return;
+
+        let items;
+        try {
+            items = check.items ?
+                check.items(value, results) :
+                { [check.id]: getFiredSignals(check, results).length > 0 };
+        } catch (e) {
+            // e.g. the { error: true, message } result of a check that threw
+            return;
+        }
+        Object.keys(items).forEach(key => {
+            checkItems[key] = items[key];
+            severities[key] = registry.getCheckSeverity(check, key);
+        });
+    });
 
     // Process each check item
     Object.keys(checkItems).forEach(key => {
@@ -327,13 +480,9 @@ function generateDetectionSummary(results) {
         const status = isProblematic(key, value, explanation);
 
         if (status === 'bad') {
-            const severity = ['cdp-detected', 'cdp-keys', 'webdriver-status', 'adv-stacktrace',
-                'worker-mismatch', 'emoji-suspicious', 'webgl-rendering-test'].includes(key) ?
-                'critical' : 'high';
-
             detections.push({
                 category: explanation.label,
-                severity: severity,
+                severity: severities[key],
                 message: explanation.bad || explanation.description,
                 checkId: key,
                 value: value
@@ -374,11 +523,7 @@ function generateDetectionSummary(results) {
     }
 
     const score = results.isHeadless;
-    const classification = score > 0.7 ? "Definitely Headless" :
-        score > 0.5 ? "Likely Headless" :
-            score > 0.3 ? "Suspicious" :
-                score > 0.15 ? "Minor Warnings" :
-                    "Normal Browser";
+    const { classification, riskLevel, recommendation } = classifyScore(score, thresholds);
 
     return {
         score: score,
@@ -386,63 +531,44 @@ function generateDetectionSummary(results) {
         detections: detections,
         warnings: warnings,
         totalIssues: detections.length + warnings.length,
-        riskLevel: score > 0.5 ? "high" : score > 0.3 ? "medium" : "low",
-        recommendation: score > 0.5 ?
-            "Strong automation signals detected. High probability of bot/headless browser." :
-            score > 0.3 ?
-                "Some automation indicators present. Further investigation recommended." :
-                "Browser appears normal with minimal or no automation signals."
+        riskLevel: riskLevel,
+        recommendation: recommendation
     };
 }
 
-// Export for different module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-        detectHeadless,
-        // Export individual detection functions for granular testing
-        getHeadlessScore: calculateHeadlessScore,
-        checkWebdriver: modules.detectWebdriver,
-        checkCDP: modules.detectCDP,
-        checkUserAgent: modules.checkUserAgent,
-        checkWebGL: modules.checkWebGL,
-        getWorkerChecks: modules.getWorkerChecks,
-        getAdvancedChecks
-    };
+/**
+ * Register a detection check (see modules/registry.js).
+ * Built-in checks are registered first, so they keep running before third-party checks.
+ * @param {Object} definition - Check definition
+ * @returns {Object} The registered check
+ */
+export function registerCheck(definition) {
+    registerBuiltInChecks();
+    return registry.registerCheck(definition);
 }
 
-if (typeof window !== 'undefined') {
-    // Add getAdvancedChecks to modules so headless-detector.js can access it
-    window.HeadlessDetectorModules = window.HeadlessDetectorModules || {};
-    window.HeadlessDetectorModules.getAdvancedChecks = getAdvancedChecks;
-
-    // Main detection function
-    window.detectHeadless = detectHeadless;
-    window.getWorkerChecks = modules.getWorkerChecks;
-
-    // Expose individual checkers for automation testing
-    window.HeadlessDetector = {
-        detect: detectHeadless,
-        getScore: calculateHeadlessScore,
-        getWorkerChecks: modules.getWorkerChecks,
-        checks: {
-            webdriver: modules.detectWebdriver,
-            cdp: modules.detectCDP,
-            userAgent: modules.checkUserAgent,
-            webgl: modules.checkWebGL,
-            automationFlags: modules.getAutomationFlags,
-            headlessIndicators: modules.getHeadlessIndicators,
-            advanced: getAdvancedChecks,
-            media: modules.getMediaChecks,
-            fingerprints: modules.getFingerprintChecks
-        }
-    };
+/**
+ * Remove a registered check, built-in or third-party
+ * @param {string} id - Check id
+ * @returns {boolean} True if the check was registered
+ */
+export function unregisterCheck(id) {
+    registerBuiltInChecks();
+    return registry.unregisterCheck(id);
+}
 
-    // Auto-detect and expose on page load for easy access
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            window.__headlessDetectionReady = true;
-        });
-    } else {
-        window.__headlessDetectionReady = true;
-    }
+/**
+ * Get all registered checks in execution order, built-in checks included
+ * @returns {Object[]} Registered checks
+ */
+export function getRegisteredChecks() {
+    registerBuiltInChecks();
+    return registry.getRegisteredChecks();
 }
+
+// Aliases kept for backward compatibility
+export {
+    calculateHeadlessScore as getHeadlessScore,
+    detectWebdriver as checkWebdriver,
+    detectCDP as checkCDP
+};
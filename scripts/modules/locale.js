@@ -0,0 +1,130 @@
+/**
+ * Locale Coherence Module
+ * Cross-checks the timezone, locale and language values a browser reports.
+ * Automation that overrides one of them (--lang, emulateTimezone, a spoofed
+ * navigator.language) rarely keeps the others in line, and cloud runners
+ * report UTC whatever locale they claim.
+ * @module modules/locale
+ */
+
+/**
+ * UTC offset ranges (minutes east of UTC, daylight saving time included) of the
+ * countries an IP country hint is compared with. Metropolitan territory only;
+ * countries not listed are not compared.
+ */
+export const COUNTRY_UTC_OFFSETS = {
+    US: [-600, -240], CA: [-480, -150], MX: [-480, -300], BR: [-300, -120], AR: [-180, -180],
+    GB: [0, 60], IE: [0, 60], PT: [-60, 60], ES: [0, 120], FR: [60, 120], DE: [60, 120],
+    IT: [60, 120], NL: [60, 120], BE: [60, 120], CH: [60, 120], AT: [60, 120], SE: [60, 120],
+    PL: [60, 120], UA: [120, 180], TR: [180, 180], RU: [120, 720], IL: [120, 180], EG: [120, 180],
+    ZA: [120, 120], NG: [60, 60], AE: [240, 240], SA: [180, 180], IN: [330, 330], TH: [420, 420],
+    VN: [420, 420], ID: [420, 540], CN: [480, 480], HK: [480, 480], TW: [480, 480], SG: [480, 480],
+    PH: [480, 480], KR: [540, 540], JP: [540, 540], AU: [480, 660], NZ: [720, 825]
+};
+
+// Time zones cloud runners and containers default to
+const UTC_TIME_ZONES = ['UTC', 'Etc/UTC', 'Etc/GMT', 'GMT', 'Etc/Universal', 'Etc/Zulu', 'Universal', 'Zulu'];
+
+/**
+ * Primary language subtag of a locale
+ * @param {string} locale - BCP 47 locale, e.g. "de-AT"
+ * @returns {string} Lower-case language, e.g. "de"
+ */
+function getLanguage(locale) {
+    return String(locale || '').split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * UTC offset of a time zone at a date, from the wall-clock time Intl formats there
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} date - Date
+ * @returns {number} Minutes behind UTC, like Date#getTimezoneOffset
+ */
+function getTimeZoneOffset(timeZone, date) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = parseInt(part.value, 10);
+    });
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+    return Math.round((Math.floor(date.getTime() / 1000) * 1000 - wallClock) / 60000);
+}
+
+/**
+ * Cross-check the timezone, locale and language values for contradictions
+ * Inconsistencies:
+ * - timezone_offset: the Intl time zone's UTC offset differs from Date#getTimezoneOffset()
+ * - intl_locale: the Intl.DateTimeFormat or Intl.NumberFormat default locale (the browser UI language) has none of
+ *   the languages of navigator.languages (a German UI with en-US first in Accept-Language is common and not flagged)
+ * - languages_primary: navigator.languages does not start with navigator.language
+ * - utc_non_english: a UTC time zone with a non-English language (cloud runners)
+ * - geo_timezone: the UTC offset is not one of the IP country's (only with a geoCountry hint)
+ * @param {Object} [options] - Check options
+ * @param {string} [options.geoCountry] - Server-supplied ISO 3166-1 alpha-2 country of the visitor (e.g. from the IP)
+ * @returns {Object} Locale coherence results
+ */
+export function checkLocaleCoherence(options = {}) {
+    try {
+        const now = new Date();
+        const dateTimeFormat = Intl.DateTimeFormat().resolvedOptions();
+        const timezone = dateTimeFormat.timeZone || null;
+        const timezoneOffset = now.getTimezoneOffset();
+        const language = navigator.language || '';
+        const languages = navigator.languages ? Array.from(navigator.languages) : [];
+        const intlLocales = {
+            dateTimeFormat: dateTimeFormat.locale,
+            numberFormat: Intl.NumberFormat().resolvedOptions().locale
+        };
+        const geoCountry = typeof options.geoCountry === 'string' && /^[A-Za-z]{2}$/.test(options.geoCountry) ?
+            options.geoCountry.toUpperCase() : null;
+
+        let intlTimezoneOffset = null;
+        try {
+            intlTimezoneOffset = timezone ? getTimeZoneOffset(timezone, now) : null;
+        } catch (e) {
+            // Unknown time zone name: not compared
+        }
+
+        const inconsistencies = [];
+        if (intlTimezoneOffset !== null && intlTimezoneOffset !== timezoneOffset) {
+            inconsistencies.push('timezone_offset');
+        }
+        const preferredLanguages = [language, ...languages].filter(Boolean).map(getLanguage);
+        if (preferredLanguages.length > 0 &&
+            Object.keys(intlLocales).some(key => !preferredLanguages.includes(getLanguage(intlLocales[key])))) {
+            inconsistencies.push('intl_locale');
+        }
+        if (language && languages.length > 0 && languages[0].toLowerCase() !== language.toLowerCase()) {
+            inconsistencies.push('languages_primary');
+        }
+        if (UTC_TIME_ZONES.includes(timezone) && language && getLanguage(language) !== 'en') {
+            inconsistencies.push('utc_non_english');
+        }
+        const countryOffsets = geoCountry ? COUNTRY_UTC_OFFSETS[geoCountry] : undefined;
+        if (countryOffsets && (-timezoneOffset < countryOffsets[0] || -timezoneOffset > countryOffsets[1])) {
+            inconsistencies.push('geo_timezone');
+        }
+
+        return {
+            suspicious: inconsistencies.length > 0,
+            inconsistencies: inconsistencies,
+            timezone: timezone,
+            timezoneOffset: timezoneOffset,
+            intlTimezoneOffset: intlTimezoneOffset,
+            language: language,
+            languages: languages,
+            intlLocales: intlLocales,
+            geoCountry: geoCountry
+        };
+    } catch (e) {
+        return { error: true };
+    }
+}
@@ -4,12 +4,14 @@
  * @module modules/media
  */
 
+import { withTimeout } from './timeout.js';
+
 /**
  * Check MediaDevices API (2026 method)
  * Headless browsers often have 0 media devices
  * @returns {Object} Media devices check results
  */
-function checkMediaDevices() {
+export function checkMediaDevices() {
     try {
         if (!navigator.mediaDevices) {
             return { available: false, suspicious: true };
@@ -27,12 +29,67 @@ function checkMediaDevices() {
     }
 }
 
+/**
+ * Enumerate media devices (asynchronous counterpart of checkMediaDevices)
+ * Real devices list at least one (unlabeled) input or output before any permission
+ * is granted; headless browsers and containers have none at all.
+ * @param {Object} [options] - Check options
+ * @param {number} [options.timeoutMs=1000] - Give up waiting for the device list after this many milliseconds
+ * @returns {Promise<Object>} Device enumeration results with consistent schema
+ */
+export function enumerateMediaDevices(options = {}) {
+    // Consistent result schema
+    const createResult = (overrides = {}) => ({
+        available: false,
+        suspicious: false,
+        audioInputs: 0,
+        videoInputs: 0,
+        audioOutputs: 0,
+        total: 0,
+        reason: '',
+        error: null,
+        ...overrides
+    });
+
+    let mediaDevices;
+    try {
+        mediaDevices = navigator.mediaDevices;
+    } catch (e) {
+        return Promise.resolve(createResult({ error: e.message, reason: "Enumeration failed" }));
+    }
+    // navigator.mediaDevices only exists in secure contexts
+    if (!mediaDevices || typeof mediaDevices.enumerateDevices !== 'function') {
+        return Promise.resolve(createResult({ reason: "enumerateDevices not supported" }));
+    }
+
+    return withTimeout(
+        Promise.resolve().then(() => mediaDevices.enumerateDevices()).then(devices => {
+            const count = kind => devices.filter(device => device.kind === kind).length;
+            const total = devices.length;
+            return createResult({
+                available: true,
+                suspicious: total === 0,
+                audioInputs: count('audioinput'),
+                videoInputs: count('videoinput'),
+                audioOutputs: count('audiooutput'),
+                total: total,
+                reason: total === 0 ? "No media devices" : "Media devices found"
+            });
+        }).catch(e => createResult({
+            error: e && e.message ? e.message : String(e),
+            reason: "Enumeration failed"
+        })),
+        options,
+        () => createResult({ reason: "Enumeration timeout" })
+    );
+}
+
 /**
  * Check WebRTC capabilities (2026 method)
  * Headless browsers often have RTCPeerConnection disabled or modified
  * @returns {Object} WebRTC check results
  */
-function checkWebRTC() {
+export function checkWebRTC() {
     try {
         const hasRTC = !!window.RTCPeerConnection;
         const hasGetUserMedia = !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
@@ -64,7 +121,7 @@ function checkWebRTC() {
  * Headless browsers often lack battery information
  * @returns {Object} Battery check results
  */
-function checkBattery() {
+export function checkBattery() {
     try {
         const hasBattery = 'getBattery' in navigator;
 
@@ -79,30 +136,16 @@ function checkBattery() {
 
 /**
  * Get all media checks
+ * @param {Object} [options] - Set a check to false to skip it (its result will be null)
+ * @param {boolean} [options.mediaDevices=true] - Run the MediaDevices check
+ * @param {boolean} [options.webrtc=true] - Run the WebRTC check
+ * @param {boolean} [options.battery=true] - Run the Battery API check
  * @returns {Object} All media check results
  */
-function getMediaChecks() {
+export function getMediaChecks(options = {}) {
     return {
-        mediaDevices: checkMediaDevices(),
-        webrtc: checkWebRTC(),
-        battery: checkBattery()
-    };
-}
-
-// Export for different module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-        checkMediaDevices,
-        checkWebRTC,
-        checkBattery,
-        getMediaChecks
+        mediaDevices: options.mediaDevices === false ? null : checkMediaDevices(),
+        webrtc: options.webrtc === false ? null : checkWebRTC(),
+        battery: options.battery === false ? null : checkBattery()
     };
 }
-
-if (typeof window !== 'undefined') {
-    window.HeadlessDetectorModules = window.HeadlessDetectorModules || {};
-    window.HeadlessDetectorModules.checkMediaDevices = checkMediaDevices;
-    window.HeadlessDetectorModules.checkWebRTC = checkWebRTC;
-    window.HeadlessDetectorModules.checkBattery = checkBattery;
-    window.HeadlessDetectorModules.getMediaChecks = getMediaChecks;
-}
@@ -0,0 +1,96 @@
+/**
+ * CSS Media Features Detection Module
+ * Evaluates interaction and display media features with matchMedia and compares
+ * them with what the browser claims to be: device emulation changes the
+ * User-Agent and touch points but rarely the pointer and hover features.
+ * @module modules/mediaFeatures
+ */
+
+import { checkClientHints } from './userAgent.js';
+
+/**
+ * Media features evaluated by checkMediaFeatures(), with their values in match order
+ * (color-gamut and dynamic-range values are ranges: the widest match is reported)
+ */
+export const MEDIA_FEATURES = {
+    'pointer': ['fine', 'coarse', 'none'],
+    'hover': ['hover', 'none'],
+    'any-pointer': ['fine', 'coarse', 'none'],
+    'prefers-color-scheme': ['light', 'dark'],
+    'prefers-reduced-motion': ['no-preference', 'reduce'],
+    'forced-colors': ['none', 'active'],
+    'color-gamut': ['rec2020', 'p3', 'srgb'],
+    'dynamic-range': ['high', 'standard'],
+    'inverted-colors': ['none', 'inverted']
+};
+
+// Smallest screen side (CSS pixels) no phone has
+const MOBILE_MAX_SHORT_SIDE = 1100;
+
+/**
+ * Value of a media feature
+ * @param {string} feature - Media feature, e.g. "pointer"
+ * @returns {string|null} First matching value, or null if none matches (unsupported feature)
+ */
+function getFeatureValue(feature) {
+    const value = MEDIA_FEATURES[feature].find(candidate => window.matchMedia(`(${feature}: ${candidate})`).matches);
+    return value === undefined ? null : value;
+}
+
+/**
+ * Evaluate CSS media features and cross-check them with the touch points, the claimed
+ * mobile/desktop platform (Client Hints, else the User-Agent) and the screen size
+ * Inconsistencies:
+ * - mobile_fine_pointer: a mobile browser whose primary pointer is fine (a mouse)
+ * - desktop_no_pointer: a desktop browser without pointing device (pointer: none)
+ * - touch_without_coarse_pointer: maxTouchPoints > 0 but no coarse pointer (any-pointer: coarse)
+ * - coarse_pointer_without_touch: a coarse primary pointer with maxTouchPoints of 0
+ * - mobile_large_screen: a mobile browser on a screen larger than any phone's
+ * - no_media_match: matchMedia matches no pointer, hover or color scheme value (stubbed)
+ * @returns {Object} Media feature results
+ */
+export function checkMediaFeatures() {
+    try {
+        if (typeof window.matchMedia !== 'function') {
+            return { available: false, suspicious: false, inconsistencies: [], features: null, mobile: null,
+                maxTouchPoints: null, screen: null };
+        }
+
+        const features = {};
+        Object.keys(MEDIA_FEATURES).forEach(feature => {
+            features[feature] = getFeatureValue(feature);
+        });
+
+        const clientHints = checkClientHints();
+        const mobile = typeof clientHints.mobile === 'boolean' ?
+            clientHints.mobile : /Mobi|Android|iPhone|iPad/.test(navigator.userAgent || '');
+        const maxTouchPoints = navigator.maxTouchPoints || 0;
+        const screenSize = { width: screen.width, height: screen.height };
+
+        const inconsistencies = [];
+        if (mobile && features.pointer === 'fine') inconsistencies.push('mobile_fine_pointer');
+        if (!mobile && features.pointer === 'none') inconsistencies.push('desktop_no_pointer');
+        if (maxTouchPoints > 0 && features['any-pointer'] !== null && !window.matchMedia('(any-pointer: coarse)').matches) {
+            inconsistencies.push('touch_without_coarse_pointer');
+        }
+        if (maxTouchPoints === 0 && features.pointer === 'coarse') inconsistencies.push('coarse_pointer_without_touch');
+        if (mobile && Math.min(screenSize.width, screenSize.height) > MOBILE_MAX_SHORT_SIDE) {
+            inconsistencies.push('mobile_large_screen');
+        }
+        if (features.pointer === null && features.hover === null && features['prefers-color-scheme'] === null) {
+            inconsistencies.push('no_media_match');
+        }
+
+        return {
+            available: true,
+            suspicious: inconsistencies.length > 0,
+            inconsistencies: inconsistencies,
+            features: features,
+            mobile: mobile,
+            maxTouchPoints: maxTouchPoints,
+            screen: screenSize
+        };
+    } catch (e) {
+        return { error: true };
+    }
+}
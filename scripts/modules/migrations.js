@@ -0,0 +1,91 @@
+/**
+ * Result Migrations Module
+ * Upgrades detectHeadless() results stored by older versions to the current
+ * result schema (see modules/schema.js), one schema version at a time.
+ * @module modules/migrations
+ */
+
+import { SCHEMA_VERSION } from './schema.js';
+import { getScoreBreakdown, getBreakdownScore, classifyScore } from './scoring.js';
+
+/**
+ * Schema version of results without a schemaVersion: releases up to 2.0.1,
+ * which all reported detectionVersion "1.0.0"
+ */
+export const LEGACY_SCHEMA_VERSION = '1.0.0';
+
+/**
+ * Migrations between consecutive schema versions, oldest first.
+ * Each migrate() receives a copy of the results and returns the upgraded results.
+ */
+export const MIGRATIONS = [
+    {
+        from: '1.0.0',
+        to: '2.0.0',
+        description: 'Applies the 2.0.1 chrome.runtime semantics (never suspicious), rescores with the ' +
+            'balanced profile and adds schemaVersion, scoreBreakdown and summary.profile/scorer/confidence',
+        migrate: result => {
+            const chromeRuntime = result.advancedChecks?.chromeRuntime;
+            if (chromeRuntime && typeof chromeRuntime === 'object' && !chromeRuntime.error) {
+                // Before 2.0.1, window.chrome without chrome.runtime was reported as suspicious
+                chromeRuntime.suspicious = false;
+            }
+
+            // Releases before profiles always scored with the balanced (default) weights
+            const scoreBreakdown = getScoreBreakdown(result);
+            const score = getBreakdownScore(scoreBreakdown);
+
+            return {
+                schemaVersion: '2.0.0',
+                ...result,
+                isHeadless: score,
+                scoreBreakdown: scoreBreakdown,
+                summary: {
+                    ...result.summary,
+                    score: score,
+                    ...classifyScore(score),
+                    profile: 'balanced',
+                    scorer: 'additive',
+                    confidence: null
+                }
+            };
+        }
+    }
+];
+
+/**
+ * Get the schema version of stored results
+ * @param {Object} result - detectHeadless() results
+ * @returns {string} Schema version
+ */
+export function getResultSchemaVersion(result) {
+    return typeof result.schemaVersion === 'string' ? result.schemaVersion : LEGACY_SCHEMA_VERSION;
+}
+
+/**
+ * Upgrade stored detectHeadless() results to the current schema version.
+ * Does not modify its argument; current results are returned as a copy.
+ * @param {Object} result - detectHeadless() results (parsed from JSON)
+ * @returns {Object} Results in the current schema (validate them with validateResult())
+ * @throws {TypeError} If result is not an object
+ * @throws {Error} If the results have an unknown or newer schema version
+ */
+export function migrateResult(result) {
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        throw new TypeError('migrateResult() expects a results object');
+    }
+
+    let migrated = JSON.parse(JSON.stringify(result));
+    let version = getResultSchemaVersion(migrated);
+
+    while (version !== SCHEMA_VERSION) {
+        const migration = MIGRATIONS.find(m => m.from === version);
+        if (!migration) {
+            throw new Error(`Cannot migrate results from schema version "${version}" to "${SCHEMA_VERSION}"`);
+        }
+        migrated = migration.migrate(migrated);
+        version = migration.to;
+    }
+
+    return migrated;
+}
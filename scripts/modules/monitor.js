@@ -0,0 +1,46 @@
+/**
+ * Monitoring Module
+ * Settings and change detection of monitor() (see modules/index.js), which keeps
+ * results up to date over the session: automation often attaches after page load
+ * (CDP Runtime.enable after navigation, Playwright exposeFunction on demand), so
+ * cheap checks are re-run on a schedule and when the page becomes visible or focused.
+ * @module modules/monitor
+ */
+
+/**
+ * Default time between two runs of the monitored checks, in milliseconds
+ */
+export const DEFAULT_MONITOR_INTERVAL_MS = 5000;
+
+/**
+ * Checks re-run by monitor(): cheap, synchronous and able to catch automation attached late
+ * (detectCDP, detectPlaywrightExposedFunctions and detectCDPStackTrace).
+ * Other checks keep their first result.
+ */
+export const MONITORED_CHECKS = ['cdpArtifacts', 'automationFlags', 'advancedChecks.stackTrace'];
+
+/**
+ * Compare two successive results of the same session
+ * @param {Object|null} previous - Earlier results (null for the first run)
+ * @param {Object} next - Later results
+ * @returns {Object|null} Change: { score, previousScore, addedSignals, removedSignals }, or null if
+ *   neither the score nor the fired signals changed
+ */
+export function diffResults(previous, next) {
+    const signalIds = results => results ? results.scoreBreakdown.map(entry => entry.id) : [];
+    const before = signalIds(previous);
+    const after = signalIds(next);
+    const addedSignals = after.filter(id => !before.includes(id));
+    const removedSignals = before.filter(id => !after.includes(id));
+    const previousScore = previous ? previous.isHeadless : null;
+
+    if (previousScore === next.isHeadless && addedSignals.length === 0 && removedSignals.length === 0) {
+        return null;
+    }
+    return {
+        score: next.isHeadless,
+        previousScore: previousScore,
+        addedSignals: addedSignals,
+        removedSignals: removedSignals
+    };
+}
@@ -0,0 +1,97 @@
+/**
+ * Detection Options Module
+ * Normalizes detectHeadless() options and resolves which checks should run
+ * @module modules/options
+ */
+
+import { normalizeReportOptions } from './report.js';
+
+/**
+ * Default timeout for asynchronous checks (Worker UA check) in milliseconds
+ */
+export const DEFAULT_TIMEOUT_MS = 1000;
+
+/**
+ * Default behavior recording window in milliseconds: analyze the input recorded so far.
+ * At page load that is usually nothing, so the behavior check is inert unless recording
+ * started earlier (startBehaviorRecording) or a window is set; it adds no delay either way.
+ */
+export const DEFAULT_BEHAVIOR_WINDOW_MS = 0;
+
+/**
+ * Normalize detectHeadless() options.
+ * Accepts the legacy boolean `attachToWindow` argument as well as an options object.
+ * @param {boolean|Object} [options] - attachToWindow flag or options object
+ * @param {boolean} [options.attachToWindow=false] - Attach results to window and DOM attributes
+ * @param {string[]} [options.include] - Only run these checks (groups or "group.subCheck" ids)
+ * @param {string[]} [options.exclude] - Skip these checks (groups or "group.subCheck" ids)
+ * @param {number} [options.timeoutMs=1000] - Timeout for asynchronous checks
+ * @param {number} [options.behaviorWindowMs=0] - Record input for this long before analyzing behavior
+ *   (0: analyze what was recorded so far, usually nothing unless startBehaviorRecording() ran earlier)
+ * @param {Object<string, number>} [options.weights] - Per-signal score weight overrides
+ * @param {Object<string, number>} [options.thresholds] - Classification threshold overrides
+ * @param {string|Object} [options.profile] - Weight profile name or object (defaults to the global profile)
+ * @param {string} [options.scorer] - "additive" or "logistic" (defaults to the profile's scorer)
+ * @param {Object<string, number>} [options.logOdds] - Per-signal log-odds overrides (logistic scorer)
+ * @param {number} [options.priorLogOdds] - Logit before any signal (logistic scorer)
+ * @param {string} [options.nonce] - Server-issued nonce to bind the results to (adds results.token)
+ * @param {string} [options.nonceKey] - Key issued with the nonce, which signs the token
+ * @param {Object} [options.report] - Send the results to a collector (see normalizeReportOptions)
+ * @param {string} [options.geoCountry] - Server-supplied country code of the visitor (e.g. from the IP) for the locale checks
+ * @returns {Object} Normalized options
+ * @throws {TypeError} If the report options are invalid
+ */
+export function normalizeOptions(options) {
+    const opts = typeof options === 'boolean' ?
+        { attachToWindow: options } :
+        (options && typeof options === 'object' ? options : {});
+
+    return {
+        attachToWindow: Boolean(opts.attachToWindow),
+        include: Array.isArray(opts.include) && opts.include.length > 0 ? opts.include.slice() : null,
+        exclude: Array.isArray(opts.exclude) ? opts.exclude.slice() : [],
+        timeoutMs: typeof opts.timeoutMs === 'number' && opts.timeoutMs > 0 ?
+            opts.timeoutMs : DEFAULT_TIMEOUT_MS,
+        behaviorWindowMs: typeof opts.behaviorWindowMs === 'number' && opts.behaviorWindowMs >= 0 ?
+            opts.behaviorWindowMs : DEFAULT_BEHAVIOR_WINDOW_MS,
+        weights: opts.weights && typeof opts.weights === 'object' ? { ...opts.weights } : {},
+        thresholds: opts.thresholds && typeof opts.thresholds === 'object' ? { ...opts.thresholds } : {},
+        profile: opts.profile === undefined ? null : opts.profile,
+        scorer: typeof opts.scorer === 'string' ? opts.scorer : null,
+        logOdds: opts.logOdds && typeof opts.logOdds === 'object' ? { ...opts.logOdds } : {},
+        priorLogOdds: typeof opts.priorLogOdds === 'number' ? opts.priorLogOdds : null,
+        nonce: opts.nonce === undefined || opts.nonce === null ? null : opts.nonce,
+        nonceKey: opts.nonceKey === undefined || opts.nonceKey === null ? null : opts.nonceKey,
+        report: normalizeReportOptions(opts.report),
+        geoCountry: typeof opts.geoCountry === 'string' && opts.geoCountry !== '' ? opts.geoCountry : null
+    };
+}
+
+/**
+ * Check whether a check (group or "group.subCheck") is enabled by include/exclude lists
+ * @param {string} id - Check id, e.g. "webglFlags" or "webglFlags.renderingTest"
+ * @param {Object} options - Normalized options (see normalizeOptions)
+ * @returns {boolean} True if the check should run
+ */
+export function isCheckEnabled(id, options) {
+    const [group, subCheck] = id.split('.');
+    const exclude = options.exclude || [];
+
+    if (exclude.includes(id) || (subCheck && exclude.includes(group))) {
+        return false;
+    }
+
+    if (!options.include) {
+        return true;
+    }
+
+    if (options.include.includes(id)) return true;
+
+    if (subCheck) {
+        // Sub-check runs when its whole group is included
+        return options.include.includes(group);
+    }
+
+    // Group runs when any of its sub-checks is included
+    return options.include.some(included => included.startsWith(`${group}.`));
+}
@@ -0,0 +1,210 @@
+/**
+ * Weight Profiles Module
+ * Named weight/threshold profiles and the global default profile
+ * @module modules/profiles
+ */
+
+/**
+ * Threshold keys a profile can override (see DEFAULT_THRESHOLDS)
+ */
+export const THRESHOLD_KEYS = ['definitelyHeadless', 'likelyHeadless', 'suspicious', 'minorWarnings'];
+
+/**
+ * Scorers a profile can select: "additive" (clamped sum of weights) or "logistic" (probability from log-odds)
+ */
+export const SCORERS = ['additive', 'logistic'];
+
+/**
+ * Built-in profiles. A profile is a JSON object:
+ * { "name": string, "extends"?: preset name, "weights"?: { signalId: number },
+ *   "thresholds"?: { definitelyHeadless, likelyHeadless, suspicious, minorWarnings },
+ *   "scorer"?: "additive" | "logistic", "logOdds"?: { signalId: number }, "priorLogOdds"?: number }
+ * Weights, thresholds and log-odds override the defaults (DEFAULT_WEIGHTS / DEFAULT_THRESHOLDS / DEFAULT_LOG_ODDS).
+ */
+export const PROFILE_PRESETS = {
+    // The historical weights and thresholds
+    'balanced': {
+        name: 'balanced',
+        weights: {},
+        thresholds: {}
+    },
+    // Flag more sessions: weak signals count more and thresholds are lower (e.g. login pages)
+    'strict': {
+        name: 'strict',
+        weights: {
+            'plugins-empty': 0.10,
+            'languages-missing': 0.10,
+            'inner-equals-outer': 0.05,
+            'webgl-software': 0.15,
+            'permissions-denied': 0.08,
+            'media-webrtc': 0.10,
+            'media-devices': 0.08,
+            'fp-canvas': 0.10,
+            'fp-audio': 0.08,
+            'fp-fonts': 0.10
+        },
+        thresholds: {
+            definitelyHeadless: 0.6,
+            likelyHeadless: 0.35,
+            suspicious: 0.2,
+            minorWarnings: 0.1
+        }
+    },
+    // Rely on automation artifacts; signals also seen in privacy browsers, VMs
+    // and kiosks count less and thresholds are higher (e.g. marketing sites)
+    'low-false-positive': {
+        name: 'low-false-positive',
+        weights: {
+            'plugins-empty': 0.03,
+            'languages-missing': 0.03,
+            'outer-dims-missing': 0.05,
+            'inner-equals-outer': 0,
+            'webgl-software': 0.04,
+            'permissions-denied': 0.02,
+            'media-webrtc': 0.03,
+            'media-devices': 0.02,
+            'fp-canvas': 0.03,
+            'fp-audio': 0.02,
+            'fp-fonts': 0.04
+        },
+        thresholds: {
+            definitelyHeadless: 0.8,
+            likelyHeadless: 0.6,
+            suspicious: 0.4,
+            minorWarnings: 0.2
+        }
+    }
+};
+
+/**
+ * Name of the profile used when none is given
+ */
+export const DEFAULT_PROFILE = 'balanced';
+
+// Global default profile (see setProfile)
+let activeProfile = null;
+
+/**
+ * Validate a profile object
+ * @param {Object} profile - Profile object (e.g. parsed from JSON)
+ * @throws {TypeError} If the profile is malformed
+ */
+export function validateProfile(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        throw new TypeError('Weight profile must be an object');
+    }
+    if (profile.name !== undefined && typeof profile.name !== 'string') {
+        throw new TypeError('Weight profile name must be a string');
+    }
+    if (profile.extends !== undefined && !PROFILE_PRESETS[profile.extends]) {
+        throw new TypeError(`Weight profile extends unknown preset "${profile.extends}"`);
+    }
+    if (profile.scorer !== undefined && !SCORERS.includes(profile.scorer)) {
+        throw new TypeError(`Weight profile scorer must be one of ${SCORERS.join(', ')}`);
+    }
+    if (profile.priorLogOdds !== undefined &&
+        (typeof profile.priorLogOdds !== 'number' || !Number.isFinite(profile.priorLogOdds))) {
+        throw new TypeError('Weight profile priorLogOdds must be a finite number');
+    }
+
+    const logOdds = profile.logOdds === undefined ? {} : profile.logOdds;
+    if (!logOdds || typeof logOdds !== 'object' || Array.isArray(logOdds)) {
+        throw new TypeError('Weight profile logOdds must be an object');
+    }
+    Object.keys(logOdds).forEach(id => {
+        // Negative log-odds are allowed: a signal can be evidence of a real browser
+        if (typeof logOdds[id] !== 'number' || !Number.isFinite(logOdds[id])) {
+            throw new TypeError(`Weight profile log-odds "${id}" must be a finite number`);
+        }
+    });
+
+    const weights = profile.weights === undefined ? {} : profile.weights;
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+        throw new TypeError('Weight profile weights must be an object');
+    }
+    Object.keys(weights).forEach(id => {
+        const weight = weights[id];
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            throw new TypeError(`Weight profile weight "${id}" must be a non-negative number`);
+        }
+    });
+
+    const thresholds = profile.thresholds === undefined ? {} : profile.thresholds;
+    if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+        throw new TypeError('Weight profile thresholds must be an object');
+    }
+    Object.keys(thresholds).forEach(key => {
+        const threshold = thresholds[key];
+        if (!THRESHOLD_KEYS.includes(key)) {
+            throw new TypeError(`Unknown weight profile threshold "${key}"`);
+        }
+        if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+            throw new TypeError(`Weight profile threshold "${key}" must be a number between 0 and 1`);
+        }
+    });
+}
+
+/**
+ * Resolve a profile name or object to { name, weights, thresholds, scorer, logOdds, priorLogOdds }
+ * @param {string|Object} [profile] - Preset name or profile object; defaults to the global profile
+ * @returns {Object} Resolved profile
+ */
+export function resolveProfile(profile) {
+    if (profile === undefined || profile === null) {
+        return getProfile();
+    }
+
+    if (typeof profile === 'string') {
+        const preset = PROFILE_PRESETS[profile];
+        if (!preset) {
+            throw new Error(`Unknown weight profile "${profile}". Available: ${Object.keys(PROFILE_PRESETS).join(', ')}`);
+        }
+        return copyProfile(preset);
+    }
+
+    validateProfile(profile);
+    const base = copyProfile(profile.extends ? PROFILE_PRESETS[profile.extends] : {});
+
+    return {
+        name: profile.name || 'custom',
+        weights: { ...base.weights, ...profile.weights },
+        thresholds: { ...base.thresholds, ...profile.thresholds },
+        scorer: profile.scorer || base.scorer,
+        logOdds: { ...base.logOdds, ...profile.logOdds },
+        priorLogOdds: profile.priorLogOdds === undefined ? base.priorLogOdds : profile.priorLogOdds
+    };
+}
+
+/**
+ * Copy a profile into the resolved shape, so callers cannot mutate presets or the global profile
+ * @param {Object} profile - Preset or resolved profile
+ * @returns {Object} Resolved profile
+ */
+function copyProfile(profile) {
+    return {
+        name: profile.name,
+        weights: { ...profile.weights },
+        thresholds: { ...profile.thresholds },
+        scorer: profile.scorer || 'additive',
+        logOdds: { ...profile.logOdds },
+        priorLogOdds: typeof profile.priorLogOdds === 'number' ? profile.priorLogOdds : null
+    };
+}
+
+/**
+ * Set the global default profile used by detectHeadless()
+ * @param {string|Object|null} profile - Preset name or profile object; null restores "balanced"
+ * @returns {Object} The resolved profile
+ */
+export function setProfile(profile) {
+    activeProfile = resolveProfile(profile === null || profile === undefined ? DEFAULT_PROFILE : profile);
+    return getProfile();
+}
+
+/**
+ * Get the global default profile
+ * @returns {Object} Resolved profile ({ name, weights, thresholds, scorer, logOdds, priorLogOdds })
+ */
+export function getProfile() {
+    return copyProfile(activeProfile || PROFILE_PRESETS[DEFAULT_PROFILE]);
+}
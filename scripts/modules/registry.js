@@ -0,0 +1,106 @@
+/**
+ * Check Registry Module
+ * Holds the checks run by detectHeadless(). Built-in checks register here
+ * (see modules/checks.js); third-party checks can be added at runtime.
+ * @module modules/registry
+ */
+
+/**
+ * Keys of the detectHeadless() results object that a check id cannot use
+ */
+export const RESERVED_RESULT_KEYS = ['schemaVersion', 'isHeadless', 'scoreBreakdown', 'checkItemExplanations', 'summary', 'timestamp', 'userAgent', 'detectionVersion', 'token'];
+
+/**
+ * Severities a check can report in the detection summary
+ */
+export const SEVERITIES = ['critical', 'high', 'medium'];
+
+// Registered checks, in registration (and execution) order
+const checks = [];
+
+/**
+ * Register a detection check.
+ * The check's result is stored under results[id] and is null when the check is excluded.
+ * @param {Object} definition - Check definition
+ * @param {string} definition.id - Unique check id (no dots; "id.subCheck" addresses sub-checks)
+ * @param {string} [definition.group] - Score group the check's signals belong to (defaults to id)
+ * @param {Function} definition.run - (context) => result or Promise of result
+ * @param {Function} [definition.score] - (result, results) => fired signals: ids, { id, weight, logOdds, value } objects, or a number
+ * @param {Object} [definition.explanation] - { label, description, good, bad } shown for the check in the summary
+ * @param {string|Object<string, string>} [definition.severity='high'] - Summary severity, or a map of summary item id to severity
+ * @param {string[]} [definition.subChecks] - Sub-checks selectable via include/exclude as "id.subCheck"
+ * @param {Function} [definition.items] - (result, results) => map of summary item id to value (defaults to a single item per check)
+ * @returns {Object} The registered check
+ */
+export function registerCheck(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new TypeError('registerCheck() expects a check definition object');
+    }
+
+    const { id } = definition;
+    if (typeof id !== 'string' || id === '' || id.includes('.')) {
+        throw new TypeError('Check id must be a non-empty string without dots');
+    }
+    if (RESERVED_RESULT_KEYS.includes(id)) {
+        throw new Error(`Check id "${id}" is reserved`);
+    }
+    if (checks.some(check => check.id === id)) {
+        throw new Error(`Check "${id}" is already registered`);
+    }
+    if (typeof definition.run !== 'function') {
+        throw new TypeError(`Check "${id}" must have a run function`);
+    }
+    ['score', 'items'].forEach(key => {
+        if (definition[key] !== undefined && typeof definition[key] !== 'function') {
+            throw new TypeError(`Check "${id}": ${key} must be a function`);
+        }
+    });
+    if (typeof definition.severity === 'string' && !SEVERITIES.includes(definition.severity)) {
+        throw new TypeError(`Check "${id}": severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    const check = Object.freeze({
+        id: id,
+        group: definition.group || id,
+        run: definition.run,
+        score: definition.score || null,
+        explanation: definition.explanation || null,
+        severity: definition.severity || 'high',
+        subChecks: Array.isArray(definition.subChecks) ? definition.subChecks.slice() : [],
+        items: definition.items || null
+    });
+
+    checks.push(check);
+    return check;
+}
+
+/**
+ * Remove a registered check
+ * @param {string} id - Check id
+ * @returns {boolean} True if the check was registered
+ */
+export function unregisterCheck(id) {
+    const index = checks.findIndex(check => check.id === id);
+    if (index === -1) return false;
+    checks.splice(index, 1);
+    return true;
+}
+
+/**
+ * Get all registered checks in execution order
+ * @returns {Object[]} Registered checks
+ */
+export function getRegisteredChecks() {
+    return checks.slice();
+}
+
+/**
+ * Get the summary severity of a check's summary item
+ * @param {Object} check - Registered check
+ * @param {string} itemId - Summary item id
+ * @returns {string} Severity
+ */
+export function getCheckSeverity(check, itemId) {
+    if (typeof check.severity === 'string') return check.severity;
+    return check.severity[itemId] || 'high';
+}
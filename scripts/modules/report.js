@@ -0,0 +1,261 @@
+/**
+ * Result Reporting Module
+ * Sends detectHeadless({ report }) results to a collector endpoint, e.g. the
+ * reference collector of the server SDK (createCollector() in modules/server.js).
+ * Runs are sampled, reduced to the reported fields and batched: a batch is sent
+ * when it is full, after flushIntervalMs, or when the page is hidden.
+ * Batches go out with navigator.sendBeacon, falling back to fetch (with retries)
+ * when the beacon is refused or unavailable.
+ * @module modules/report
+ */
+
+/**
+ * Results fields reported by default: the score, its signals and what the server SDK needs to match a run
+ */
+export const DEFAULT_REPORT_FIELDS = [
+    'schemaVersion',
+    'isHeadless',
+    'scoreBreakdown',
+    'summary.classification',
+    'summary.riskLevel',
+    'summary.profile',
+    'summary.scorer',
+    'timestamp',
+    'userAgent',
+    'detectionVersion',
+    'token'
+];
+
+/**
+ * Available report transports
+ */
+export const REPORT_TRANSPORTS = ['beacon', 'fetch'];
+
+/**
+ * Default report options (everything but the url)
+ */
+export const DEFAULT_REPORT_OPTIONS = {
+    sampleRate: 1,
+    fields: DEFAULT_REPORT_FIELDS,
+    transport: 'beacon',
+    batchSize: 10,
+    flushIntervalMs: 1000,
+    retries: 2,
+    retryDelayMs: 500
+};
+
+/**
+ * Browsers refuse keepalive fetches and beacons over 64 KiB
+ */
+const KEEPALIVE_LIMIT = 64 * 1024;
+
+/**
+ * Pending batches, keyed by transport and url
+ */
+const queues = new Map();
+
+let flushOnHideRegistered = false;
+
+/**
+ * Normalize the report option of detectHeadless()
+ * @param {Object} [report] - Report options
+ * @param {string} report.url - Collector endpoint
+ * @param {number} [report.sampleRate=1] - Share of runs to report, 0-1
+ * @param {(string[]|string)} [report.fields] - Results fields to report ("summary.riskLevel" for nested fields), or "*" for the whole results
+ * @param {string} [report.transport="beacon"] - "beacon" (falls back to fetch) or "fetch"
+ * @param {number} [report.batchSize=10] - Runs per batch
+ * @param {number} [report.flushIntervalMs=1000] - Maximum time a run waits for its batch
+ * @param {number} [report.retries=2] - Fetch retries after a failed request
+ * @param {number} [report.retryDelayMs=500] - Delay before the first retry, doubled after each retry
+ * @returns {Object|null} Normalized report options, or null when reporting is off
+ * @throws {TypeError} If the url, sample rate, fields or transport are invalid
+ */
+export function normalizeReportOptions(report) {
+    if (report === undefined || report === null || report === false) return null;
+    if (typeof report !== 'object') throw new TypeError('report must be an object with a url');
+
+    const options = { ...DEFAULT_REPORT_OPTIONS, ...report };
+    if (typeof options.url !== 'string' || options.url.length === 0) {
+        throw new TypeError('report.url must be a non-empty string');
+    }
+    if (typeof options.sampleRate !== 'number' || !(options.sampleRate >= 0 && options.sampleRate <= 1)) {
+        throw new TypeError('report.sampleRate must be a number between 0 and 1');
+    }
+    if (options.fields !== '*' && !(Array.isArray(options.fields) && options.fields.every(f => typeof f === 'string'))) {
+        throw new TypeError('report.fields must be an array of field names or "*"');
+    }
+    if (!REPORT_TRANSPORTS.includes(options.transport)) {
+        throw new TypeError(`Unknown report transport "${options.transport}". Available: ${REPORT_TRANSPORTS.join(', ')}`);
+    }
+
+    return {
+        url: options.url,
+        sampleRate: options.sampleRate,
+        fields: options.fields === '*' ? '*' : options.fields.slice(),
+        transport: options.transport,
+        batchSize: positiveInteger(options.batchSize, DEFAULT_REPORT_OPTIONS.batchSize),
+        flushIntervalMs: nonNegative(options.flushIntervalMs, DEFAULT_REPORT_OPTIONS.flushIntervalMs),
+        retries: nonNegative(Math.floor(options.retries), DEFAULT_REPORT_OPTIONS.retries),
+        retryDelayMs: nonNegative(options.retryDelayMs, DEFAULT_REPORT_OPTIONS.retryDelayMs)
+    };
+}
+
+/**
+ * Queue detectHeadless() results for reporting (unless the run is sampled out).
+ * Never throws and never delays detection: batches are sent in the background.
+ * @param {Object} results - detectHeadless() results
+ * @param {Object} report - Normalized report options (see normalizeReportOptions)
+ * @returns {boolean} True if the results were queued
+ */
+export function queueReport(results, report) {
+    if (report.sampleRate < 1 && Math.random() >= report.sampleRate) return false;
+
+    let payload;
+    try {
+        // Snapshot the reported fields: later changes to the results are not sent
+        payload = JSON.parse(JSON.stringify(pickFields(results, report.fields)));
+    } catch (e) {
+        return false;
+    }
+
+    const key = `${report.transport} ${report.url}`;
+    let queue = queues.get(key);
+    if (!queue) {
+        queue = { report: report, payloads: [], timer: null };
+        queues.set(key, queue);
+    }
+    queue.payloads.push(payload);
+    registerFlushOnHide();
+
+    if (queue.payloads.length >= report.batchSize) {
+        flushQueue(key);
+    } else if (queue.timer === null) {
+        queue.timer = setTimeout(() => flushQueue(key), report.flushIntervalMs);
+    }
+    return true;
+}
+
+/**
+ * Send every queued report now
+ * @returns {Promise<boolean>} True if every batch was delivered
+ */
+export function flushReports() {
+    const sent = Array.from(queues.keys()).map(key => flushQueue(key));
+    return Promise.all(sent).then(results => results.every(Boolean));
+}
+
+/**
+ * Send the pending batch of a queue
+ * @param {string} key - Queue key
+ * @returns {Promise<boolean>} True if the batch was delivered (or empty)
+ */
+function flushQueue(key) {
+    const queue = queues.get(key);
+    if (!queue) return Promise.resolve(true);
+    queues.delete(key);
+    if (queue.timer !== null) clearTimeout(queue.timer);
+    if (queue.payloads.length === 0) return Promise.resolve(true);
+
+    return sendBatch(queue.report, JSON.stringify({ reports: queue.payloads })).catch(() => false);
+}
+
+/**
+ * Send a batch with the report's transport
+ * @param {Object} report - Normalized report options
+ * @param {string} body - JSON body: { reports: [...] }
+ * @returns {Promise<boolean>} True if delivered
+ */
+async function sendBatch(report, body) {
+    // sendBeacon returns false when the browser refuses to queue the request (e.g. over 64 KiB)
+    if (report.transport === 'beacon' && typeof navigator !== 'undefined' &&
+        typeof navigator.sendBeacon === 'function') {
+        try {
+            if (navigator.sendBeacon(report.url, body)) return true;
+        } catch (e) {
+            // Invalid URL or blocked by the page: retry with fetch
+        }
+    }
+    if (typeof fetch !== 'function') return false;
+
+    for (let attempt = 0; attempt <= report.retries; attempt++) {
+        if (attempt > 0) await delay(report.retryDelayMs * Math.pow(2, attempt - 1));
+        try {
+            // text/plain, like a beacon: a CORS-safelisted request that needs no preflight
+            const response = await fetch(report.url, {
+                method: 'POST',
+                headers: { 'content-type': 'text/plain;charset=UTF-8' },
+                body: body,
+                keepalive: body.length <= KEEPALIVE_LIMIT
+            });
+            if (response.ok) return true;
+        } catch (e) {
+            // Network error: retry
+        }
+    }
+    return false;
+}
+
+/**
+ * Copy the reported fields of the results
+ * @param {Object} results - detectHeadless() results
+ * @param {(string[]|string)} fields - Field names, "summary.riskLevel" for nested fields, or "*"
+ * @returns {Object} Reported fields
+ */
+function pickFields(results, fields) {
+    if (fields === '*') return results;
+    const picked = {};
+    fields.forEach(field => {
+        const path = field.split('.');
+        let source = results;
+        for (const name of path) {
+            source = source !== null && typeof source === 'object' ? source[name] : undefined;
+        }
+        if (source === undefined) return;
+
+        let target = picked;
+        path.slice(0, -1).forEach(name => {
+            if (target[name] === null || typeof target[name] !== 'object') target[name] = {};
+            target = target[name];
+        });
+        target[path[path.length - 1]] = source;
+    });
+    return picked;
+}
+
+/**
+ * Flush pending reports when the page is hidden or unloaded; registered on first use
+ */
+function registerFlushOnHide() {
+    if (flushOnHideRegistered || typeof window === 'undefined' || typeof document === 'undefined') return;
+    flushOnHideRegistered = true;
+    window.addEventListener('pagehide', flushReports);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushReports();
+    });
+}
+
+/**
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {*} value - Option value
+ * @param {number} fallback - Default value
+ * @returns {number} value if it is a positive integer, otherwise the default
+ */
+function positiveInteger(value, fallback) {
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * @param {*} value - Option value
+ * @param {number} fallback - Default value
+ * @returns {number} value if it is a non-negative number, otherwise the default
+ */
+function nonNegative(value, fallback) {
+    return typeof value === 'number' && value >= 0 ? value : fallback;
+}
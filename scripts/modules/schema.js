@@ -0,0 +1,157 @@
+/**
+ * Result Schema Module
+ * The JSON Schema of detectHeadless() results (schema/detection-result.schema.json)
+ * and a validator for servers that ingest them.
+ * @module modules/schema
+ */
+
+import RESULT_SCHEMA from '../../schema/detection-result.schema.json';
+
+/**
+ * Version of the results format, stored in results.schemaVersion (the schema's schemaVersion const).
+ * Bumped when the shape or meaning of a result field changes, with a migration in modules/migrations.js.
+ * A literal, so detectHeadless() does not bundle the schema.
+ */
+export const SCHEMA_VERSION = '2.0.0';
+
+export { RESULT_SCHEMA };
+
+/**
+ * Validate detectHeadless() results against the current result schema.
+ * Results stored by older versions must be upgraded with migrateResult() first.
+ * @param {string|Object} json - Results object or its JSON text
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, result: (Object|undefined)}}
+ *   Validation report; result is the parsed results object
+ */
+export function validateResult(json) {
+    let result = json;
+    if (typeof json === 'string') {
+        try {
+            result = JSON.parse(json);
+        } catch (e) {
+            return { valid: false, errors: [{ path: '', message: `Invalid JSON: ${e.message}` }], result: undefined };
+        }
+    }
+
+    const errors = [];
+    validateValue(result, RESULT_SCHEMA, '', errors);
+    return { valid: errors.length === 0, errors, result };
+}
+
+/**
+ * Validate a value against a (sub)schema of the result schema.
+ * Supports the keywords the result schema uses: $ref (to $defs), type, const, enum,
+ * minimum, maximum, anyOf, properties, required, additionalProperties and items.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value, e.g. "summary.detections[0].severity"
+ * @param {Object[]} errors - Errors are appended here
+ */
+function validateValue(value, schema, path, errors) {
+    if (schema.$ref) {
+        schema = RESULT_SCHEMA.$defs[schema.$ref.replace('#/$defs/', '')];
+    }
+
+    if (schema.anyOf) {
+        const results = schema.anyOf.map(option => {
+            const optionErrors = [];
+            validateValue(value, option, path, optionErrors);
+            return optionErrors;
+        });
+        if (results.some(optionErrors => optionErrors.length === 0)) return;
+
+        // Report the errors of the closest option whose type matches, e.g. a field of a check result
+        const closest = results
+            .filter(optionErrors => !optionErrors.some(error => error.path === path))
+            .sort((a, b) => a.length - b.length)[0];
+        if (closest) {
+            errors.push(...closest);
+        } else {
+            errors.push({ path, message: `must be ${schema.anyOf.map(describeSchema).join(' or ')}` });
+        }
+        return;
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+        return;
+    }
+    if (schema.type && ![].concat(schema.type).some(type => isType(value, type))) {
+        errors.push({ path, message: `must be ${[].concat(schema.type).join(' or ')}` });
+        return;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors));
+    }
+
+    if (isType(value, 'object')) {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: joinPath(path, key), message: 'is required' });
+            }
+        });
+        Object.keys(value).forEach(key => {
+            // Undefined properties are dropped by JSON.stringify, so they count as absent
+            if (value[key] === undefined) return;
+            if (properties[key]) {
+                validateValue(value[key], properties[key], joinPath(path, key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validateValue(value[key], schema.additionalProperties, joinPath(path, key), errors);
+            }
+        });
+    }
+}
+
+/**
+ * Check a value against a JSON Schema type
+ * @param {*} value - Value
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function isType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Describe an anyOf option for error messages
+ * @param {Object} schema - Schema
+ * @returns {string} e.g. "null" or "cdpArtifacts"
+ */
+function describeSchema(schema) {
+    if (schema.$ref) return schema.$ref.replace('#/$defs/', '');
+    return [].concat(schema.type || 'valid').join(' or ');
+}
+
+/**
+ * Append a property to a path
+ * @param {string} path - Parent path
+ * @param {string} key - Property name
+ * @returns {string} Path
+ */
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
@@ -0,0 +1,383 @@
+/**
+ * Scoring Module
+ * Default signal weights and classification thresholds for the headless score,
+ * with an additive (default) and a logistic scorer
+ * @module modules/scoring
+ */
+
+import { getRegisteredChecks } from './registry.js';
+import { registerBuiltInChecks } from './checks.js';
+
+/**
+ * Default weight added to the headless score for each detected signal
+ */
+export const DEFAULT_WEIGHTS = {
+    // WebDriver is a strong signal (2025: still primary detection)
+    'webdriver': 0.20,
+    // CDP artifacts are strong indicators (2025: most reliable)
+    'cdp-detected': 0.25,
+    'cdp-chromedriver': 0.10,
+    'cdp-puppeteer': 0.10,
+    // Automation flags
+    'plugins-empty': 0.07,
+    'languages-missing': 0.07,
+    // 2026: Playwright-specific detection (Castle.io)
+    'playwright-binding': 0.30,
+    'playwright-exposed': 0.25,
+    // Headless indicators
+    'outer-dims-missing': 0.10,
+    'inner-equals-outer': 0.03,
+    // CSS media features contradict the claimed device
+    'media-features-mismatch': 0.12,
+    // Chrome Headless mode headers (2025: still effective)
+    'ua-suspicious': 0.12,
+    // High-entropy Client Hints contradict the User-Agent
+    'client-hints-mismatch': 0.20,
+    // WebGL software renderer and rendering test
+    'webgl-software': 0.10,
+    'webgl-rendering-test': 0.12,
+    // Advanced checks (2025)
+    'permissions-denied': 0.06,
+    'chrome-runtime': 0.05,
+    'permissions-contradiction': 0.15,
+    'cdp-stacktrace': 0.12,
+    // Media checks (2026)
+    'media-webrtc': 0.08,
+    'media-devices': 0.06,
+    'media-devices-none': 0.12,
+    // Fingerprint checks (2026)
+    'fp-canvas': 0.07,
+    'fp-audio': 0.05,
+    'fp-fonts': 0.08,
+    // Worker checks (2026: Chrome bug detection)
+    'worker-ua-mismatch': 0.15,
+    // Behavior checks: synthetic input
+    'behavior-untrusted-events': 0.30,
+    'behavior-straight-paths': 0.20,
+    'behavior-zero-jitter': 0.20,
+    'behavior-click-without-move': 0.15,
+    // Tampering checks: patched native functions
+    'tampering-lies': 0.25,
+    'tampering-tostring': 0.20,
+    // Iframe checks: top window differs from a fresh realm
+    'iframe-mismatch': 0.30,
+    // Locale checks: contradicting timezone, locale and languages
+    'locale-mismatch': 0.10,
+    'locale-geo-mismatch': 0.10,
+    // Geometry checks: headless screen defaults and contradicting sizes
+    'geometry-headless-default': 0.15,
+    'geometry-inconsistent': 0.15,
+    'geometry-virtual-display': 0.05,
+    // Server-side verification (headless-detector/server)
+    'server-invalid-result': 1.0,
+    'server-invalid-token': 1.0,
+    'server-ua-mismatch': 0.30,
+    'server-client-hints-mismatch': 0.20,
+    'server-ua-missing': 0.15,
+    'server-accept-language-missing': 0.10,
+    'server-ua-automation': 0.25,
+    'server-ch-ua-headless': 0.30,
+    'server-ch-ua-mismatch': 0.15,
+    'server-sec-fetch-inconsistent': 0.10,
+    'server-header-order': 0.20
+};
+
+/**
+ * Default log-odds added to the logit for each detected signal (logistic scorer).
+ * Unlike additive weights, contributions never saturate and a probability
+ * only gets close to 1 when several independent strong signals agree.
+ */
+export const DEFAULT_LOG_ODDS = {
+    // Automation artifacts - strong evidence on their own
+    'webdriver': 3.0,
+    'cdp-detected': 3.0,
+    'cdp-chromedriver': 1.5,
+    'cdp-puppeteer': 1.5,
+    'playwright-binding': 4.0,
+    'playwright-exposed': 3.0,
+    'ua-suspicious': 2.5,
+    'client-hints-mismatch': 2.5,
+    'cdp-stacktrace': 2.0,
+    'permissions-contradiction': 2.0,
+    'media-devices-none': 1.5,
+    'worker-ua-mismatch': 2.5,
+    'behavior-untrusted-events': 3.0,
+    'behavior-straight-paths': 2.0,
+    'behavior-zero-jitter': 2.0,
+    'behavior-click-without-move': 1.5,
+    'tampering-lies': 2.5,
+    'tampering-tostring': 2.0,
+    'iframe-mismatch': 3.0,
+    'server-invalid-result': 6.0,
+    'server-invalid-token': 6.0,
+    'server-ua-mismatch': 3.0,
+    'server-client-hints-mismatch': 2.0,
+    'server-ua-missing': 1.5,
+    'server-accept-language-missing': 1.0,
+    'server-ua-automation': 2.5,
+    'server-ch-ua-headless': 3.0,
+    'server-ch-ua-mismatch': 1.5,
+    'server-sec-fetch-inconsistent': 1.0,
+    'server-header-order': 2.0,
+    'webgl-rendering-test': 1.5,
+    'geometry-headless-default': 1.5,
+    'geometry-inconsistent': 1.5,
+    'media-features-mismatch': 1.5,
+    // Environment anomalies - also seen in VMs, kiosks and privacy browsers
+    'outer-dims-missing': 1.2,
+    'webgl-software': 1.0,
+    'media-webrtc': 0.8,
+    'fp-fonts': 0.8,
+    'languages-missing': 0.8,
+    'locale-mismatch': 0.8,
+    'locale-geo-mismatch': 0.8,
+    'plugins-empty': 0.6,
+    'fp-canvas': 0.6,
+    'media-devices': 0.5,
+    'permissions-denied': 0.4,
+    'chrome-runtime': 0.4,
+    'fp-audio': 0.4,
+    'inner-equals-outer': 0.2,
+    'geometry-virtual-display': 0.5
+};
+
+/**
+ * Default prior log-odds (logit before any signal): about 8% headless
+ */
+export const DEFAULT_PRIOR_LOG_ODDS = -2.5;
+
+/**
+ * Log-odds per unit of additive weight, for signals without log-odds of their own
+ */
+export const WEIGHT_TO_LOG_ODDS = 10;
+
+/**
+ * Default lower bounds (exclusive) for each summary classification
+ */
+export const DEFAULT_THRESHOLDS = {
+    definitelyHeadless: 0.7,
+    likelyHeadless: 0.5,
+    suspicious: 0.3,
+    minorWarnings: 0.15
+};
+
+/**
+ * Get the signals a registered check fires for already-collected results.
+ * Checks whose result is null (excluded) or an error never fire.
+ * @param {Object} check - Registered check (see modules/registry.js)
+ * @param {Object} results - detectHeadless() results
+ * @returns {Array<{id: string, weight: (number|undefined), logOdds: (number|undefined), value: *}>} Fired signals
+ */
+export function getFiredSignals(check, results) {
+    const value = results[check.id];
+    if (!check.score || value === null || value === undefined) return [];
+    if (typeof value === 'object' && value.error) return [];
+
+    let fired;
+    try {
+        fired = check.score(value, results);
+    } catch (e) {
+        return [];
+    }
+
+    // A number is the check's own contribution to the score
+    if (typeof fired === 'number') {
+        return fired > 0 ? [{ id: check.id, weight: fired, value: fired }] : [];
+    }
+
+    // A bare signal id reports `true` as its raw value
+    return (Array.isArray(fired) ? fired : [])
+        .filter(Boolean)
+        .map(signal => typeof signal === 'string' ? { id: signal } : signal)
+        .filter(signal => typeof signal.id === 'string')
+        .map(signal => ({
+            id: signal.id,
+            weight: signal.weight,
+            logOdds: signal.logOdds,
+            value: signal.value === undefined ? true : signal.value
+        }));
+}
+
+/**
+ * List every signal that fired, in scoring order, with its contribution.
+ * `total` is the cumulative score before the Math.min(1, score) clamp.
+ * @param {Object} results - detectHeadless() results (or a stored copy of them)
+ * @param {Object<string, number>} [weights] - Per-signal weight overrides
+ * @param {Object[]} [checks] - Checks to score (defaults to all registered checks)
+ * @returns {Array<{id: string, checkId: string, group: string, weight: number, value: *, total: number}>} Score breakdown
+ */
+export function getScoreBreakdown(results, weights = {}, checks = getDefaultChecks()) {
+    const breakdown = [];
+    let total = 0;
+
+    if (!results || typeof results !== 'object') {
+        return breakdown;
+    }
+
+    checks.forEach(check => {
+        getFiredSignals(check, results).forEach(signal => {
+            const weight = resolveWeight(signal, weights);
+            total += weight;
+            breakdown.push({
+                id: signal.id,
+                checkId: check.id,
+                group: check.group,
+                weight: weight,
+                value: signal.value,
+                total: total
+            });
+        });
+    });
+
+    return breakdown;
+}
+
+/**
+ * Calculate the headless score (0-1, higher = more likely headless) from
+ * already-collected results. Pure: does not run any checks.
+ * A signal's weight is the override in `weights`, else the weight the check
+ * reported, else DEFAULT_WEIGHTS.
+ * @param {Object} results - detectHeadless() results (or a stored copy of them)
+ * @param {Object<string, number>} [weights] - Per-signal weight overrides
+ * @param {Object[]} [checks] - Checks to score (defaults to all registered checks)
+ * @returns {number} Headless score between 0 and 1
+ */
+export function scoreResults(results, weights = {}, checks = getDefaultChecks()) {
+    return getBreakdownScore(getScoreBreakdown(results, weights, checks));
+}
+
+/**
+ * Get the clamped headless score from a score breakdown
+ * @param {Object[]} breakdown - Score breakdown (see getScoreBreakdown)
+ * @returns {number} Headless score between 0 and 1
+ */
+export function getBreakdownScore(breakdown) {
+    const total = breakdown.length > 0 ? breakdown[breakdown.length - 1].total : 0;
+    return Math.min(1, total);
+}
+
+/**
+ * Resolve the weight of a fired signal
+ * @param {Object} signal - Fired signal ({ id, weight })
+ * @param {Object<string, number>} weights - Per-signal weight overrides
+ * @returns {number} Weight
+ */
+export function resolveWeight(signal, weights = {}) {
+    if (typeof weights[signal.id] === 'number') return weights[signal.id];
+    if (typeof signal.weight === 'number') return signal.weight;
+    return DEFAULT_WEIGHTS[signal.id] || 0;
+}
+
+/**
+ * Resolve the log-odds of a fired signal: override, else the check's own
+ * log-odds, else DEFAULT_LOG_ODDS, else its additive weight scaled by WEIGHT_TO_LOG_ODDS
+ * @param {Object} signal - Fired signal ({ id, weight, logOdds })
+ * @param {Object<string, number>} [logOdds] - Per-signal log-odds overrides
+ * @param {Object<string, number>} [weights] - Per-signal weight overrides (fallback only)
+ * @returns {number} Log-odds
+ */
+export function resolveLogOdds(signal, logOdds = {}, weights = {}) {
+    if (typeof logOdds[signal.id] === 'number') return logOdds[signal.id];
+    if (typeof signal.logOdds === 'number') return signal.logOdds;
+    if (typeof DEFAULT_LOG_ODDS[signal.id] === 'number') return DEFAULT_LOG_ODDS[signal.id];
+    return resolveWeight(signal, weights) * WEIGHT_TO_LOG_ODDS;
+}
+
+/**
+ * Score already-collected results with the logistic (naive Bayes) scorer.
+ * Each fired signal adds its log-odds to the prior; the probability is the
+ * logistic function of the sum. Pure: does not run any checks.
+ *
+ * Confidence (0-1) is how far the probability is from undecided (0.5),
+ * scaled by the share of scoring checks that produced a usable result
+ * (excluded and errored checks lower it).
+ * @param {Object} results - detectHeadless() results (or a stored copy of them)
+ * @param {Object} [options] - Scorer options
+ * @param {Object<string, number>} [options.logOdds] - Per-signal log-odds overrides
+ * @param {number} [options.priorLogOdds] - Logit before any signal (default DEFAULT_PRIOR_LOG_ODDS)
+ * @param {Object<string, number>} [options.weights] - Weight overrides for signals without log-odds
+ * @param {Object[]} [checks] - Checks to score (defaults to all registered checks)
+ * @returns {{probability: number, confidence: number, logit: number, breakdown: Object[]}} Logistic score;
+ *   breakdown entries report log-odds as `weight` and the cumulative logit as `total`
+ */
+export function scoreLogistic(results, options = {}, checks = getDefaultChecks()) {
+    const logOdds = options.logOdds || {};
+    const weights = options.weights || {};
+    const prior = typeof options.priorLogOdds === 'number' ? options.priorLogOdds : DEFAULT_PRIOR_LOG_ODDS;
+    const breakdown = [];
+    let logit = prior;
+
+    if (results && typeof results === 'object') {
+        checks.forEach(check => {
+            getFiredSignals(check, results).forEach(signal => {
+                const weight = resolveLogOdds(signal, logOdds, weights);
+                logit += weight;
+                breakdown.push({
+                    id: signal.id,
+                    checkId: check.id,
+                    group: check.group,
+                    weight: weight,
+                    value: signal.value,
+                    total: logit
+                });
+            });
+        });
+    }
+
+    const probability = 1 / (1 + Math.exp(-logit));
+    const confidence = Math.abs(2 * probability - 1) * getEvidenceCoverage(results, checks);
+
+    return { probability, confidence, logit, breakdown };
+}
+
+/**
+ * Share (0-1) of scoring checks whose result is present and not an error
+ * @param {Object} results - detectHeadless() results
+ * @param {Object[]} checks - Registered checks
+ * @returns {number} Evidence coverage
+ */
+export function getEvidenceCoverage(results, checks) {
+    const scoring = checks.filter(check => check.score);
+    if (!results || typeof results !== 'object' || scoring.length === 0) return 0;
+
+    const usable = scoring.filter(check => {
+        const value = results[check.id];
+        return value !== null && value !== undefined && !(typeof value === 'object' && value.error);
+    });
+    return usable.length / scoring.length;
+}
+
+/**
+ * Get the registered checks, built-in checks included
+ * @returns {Object[]} Registered checks
+ */
+function getDefaultChecks() {
+    registerBuiltInChecks();
+    return getRegisteredChecks();
+}
+
+/**
+ * Classify a headless score using the given thresholds
+ * @param {number} score - Headless score between 0 and 1
+ * @param {Object} [thresholds] - Threshold overrides (see DEFAULT_THRESHOLDS)
+ * @returns {Object} Classification, risk level and recommendation
+ */
+export function classifyScore(score, thresholds = {}) {
+    const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+
+    const classification = score > t.definitelyHeadless ? "Definitely Headless" :
+        score > t.likelyHeadless ? "Likely Headless" :
+            score > t.suspicious ? "Suspicious" :
+                score > t.minorWarnings ? "Minor Warnings" :
+                    "Normal Browser";
+
+    return {
+        classification: classification,
+        riskLevel: score > t.likelyHeadless ? "high" : score > t.suspicious ? "medium" : "low",
+        recommendation: score > t.likelyHeadless ?
+            "Strong automation signals detected. High probability of bot/headless browser." :
+            score > t.suspicious ?
+                "Some automation indicators present. Further investigation recommended." :
+                "Browser appears normal with minimal or no automation signals."
+    };
+}
@@ -0,0 +1,534 @@
+/**
+ * Server Verification Module
+ * Verifies detectHeadless() results posted by the browser. The score is
+ * recomputed from the raw check results with the registered checks instead
+ * of trusting the posted isHeadless, and the claimed User-Agent and Client
+ * Hints are cross-checked against the request headers. With a secret, results
+ * must also carry a token bound to a nonce issued by createNonce() (see modules/token.js).
+ * The request headers themselves are analyzed by modules/headers.js.
+ * Node.js only: published as headless-detector/server, with middleware for
+ * Express (and Connect or plain http), Koa and Fastify, and a reference
+ * collector for detectHeadless({ report }) (see modules/report.js).
+ * @module modules/server
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { promises as fs } from 'fs';
+import { SCHEMA_VERSION, validateResult } from './schema.js';
+import { getResultDigest, parseToken } from './token.js';
+import { getResultSchemaVersion, migrateResult } from './migrations.js';
+import { getScoreBreakdown, getBreakdownScore, scoreLogistic, classifyScore } from './scoring.js';
+import { SCORERS, resolveProfile } from './profiles.js';
+import { getRegisteredChecks } from './registry.js';
+import { registerBuiltInChecks } from './checks.js';
+import { analyzeRequestHeaders, parseClientHints, getHeader } from './headers.js';
+
+// The header analysis is part of the server entry point
+export * from './headers.js';
+
+/**
+ * Request property the middleware stores the verdict in
+ */
+export const DEFAULT_VERDICT_PROPERTY = 'headlessVerdict';
+
+/**
+ * Maximum size of a posted results body read by the middleware, in bytes
+ */
+export const DEFAULT_BODY_LIMIT = 100 * 1024;
+
+/**
+ * How long a nonce issued by createNonce() can be used, in milliseconds
+ */
+export const DEFAULT_MAX_NONCE_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Validation error messages for each verifyToken() failure reason
+ */
+export const TOKEN_ERRORS = {
+    'missing': 'is required',
+    'malformed': 'is malformed',
+    'invalid-nonce': 'has a nonce this server did not issue',
+    'tampered': 'does not match the results',
+    'expired': 'has an expired nonce',
+    'replayed': 'has a nonce that was already used'
+};
+
+/**
+ * Checks that only run on the server, scored together with the registered checks.
+ * Their results are not part of the posted results; see verifyResult().
+ * Signal weights live in modules/scoring.js (DEFAULT_WEIGHTS).
+ */
+export const SERVER_CHECKS = [
+    {
+        id: 'resultValidation',
+        group: 'server',
+        // Hand-crafted or truncated payloads cannot be rescored
+        score: value => value.valid ? [] : [{ id: 'server-invalid-result', value: value.errors.length }]
+    },
+    {
+        id: 'tokenVerification',
+        group: 'server',
+        // Only runs when verifyResult() is given a secret
+        score: value => value.valid ? [] : [{ id: 'server-invalid-token', value: value.reason }]
+    },
+    {
+        id: 'requestHeaders',
+        group: 'server',
+        score: value => [
+            value.userAgentMatch === false && { id: 'server-ua-mismatch', value: value.userAgent },
+            value.clientHintsMismatches.length > 0 &&
+                { id: 'server-client-hints-mismatch', value: value.clientHintsMismatches }
+        ]
+    },
+    {
+        id: 'headerAnalysis',
+        group: 'server',
+        // Each header signal scores on its own, e.g. ch_ua_headless -> server-ch-ua-headless
+        score: value => value.signals.map(signal => ({
+            id: `server-${signal.replace(/_/g, '-')}`,
+            value: signal === 'ua_automation' ? value.userAgentMatches :
+                signal === 'header_order' ? value.headerOrderClient : true
+        }))
+    }
+];
+
+/**
+ * Issue a nonce and its key for detectHeadless({ nonce, nonceKey }). Nonces are stateless:
+ * they carry their issue time and an HMAC of it, and the key is an HMAC of the nonce, so
+ * any server sharing the secret can verify them. The key signs the results and never
+ * travels in the token: send it to the page with the nonce only.
+ * @param {string} secret - Server secret (keep it out of the page)
+ * @returns {{nonce: string, key: string}} Nonce ("<random>-<issued at (base 36)>-<HMAC>") and its hex key
+ * @throws {TypeError} If the secret is not a non-empty string
+ */
+export function createNonce(secret) {
+    assertSecret(secret);
+    const id = `${randomBytes(12).toString('hex')}-${Date.now().toString(36)}`;
+    const nonce = `${id}-${signNonce(secret, id)}`;
+    return { nonce: nonce, key: deriveNonceKey(secret, nonce) };
+}
+
+/**
+ * Create an in-memory store of used nonces, for replay protection in a single process.
+ * A store is an object with use(nonce, expiresAt): false if the nonce was already used.
+ * Processes behind a load balancer need a shared store.
+ * @returns {{use: function(string, number): boolean}} Nonce store
+ */
+export function createNonceStore() {
+    const used = new Map();
+
+    return {
+        use(nonce, expiresAt) {
+            const now = Date.now();
+            used.forEach((expiry, key) => {
+                if (expiry <= now) used.delete(key);
+            });
+            if (used.has(nonce)) return false;
+            used.set(nonce, expiresAt);
+            return true;
+        }
+    };
+}
+
+// Used nonces of verifyToken() calls without a nonceStore option
+const defaultNonceStore = createNonceStore();
+
+/**
+ * Verify the token of posted results: the nonce was issued with this secret and is
+ * fresh and unused, and the digest was made with the nonce's key.
+ * Marks the nonce as used.
+ * @param {Object} result - Posted detectHeadless() results
+ * @param {string} secret - Secret the nonce was issued with
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.maxNonceAgeMs=300000] - How long a nonce can be used
+ * @param {Object} [options.nonceStore] - Used nonces (see createNonceStore); defaults to a process-wide store
+ * @returns {{valid: boolean, reason: (string|null), issuedAt: (number|null)}} Verification; reason is a key of TOKEN_ERRORS
+ * @throws {TypeError} If the secret is not a non-empty string
+ */
+export function verifyToken(result, secret, options = {}) {
+    assertSecret(secret);
+    const maxNonceAgeMs = typeof options.maxNonceAgeMs === 'number' ? options.maxNonceAgeMs : DEFAULT_MAX_NONCE_AGE_MS;
+    const nonceStore = options.nonceStore || defaultNonceStore;
+    const fail = (reason, issuedAt = null) => ({ valid: false, reason: reason, issuedAt: issuedAt });
+
+    if (!result || typeof result !== 'object' || result.token === undefined) return fail('missing');
+    const token = parseToken(result.token);
+    if (!token) return fail('malformed');
+
+    // "<random>-<issued at>-<HMAC>"
+    const [random, issued, signature] = token.nonce.split('-');
+    const issuedAt = parseInt(issued, 36);
+    if (!signature || !Number.isFinite(issuedAt) || !safeEqual(signature, signNonce(secret, `${random}-${issued}`))) {
+        return fail('invalid-nonce');
+    }
+    if (token.timestamp !== result.timestamp || !safeEqual(token.digest, getResultDigest(result, deriveNonceKey(secret, token.nonce)))) {
+        return fail('tampered', issuedAt);
+    }
+    // Age is measured on the server clock only; browser clocks may be off
+    if (Date.now() - issuedAt > maxNonceAgeMs) return fail('expired', issuedAt);
+    if (!nonceStore.use(token.nonce, issuedAt + maxNonceAgeMs)) return fail('replayed', issuedAt);
+
+    return { valid: true, reason: null, issuedAt: issuedAt };
+}
+
+/**
+ * Cross-check the User-Agent and Client Hints claimed by posted results
+ * against the headers of the request that posted them.
+ * Client Hints are only compared when both the results and the request carry them
+ * (they are only sent to secure origins, and proxies may strip them).
+ * @param {Object} result - detectHeadless() results
+ * @param {Object<string, (string|string[])>} headers - Request headers (lower-case names, as in Node.js)
+ * @returns {Object} { userAgent, userAgentMatch, clientHints, clientHintsMismatches }
+ */
+export function checkRequestHeaders(result, headers = {}) {
+    const userAgent = getHeader(headers, 'user-agent');
+    const claimedUserAgent = typeof result?.userAgent === 'string' ? result.userAgent : null;
+
+    const parsed = parseClientHints(headers);
+    const clientHints = { ...parsed, brands: parsed.brands && parsed.brands.map(b => b.brand) };
+
+    // checkClientHints() falls back to navigator.platform without userAgentData, so
+    // the claimed hints are only comparable when the browser reported brands
+    const claimed = result?.userAgentFlags?.clientHints;
+    const hasClaimedHints = Array.isArray(claimed?.brands) && claimed.brands.length > 0;
+    const clientHintsMismatches = [];
+    if (hasClaimedHints) {
+        if (clientHints.brands && clientHints.brands.slice().sort().join('\n') !== claimed.brands.slice().sort().join('\n')) {
+            clientHintsMismatches.push('brands');
+        }
+        if (clientHints.mobile !== null && typeof claimed.mobile === 'boolean' && clientHints.mobile !== claimed.mobile) {
+            clientHintsMismatches.push('mobile');
+        }
+        if (clientHints.platform !== null && typeof claimed.platform === 'string' && clientHints.platform !== claimed.platform) {
+            clientHintsMismatches.push('platform');
+        }
+    }
+
+    return {
+        userAgent: userAgent,
+        userAgentMatch: claimedUserAgent === null ? null : claimedUserAgent === userAgent,
+        clientHints: clientHints,
+        clientHintsMismatches: clientHintsMismatches
+    };
+}
+
+/**
+ * Verify detectHeadless() results posted by a browser.
+ * Results of older schema versions are migrated first. The posted isHeadless is
+ * never trusted: the score is recomputed with the registered checks (register
+ * third-party checks on the server too) plus SERVER_CHECKS. Invalid results are
+ * not rescored and fire the server-invalid-result signal instead.
+ * With a secret, results without a valid token (see verifyToken) are invalid and
+ * fire the server-invalid-token signal.
+ * @param {string|Object} payload - Posted results object or its JSON text
+ * @param {Object<string, (string|string[])>} [headers] - Request headers (lower-case names, as in Node.js)
+ * @param {Object} [options] - Scoring options, as for detectHeadless()
+ * @param {string|Object} [options.profile] - Weight profile name or object (defaults to the global profile)
+ * @param {Object<string, number>} [options.weights] - Per-signal score weight overrides
+ * @param {Object<string, number>} [options.thresholds] - Classification threshold overrides
+ * @param {string} [options.scorer] - "additive" or "logistic" (defaults to the profile's scorer)
+ * @param {Object<string, number>} [options.logOdds] - Per-signal log-odds overrides (logistic scorer)
+ * @param {number} [options.priorLogOdds] - Logit before any signal (logistic scorer)
+ * @param {string} [options.secret] - Require a token bound to a nonce issued with this secret
+ * @param {number} [options.maxNonceAgeMs=300000] - How long a nonce can be used
+ * @param {Object} [options.nonceStore] - Used nonces (see createNonceStore)
+ * @param {string[]} [options.rawHeaderOrder] - Header names in the order received (see analyzeRequestHeaders)
+ * @returns {Object} Verdict: { valid, errors, schemaVersion, claimedScore, isHeadless, scoreBreakdown,
+ *   classification, riskLevel, recommendation, profile, scorer, confidence, requestHeaders, headerAnalysis, token }
+ * @throws {Error} If the scorer is unknown
+ * @throws {TypeError} If the secret is not a non-empty string
+ */
+export function verifyResult(payload, headers = {}, options = {}) {
+    const profile = resolveProfile(options.profile);
+    const weights = { ...profile.weights, ...options.weights };
+    const thresholds = { ...profile.thresholds, ...options.thresholds };
+    const scorer = options.scorer || profile.scorer;
+    if (!SCORERS.includes(scorer)) {
+        throw new Error(`Unknown scorer "${scorer}". Available: ${SCORERS.join(', ')}`);
+    }
+
+    const { valid, errors, result, schemaVersion, raw } = validatePayload(payload);
+    const requestHeaders = checkRequestHeaders(valid ? result : null, headers);
+    const headerAnalysis = analyzeRequestHeaders(headers, options.rawHeaderOrder);
+    // The token covers the results as posted, before any migration
+    const token = options.secret === undefined ? null : verifyToken(raw, options.secret, options);
+
+    // Server check results are scored alongside the posted check results
+    registerBuiltInChecks();
+    const checks = valid ? [...getRegisteredChecks(), ...SERVER_CHECKS] : SERVER_CHECKS;
+    const scored = {
+        ...(valid ? result : {}),
+        resultValidation: { valid, errors },
+        tokenVerification: token,
+        requestHeaders: requestHeaders,
+        headerAnalysis: headerAnalysis
+    };
+
+    let scoreBreakdown;
+    let score;
+    let confidence = null;
+    if (scorer === 'logistic') {
+        const logistic = scoreLogistic(scored, {
+            logOdds: { ...profile.logOdds, ...options.logOdds },
+            priorLogOdds: typeof options.priorLogOdds === 'number' ? options.priorLogOdds : profile.priorLogOdds,
+            weights: weights
+        }, checks);
+        scoreBreakdown = logistic.breakdown;
+        score = logistic.probability;
+        confidence = logistic.confidence;
+    } else {
+        scoreBreakdown = getScoreBreakdown(scored, weights, checks);
+        score = getBreakdownScore(scoreBreakdown);
+    }
+
+    return {
+        valid: valid && (token === null || token.valid),
+        errors: token && !token.valid ? [...errors, { path: 'token', message: TOKEN_ERRORS[token.reason] }] : errors,
+        schemaVersion: schemaVersion,
+        claimedScore: valid ? result.isHeadless : null,
+        isHeadless: score,
+        scoreBreakdown: scoreBreakdown,
+        ...classifyScore(score, thresholds),
+        profile: profile.name,
+        scorer: scorer,
+        confidence: confidence,
+        requestHeaders: requestHeaders,
+        headerAnalysis: headerAnalysis,
+        token: token
+    };
+}
+
+/**
+ * Create Express middleware (also works with Connect and plain http servers) that
+ * verifies the posted results and stores the verdict in req.headlessVerdict.
+ * Uses req.body when a body parser already ran, otherwise reads the request body.
+ * @param {Object} [options] - verifyResult() options
+ * @param {string} [options.property='headlessVerdict'] - Request property for the verdict
+ * @param {number} [options.limit=102400] - Maximum body size in bytes (413 error above it)
+ * @returns {Function} (req, res, next) middleware
+ */
+export function createExpressMiddleware(options = {}) {
+    const property = options.property || DEFAULT_VERDICT_PROPERTY;
+
+    return (req, res, next) => {
+        readPayload(req.body, req, options.limit)
+            .then(payload => {
+                req[property] = verifyResult(payload, req.headers, withHeaderOrder(options, req));
+                next();
+            })
+            .catch(next);
+    };
+}
+
+/**
+ * Create Koa middleware that verifies the posted results and stores the verdict
+ * in ctx.request.headlessVerdict and ctx.state.headlessVerdict.
+ * Uses ctx.request.body when a body parser already ran, otherwise reads the request body.
+ * @param {Object} [options] - verifyResult() options
+ * @param {string} [options.property='headlessVerdict'] - Request/state property for the verdict
+ * @param {number} [options.limit=102400] - Maximum body size in bytes (413 error above it)
+ * @returns {Function} async (ctx, next) middleware
+ */
+export function createKoaMiddleware(options = {}) {
+    const property = options.property || DEFAULT_VERDICT_PROPERTY;
+
+    return async (ctx, next) => {
+        const payload = await readPayload(ctx.request.body, ctx.req, options.limit);
+        const verdict = verifyResult(payload, ctx.req.headers, withHeaderOrder(options, ctx.req));
+        ctx.request[property] = verdict;
+        if (ctx.state) ctx.state[property] = verdict;
+        await next();
+    };
+}
+
+/**
+ * Create a Fastify preHandler hook that verifies the posted results (request.body,
+ * parsed by Fastify) and stores the verdict in request.headlessVerdict.
+ * Register it with fastify.addHook('preHandler', hook) or a route's preHandler option;
+ * decorate the request with fastify.decorateRequest('headlessVerdict', null) first.
+ * @param {Object} [options] - verifyResult() options
+ * @param {string} [options.property='headlessVerdict'] - Request property for the verdict
+ * @param {number} [options.limit=102400] - Maximum body size in bytes when the body was not parsed
+ * @returns {Function} async (request, reply) hook
+ */
+export function createFastifyHook(options = {}) {
+    const property = options.property || DEFAULT_VERDICT_PROPERTY;
+
+    return async (request) => {
+        const payload = await readPayload(request.body, request.raw, options.limit);
+        request[property] = verifyResult(payload, request.headers, withHeaderOrder(options, request.raw));
+    };
+}
+
+/**
+ * Create a reference collector for detectHeadless({ report }): a request handler
+ * (plain http or Express) that appends each reported run to an NDJSON file as
+ * { receivedAt, userAgent, report }, and answers CORS preflights.
+ * Responds 204 when stored, 400 for malformed JSON, 405 for other methods and 413 above the limit.
+ * @param {Object} options - Collector options
+ * @param {string} options.file - NDJSON file the reports are appended to
+ * @param {string} [options.origin='*'] - Access-Control-Allow-Origin of the responses
+ * @param {number} [options.limit=102400] - Maximum body size in bytes
+ * @returns {Function} (req, res) request handler; its promise resolves once the response is sent
+ * @throws {TypeError} If the file is not a non-empty string
+ */
+export function createCollector(options = {}) {
+    if (typeof options.file !== 'string' || options.file.length === 0) {
+        throw new TypeError('file must be a non-empty string');
+    }
+    const origin = options.origin || '*';
+    // Batches are appended one after the other so that their lines never interleave
+    let writes = Promise.resolve();
+
+    const respond = (res, status, message) => {
+        res.statusCode = status;
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        if (status === 204) {
+            res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+            res.end();
+        } else {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ error: message }));
+        }
+    };
+
+    return (req, res) => {
+        if (req.method === 'OPTIONS') return Promise.resolve(respond(res, 204));
+        if (req.method !== 'POST') return Promise.resolve(respond(res, 405, 'Method not allowed'));
+
+        return readPayload(req.body, req, options.limit)
+            .then(payload => {
+                let body;
+                try {
+                    body = typeof payload === 'string' ? JSON.parse(payload) : payload;
+                } catch (e) {
+                    return respond(res, 400, `Invalid JSON: ${e.message}`);
+                }
+                const reports = body && Array.isArray(body.reports) ? body.reports : [body];
+                const receivedAt = Date.now();
+                const userAgent = getHeader(req.headers, 'user-agent');
+                const lines = reports
+                    .map(report => JSON.stringify({ receivedAt: receivedAt, userAgent: userAgent, report: report }) + '\n')
+                    .join('');
+
+                const write = writes.then(() => fs.appendFile(options.file, lines, 'utf8'));
+                writes = write.catch(() => {});
+                return write.then(() => respond(res, 204), error => respond(res, 500, error.message));
+            })
+            .catch(error => respond(res, error.status || 500, error.message));
+    };
+}
+
+/**
+ * Migrate (if needed) and validate posted results
+ * @param {string|Object} payload - Posted results object or its JSON text
+ * @returns {Object} { valid, errors, result, schemaVersion, raw } - schemaVersion and raw are the posted results'
+ */
+function validatePayload(payload) {
+    const parsed = validateResult(payload);
+    const raw = parsed.result;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { valid: false, errors: parsed.errors, result: null, schemaVersion: null, raw: null };
+    }
+
+    const schemaVersion = getResultSchemaVersion(raw);
+    if (schemaVersion === SCHEMA_VERSION) {
+        return { ...parsed, schemaVersion, raw };
+    }
+
+    try {
+        return { ...validateResult(migrateResult(raw)), schemaVersion, raw };
+    } catch (e) {
+        return { valid: false, errors: [{ path: 'schemaVersion', message: e.message }], result: null, schemaVersion, raw };
+    }
+}
+
+/**
+ * Add the header order of a Node.js request to verifyResult() options
+ * @param {Object} options - verifyResult() options
+ * @param {Object} req - Node.js request (http.IncomingMessage); its rawHeaders alternate names and values
+ * @returns {Object} Options with rawHeaderOrder
+ */
+function withHeaderOrder(options, req) {
+    if (options.rawHeaderOrder || !req || !Array.isArray(req.rawHeaders)) return options;
+    return { ...options, rawHeaderOrder: req.rawHeaders.filter((item, i) => i % 2 === 0) };
+}
+
+/**
+ * Get the posted results: the body parsed by a framework, or the raw request body
+ * @param {*} body - Parsed body (undefined when no body parser ran)
+ * @param {Object} stream - Node.js request (http.IncomingMessage)
+ * @param {number} [limit] - Maximum body size in bytes
+ * @returns {Promise<(string|Object)>} Results object or JSON text
+ */
+function readPayload(body, stream, limit = DEFAULT_BODY_LIMIT) {
+    if (body !== undefined && body !== null) {
+        return Promise.resolve(Buffer.isBuffer(body) ? body.toString('utf8') : body);
+    }
+    if (!stream || typeof stream.on !== 'function' || stream.readableEnded) {
+        return Promise.resolve('');
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        stream.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                const error = new Error(`Request body exceeds ${limit} bytes`);
+                error.status = error.statusCode = 413;
+                stream.removeAllListeners('data');
+                stream.resume();
+                reject(error);
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Check a server secret
+ * @param {string} secret - Server secret
+ * @throws {TypeError} If the secret is not a non-empty string
+ */
+function assertSecret(secret) {
+    if (typeof secret !== 'string' || secret.length === 0) {
+        throw new TypeError('secret must be a non-empty string');
+    }
+}
+
+/**
+ * HMAC of a nonce's random part and issue time
+ * @param {string} secret - Server secret
+ * @param {string} id - "<random>-<issued at>"
+ * @returns {string} Hex HMAC
+ */
+function signNonce(secret, id) {
+    return createHmac('sha256', secret).update(`nonce:${id}`).digest('hex');
+}
+
+/**
+ * Key of a nonce, which signs the results digest (see modules/token.js)
+ * @param {string} secret - Server secret
+ * @param {string} nonce - Nonce issued by createNonce()
+ * @returns {string} Hex HMAC
+ */
+function deriveNonceKey(secret, nonce) {
+    return createHmac('sha256', secret).update(`key:${nonce}`).digest('hex');
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - String
+ * @param {string} b - String
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
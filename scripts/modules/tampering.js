@@ -0,0 +1,209 @@
+/**
+ * Native Function Tampering Detection Module
+ * Stealth plugins patch getters and methods of the APIs other checks read
+ * (navigator.webdriver, WebGL parameters, canvas output, permissions) and spoof
+ * Function.prototype.toString to hide it. Native functions have properties a JavaScript
+ * replacement or a Proxy wrapper rarely reproduces all at once; each mismatch is a "lie".
+ * @module modules/tampering
+ */
+
+/**
+ * APIs walked by detectTampering(): for each interface, the getters and the methods
+ * (with their native length) to check on its prototype
+ */
+export const TAMPERING_TARGETS = {
+    Navigator: {
+        getters: ['webdriver', 'userAgent', 'platform', 'vendor', 'languages', 'plugins', 'mimeTypes',
+            'hardwareConcurrency', 'deviceMemory', 'maxTouchPoints', 'permissions'],
+        methods: {}
+    },
+    Screen: {
+        getters: ['width', 'height', 'availWidth', 'availHeight', 'colorDepth', 'pixelDepth'],
+        methods: {}
+    },
+    WebGLRenderingContext: {
+        getters: [],
+        methods: { getParameter: 1, getExtension: 1, getSupportedExtensions: 0 }
+    },
+    WebGL2RenderingContext: {
+        getters: [],
+        methods: { getParameter: 1, getExtension: 1, getSupportedExtensions: 0 }
+    },
+    HTMLCanvasElement: {
+        getters: [],
+        methods: { getContext: 1, toDataURL: 0, toBlob: 1 }
+    },
+    Permissions: {
+        getters: [],
+        methods: { query: 1 }
+    },
+    Function: {
+        getters: [],
+        methods: { toString: 0 }
+    }
+};
+
+// Instances whose own properties would shadow the prototype (Object.defineProperty(navigator, ...))
+const INSTANCES = {
+    Navigator: () => window.navigator,
+    Screen: () => window.screen,
+    Permissions: () => window.navigator.permissions
+};
+
+// Captured on load; stealth scripts injected before the page have patched it already,
+// which the Function.toString target catches
+const nativeToString = Function.prototype.toString;
+
+const NATIVE_SOURCE = /^function ([^(]*)\(\) \{\s*\[native code\]\s*\}$/;
+
+// Frames of Proxy traps and Reflect calls in the stack of an error thrown through a wrapper
+const PROXY_FRAME = /\bat (?:Object|Proxy)\.(?:apply|get|construct)\b|\bat Reflect\.apply\b/;
+
+/**
+ * @param {Function} fn - Function
+ * @returns {string|null} Source text, or null if it cannot be read
+ */
+function getSource(fn) {
+    try {
+        return nativeToString.call(fn);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Call a function on an object that is not an instance of its interface:
+ * native getters and methods throw a TypeError ("Illegal invocation")
+ * @param {Function} fn - Getter or method
+ * @param {Object} prototype - Prototype it belongs to
+ * @returns {string[]} Lies: no_receiver_check or proxy, if any
+ */
+function getReceiverLies(fn, prototype) {
+    try {
+        const result = fn.call(Object.create(prototype));
+        // Promise-returning methods (Permissions.query) reject instead of throwing
+        if (result && typeof result.then === 'function') {
+            result.then(null, () => {});
+            return [];
+        }
+        return ['no_receiver_check'];
+    } catch (e) {
+        return e && typeof e.stack === 'string' && PROXY_FRAME.test(e.stack) ? ['proxy'] : [];
+    }
+}
+
+/**
+ * Check one getter or method for lies
+ * @param {Function} fn - Getter or method found on the prototype
+ * @param {string} name - Expected function name ("get webdriver", "getParameter")
+ * @param {number} length - Expected function length
+ * @param {Object} prototype - Prototype it belongs to
+ * @returns {string[]} Lies found
+ */
+function getFunctionLies(fn, name, length, prototype) {
+    const lies = [];
+    const source = getSource(fn);
+    const native = source !== null && source.match(NATIVE_SOURCE);
+
+    if (!native) lies.push('not_native');
+    // V8 stringifies a Proxy around a native function without its name
+    if (native && native[1] === '' && name !== '') lies.push('proxy');
+    else if (native && native[1] !== name) lies.push('tostring_mismatch');
+    // An own toString on the function itself
+    try {
+        if (Object.prototype.hasOwnProperty.call(fn, 'toString') || fn.toString() !== source) {
+            lies.push('tostring_mismatch');
+        }
+    } catch (e) {
+        lies.push('tostring_mismatch');
+    }
+    if (fn.name !== name) lies.push('name_mismatch');
+    if (fn.length !== length) lies.push('length_mismatch');
+    // Native getters and methods are not constructors and have no prototype
+    if (Object.prototype.hasOwnProperty.call(fn, 'prototype')) lies.push('has_prototype');
+    lies.push(...getReceiverLies(fn, prototype));
+
+    return lies.filter((lie, index) => lies.indexOf(lie) === index);
+}
+
+/**
+ * Check one property of an interface
+ * @param {string} interfaceName - Interface name (e.g. "Navigator")
+ * @param {string} property - Property name
+ * @param {boolean} isGetter - Whether the property is a getter (else a method)
+ * @param {number} length - Expected length of a method
+ * @returns {string[]|null} Lies found, or null if the API does not exist
+ */
+function getApiLies(interfaceName, property, isGetter, length) {
+    const prototype = window[interfaceName] && window[interfaceName].prototype;
+    if (!prototype) return null;
+
+    const lies = [];
+    const instance = INSTANCES[interfaceName] ? INSTANCES[interfaceName]() : null;
+    // Patched on the instance instead of the prototype
+    if (instance && Object.prototype.hasOwnProperty.call(instance, property)) lies.push('own_property');
+
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, property);
+    if (!descriptor) return lies.length > 0 ? lies : null;
+
+    const fn = isGetter ? descriptor.get : descriptor.value;
+    if (typeof fn !== 'function') {
+        // A getter redefined as a plain value, or a method replaced by a non-function
+        lies.push(isGetter ? 'not_accessor' : 'not_function');
+        return lies;
+    }
+    lies.push(...getFunctionLies(fn, isGetter ? `get ${property}` : property, isGetter ? 0 : length, prototype));
+    return lies;
+}
+
+/**
+ * Detect native functions that were patched ("lie detection")
+ * Lies: own_property, not_accessor, not_function, inaccessible, not_native, tostring_mismatch,
+ * name_mismatch, length_mismatch, has_prototype, no_receiver_check and proxy.
+ * @param {Object} [targets=TAMPERING_TARGETS] - Interfaces, getters and methods to check
+ * @returns {Object} Tampering detection results
+ */
+export function detectTampering(targets = TAMPERING_TARGETS) {
+    try {
+        const lies = {};
+        let apisChecked = 0;
+
+        Object.keys(targets).forEach(interfaceName => {
+            const { getters = [], methods = {} } = targets[interfaceName];
+            const properties = [
+                ...getters.map(property => [property, true, 0]),
+                ...Object.keys(methods).map(property => [property, false, methods[property]])
+            ];
+            properties.forEach(([property, isGetter, length]) => {
+                let apiLies;
+                try {
+                    apiLies = getApiLies(interfaceName, property, isGetter, length);
+                } catch (e) {
+                    // Reading the descriptor or the instance threw (e.g. in a Proxy trap)
+                    apiLies = ['inaccessible'];
+                }
+                if (apiLies === null) return;
+                apisChecked++;
+                if (apiLies.length > 0) lies[`${interfaceName}.${property}`] = apiLies;
+            });
+        });
+
+        const liedApis = Object.keys(lies);
+        return {
+            detected: liedApis.length > 0,
+            liedApis: liedApis,
+            lies: lies,
+            toStringTampered: liedApis.includes('Function.toString'),
+            apisChecked: apisChecked
+        };
+    } catch (e) {
+        return {
+            detected: false,
+            liedApis: [],
+            lies: {},
+            toStringTampered: false,
+            apisChecked: 0,
+            error: true
+        };
+    }
+}
@@ -0,0 +1,36 @@
+/**
+ * Timeout Module
+ * Time limits of the asynchronous checks
+ * @module modules/timeout
+ */
+
+import { DEFAULT_TIMEOUT_MS } from './options.js';
+
+/**
+ * Get the time limit of an asynchronous check
+ * @param {Object} [options] - Check options
+ * @param {number} [options.timeoutMs] - Time limit in milliseconds
+ * @returns {number} options.timeoutMs if it is a positive number, else DEFAULT_TIMEOUT_MS
+ */
+export function getTimeoutMs(options = {}) {
+    return typeof options.timeoutMs === 'number' && options.timeoutMs > 0 ?
+        options.timeoutMs : DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * Settle with a check's result, or with its timeout result if the time limit passes first.
+ * The timer is cleared either way.
+ * @param {Promise<Object>} result - Check result
+ * @param {Object} options - Check options (see getTimeoutMs)
+ * @param {Function} onTimeout - Returns the timeout result (and may clean up)
+ * @returns {Promise<Object>} Check result or timeout result
+ */
+export function withTimeout(result, options, onTimeout) {
+    let timeout = null;
+    return Promise.race([
+        result,
+        new Promise(resolve => {
+            timeout = setTimeout(() => resolve(onTimeout()), getTimeoutMs(options));
+        })
+    ]).finally(() => clearTimeout(timeout));
+}
@@ -0,0 +1,94 @@
+/**
+ * Detection Token Module
+ * Binds detectHeadless() results to a server-issued nonce: detectHeadless({ nonce, nonceKey })
+ * adds a compact token with the nonce, the results timestamp and a digest of the
+ * results keyed by the nonce key. The server SDK (modules/server.js) issues the key
+ * with the nonce, derives it again from its secret, checks the nonce's HMAC, age and
+ * single use, and recomputes the digest, so replayed payloads and payloads edited or
+ * crafted without the key are rejected.
+ *
+ * The key is not in the token, but the page that requested the nonce holds it: a token
+ * proves that the results were signed by a client the nonce was issued to, not that
+ * they come from an unmodified detector or were not edited by that client.
+ * @module modules/token
+ */
+
+import { hmacSha256 } from '../utils/hash.js';
+
+/**
+ * Version of the token format (first token field)
+ */
+export const TOKEN_VERSION = '1';
+
+/**
+ * Nonces are opaque to the browser but must fit in a token field
+ */
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+/**
+ * Nonce keys are hex HMAC-SHA256 digests (see createNonce in modules/server.js)
+ */
+const NONCE_KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Keyed digest of detectHeadless() results: HMAC-SHA256, keyed by the nonce key,
+ * of the canonical JSON of the results without their token.
+ * Stable across a JSON round trip, so the server can recompute it from posted results.
+ * Internal to the token format: not part of the package API.
+ * @param {Object} results - detectHeadless() results
+ * @param {string} nonceKey - Key issued with the nonce
+ * @returns {string} Hex digest
+ */
+export function getResultDigest(results, nonceKey) {
+    const { token, ...rest } = results;
+    return hmacSha256(nonceKey, canonicalJSON(rest));
+}
+
+/**
+ * Create the token of detectHeadless() results:
+ * "<version>.<nonce>.<timestamp (base 36)>.<digest>"
+ * Internal to the token format: not part of the package API.
+ * @param {Object} results - detectHeadless() results (with their timestamp)
+ * @param {string} nonce - Server-issued nonce
+ * @param {string} nonceKey - Key issued with the nonce
+ * @returns {string} Token
+ * @throws {TypeError} If the nonce is not a string of letters, digits, "-" and "_", or the key is not a hex digest
+ */
+export function createToken(results, nonce, nonceKey) {
+    if (typeof nonce !== 'string' || !NONCE_PATTERN.test(nonce)) {
+        throw new TypeError('nonce must be a string of up to 256 letters, digits, "-" and "_"');
+    }
+    if (typeof nonceKey !== 'string' || !NONCE_KEY_PATTERN.test(nonceKey)) {
+        throw new TypeError('nonceKey must be the key issued with the nonce (64 hex digits)');
+    }
+    return [TOKEN_VERSION, nonce, results.timestamp.toString(36), getResultDigest(results, nonceKey)].join('.');
+}
+
+/**
+ * Split a token into its fields
+ * @param {string} token - Token
+ * @returns {{version: string, nonce: string, timestamp: number, digest: string}|null} Fields, or null if malformed
+ */
+export function parseToken(token) {
+    if (typeof token !== 'string') return null;
+    const fields = token.split('.');
+    if (fields.length !== 4 || fields[0] !== TOKEN_VERSION || !NONCE_PATTERN.test(fields[1]) ||
+        !/^[0-9a-z]+$/.test(fields[2]) || !/^[0-9a-f]{64}$/.test(fields[3])) {
+        return null;
+    }
+    return { version: fields[0], nonce: fields[1], timestamp: parseInt(fields[2], 36), digest: fields[3] };
+}
+
+/**
+ * JSON with sorted object keys and without undefined properties
+ * @param {*} value - JSON-serializable value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJSON(value) {
+    return JSON.stringify(JSON.parse(JSON.stringify(value)), (key, item) => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+        const sorted = {};
+        Object.keys(item).sort().forEach(k => { sorted[k] = item[k]; });
+        return sorted;
+    });
+}
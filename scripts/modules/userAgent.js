@@ -4,34 +4,44 @@
  * @module modules/userAgent
  */
 
+import { withTimeout } from './timeout.js';
+
+/**
+ * User-Agent patterns of automation frameworks, headless browsers and crawlers (2025 updated).
+ * Also used on the server to analyze the User-Agent request header (see modules/headers.js).
+ */
+export const USER_AGENT_PATTERNS = [
+    /headless/i,
+    /HeadlessChrome/i,
+    /selenium/i,
+    /webdriver/i,
+    /puppeteer/i,
+    /playwright/i,
+    /cypress/i,
+    /nodriver/i,  // 2025: new anti-detect framework
+    /undetected/i, // 2025: undetected-chromedriver
+    /bot/i,
+    /crawl/i,
+    /spider/i
+];
+
+/**
+ * Get the automation patterns a User-Agent matches
+ * @param {string} ua - User-Agent string
+ * @returns {string[]} Matching patterns, e.g. "/HeadlessChrome/i"
+ */
+export function matchUserAgentPatterns(ua) {
+    return USER_AGENT_PATTERNS.filter(pattern => pattern.test(ua)).map(pattern => pattern.toString());
+}
+
 /**
  * Check User-Agent for automation patterns (2025 updated)
  * @returns {Object} User agent analysis results
  */
-function checkUserAgent() {
+export function checkUserAgent() {
     try {
         const ua = navigator.userAgent;
-        const patterns = [
-            /headless/i,
-            /HeadlessChrome/i,
-            /selenium/i,
-            /webdriver/i,
-            /puppeteer/i,
-            /playwright/i,
-            /cypress/i,
-            /nodriver/i,  // 2025: new anti-detect framework
-            /undetected/i, // 2025: undetected-chromedriver
-            /bot/i,
-            /crawl/i,
-            /spider/i
-        ];
-
-        const matches = [];
-        for (const pattern of patterns) {
-            if (pattern.test(ua)) {
-                matches.push(pattern.toString());
-            }
-        }
+        const matches = matchUserAgentPatterns(ua);
 
         // Check for Client Hints (2025: Sec-CH-UA headers)
         const clientHints = checkClientHints();
@@ -51,7 +61,7 @@ function checkUserAgent() {
  * Check Client Hints for headless indicators (2025 new method)
  * @returns {Object} Client hints analysis results
  */
-function checkClientHints() {
+export function checkClientHints() {
     try {
         const hints = {
             platform: navigator.userAgentData?.platform || navigator.platform,
@@ -75,13 +85,135 @@ function checkClientHints() {
     }
 }
 
-// Export for different module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { checkUserAgent, checkClientHints };
+/**
+ * High-entropy Client Hints requested by checkHighEntropyClientHints()
+ */
+export const HIGH_ENTROPY_HINTS = ['platformVersion', 'architecture', 'bitness', 'model', 'fullVersionList', 'wow64'];
+
+// Client Hints platform names of the operating systems in a User-Agent, in match order
+const UA_PLATFORMS = [
+    [/Windows NT/, 'Windows'],
+    [/Android/, 'Android'],
+    [/CrOS/, 'Chrome OS'],
+    [/Macintosh|Mac OS X/, 'macOS'],
+    [/Linux/, 'Linux']
+];
+
+/**
+ * Read what a User-Agent claims about the browser
+ * @param {string} ua - User-Agent string
+ * @returns {Object} { platform, osVersion, chromeVersion, mobile } (null when not stated)
+ */
+function parseUserAgent(ua) {
+    const platform = UA_PLATFORMS.find(([pattern]) => pattern.test(ua));
+    const chrome = ua.match(/Chrom(?:e|ium)\/(\d+)/);
+    let osVersion = ua.match(/Windows NT (\d+\.\d+)/) || ua.match(/Android (\d+)/);
+    // Reduced User-Agents freeze the Android version ("Android 10; K")
+    if (/Android 10; K\)/.test(ua)) osVersion = null;
+    return {
+        platform: platform ? platform[1] : null,
+        osVersion: osVersion ? osVersion[1] : null,
+        chromeVersion: chrome ? parseInt(chrome[1], 10) : null,
+        mobile: /\bMobile\b/.test(ua)
+    };
 }
 
-if (typeof window !== 'undefined') {
-    window.HeadlessDetectorModules = window.HeadlessDetectorModules || {};
-    window.HeadlessDetectorModules.checkUserAgent = checkUserAgent;
-    window.HeadlessDetectorModules.checkClientHints = checkClientHints;
+/**
+ * Whether a User-Agent OS version agrees with the platformVersion hint.
+ * Windows 10 and 11 both report "Windows NT 10.0" (platformVersion 1.0.0 and up),
+ * Windows 7 to 8.1 report "Windows NT 6.x" (platformVersion 0.x.0).
+ * macOS versions are frozen in User-Agents (10_15_7) and are not compared.
+ * @param {Object} claimed - parseUserAgent() values
+ * @param {string} platformVersion - platformVersion hint
+ * @returns {boolean} False if they contradict each other
+ */
+function isOsVersionConsistent(claimed, platformVersion) {
+    const major = parseInt(platformVersion, 10);
+    if (claimed.osVersion === null || isNaN(major)) return true;
+    if (claimed.platform === 'Windows') {
+        return claimed.osVersion === '10.0' ? major >= 1 : major === 0;
+    }
+    if (claimed.platform === 'Android') return major === parseInt(claimed.osVersion, 10);
+    return true;
+}
+
+/**
+ * Cross-validate the high-entropy Client Hints with the User-Agent string:
+ * UA-spoofing tools rewrite navigator.userAgent but leave the hints untouched.
+ * Compares the platform and OS version, the Chromium major version and mobile vs desktop.
+ * @param {Object} [options] - Check options
+ * @param {number} [options.timeoutMs=1000] - Give up waiting for the hints after this many milliseconds
+ * @returns {Promise<Object>} High-entropy Client Hints results with consistent schema
+ */
+export function checkHighEntropyClientHints(options = {}) {
+    // Consistent result schema
+    const createResult = (overrides = {}) => ({
+        available: false,
+        suspicious: false,
+        mismatches: [],
+        reason: '',
+        hints: null,
+        error: null,
+        ...overrides
+    });
+
+    let userAgentData;
+    try {
+        userAgentData = navigator.userAgentData;
+    } catch (e) {
+        return Promise.resolve(createResult({ error: e.message, reason: "Client Hints request failed" }));
+    }
+    // Only Chromium browsers implement User-Agent Client Hints
+    if (!userAgentData || typeof userAgentData.getHighEntropyValues !== 'function') {
+        return Promise.resolve(createResult({ reason: "Client Hints not supported" }));
+    }
+
+    return withTimeout(
+        Promise.resolve().then(() => userAgentData.getHighEntropyValues(HIGH_ENTROPY_HINTS)).then(values => {
+            const ua = navigator.userAgent;
+            const claimed = parseUserAgent(ua);
+            const hints = {
+                platform: values.platform ?? userAgentData.platform ?? null,
+                mobile: values.mobile ?? userAgentData.mobile ?? null,
+                platformVersion: values.platformVersion ?? null,
+                architecture: values.architecture ?? null,
+                bitness: values.bitness ?? null,
+                model: values.model ?? null,
+                wow64: values.wow64 ?? null,
+                fullVersionList: Array.isArray(values.fullVersionList) ?
+                    values.fullVersionList.map(b => ({ brand: b.brand, version: b.version })) : []
+            };
+            const chromium = hints.fullVersionList.find(b => b.brand === 'Chromium') ||
+                hints.fullVersionList.find(b => b.brand === 'Google Chrome');
+
+            const mismatches = [];
+            if (claimed.platform !== null && hints.platform && claimed.platform !== hints.platform) {
+                mismatches.push('platform');
+            } else if (hints.platformVersion !== null && !isOsVersionConsistent(claimed, hints.platformVersion)) {
+                mismatches.push('platformVersion');
+            }
+            if (chromium && claimed.chromeVersion !== parseInt(chromium.version, 10)) {
+                mismatches.push('browserVersion');
+            }
+            if (typeof hints.mobile === 'boolean' && claimed.mobile !== hints.mobile) {
+                mismatches.push('mobile');
+            }
+
+            const suspicious = mismatches.length > 0;
+            return createResult({
+                available: true,
+                suspicious: suspicious,
+                mismatches: mismatches,
+                reason: suspicious ?
+                    `User-Agent contradicts Client Hints: ${mismatches.join(', ')}` :
+                    "Consistent",
+                hints: hints
+            });
+        }).catch(e => createResult({
+            error: e && e.message ? e.message : String(e),
+            reason: "Client Hints request failed"
+        })),
+        options,
+        () => createResult({ reason: "Client Hints timeout" })
+    );
 }
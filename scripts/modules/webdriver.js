@@ -8,7 +8,7 @@
  * Detect WebDriver flag and related properties
  * @returns {boolean} True if webdriver or automation properties detected
  */
-function detectWebdriver() {
+export function detectWebdriver() {
     try {
         return !!(
             navigator.webdriver ||
@@ -32,13 +32,3 @@ function detectWebdriver() {
         return false;
     }
 }
-
-// Export for different module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { detectWebdriver };
-}
-
-if (typeof window !== 'undefined') {
-    window.HeadlessDetectorModules = window.HeadlessDetectorModules || {};
-    window.HeadlessDetectorModules.detectWebdriver = detectWebdriver;
-}
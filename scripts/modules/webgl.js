@@ -4,40 +4,16 @@
  * @module modules/webgl
  */
 
-// Import hash utility for Node.js environment
-let simpleHash;
-if (typeof require !== 'undefined') {
-    try {
-        simpleHash = require('../utils/hash.js').simpleHash;
-    } catch (e) {
-        // Fallback for browser environment
-    }
-}
-
-// Browser environment fallback
-if (typeof window !== 'undefined' && window.HeadlessDetectorUtils) {
-    simpleHash = window.HeadlessDetectorUtils.simpleHash;
-}
-
-// Inline fallback if neither is available
-if (!simpleHash) {
-    simpleHash = function(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
-        return hash.toString(36);
-    };
-}
+import { simpleHash } from '../utils/hash.js';
 
 /**
  * Check WebGL renderer for software rendering (common in headless/VMs)
  * 2026 Update: Added complex rendering test to verify claimed GPU capabilities
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.renderingTest=true] - Run the (slow) WebGL rendering test
  * @returns {Object} WebGL analysis results
  */
-function checkWebGL() {
+export function checkWebGL(options = {}) {
     try {
         const canvas = document.createElement('canvas');
         
@@ -66,7 +42,8 @@ function checkWebGL() {
             rendererLower.includes('mesa');
 
         // 2026: Perform complex rendering test to validate GPU consistency
-        const renderingTest = performWebGLRenderingTest(gl, testSize, renderer);
+        const renderingTest = options.renderingTest === false ?
+            null : performWebGLRenderingTest(gl, testSize, renderer);
 
         return {
             supported: true,
@@ -76,7 +53,7 @@ function checkWebGL() {
             shadingVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
             isSoftwareRenderer,
             renderingTest: renderingTest,
-            suspicious: isSoftwareRenderer || renderingTest.suspicious
+            suspicious: isSoftwareRenderer || Boolean(renderingTest?.suspicious)
         };
     } catch (e) {
         return { supported: false, error: true };
@@ -92,7 +69,7 @@ function checkWebGL() {
  * @param {string} claimedRenderer - Claimed GPU renderer
  * @returns {Object} Rendering test results
  */
-function performWebGLRenderingTest(gl, testSize, claimedRenderer) {
+export function performWebGLRenderingTest(gl, testSize, claimedRenderer) {
     let buffer, vertexShader, fragmentShader, program;
     try {
         
@@ -212,14 +189,3 @@ function performWebGLRenderingTest(gl, testSize, claimedRenderer) {
         }
     }
 }
-
-// Export for different module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { checkWebGL, performWebGLRenderingTest };
-}
-
-if (typeof window !== 'undefined') {
-    window.HeadlessDetectorModules = window.HeadlessDetectorModules || {};
-    window.HeadlessDetectorModules.checkWebGL = checkWebGL;
-    window.HeadlessDetectorModules.performWebGLRenderingTest = performWebGLRenderingTest;
-}
@@ -5,13 +5,19 @@
  * @module modules/worker
  */
 
+import { getTimeoutMs } from './timeout.js';
+
 /**
  * Worker-based User-Agent check (2026: NEW)
  * Chrome bug fix allows catching automation that doesn't patch Worker UA
  * Reference: https://chromiumdash.appspot.com/commit/4e9b82be3e9feed8952c81eedde553dfeb746ff3
+ * @param {Object} [options] - Check options
+ * @param {number} [options.timeoutMs=1000] - Give up waiting for the Worker after this many milliseconds
  * @returns {Promise<Object>} Worker check results with consistent schema
  */
-function getWorkerChecks() {
+export function getWorkerChecks(options = {}) {
+    const timeoutMs = getTimeoutMs(options);
+
     // Consistent result schema
     const createResult = (overrides = {}) => ({
         available: false,
@@ -50,7 +56,7 @@ function getWorkerChecks() {
                 resolve(createResult({
                     reason: "Worker timeout"
                 }));
-            }, 1000);
+            }, timeoutMs);
 
             worker.onmessage = function (e) {
                 clearTimeout(timeout);
@@ -102,13 +108,3 @@ function getWorkerChecks() {
         }
     });
 }
-
-// Export for different module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { getWorkerChecks };
-}
-
-if (typeof window !== 'undefined') {
-    window.HeadlessDetectorModules = window.HeadlessDetectorModules || {};
-    window.HeadlessDetectorModules.getWorkerChecks = getWorkerChecks;
-}
@@ -8,7 +8,7 @@
  * @param {string} str - String to hash
  * @returns {string} Hash value
  */
-function simpleHash(str) {
+export function simpleHash(str) {
     let hash = 0;
     for (let i = 0; i < str.length; i++) {
         const char = str.charCodeAt(i);
@@ -18,12 +18,88 @@ function simpleHash(str) {
     return hash.toString(36);
 }
 
-// Export for different module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { simpleHash };
+// SHA-256 round constants (first 32 bits of the fractional parts of the cube roots of the first 64 primes)
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} str - String
+ * @returns {number[]} Bytes
+ */
+function utf8Bytes(str) {
+    const bytes = [];
+    const encoded = unescape(encodeURIComponent(str));
+    for (let i = 0; i < encoded.length; i++) {
+        bytes.push(encoded.charCodeAt(i));
+    }
+    return bytes;
+}
+
+/**
+ * SHA-256 digest of bytes. Synchronous, so it also works where Web Crypto
+ * (crypto.subtle) is unavailable, e.g. on pages not served over HTTPS.
+ * @param {number[]} bytes - Message bytes
+ * @returns {number[]} 32-byte digest
+ */
+function sha256Bytes(bytes) {
+    const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const bitLength = bytes.length * 8;
+    const message = bytes.concat([0x80]);
+    while (message.length % 64 !== 56) message.push(0);
+    // Message length in bits as a 64-bit big-endian integer
+    for (let i = 7; i >= 0; i--) {
+        message.push(i >= 4 ? Math.floor(bitLength / 2 ** (i * 8)) & 0xff : (bitLength >>> (i * 8)) & 0xff);
+    }
+
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    const w = new Array(64);
+    for (let offset = 0; offset < message.length; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (message[j] << 24) | (message[j + 1] << 16) | (message[j + 2] << 8) | message[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, hh] = h;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+            const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            hh = g; g = f; f = e; e = (d + t1) | 0;
+            d = c; c = b; b = a; a = (t1 + t2) | 0;
+        }
+        [a, b, c, d, e, f, g, hh].forEach((value, i) => { h[i] = (h[i] + value) | 0; });
+    }
+
+    const digest = [];
+    h.forEach(value => digest.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff));
+    return digest;
 }
 
-if (typeof window !== 'undefined') {
-    window.HeadlessDetectorUtils = window.HeadlessDetectorUtils || {};
-    window.HeadlessDetectorUtils.simpleHash = simpleHash;
+/**
+ * HMAC-SHA256 of a message (RFC 2104), as produced by Node's crypto.createHmac('sha256', key)
+ * @param {string} key - Key (UTF-8)
+ * @param {string} message - Message (UTF-8)
+ * @returns {string} Hex digest
+ */
+export function hmacSha256(key, message) {
+    let keyBytes = utf8Bytes(key);
+    if (keyBytes.length > 64) keyBytes = sha256Bytes(keyBytes);
+    while (keyBytes.length < 64) keyBytes.push(0);
+
+    const inner = sha256Bytes(keyBytes.map(byte => byte ^ 0x36).concat(utf8Bytes(message)));
+    const outer = sha256Bytes(keyBytes.map(byte => byte ^ 0x5c).concat(inner));
+    return outer.map(byte => byte.toString(16).padStart(2, '0')).join('');
 }
@@ -0,0 +1,61 @@
+/**
+ * Type declarations for the browser <script> build (headless-detector/iife)
+ * Declares the globals defined by dist/headless-detector.js:
+ * /// <reference types="headless-detector/iife" />
+ */
+
+import type * as Modules from './index';
+
+/** window.HeadlessDetector */
+export interface HeadlessDetectorGlobal {
+    detect: typeof Modules.detectHeadless;
+    getScore: typeof Modules.calculateHeadlessScore;
+    monitor: typeof Modules.monitor;
+    on: typeof Modules.on;
+    off: typeof Modules.off;
+    scoreResults: typeof Modules.scoreResults;
+    getScoreBreakdown: typeof Modules.getScoreBreakdown;
+    scoreLogistic: typeof Modules.scoreLogistic;
+    registerCheck: typeof Modules.registerCheck;
+    unregisterCheck: typeof Modules.unregisterCheck;
+    getRegisteredChecks: typeof Modules.getRegisteredChecks;
+    getWorkerChecks: typeof Modules.getWorkerChecks;
+    defaultWeights: typeof Modules.DEFAULT_WEIGHTS;
+    defaultThresholds: typeof Modules.DEFAULT_THRESHOLDS;
+    defaultLogOdds: typeof Modules.DEFAULT_LOG_ODDS;
+    profiles: typeof Modules.PROFILE_PRESETS;
+    setProfile: typeof Modules.setProfile;
+    getProfile: typeof Modules.getProfile;
+    checks: {
+        webdriver: typeof Modules.detectWebdriver;
+        cdp: typeof Modules.detectCDP;
+        userAgent: typeof Modules.checkUserAgent;
+        webgl: typeof Modules.checkWebGL;
+        automationFlags: typeof Modules.getAutomationFlags;
+        headlessIndicators: typeof Modules.getHeadlessIndicators;
+        advanced: typeof Modules.getAdvancedChecks;
+        media: typeof Modules.getMediaChecks;
+        fingerprints: typeof Modules.getFingerprintChecks;
+    };
+}
+
+declare global {
+    var detectHeadless: typeof Modules.detectHeadless;
+    var getWorkerChecks: typeof Modules.getWorkerChecks;
+    var HeadlessDetector: HeadlessDetectorGlobal;
+    /** Every named export of the package */
+    var HeadlessDetectorModules: typeof Modules;
+    /** Set by detectHeadless({ attachToWindow: true }) */
+    var __headlessDetection: Modules.DetectionResults | undefined;
+    var __headlessDetectionScore: number | undefined;
+    /** Set on page load, with the ready event; prefer HeadlessDetector.on('ready') */
+    var __headlessDetectionReady: boolean | undefined;
+
+    /** Detection events dispatched on document (HeadlessDetector.on() details) */
+    interface DocumentEventMap {
+        'headless-detector:ready': CustomEvent<Modules.DetectionEventMap['ready']>;
+        'headless-detector:check:complete': CustomEvent<Modules.DetectionEventMap['check:complete']>;
+        'headless-detector:result': CustomEvent<Modules.DetectionEventMap['result']>;
+        'headless-detector:error': CustomEvent<Modules.DetectionEventMap['error']>;
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * Type declarations for headless-detector/calibration
+ */
+
+import type { DetectionResults, RegisteredCheck, SignalWeights, Thresholds } from './index';
+
+/** "bot", "headless" or "human" (case-insensitive), or true/1 for bots and false/0 for humans */
+export type SampleLabel = string | boolean | 0 | 1;
+
+/** A labelled detectHeadless() result, or a results object carrying its own label */
+export type CalibrationSample =
+    | { label: SampleLabel; result: Partial<DetectionResults> }
+    | (Partial<DetectionResults> & { label: SampleLabel });
+
+/** Gradient descent settings */
+export interface FitOptions {
+    iterations?: number;
+    learningRate?: number;
+    /** L2 regularization strength */
+    l2?: number;
+}
+
+export interface CalibrationOptions extends FitOptions {
+    /** Name of the fitted profile (default "calibrated") */
+    name?: string;
+    /** Checks to recompute signals with (defaults to the registered checks) */
+    checks?: RegisteredCheck<any>[];
+}
+
+export interface ConfusionMatrix {
+    threshold: number;
+    truePositives: number;
+    falsePositives: number;
+    trueNegatives: number;
+    falseNegatives: number;
+}
+
+/** evaluateScores() */
+export interface CalibrationMetrics {
+    auc: number;
+    thresholds: Array<{
+        classification: 'Definitely Headless' | 'Likely Headless' | 'Suspicious' | 'Minor Warnings';
+        threshold: number;
+        falsePositiveRate: number;
+        truePositiveRate: number;
+    }>;
+    /** Taken at the likelyHeadless threshold */
+    confusionMatrix: ConfusionMatrix;
+}
+
+/** calibrate() */
+export interface CalibrationReport {
+    /** Logistic weights profile, usable as the profile option */
+    profile: {
+        name: string;
+        scorer: 'logistic';
+        weights: SignalWeights;
+        logOdds: SignalWeights;
+        priorLogOdds: number;
+    };
+    /** Metrics of the fitted profile */
+    metrics: CalibrationMetrics;
+    /** Metrics of the default additive weights */
+    baseline: CalibrationMetrics;
+    samples: { total: number; bots: number; humans: number };
+    signals: Array<{ id: string; logOdds: number; weight: number; bots: number; humans: number }>;
+}
+
+export const LABELS: { [label: string]: 0 | 1 };
+
+export const DEFAULT_FIT_OPTIONS: Required<FitOptions>;
+
+export function fitLogOdds(
+    features: string[][],
+    labels: Array<0 | 1>,
+    options?: FitOptions
+): { logOdds: SignalWeights; priorLogOdds: number };
+
+export function computeRocAuc(scores: number[], labels: Array<0 | 1>): number;
+
+export function getConfusionMatrix(scores: number[], labels: Array<0 | 1>, threshold: number): ConfusionMatrix;
+
+export function evaluateScores(scores: number[], labels: Array<0 | 1>, thresholds?: Partial<Thresholds>): CalibrationMetrics;
+
+/**
+ * @throws {TypeError} If a sample is malformed
+ * @throws {Error} If the samples do not include both bots and humans
+ */
+export function calibrate(samples: CalibrationSample[], options?: CalibrationOptions): CalibrationReport;
@@ -0,0 +1,1434 @@
+/**
+ * Type declarations for headless-detector
+ * Cover the package entry point (ES module and CommonJS builds): every
+ * module function, the detectHeadless() results object and the check registry.
+ * The browser <script> globals are declared in browser.d.ts.
+ */
+
+// ---------------------------------------------------------------------------
+// Shared
+// ---------------------------------------------------------------------------
+
+/** Result of a check that failed and reports no data */
+export interface CheckError {
+    error: true;
+    /** Message of the error a check run by detectHeadless() threw */
+    message?: string;
+}
+
+/** Summary severities (see SEVERITIES) */
+export type Severity = 'critical' | 'high' | 'medium';
+
+/** Scorers a profile or detectHeadless() call can select (see SCORERS) */
+export type Scorer = 'additive' | 'logistic';
+
+/** Names of the built-in weight profiles (see PROFILE_PRESETS) */
+export type ProfileName = 'balanced' | 'strict' | 'low-false-positive';
+
+/** Summary classifications, from the highest score down */
+export type Classification = 'Definitely Headless' | 'Likely Headless' | 'Suspicious' | 'Minor Warnings' | 'Normal Browser';
+
+export type RiskLevel = 'high' | 'medium' | 'low';
+
+/** Notification.permission, or "unsupported" without the Notification API */
+export type NotificationPermissionState = 'default' | 'denied' | 'granted' | 'unsupported';
+
+/** Signals fired by the built-in and server checks (keys of DEFAULT_WEIGHTS) */
+export type BuiltInSignalId =
+    | 'webdriver'
+    | 'cdp-detected'
+    | 'cdp-chromedriver'
+    | 'cdp-puppeteer'
+    | 'plugins-empty'
+    | 'languages-missing'
+    | 'playwright-binding'
+    | 'playwright-exposed'
+    | 'outer-dims-missing'
+    | 'inner-equals-outer'
+    | 'media-features-mismatch'
+    | 'ua-suspicious'
+    | 'client-hints-mismatch'
+    | 'webgl-software'
+    | 'webgl-rendering-test'
+    | 'permissions-denied'
+    | 'chrome-runtime'
+    | 'cdp-stacktrace'
+    | 'permissions-contradiction'
+    | 'media-webrtc'
+    | 'media-devices'
+    | 'media-devices-none'
+    | 'fp-canvas'
+    | 'fp-audio'
+    | 'fp-fonts'
+    | 'worker-ua-mismatch'
+    | 'behavior-untrusted-events'
+    | 'behavior-straight-paths'
+    | 'behavior-zero-jitter'
+    | 'behavior-click-without-move'
+    | 'tampering-lies'
+    | 'tampering-tostring'
+    | 'iframe-mismatch'
+    | 'locale-mismatch'
+    | 'locale-geo-mismatch'
+    | 'geometry-headless-default'
+    | 'geometry-inconsistent'
+    | 'geometry-virtual-display'
+    | 'server-invalid-result'
+    | 'server-invalid-token'
+    | 'server-ua-mismatch'
+    | 'server-client-hints-mismatch'
+    | 'server-ua-missing'
+    | 'server-accept-language-missing'
+    | 'server-ua-automation'
+    | 'server-ch-ua-headless'
+    | 'server-ch-ua-mismatch'
+    | 'server-sec-fetch-inconsistent'
+    | 'server-header-order';
+
+/** Per-signal numbers (weights or log-odds), keyed by signal id */
+export interface SignalWeights {
+    [signalId: string]: number;
+}
+
+/** Lower bounds (exclusive) for each summary classification */
+export interface Thresholds {
+    definitelyHeadless: number;
+    likelyHeadless: number;
+    suspicious: number;
+    minorWarnings: number;
+}
+
+// ---------------------------------------------------------------------------
+// Check results
+// ---------------------------------------------------------------------------
+
+/** detectCDP() */
+export interface CDPArtifactsResult {
+    detected: boolean;
+    /** e.g. "chromedriver_cdc", "puppeteer_eval", "webdriver_getter_modified" */
+    signals: string[];
+    cdcKeysFound?: number;
+    error?: boolean;
+}
+
+/** detectCDPStackTrace() */
+export interface CDPStackTraceResult {
+    cdpDetected: boolean;
+    method?: 'stack_trace_leak';
+    error?: boolean;
+}
+
+/** detectConsoleDebugLeak() */
+export interface ConsoleDebugLeakResult {
+    detected: boolean;
+    accessCount?: number;
+    method?: 'console_debug_leak';
+    error?: boolean;
+}
+
+/** checkClientHints() */
+export interface ClientHintsResult {
+    suspicious: boolean;
+    platform?: string;
+    mobile?: boolean;
+    /** Brand names from navigator.userAgentData */
+    brands?: string[];
+    error?: boolean;
+}
+
+/** checkUserAgent() */
+export interface UserAgentResult {
+    suspicious: boolean;
+    /** Matching automation patterns, e.g. "/HeadlessChrome/i" */
+    matches: string[];
+    userAgent?: string;
+    clientHints?: ClientHintsResult;
+    error?: boolean;
+}
+
+/** High-entropy Client Hints read by checkHighEntropyClientHints() */
+export interface HighEntropyClientHints {
+    platform: string | null;
+    mobile: boolean | null;
+    platformVersion: string | null;
+    architecture: string | null;
+    bitness: string | null;
+    model: string | null;
+    wow64: boolean | null;
+    fullVersionList: Array<{ brand: string; version: string }>;
+}
+
+/** checkHighEntropyClientHints() */
+export interface HighEntropyClientHintsResult {
+    /** False without navigator.userAgentData (Firefox, Safari), on timeout or error */
+    available: boolean;
+    suspicious: boolean;
+    /** What the User-Agent string contradicts */
+    mismatches: Array<'platform' | 'platformVersion' | 'browserVersion' | 'mobile'>;
+    /** e.g. "Consistent", "Client Hints not supported", "Client Hints timeout" */
+    reason: string;
+    hints: HighEntropyClientHints | null;
+    error: string | null;
+}
+
+/** performWebGLRenderingTest() */
+export interface WebGLRenderingTestResult {
+    suspicious: boolean;
+    hash?: string;
+    /** Share of noisy sampled pixels, as a string with 4 decimals */
+    noiseRatio?: string;
+    reason?: string;
+    /** Error message when the test could not render */
+    error?: string;
+}
+
+/** checkWebGL() */
+export interface WebGLResult {
+    supported: boolean;
+    vendor?: string;
+    renderer?: string;
+    version?: string | null;
+    shadingVersion?: string | null;
+    isSoftwareRenderer?: boolean;
+    /** null when the rendering test is skipped */
+    renderingTest?: WebGLRenderingTestResult | null;
+    suspicious?: boolean;
+    error?: boolean;
+}
+
+/** detectPlaywrightExposedFunctions() */
+export interface PlaywrightExposedFunctionsResult {
+    detected: boolean;
+    count: number;
+    /** First 5 suspicious global function names */
+    functions?: string[];
+    /** Error message */
+    error?: string;
+}
+
+/** getAutomationFlags() */
+export interface AutomationFlags {
+    webdriver: boolean;
+    domAutomation: boolean;
+    domAutomationController: boolean;
+    _selenium: boolean;
+    __webdriver_script_fn: boolean;
+    __driver_evaluate: boolean;
+    __webdriver_evaluate: boolean;
+    __fxdriver_evaluate: boolean;
+    __driver_unwrapped: boolean;
+    __webdriver_unwrapped: boolean;
+    __fxdriver_unwrapped: boolean;
+    _Selenium_IDE_Recorder: boolean;
+    calledSelenium: boolean;
+    $chrome_asyncScriptInfo: boolean;
+    $cdc_asdjflasutopfhvcZLmcfl_: boolean;
+    __playwright: boolean;
+    playwrightGlobal: boolean;
+    __playwright__binding__: boolean;
+    __pwInitScripts: boolean;
+    playwrightExposedFunctions: PlaywrightExposedFunctionsResult;
+    /** navigator.plugins.length */
+    plugins: number;
+    /** navigator.languages is non-empty */
+    languages: boolean;
+    /** navigator.mimeTypes.length */
+    mimeTypes: number;
+    cookieEnabled: boolean;
+    /** undefined in browsers without navigator.doNotTrack */
+    doNotTrack?: string | null;
+    chrome: boolean;
+    chromeRuntime: boolean;
+    permissionsAPI: boolean;
+}
+
+/** getHeadlessIndicators() */
+export interface HeadlessIndicators {
+    hasOuterDimensions: boolean;
+    innerEqualsOuter: boolean;
+    outerWidth: number;
+    outerHeight: number;
+    innerWidth: number;
+    innerHeight: number;
+    screenColorDepth: number;
+    screenPixelDepth: number;
+    screenWidth: number;
+    screenHeight: number;
+    devicePixelRatio: number;
+    /** navigator.connection.type, or "unknown" */
+    connectionType: string;
+    /** -1 without navigator.connection */
+    connectionRtt: number;
+    /** -1 without navigator.connection */
+    connectionDownlink: number;
+    notificationPermission: NotificationPermissionState;
+    hasBattery: boolean;
+    hasCredentials: boolean;
+    hasMediaDevices: boolean;
+    hasServiceWorker: boolean;
+    language: string;
+    languages: string[];
+    languageCount: number;
+    platform: string;
+    hardwareConcurrency: number;
+    deviceMemory?: number;
+    maxTouchPoints: number;
+    timezone: string;
+    timezoneOffset: number;
+}
+
+/** checkChromeRuntime() */
+export interface ChromeRuntimeResult {
+    hasChrome: boolean;
+    hasRuntime: boolean;
+    hasRuntimeId: boolean;
+    /** window.chrome without chrome.runtime - normal outside extensions */
+    missing: boolean;
+    /** Always false since 2.0.1 */
+    suspicious: false;
+}
+
+/** checkPermissions() */
+export interface PermissionsResult {
+    available: boolean;
+    notificationPermission?: NotificationPermissionState;
+    deniedByDefault?: boolean;
+    error?: boolean;
+}
+
+/** State returned by navigator.permissions.query(); "unsupported" when the query is rejected */
+export type PermissionQueryState = 'granted' | 'denied' | 'prompt' | 'unsupported';
+
+/** queryPermissions() */
+export interface PermissionQueryResult {
+    /** False without the Permissions API, on timeout or error */
+    available: boolean;
+    suspicious: boolean;
+    /** Notification.permission is "denied" while the notifications query is "prompt" */
+    notificationContradiction: boolean;
+    notificationPermission: NotificationPermissionState | null;
+    /** States of QUERIED_PERMISSIONS */
+    states: { notifications: PermissionQueryState; geolocation: PermissionQueryState; camera: PermissionQueryState } | null;
+    /** e.g. "Consistent", "Permissions API not supported", "Permission query timeout" */
+    reason: string;
+    error: string | null;
+}
+
+/** getAdvancedChecks(); skipped checks are null */
+export interface AdvancedChecks {
+    stackTrace: CDPStackTraceResult | null;
+    chromeRuntime: ChromeRuntimeResult | CheckError | null;
+    permissions: PermissionsResult | null;
+    consoleDebug: ConsoleDebugLeakResult | null;
+}
+
+/** checkMediaDevices() */
+export interface MediaDevicesResult {
+    available: boolean;
+    enumerateDevices?: boolean;
+    getUserMedia?: boolean;
+    suspicious: boolean;
+    error?: boolean;
+}
+
+/** enumerateMediaDevices() */
+export interface MediaDeviceEnumerationResult {
+    /** False without navigator.mediaDevices (insecure contexts), on timeout or error */
+    available: boolean;
+    /** No device at all */
+    suspicious: boolean;
+    audioInputs: number;
+    videoInputs: number;
+    audioOutputs: number;
+    total: number;
+    /** e.g. "Media devices found", "enumerateDevices not supported", "Enumeration timeout" */
+    reason: string;
+    error: string | null;
+}
+
+/** checkWebRTC() */
+export interface WebRTCResult {
+    available: boolean;
+    getUserMedia?: boolean;
+    /** RTCPeerConnection exists but cannot be constructed */
+    disabled?: boolean;
+    suspicious: boolean;
+    error?: boolean;
+}
+
+/** checkBattery() */
+export interface BatteryResult {
+    available: boolean;
+    suspicious?: boolean;
+    error?: boolean;
+}
+
+/** getMediaChecks(); skipped checks are null */
+export interface MediaChecks {
+    mediaDevices: MediaDevicesResult | null;
+    webrtc: WebRTCResult | null;
+    battery: BatteryResult | null;
+}
+
+/** checkEmojiRendering() */
+export interface EmojiRenderingResult {
+    suspicious: boolean;
+    rendered: boolean;
+    reason?: string;
+    hash?: string;
+    /** OS claimed by the User-Agent, or "none" when no emoji rendered */
+    detectedOS?: 'Windows' | 'macOS' | 'Linux' | 'Android' | 'iOS' | 'Unknown' | 'none';
+    /** Error message */
+    error?: string;
+}
+
+/** checkCanvas() */
+export interface CanvasResult {
+    available: boolean;
+    hash?: string;
+    dataLength?: number;
+    hasNoise?: boolean;
+    emojiCheck?: EmojiRenderingResult;
+    suspicious: boolean;
+    error?: boolean;
+}
+
+/** checkAudioContext() */
+export interface AudioContextResult {
+    available: boolean;
+    sampleRate?: number;
+    state?: 'suspended' | 'running' | 'closed';
+    baseLatency?: number;
+    suspicious: boolean;
+    error?: boolean;
+}
+
+/** checkFonts() */
+export interface FontsResult {
+    available: boolean;
+    detectedCount?: number;
+    totalTested?: number;
+    suspicious: boolean;
+    error?: boolean;
+}
+
+/** getFingerprintChecks(); skipped checks are null */
+export interface FingerprintChecks {
+    canvas: CanvasResult | null;
+    audioContext: AudioContextResult | null;
+    fonts: FontsResult | null;
+}
+
+/** getWorkerChecks() - every field is always present */
+export interface WorkerCheckResult {
+    available: boolean;
+    userAgentMismatch: boolean;
+    platformMismatch: boolean;
+    suspicious: boolean;
+    /** e.g. "Consistent", "Worker timeout", "Worker creation failed" */
+    reason: string;
+    mainUserAgent: string | null;
+    workerUserAgent: string | null;
+    mainPlatform: string | null;
+    workerPlatform: string | null;
+    /** Error message */
+    error: string | null;
+}
+
+export type BehaviorSignal = 'untrusted_events' | 'straight_paths' | 'zero_jitter' | 'click_without_move';
+
+/** A recorded input event (no keys or targets) */
+export interface BehaviorEvent {
+    type: 'move' | 'down' | 'up' | 'touch' | 'keydown' | 'keyup' | 'scroll';
+    /** Event time in milliseconds */
+    t: number;
+    /** false for script-dispatched events */
+    trusted: boolean;
+    x?: number;
+    y?: number;
+    /** Click count of mousedown events */
+    detail?: number;
+}
+
+/** getBehaviorChecks() / analyzeBehavior() - metrics are null when there are not enough events */
+export interface BehaviorChecksResult {
+    /** false without a document to record */
+    available: boolean;
+    durationMs: number;
+    eventCount: number;
+    /** Untrusted pointer, touch and keyboard events (scroll events are not counted) */
+    untrustedEvents: number;
+    pointer: {
+        /** Recorded mousemove events */
+        moves: number;
+        /** Recorded touchstart and touchmove events with coordinates */
+        touchMoves: number;
+        /** Mouse and touch paths long enough to test for straightness */
+        segments: number;
+        straightSegments: number;
+        /** px/ms */
+        meanVelocity: number | null;
+        /** px/ms² */
+        meanAcceleration: number | null;
+        /** Mean turning angle between moves, in radians */
+        meanCurvature: number | null;
+        /** Standard deviation of the time between mousemoves */
+        intervalJitterMs: number | null;
+    };
+    clicks: {
+        count: number;
+        /** Clicks without a mousemove since the previous click */
+        withoutMove: number;
+        meanDwellMs: number | null;
+        dwellJitterMs: number | null;
+    };
+    keys: {
+        count: number;
+        meanIntervalMs: number | null;
+        intervalJitterMs: number | null;
+        meanDwellMs: number | null;
+    };
+    scroll: {
+        events: number;
+        bursts: number;
+        /** Bursts that slow down like wheel or touch momentum */
+        inertialBursts: number;
+    };
+    touchEvents: number;
+    signals: BehaviorSignal[];
+    suspicious: boolean;
+}
+
+/** What gave a patched native function away */
+export type TamperingLie =
+    | 'own_property'
+    | 'not_accessor'
+    | 'not_function'
+    | 'inaccessible'
+    | 'not_native'
+    | 'tostring_mismatch'
+    | 'name_mismatch'
+    | 'length_mismatch'
+    | 'has_prototype'
+    | 'no_receiver_check'
+    | 'proxy';
+
+/** Interfaces, getters and methods (with their native length) checked by detectTampering() */
+export interface TamperingTargets {
+    [interfaceName: string]: { getters?: string[]; methods?: { [name: string]: number } };
+}
+
+/** detectTampering() */
+export interface TamperingChecksResult {
+    /** Lies were found */
+    detected: boolean;
+    /** e.g. "Navigator.webdriver", "Function.toString" */
+    liedApis: string[];
+    lies: { [api: string]: TamperingLie[] };
+    toStringTampered: boolean;
+    apisChecked: number;
+    error?: boolean;
+}
+
+/** Values compared between the top window and the iframe */
+export interface IframeRealmValues {
+    webdriver: boolean;
+    userAgent: string;
+    pluginsLength: number;
+    /** navigator.languages joined with commas */
+    languages: string;
+    /** null without WebGL (or its debug renderer info) in this realm */
+    webglVendor: string | null;
+    webglRenderer: string | null;
+}
+
+export type IframeMismatch = keyof IframeRealmValues | 'toString' | 'contentWindow';
+
+/** getIframeChecks() */
+export interface IframeCheckResult {
+    available: boolean;
+    suspicious: boolean;
+    mismatches: IframeMismatch[];
+    /** e.g. "Consistent", "Iframe timeout", "Iframe creation failed" */
+    reason: string;
+    main: IframeRealmValues | null;
+    /** null when the iframe's contentWindow is not its own realm */
+    iframe: IframeRealmValues | null;
+    /** Error message */
+    error: string | null;
+}
+
+export type LocaleInconsistency =
+    | 'timezone_offset'
+    | 'intl_locale'
+    | 'languages_primary'
+    | 'utc_non_english'
+    | 'geo_timezone';
+
+/** checkLocaleCoherence() */
+export interface LocaleCoherenceResult {
+    suspicious: boolean;
+    inconsistencies: LocaleInconsistency[];
+    /** Intl time zone, e.g. "Europe/Berlin" */
+    timezone: string | null;
+    /** Date#getTimezoneOffset() (minutes behind UTC) */
+    timezoneOffset: number;
+    /** The Intl time zone's offset, in the same unit; null for an unknown time zone */
+    intlTimezoneOffset: number | null;
+    language: string;
+    languages: string[];
+    /** Default locales of Intl.DateTimeFormat and Intl.NumberFormat */
+    intlLocales: { dateTimeFormat: string; numberFormat: string };
+    /** Upper-case geoCountry option; null without a valid one */
+    geoCountry: string | null;
+}
+
+export type GeometryAnomaly =
+    | 'headless_resolution'
+    | 'no_taskbar'
+    | 'zero_screen_position'
+    | 'mac_dpr_1'
+    | 'viewport_exceeds_screen'
+    | 'dppx_mismatch'
+    | 'orientation_mismatch'
+    | 'visual_viewport_mismatch';
+
+/** checkScreenGeometry() */
+export interface ScreenGeometryResult {
+    suspicious: boolean;
+    anomalies: GeometryAnomaly[];
+    /** headless_resolution without taskbar */
+    headlessDefault: boolean;
+    /** No taskbar with the window at 0,0 */
+    virtualDisplay: boolean;
+    /** e.g. "800x600" */
+    resolution: string;
+    /** HEADLESS_RESOLUTIONS entry of the resolution */
+    headlessResolution: string | null;
+    screen: { width: number; height: number; availWidth: number; availHeight: number };
+    window: {
+        screenX: number | null;
+        screenY: number | null;
+        outerWidth: number;
+        outerHeight: number;
+        innerWidth: number;
+        innerHeight: number;
+        devicePixelRatio: number;
+    };
+    visualViewport: { width: number; height: number; scale: number } | null;
+    /** Media query results; null without matchMedia */
+    mediaQueries: { dppx: boolean | null; landscape: boolean | null };
+}
+
+export type MediaFeature =
+    | 'pointer'
+    | 'hover'
+    | 'any-pointer'
+    | 'prefers-color-scheme'
+    | 'prefers-reduced-motion'
+    | 'forced-colors'
+    | 'color-gamut'
+    | 'dynamic-range'
+    | 'inverted-colors';
+
+export type MediaFeatureInconsistency =
+    | 'mobile_fine_pointer'
+    | 'desktop_no_pointer'
+    | 'touch_without_coarse_pointer'
+    | 'coarse_pointer_without_touch'
+    | 'mobile_large_screen'
+    | 'no_media_match';
+
+/** checkMediaFeatures() */
+export interface MediaFeaturesResult {
+    /** False without matchMedia (the other fields are null) */
+    available: boolean;
+    suspicious: boolean;
+    inconsistencies: MediaFeatureInconsistency[];
+    /** Matching value of each feature; null when none matches */
+    features: Record<MediaFeature, string | null> | null;
+    /** Claimed platform: Client Hints, else the User-Agent */
+    mobile: boolean | null;
+    maxTouchPoints: number | null;
+    screen: { width: number; height: number } | null;
+}
+
+// ---------------------------------------------------------------------------
+// Explanations
+// ---------------------------------------------------------------------------
+
+/** Human-readable description of a summary item */
+export interface CheckItemExplanation {
+    label: string;
+    description: string;
+    good?: string;
+    bad?: string;
+    info?: string;
+}
+
+/** getCheckItemExplanations(); detectHeadless() adds registered checks' explanations by check id */
+export interface CheckItemExplanations {
+    'webdriver-status': CheckItemExplanation;
+    'cdp-detected': CheckItemExplanation;
+    'cdp-keys': CheckItemExplanation;
+    'ua-suspicious': CheckItemExplanation;
+    'webgl-supported': CheckItemExplanation;
+    'webgl-software': CheckItemExplanation;
+    'webgl-renderer': CheckItemExplanation;
+    'webgl-rendering-test': CheckItemExplanation;
+    'webgl-noise': CheckItemExplanation;
+    'worker-available': CheckItemExplanation;
+    'worker-mismatch': CheckItemExplanation;
+    'worker-status': CheckItemExplanation;
+    'emoji-rendered': CheckItemExplanation;
+    'emoji-os': CheckItemExplanation;
+    'emoji-suspicious': CheckItemExplanation;
+    'outer-dims': CheckItemExplanation;
+    'inner-outer': CheckItemExplanation;
+    'dimensions': CheckItemExplanation;
+    'plugins-count': CheckItemExplanation;
+    'languages-check': CheckItemExplanation;
+    'media-devices': CheckItemExplanation;
+    'notifications': CheckItemExplanation;
+    'flag-domautomation': CheckItemExplanation;
+    'flag-selenium': CheckItemExplanation;
+    'flag-webdriver-evaluate': CheckItemExplanation;
+    'flag-phantom': CheckItemExplanation;
+    'flag-nightmare': CheckItemExplanation;
+    'flag-callphantom': CheckItemExplanation;
+    'playwright-binding': CheckItemExplanation;
+    'playwright-initscripts': CheckItemExplanation;
+    'playwright-exposed': CheckItemExplanation;
+    'adv-stacktrace': CheckItemExplanation;
+    'adv-runtime': CheckItemExplanation;
+    'adv-permissions': CheckItemExplanation;
+    'adv-console': CheckItemExplanation;
+    'permissions-contradiction': CheckItemExplanation;
+    'media-webrtc': CheckItemExplanation;
+    'media-devices-count': CheckItemExplanation;
+    'media-battery': CheckItemExplanation;
+    'media-devices-none': CheckItemExplanation;
+    'fp-canvas': CheckItemExplanation;
+    'fp-audio': CheckItemExplanation;
+    'fp-fonts': CheckItemExplanation;
+    'platform': CheckItemExplanation;
+    'cpu-cores': CheckItemExplanation;
+    'device-memory': CheckItemExplanation;
+    'touch-points': CheckItemExplanation;
+    'behavior-events': CheckItemExplanation;
+    'behavior-synthetic': CheckItemExplanation;
+    'tampering-detected': CheckItemExplanation;
+    'tampering-apis': CheckItemExplanation;
+    'iframe-available': CheckItemExplanation;
+    'iframe-mismatch': CheckItemExplanation;
+    'client-hints-mismatch': CheckItemExplanation;
+    'locale-mismatch': CheckItemExplanation;
+    'locale-geo': CheckItemExplanation;
+    'media-features-pointer': CheckItemExplanation;
+    'media-features-mismatch': CheckItemExplanation;
+    'geometry-resolution': CheckItemExplanation;
+    'geometry-headless-default': CheckItemExplanation;
+    'geometry-inconsistent': CheckItemExplanation;
+    [itemId: string]: CheckItemExplanation;
+}
+
+// ---------------------------------------------------------------------------
+// detectHeadless() results
+// ---------------------------------------------------------------------------
+
+/** A signal that contributed to the score */
+export interface ScoreBreakdownEntry {
+    /** Signal id, e.g. "webdriver" */
+    id: string;
+    /** Id of the check that fired the signal */
+    checkId: string;
+    group: string;
+    /** Weight (additive scorer) or log-odds (logistic scorer) */
+    weight: number;
+    /** Raw value behind the signal */
+    value: unknown;
+    /** Cumulative score (additive, before the clamp) or logit (logistic) */
+    total: number;
+}
+
+/** A problem reported in the summary */
+export interface Detection {
+    category: string;
+    severity: Severity;
+    message: string;
+    /** Summary item id (a key of checkItemExplanations) */
+    checkId: string;
+    value: unknown;
+    /** CDP signals (cdp-detected) */
+    signals?: string[];
+    /** Matching User-Agent patterns (ua-suspicious) */
+    patterns?: string[];
+    /** Software renderer (webgl-software) */
+    renderer?: string;
+}
+
+/** A minor issue reported in the summary */
+export interface DetectionWarning {
+    category: string;
+    severity: 'medium';
+    message: string;
+    checkId: string;
+    value: unknown;
+    note?: string;
+}
+
+/** classifyScore() */
+export interface ScoreClassification {
+    classification: Classification;
+    riskLevel: RiskLevel;
+    recommendation: string;
+}
+
+/** results.summary */
+export interface DetectionSummary extends ScoreClassification {
+    score: number;
+    detections: Detection[];
+    warnings: DetectionWarning[];
+    totalIssues: number;
+    /** Name of the weight profile used */
+    profile: string;
+    scorer: Scorer;
+    /** 0-1 confidence of the logistic scorer; null for the additive scorer */
+    confidence: number | null;
+}
+
+/**
+ * detectHeadless() results.
+ * Each check's result is null when the check is excluded by options;
+ * a check that throws reports { error: true, message }.
+ */
+export interface DetectionResults {
+    /** Version of the results format (see SCHEMA_VERSION) */
+    schemaVersion: string;
+    /** Headless score (additive) or probability (logistic), 0-1 */
+    isHeadless: number;
+    scoreBreakdown: ScoreBreakdownEntry[];
+    webdriver: boolean | CheckError | null;
+    automationFlags: AutomationFlags | CheckError | null;
+    cdpArtifacts: CDPArtifactsResult | CheckError | null;
+    headlessIndicators: HeadlessIndicators | CheckError | null;
+    /** Absent from results stored before media feature checks */
+    mediaFeatureChecks?: MediaFeaturesResult | CheckError | null;
+    userAgentFlags: UserAgentResult | CheckError | null;
+    /** Absent from results stored before high-entropy Client Hints checks */
+    clientHintsChecks?: HighEntropyClientHintsResult | CheckError | null;
+    webglFlags: WebGLResult | CheckError | null;
+    advancedChecks: AdvancedChecks | CheckError | null;
+    /** Absent from results stored before permission query checks */
+    permissionChecks?: PermissionQueryResult | CheckError | null;
+    mediaChecks: MediaChecks | CheckError | null;
+    /** Absent from results stored before media device enumeration checks */
+    mediaDeviceChecks?: MediaDeviceEnumerationResult | CheckError | null;
+    fingerprintChecks: FingerprintChecks | CheckError | null;
+    workerChecks: WorkerCheckResult | CheckError | null;
+    /** Absent from results stored before behavior checks */
+    behaviorChecks?: BehaviorChecksResult | CheckError | null;
+    /** Absent from results stored before tampering checks */
+    tamperingChecks?: TamperingChecksResult | CheckError | null;
+    /** Absent from results stored before iframe checks */
+    iframeChecks?: IframeCheckResult | CheckError | null;
+    /** Absent from results stored before locale checks */
+    localeChecks?: LocaleCoherenceResult | CheckError | null;
+    /** Absent from results stored before geometry checks */
+    geometryChecks?: ScreenGeometryResult | CheckError | null;
+    checkItemExplanations: CheckItemExplanations;
+    summary: DetectionSummary;
+    timestamp: number;
+    userAgent: string;
+    /** Package version that produced the results */
+    detectionVersion: string;
+    /** Nonce-bound token; present when detectHeadless() was given a nonce */
+    token?: string;
+    /** Results of checks added with registerCheck(), keyed by check id */
+    [checkId: string]: unknown;
+}
+
+// ---------------------------------------------------------------------------
+// Options
+// ---------------------------------------------------------------------------
+
+/** detectHeadless() options */
+export interface DetectOptions {
+    /** Attach results to window.__headlessDetection and data-headless-* attributes */
+    attachToWindow?: boolean;
+    /** Only run these checks, e.g. "webglFlags" or "fingerprintChecks.canvas" */
+    include?: string[];
+    /** Skip these checks, e.g. "webglFlags.renderingTest" */
+    exclude?: string[];
+    /** Timeout for asynchronous checks in milliseconds (default 1000) */
+    timeoutMs?: number;
+    /** Record mouse, touch, keyboard and scroll input for this long before analyzing it (default 0: what was recorded so far, usually nothing) */
+    behaviorWindowMs?: number;
+    /** Per-signal score weight overrides */
+    weights?: SignalWeights;
+    /** Classification threshold overrides */
+    thresholds?: Partial<Thresholds>;
+    /** Weight profile name or object (defaults to the global profile) */
+    profile?: ProfileName | WeightProfile;
+    /** Defaults to the profile's scorer */
+    scorer?: Scorer;
+    /** Per-signal log-odds overrides (logistic scorer) */
+    logOdds?: SignalWeights;
+    /** Logit before any signal (logistic scorer) */
+    priorLogOdds?: number;
+    /** Server-issued nonce to bind the results to (adds results.token) */
+    nonce?: string;
+    /** Key issued with the nonce, which signs the token (required with a nonce) */
+    nonceKey?: string;
+    /** Send the results to a collector endpoint */
+    report?: ReportOptions | null;
+    /** Server-supplied ISO 3166-1 alpha-2 country of the visitor (e.g. from the IP), compared with the timezone */
+    geoCountry?: string | null;
+}
+
+/** normalizeOptions() */
+export interface NormalizedOptions {
+    attachToWindow: boolean;
+    include: string[] | null;
+    exclude: string[];
+    timeoutMs: number;
+    behaviorWindowMs: number;
+    weights: SignalWeights;
+    thresholds: Partial<Thresholds>;
+    profile: ProfileName | WeightProfile | null;
+    scorer: Scorer | null;
+    logOdds: SignalWeights;
+    priorLogOdds: number | null;
+    nonce: string | null;
+    nonceKey: string | null;
+    report: NormalizedReportOptions | null;
+    geoCountry: string | null;
+}
+
+export const DEFAULT_TIMEOUT_MS: number;
+
+export const DEFAULT_BEHAVIOR_WINDOW_MS: number;
+
+/** @throws {TypeError} If the report options are invalid */
+export function normalizeOptions(options?: boolean | DetectOptions): NormalizedOptions;
+
+export function isCheckEnabled(id: string, options: Pick<NormalizedOptions, 'include' | 'exclude'>): boolean;
+
+// ---------------------------------------------------------------------------
+// Detection
+// ---------------------------------------------------------------------------
+
+export function detectHeadless(options?: boolean | DetectOptions): Promise<DetectionResults>;
+
+export function calculateHeadlessScore(options?: boolean | DetectOptions): Promise<number>;
+
+// ---------------------------------------------------------------------------
+// Monitoring
+// ---------------------------------------------------------------------------
+
+/** A change of the score or of the fired signals (diffResults()) */
+export interface ResultsChange {
+    score: number;
+    /** null for the first run */
+    previousScore: number | null;
+    addedSignals: string[];
+    removedSignals: string[];
+}
+
+/** monitor() options */
+export interface MonitorOptions extends DetectOptions {
+    /** Time between two runs of the monitored checks (default 5000) */
+    intervalMs?: number;
+    /** Checks to re-run, e.g. "cdpArtifacts" or "advancedChecks.stackTrace" (default MONITORED_CHECKS) */
+    checks?: string[];
+    /** Called after the first run and whenever the score or the fired signals change */
+    onChange?: (change: ResultsChange & { results: DetectionResults }) => void;
+}
+
+/** monitor() */
+export interface Monitor {
+    /** Results of the first run */
+    ready: Promise<DetectionResults>;
+    /** Re-run the monitored checks now */
+    refresh(): Promise<DetectionResults>;
+    /** Latest results; null before the first run completes */
+    getResults(): DetectionResults | null;
+    stop(): void;
+}
+
+export const DEFAULT_MONITOR_INTERVAL_MS: number;
+
+export const MONITORED_CHECKS: string[];
+
+export function diffResults(
+    previous: Pick<DetectionResults, 'isHeadless' | 'scoreBreakdown'> | null,
+    next: Pick<DetectionResults, 'isHeadless' | 'scoreBreakdown'>
+): ResultsChange | null;
+
+/**
+ * @throws {Error} If the scorer is unknown
+ * @throws {TypeError} If the report options are invalid
+ */
+export function monitor(options?: MonitorOptions): Monitor;
+
+// ---------------------------------------------------------------------------
+// Detection events
+// ---------------------------------------------------------------------------
+
+/** Detail of each detection event (on() handler argument and DOM CustomEvent detail) */
+export interface DetectionEventMap {
+    /** The browser build defined its globals */
+    ready: { version: string };
+    'check:complete': { checkId: string; result: unknown };
+    /** detectHeadless() or a monitor() run finished */
+    result: DetectionResults;
+    /** checkId is null when detectHeadless() itself rejected */
+    error: { checkId: string | null; error: unknown };
+}
+
+export type DetectionEvent = keyof DetectionEventMap;
+
+export const DETECTION_EVENTS: DetectionEvent[];
+
+/** Prefix of the DOM CustomEvent names dispatched on document ("headless-detector:result", ...) */
+export const DOM_EVENT_PREFIX: string;
+
+/**
+ * A "ready" handler added after the event is called right away
+ * @returns Removes the handler
+ * @throws {TypeError} If the event is unknown or the handler is not a function
+ */
+export function on<E extends DetectionEvent>(event: E, handler: (detail: DetectionEventMap[E]) => void): () => boolean;
+
+/** @returns True if the handler was listening */
+export function off<E extends DetectionEvent>(event: E, handler: (detail: DetectionEventMap[E]) => void): boolean;
+
+/** @deprecated Alias of calculateHeadlessScore() */
+export function getHeadlessScore(options?: boolean | DetectOptions): Promise<number>;
+
+export function detectWebdriver(): boolean;
+
+/** @deprecated Alias of detectWebdriver() */
+export function checkWebdriver(): boolean;
+
+export function detectCDP(): CDPArtifactsResult;
+
+/** @deprecated Alias of detectCDP() */
+export function checkCDP(): CDPArtifactsResult;
+
+export function detectCDPStackTrace(): CDPStackTraceResult;
+
+export function detectConsoleDebugLeak(): ConsoleDebugLeakResult;
+
+export function checkUserAgent(): UserAgentResult;
+
+/** Automation, headless and crawler User-Agent patterns */
+export const USER_AGENT_PATTERNS: RegExp[];
+
+/** Matching patterns, e.g. "/HeadlessChrome/i" */
+export function matchUserAgentPatterns(ua: string): string[];
+
+export function checkClientHints(): ClientHintsResult;
+
+/** High-entropy Client Hints requested by checkHighEntropyClientHints() */
+export const HIGH_ENTROPY_HINTS: string[];
+
+export function checkHighEntropyClientHints(options?: { timeoutMs?: number }): Promise<HighEntropyClientHintsResult>;
+
+export function checkWebGL(options?: { renderingTest?: boolean }): WebGLResult;
+
+export function performWebGLRenderingTest(
+    gl: WebGLRenderingContext,
+    testSize: number,
+    claimedRenderer: string
+): WebGLRenderingTestResult;
+
+export function detectPlaywrightExposedFunctions(): PlaywrightExposedFunctionsResult;
+
+export function getAutomationFlags(): AutomationFlags | CheckError;
+
+export function getHeadlessIndicators(): HeadlessIndicators | CheckError;
+
+export function checkChromeRuntime(): ChromeRuntimeResult | CheckError;
+
+export function checkPermissions(): PermissionsResult;
+
+/** Permissions queried by queryPermissions() */
+export const QUERIED_PERMISSIONS: string[];
+
+export function queryPermissions(options?: { timeoutMs?: number }): Promise<PermissionQueryResult>;
+
+/** Set a check to false to skip it (its result will be null) */
+export function getAdvancedChecks(options?: {
+    stackTrace?: boolean;
+    chromeRuntime?: boolean;
+    permissions?: boolean;
+    consoleDebug?: boolean;
+}): AdvancedChecks;
+
+export function checkMediaDevices(): MediaDevicesResult;
+
+export function enumerateMediaDevices(options?: { timeoutMs?: number }): Promise<MediaDeviceEnumerationResult>;
+
+export function checkWebRTC(): WebRTCResult;
+
+export function checkBattery(): BatteryResult;
+
+/** Set a check to false to skip it (its result will be null) */
+export function getMediaChecks(options?: {
+    mediaDevices?: boolean;
+    webrtc?: boolean;
+    battery?: boolean;
+}): MediaChecks;
+
+export function checkEmojiRendering(): EmojiRenderingResult;
+
+export function checkCanvas(): CanvasResult;
+
+export function checkAudioContext(): AudioContextResult;
+
+export function checkFonts(): FontsResult;
+
+/** Set a check to false to skip it (its result will be null) */
+export function getFingerprintChecks(options?: {
+    canvas?: boolean;
+    audioContext?: boolean;
+    fonts?: boolean;
+}): FingerprintChecks;
+
+export function getWorkerChecks(options?: { timeoutMs?: number }): Promise<WorkerCheckResult>;
+
+export const DEFAULT_BEHAVIOR_OPTIONS: { windowMs: number; maxEvents: number };
+
+/** Start recording input events; false without a document */
+export function startBehaviorRecording(options?: { maxEvents?: number }): boolean;
+
+/** Stop recording and discard the recorded events; false if not recording */
+export function stopBehaviorRecording(): boolean;
+
+export function getBehaviorChecks(options?: { windowMs?: number }): Promise<BehaviorChecksResult>;
+
+export function analyzeBehavior(events: BehaviorEvent[], durationMs?: number): BehaviorChecksResult;
+
+export const TAMPERING_TARGETS: TamperingTargets;
+
+export function detectTampering(targets?: TamperingTargets): TamperingChecksResult;
+
+export function getIframeChecks(options?: { timeoutMs?: number }): Promise<IframeCheckResult>;
+
+/** UTC offset ranges (minutes east of UTC) by ISO 3166-1 alpha-2 country */
+export const COUNTRY_UTC_OFFSETS: Record<string, [number, number]>;
+
+export function checkLocaleCoherence(options?: { geoCountry?: string | null }): LocaleCoherenceResult | CheckError;
+
+/** Headless and virtual display default screen sizes ("800x600") and where they come from */
+export const HEADLESS_RESOLUTIONS: Record<string, string>;
+
+/** Anomalies that contradict each other, whatever the display */
+export const GEOMETRY_INCONSISTENCIES: GeometryAnomaly[];
+
+export function checkScreenGeometry(): ScreenGeometryResult | CheckError;
+
+/** Media features evaluated by checkMediaFeatures() and their values in match order */
+export const MEDIA_FEATURES: Record<MediaFeature, string[]>;
+
+export function checkMediaFeatures(): MediaFeaturesResult | CheckError;
+
+export function getCheckItemExplanations(): CheckItemExplanations;
+
+// ---------------------------------------------------------------------------
+// Check registry
+// ---------------------------------------------------------------------------
+
+/** Context passed to a check's run function */
+export interface CheckContext {
+    options: NormalizedOptions;
+    /** Whether each of the check's sub-checks is enabled */
+    subChecks: { [subCheck: string]: boolean };
+    isEnabled(subCheck: string): boolean;
+}
+
+/** A signal reported by a check's score function */
+export interface SignalInput {
+    id: string;
+    weight?: number;
+    logOdds?: number;
+    /** Raw value behind the signal (defaults to true) */
+    value?: unknown;
+}
+
+/** What a check's score function returns: fired signals (falsy entries are ignored) or its own weight */
+export type ScoreOutput = number | Array<string | SignalInput | false | null | undefined | 0 | ''>;
+
+/** registerCheck() definition */
+export interface CheckDefinition<T = unknown> {
+    /** Unique check id, also the results key (no dots) */
+    id: string;
+    /** Score group the check's signals belong to (defaults to id) */
+    group?: string;
+    run(context: CheckContext): T | Promise<T>;
+    score?(result: T, results: Partial<DetectionResults>): ScoreOutput;
+    explanation?: CheckItemExplanation;
+    /** Summary severity, or a map of summary item id to severity (default "high") */
+    severity?: Severity | { [itemId: string]: Severity };
+    /** Sub-checks selectable via include/exclude as "id.subCheck" */
+    subChecks?: string[];
+    /** Map of summary item id to value (defaults to a single item per check) */
+    items?(result: T, results: Partial<DetectionResults>): { [itemId: string]: unknown };
+}
+
+/** A registered (frozen) check */
+export interface RegisteredCheck<T = unknown> {
+    readonly id: string;
+    readonly group: string;
+    readonly run: (context: CheckContext) => T | Promise<T>;
+    readonly score: ((result: T, results: Partial<DetectionResults>) => ScoreOutput) | null;
+    readonly explanation: CheckItemExplanation | null;
+    readonly severity: Severity | { [itemId: string]: Severity };
+    readonly subChecks: string[];
+    readonly items: ((result: T, results: Partial<DetectionResults>) => { [itemId: string]: unknown }) | null;
+}
+
+/** A signal fired by a registered check (see getFiredSignals) */
+export interface FiredSignal {
+    id: string;
+    weight: number | undefined;
+    logOdds: number | undefined;
+    value: unknown;
+}
+
+/** detectHeadless() results keys a check id cannot use */
+export const RESERVED_RESULT_KEYS: string[];
+
+export const SEVERITIES: Severity[];
+
+/** Built-in check definitions, in execution order */
+export const BUILT_IN_CHECKS: CheckDefinition<any>[];
+
+export function registerCheck<T>(definition: CheckDefinition<T>): RegisteredCheck<T>;
+
+export function unregisterCheck(id: string): boolean;
+
+export function getRegisteredChecks(): RegisteredCheck[];
+
+export function getCheckSeverity(check: Pick<RegisteredCheck, 'severity'>, itemId: string): Severity;
+
+// ---------------------------------------------------------------------------
+// Scoring
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_WEIGHTS: Record<BuiltInSignalId, number>;
+
+export const DEFAULT_LOG_ODDS: Record<BuiltInSignalId, number>;
+
+export const DEFAULT_PRIOR_LOG_ODDS: number;
+
+export const WEIGHT_TO_LOG_ODDS: number;
+
+export const DEFAULT_THRESHOLDS: Thresholds;
+
+/** Logistic scorer options */
+export interface LogisticOptions {
+    logOdds?: SignalWeights;
+    priorLogOdds?: number;
+    /** Weight overrides for signals without log-odds */
+    weights?: SignalWeights;
+}
+
+/** scoreLogistic() */
+export interface LogisticScore {
+    probability: number;
+    confidence: number;
+    logit: number;
+    /** Entries report log-odds as weight and the cumulative logit as total */
+    breakdown: ScoreBreakdownEntry[];
+}
+
+export function getFiredSignals(check: RegisteredCheck<any>, results: Partial<DetectionResults>): FiredSignal[];
+
+export function getScoreBreakdown(
+    results: Partial<DetectionResults>,
+    weights?: SignalWeights,
+    checks?: RegisteredCheck<any>[]
+): ScoreBreakdownEntry[];
+
+export function scoreResults(
+    results: Partial<DetectionResults>,
+    weights?: SignalWeights,
+    checks?: RegisteredCheck<any>[]
+): number;
+
+export function getBreakdownScore(breakdown: ScoreBreakdownEntry[]): number;
+
+export function resolveWeight(signal: { id: string; weight?: number }, weights?: SignalWeights): number;
+
+export function resolveLogOdds(
+    signal: { id: string; weight?: number; logOdds?: number },
+    logOdds?: SignalWeights,
+    weights?: SignalWeights
+): number;
+
+export function scoreLogistic(
+    results: Partial<DetectionResults>,
+    options?: LogisticOptions,
+    checks?: RegisteredCheck<any>[]
+): LogisticScore;
+
+export function getEvidenceCoverage(results: Partial<DetectionResults>, checks: RegisteredCheck<any>[]): number;
+
+export function classifyScore(score: number, thresholds?: Partial<Thresholds>): ScoreClassification;
+
+// ---------------------------------------------------------------------------
+// Weight profiles
+// ---------------------------------------------------------------------------
+
+/** A weight profile, e.g. parsed from JSON */
+export interface WeightProfile {
+    name?: string;
+    /** Preset the profile builds on */
+    extends?: ProfileName;
+    weights?: SignalWeights;
+    thresholds?: Partial<Thresholds>;
+    scorer?: Scorer;
+    logOdds?: SignalWeights;
+    priorLogOdds?: number;
+}
+
+/** resolveProfile(), setProfile(), getProfile() */
+export interface ResolvedProfile {
+    name: string;
+    weights: SignalWeights;
+    thresholds: Partial<Thresholds>;
+    scorer: Scorer;
+    logOdds: SignalWeights;
+    priorLogOdds: number | null;
+}
+
+export const THRESHOLD_KEYS: Array<keyof Thresholds>;
+
+export const SCORERS: Scorer[];
+
+export const PROFILE_PRESETS: Record<ProfileName, {
+    name: ProfileName;
+    weights: SignalWeights;
+    thresholds: Partial<Thresholds>;
+}>;
+
+export const DEFAULT_PROFILE: ProfileName;
+
+/** @throws {TypeError} If the profile is malformed */
+export function validateProfile(profile: WeightProfile): void;
+
+export function resolveProfile(profile?: ProfileName | WeightProfile | null): ResolvedProfile;
+
+/** null restores "balanced" */
+export function setProfile(profile: ProfileName | WeightProfile | null): ResolvedProfile;
+
+export function getProfile(): ResolvedProfile;
+
+// ---------------------------------------------------------------------------
+// Result schema and migrations
+// ---------------------------------------------------------------------------
+
+/** A schema violation; path is e.g. "summary.detections[0].severity" */
+export interface ValidationError {
+    path: string;
+    message: string;
+}
+
+/** validateResult() */
+export interface ValidationReport {
+    valid: boolean;
+    errors: ValidationError[];
+    /** The parsed results; undefined when the JSON text is malformed */
+    result: unknown;
+}
+
+/** A migration between consecutive result schema versions */
+export interface ResultMigration {
+    from: string;
+    to: string;
+    description: string;
+    migrate(result: { [key: string]: any }): { [key: string]: any };
+}
+
+export const SCHEMA_VERSION: string;
+
+/** The JSON Schema of detectHeadless() results (schema/detection-result.schema.json) */
+export const RESULT_SCHEMA: { [keyword: string]: unknown };
+
+/** Schema version of results without a schemaVersion (releases up to 2.0.1) */
+export const LEGACY_SCHEMA_VERSION: string;
+
+export const MIGRATIONS: ResultMigration[];
+
+export function validateResult(json: string | object): ValidationReport;
+
+export function getResultSchemaVersion(result: { schemaVersion?: unknown }): string;
+
+/**
+ * @throws {TypeError} If result is not an object
+ * @throws {Error} If the results have an unknown or newer schema version
+ */
+export function migrateResult(result: object): DetectionResults;
+
+// ---------------------------------------------------------------------------
+// Detection tokens
+// ---------------------------------------------------------------------------
+
+/** parseToken() */
+export interface TokenFields {
+    version: string;
+    nonce: string;
+    /** results.timestamp */
+    timestamp: number;
+    /** HMAC-SHA256 of the results, keyed by the nonce key */
+    digest: string;
+}
+
+export const TOKEN_VERSION: string;
+
+export function parseToken(token: unknown): TokenFields | null;
+
+// ---------------------------------------------------------------------------
+// Reporting
+// ---------------------------------------------------------------------------
+
+export type ReportTransport = 'beacon' | 'fetch';
+
+/** detectHeadless({ report }) */
+export interface ReportOptions {
+    /** Collector endpoint; batches are posted as { reports: [...] } */
+    url: string;
+    /** Share of runs to report, 0-1 (default 1) */
+    sampleRate?: number;
+    /** Results fields to report ("summary.riskLevel" for nested fields), or "*" for the whole results */
+    fields?: string[] | '*';
+    /** "beacon" (default, falls back to fetch) or "fetch" */
+    transport?: ReportTransport;
+    /** Runs per batch (default 10) */
+    batchSize?: number;
+    /** Maximum time a run waits for its batch (default 1000) */
+    flushIntervalMs?: number;
+    /** Fetch retries after a failed request (default 2) */
+    retries?: number;
+    /** Delay before the first retry, doubled after each retry (default 500) */
+    retryDelayMs?: number;
+}
+
+export type NormalizedReportOptions = Required<ReportOptions>;
+
+export const DEFAULT_REPORT_FIELDS: string[];
+
+export const REPORT_TRANSPORTS: ReportTransport[];
+
+export const DEFAULT_REPORT_OPTIONS: Omit<NormalizedReportOptions, 'url'>;
+
+/** @throws {TypeError} If the url, sample rate, fields or transport are invalid */
+export function normalizeReportOptions(report?: ReportOptions | null | false): NormalizedReportOptions | null;
+
+/** Queue results for reporting; false when the run is sampled out */
+export function queueReport(results: DetectionResults, report: NormalizedReportOptions): boolean;
+
+/** Send every queued report now; resolves to true if every batch was delivered */
+export function flushReports(): Promise<boolean>;
@@ -0,0 +1,235 @@
+/**
+ * Type declarations for headless-detector/server
+ */
+
+import type {
+    CheckDefinition,
+    DetectionResults,
+    ProfileName,
+    ScoreBreakdownEntry,
+    ScoreClassification,
+    Scorer,
+    SignalWeights,
+    Thresholds,
+    ValidationError,
+    WeightProfile
+} from './index';
+
+/** Request headers with lower-case names, as in Node.js (http.IncomingHttpHeaders) */
+export interface RequestHeaders {
+    [name: string]: string | string[] | undefined;
+}
+
+/** checkRequestHeaders() */
+export interface RequestHeadersResult {
+    /** User-Agent header */
+    userAgent: string | null;
+    /** Whether the claimed userAgent equals the header; null when the results carry none */
+    userAgentMatch: boolean | null;
+    /** Client Hints sent with the request (null when the header is missing or malformed) */
+    clientHints: {
+        brands: string[] | null;
+        mobile: boolean | null;
+        platform: string | null;
+    };
+    /** Claimed Client Hints that differ from the request headers */
+    clientHintsMismatches: Array<'brands' | 'mobile' | 'platform'>;
+}
+
+/** verifyResult() options */
+export interface VerifyOptions {
+    /** Weight profile name or object (defaults to the global profile) */
+    profile?: ProfileName | WeightProfile;
+    /** Per-signal score weight overrides */
+    weights?: SignalWeights;
+    /** Classification threshold overrides */
+    thresholds?: Partial<Thresholds>;
+    /** Defaults to the profile's scorer */
+    scorer?: Scorer;
+    /** Per-signal log-odds overrides (logistic scorer) */
+    logOdds?: SignalWeights;
+    /** Logit before any signal (logistic scorer) */
+    priorLogOdds?: number;
+    /** Require a token bound to a nonce issued with this secret */
+    secret?: string;
+    /** How long a nonce can be used (default 300000) */
+    maxNonceAgeMs?: number;
+    /** Used nonces (defaults to a process-wide store) */
+    nonceStore?: NonceStore;
+    /** Header names in the order received (the middleware take them from rawHeaders) */
+    rawHeaderOrder?: string[];
+}
+
+/** Header analysis signals */
+export type HeaderSignal =
+    | 'ua_missing'
+    | 'accept_language_missing'
+    | 'ua_automation'
+    | 'ch_ua_headless'
+    | 'ch_ua_mismatch'
+    | 'sec_fetch_inconsistent'
+    | 'header_order';
+
+/** analyzeRequestHeaders() */
+export interface HeaderAnalysisResult {
+    detected: boolean;
+    signals: HeaderSignal[];
+    /** User-Agent automation patterns, e.g. "/HeadlessChrome/i" */
+    userAgentMatches: string[];
+    /** Chromium major version claimed by the User-Agent and by Sec-CH-UA (null without a Chromium or Google Chrome brand) */
+    chromiumVersions: {
+        userAgent: number | null;
+        clientHints: number | null;
+    };
+    /** HTTP client whose header order the request matches (keys of HEADER_ORDER_FINGERPRINTS) */
+    headerOrderClient: string | null;
+}
+
+/** parseClientHints() (null when a header is missing or malformed) */
+export interface ParsedClientHints {
+    brands: Array<{ brand: string; version: string }> | null;
+    mobile: boolean | null;
+    platform: string | null;
+}
+
+/** createNonce(): send both to the page, for detectHeadless({ nonce, nonceKey: key }) */
+export interface NonceChallenge {
+    nonce: string;
+    /** Signs the results digest; never part of the token */
+    key: string;
+}
+
+/** Used nonces, for replay protection */
+export interface NonceStore {
+    /** Mark a nonce as used until expiresAt; false if it was already used */
+    use(nonce: string, expiresAt: number): boolean;
+}
+
+/** Why a token was rejected (keys of TOKEN_ERRORS) */
+export type TokenFailure = 'missing' | 'malformed' | 'invalid-nonce' | 'tampered' | 'expired' | 'replayed';
+
+/** verifyToken() */
+export interface TokenVerification {
+    valid: boolean;
+    reason: TokenFailure | null;
+    /** Issue time of the nonce; null when it was not issued with the secret */
+    issuedAt: number | null;
+}
+
+/** Middleware options */
+export interface MiddlewareOptions extends VerifyOptions {
+    /** Request property for the verdict (default "headlessVerdict") */
+    property?: string;
+    /** Maximum body size in bytes when the middleware reads the body (default 102400) */
+    limit?: number;
+}
+
+/** verifyResult() */
+export interface Verdict extends ScoreClassification {
+    /** Whether the posted results (migrated if needed) match the result schema */
+    valid: boolean;
+    errors: ValidationError[];
+    /** Schema version of the posted results; null when they are not an object */
+    schemaVersion: string | null;
+    /** isHeadless as posted; null for invalid results */
+    claimedScore: number | null;
+    /** Score recomputed on the server, 0-1 */
+    isHeadless: number;
+    scoreBreakdown: ScoreBreakdownEntry[];
+    /** Name of the weight profile used */
+    profile: string;
+    scorer: Scorer;
+    /** 0-1 confidence of the logistic scorer; null for the additive scorer */
+    confidence: number | null;
+    requestHeaders: RequestHeadersResult;
+    headerAnalysis: HeaderAnalysisResult;
+    /** Token verification; null without a secret */
+    token: TokenVerification | null;
+}
+
+export const DEFAULT_VERDICT_PROPERTY: string;
+
+export const DEFAULT_BODY_LIMIT: number;
+
+export const DEFAULT_MAX_NONCE_AGE_MS: number;
+
+export const TOKEN_ERRORS: Record<TokenFailure, string>;
+
+/** Header order of HTTP clients, restricted to a few common headers */
+export const HEADER_ORDER_FINGERPRINTS: Record<string, string[]>;
+
+export const SERVER_CHECKS: Array<Required<Pick<CheckDefinition<any>, 'id' | 'group' | 'score'>>>;
+
+/** @throws {TypeError} If the secret is not a non-empty string */
+export function createNonce(secret: string): NonceChallenge;
+
+export function createNonceStore(): NonceStore;
+
+/** @throws {TypeError} If the secret is not a non-empty string */
+export function verifyToken(
+    result: unknown,
+    secret: string,
+    options?: Pick<VerifyOptions, 'maxNonceAgeMs' | 'nonceStore'>
+): TokenVerification;
+
+export function analyzeRequestHeaders(headers?: RequestHeaders, rawHeaderOrder?: string[]): HeaderAnalysisResult;
+
+export function parseClientHints(headers?: RequestHeaders): ParsedClientHints;
+
+/** First value of repeated headers */
+export function getHeader(headers: RequestHeaders | null | undefined, name: string): string | null;
+
+export function checkRequestHeaders(result: Partial<DetectionResults> | null, headers?: RequestHeaders): RequestHeadersResult;
+
+/**
+ * @throws {Error} If the scorer is unknown
+ * @throws {TypeError} If the secret is not a non-empty string
+ */
+export function verifyResult(payload: string | object, headers?: RequestHeaders, options?: VerifyOptions): Verdict;
+
+/** createCollector() options */
+export interface CollectorOptions {
+    /** NDJSON file the reports are appended to */
+    file: string;
+    /** Access-Control-Allow-Origin of the responses (default "*") */
+    origin?: string;
+    /** Maximum body size in bytes (default 102400) */
+    limit?: number;
+}
+
+/** A line of the collector's NDJSON file */
+export interface CollectedReport {
+    receivedAt: number;
+    /** User-Agent header of the request */
+    userAgent: string | null;
+    /** A run as reported by detectHeadless({ report }) */
+    report: Partial<DetectionResults>;
+}
+
+/**
+ * Reference collector for detectHeadless({ report }): a plain http / Express request handler
+ * @throws {TypeError} If the file is not a non-empty string
+ */
+export function createCollector(options: CollectorOptions): (
+    req: { method?: string; headers: RequestHeaders; body?: unknown },
+    res: { statusCode: number; setHeader(name: string, value: string): unknown; end(body?: string): unknown }
+) => Promise<void>;
+
+/** Express / Connect / http middleware; stores the verdict in req.headlessVerdict */
+export function createExpressMiddleware(options?: MiddlewareOptions): (
+    req: { headers: RequestHeaders; body?: unknown; [property: string]: any },
+    res: unknown,
+    next: (error?: unknown) => void
+) => void;
+
+/** Koa middleware; stores the verdict in ctx.request.headlessVerdict and ctx.state.headlessVerdict */
+export function createKoaMiddleware(options?: MiddlewareOptions): (
+    ctx: { req: { headers: RequestHeaders }; request: { body?: unknown; [property: string]: any }; state?: any },
+    next: () => Promise<unknown>
+) => Promise<void>;
+
+/** Fastify preHandler hook; stores the verdict in request.headlessVerdict */
+export function createFastifyHook(options?: MiddlewareOptions): (
+    request: { headers: RequestHeaders; body?: unknown; raw: unknown; [property: string]: any },
+    reply?: unknown
+) => Promise<void>;